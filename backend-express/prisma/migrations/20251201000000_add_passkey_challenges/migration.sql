@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "users_webauthncredential" ADD COLUMN     "transports" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "auth_verificationtoken" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "purpose" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "data" JSONB,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "consumed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_verificationtoken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_verificationtoken_token_hash_key" ON "auth_verificationtoken"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "auth_verificationtoken_user_id_purpose_idx" ON "auth_verificationtoken"("user_id", "purpose");
+
+-- CreateIndex
+CREATE INDEX "auth_verificationtoken_expires_at_idx" ON "auth_verificationtoken"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "auth_verificationtoken" ADD CONSTRAINT "auth_verificationtoken_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "auth_refreshtoken" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "family_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "replaced_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_refreshtoken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "auth_refreshtoken_user_id_idx" ON "auth_refreshtoken"("user_id");
+
+-- CreateIndex
+CREATE INDEX "auth_refreshtoken_family_id_idx" ON "auth_refreshtoken"("family_id");
+
+-- AddForeignKey
+ALTER TABLE "auth_refreshtoken" ADD CONSTRAINT "auth_refreshtoken_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
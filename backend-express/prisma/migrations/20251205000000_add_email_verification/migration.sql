@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "auth_user" ADD COLUMN     "email_verified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "email_verified_at" TIMESTAMP(3);
+
+-- Existing accounts keep receiving emails; only new sign-ups must verify
+UPDATE "auth_user" SET "email_verified" = true, "email_verified_at" = CURRENT_TIMESTAMP;
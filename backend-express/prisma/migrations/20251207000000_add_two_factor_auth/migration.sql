@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "auth_user" ADD COLUMN     "mfa_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfa_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "totp_last_used_step" INTEGER,
+ADD COLUMN     "totp_secret" TEXT;
+
+-- CreateTable
+CREATE TABLE "auth_mfarecoverycode" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_mfarecoverycode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_mfarecoverycode_user_id_code_hash_key" ON "auth_mfarecoverycode"("user_id", "code_hash");
+
+-- AddForeignKey
+ALTER TABLE "auth_mfarecoverycode" ADD CONSTRAINT "auth_mfarecoverycode_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
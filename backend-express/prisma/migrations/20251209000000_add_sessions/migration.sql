@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "auth_session" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "device_name" TEXT,
+    "user_agent" TEXT,
+    "ip_address" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+
+    CONSTRAINT "auth_session_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "auth_session_user_id_idx" ON "auth_session"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "auth_session" ADD CONSTRAINT "auth_session_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill a session for every refresh-token family that is still usable
+INSERT INTO "auth_session" ("id", "user_id", "method", "device_name", "created_at", "last_seen_at", "expires_at")
+SELECT "family_id", "user_id", 'unknown', 'Unknown device', MIN("created_at"), MAX("created_at"), MAX("expires_at")
+FROM "auth_refreshtoken"
+GROUP BY "family_id", "user_id"
+HAVING BOOL_OR("revoked_at" IS NULL AND "expires_at" > CURRENT_TIMESTAMP);
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "users_dataexport" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "archive" BYTEA,
+    "file_size" INTEGER,
+    "download_token_hash" TEXT,
+    "error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3),
+
+    CONSTRAINT "users_dataexport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_dataexport_download_token_hash_key" ON "users_dataexport"("download_token_hash");
+
+-- CreateIndex
+CREATE INDEX "users_dataexport_user_id_idx" ON "users_dataexport"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "users_dataexport" ADD CONSTRAINT "users_dataexport_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
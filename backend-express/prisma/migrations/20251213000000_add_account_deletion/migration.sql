@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "auth_user" ADD COLUMN     "deletion_requested_at" TIMESTAMP(3),
+ADD COLUMN     "deletion_scheduled_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "auth_user_deletion_scheduled_at_idx" ON "auth_user"("deletion_scheduled_at");
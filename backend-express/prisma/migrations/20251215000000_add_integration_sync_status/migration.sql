@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "integrations" ADD COLUMN     "last_synced_at" TIMESTAMP(3),
+ADD COLUMN     "last_sync_error" TEXT;
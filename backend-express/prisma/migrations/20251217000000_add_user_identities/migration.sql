@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "auth_useridentity" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "provider_user_id" TEXT NOT NULL,
+    "email" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_used_at" TIMESTAMP(3),
+
+    CONSTRAINT "auth_useridentity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_useridentity_provider_provider_user_id_key" ON "auth_useridentity"("provider", "provider_user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_useridentity_user_id_provider_key" ON "auth_useridentity"("user_id", "provider");
+
+-- AddForeignKey
+ALTER TABLE "auth_useridentity" ADD CONSTRAINT "auth_useridentity_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing Google logins into the identities table
+INSERT INTO "auth_useridentity" ("id", "user_id", "provider", "provider_user_id", "email", "created_at")
+SELECT gen_random_uuid()::text, "id", 'google', "google_id", "email", CURRENT_TIMESTAMP
+FROM "auth_user"
+WHERE "google_id" IS NOT NULL;
+
+-- DropIndex
+DROP INDEX "auth_user_google_id_key";
+
+-- AlterTable
+ALTER TABLE "auth_user" DROP COLUMN "google_id";
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "auth_personalaccesstoken" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "token_prefix" TEXT NOT NULL,
+    "scopes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "last_used_at" TIMESTAMP(3),
+    "last_used_ip" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_personalaccesstoken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_personalaccesstoken_token_hash_key" ON "auth_personalaccesstoken"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "auth_personalaccesstoken_user_id_idx" ON "auth_personalaccesstoken"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "auth_personalaccesstoken" ADD CONSTRAINT "auth_personalaccesstoken_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
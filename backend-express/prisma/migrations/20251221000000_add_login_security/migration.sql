@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "auth_user" ADD COLUMN     "failed_login_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "last_failed_login_at" TIMESTAMP(3),
+ADD COLUMN     "locked_until" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "auth_loginevent" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "failure_reason" TEXT,
+    "device_name" TEXT,
+    "user_agent" TEXT,
+    "ip_address" TEXT,
+    "new_device" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_loginevent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "auth_loginevent_user_id_created_at_idx" ON "auth_loginevent"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "auth_loginevent_created_at_idx" ON "auth_loginevent"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "auth_loginevent" ADD CONSTRAINT "auth_loginevent_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
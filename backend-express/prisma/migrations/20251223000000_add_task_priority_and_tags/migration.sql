@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN     "priority" TEXT NOT NULL DEFAULT 'none';
+
+-- CreateTable
+CREATE TABLE "todo_tag" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_tag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "todo_task_tags" (
+    "task_id" TEXT NOT NULL,
+    "tag_id" TEXT NOT NULL,
+
+    CONSTRAINT "todo_task_tags_pkey" PRIMARY KEY ("task_id","tag_id")
+);
+
+-- CreateIndex
+CREATE INDEX "todo_task_user_id_priority_idx" ON "todo_task"("user_id", "priority");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_tag_user_id_name_key" ON "todo_tag"("user_id", "name");
+
+-- CreateIndex
+CREATE INDEX "todo_task_tags_tag_id_idx" ON "todo_task_tags"("tag_id");
+
+-- AddForeignKey
+ALTER TABLE "todo_tag" ADD CONSTRAINT "todo_tag_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_task_tags" ADD CONSTRAINT "todo_task_tags_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_task_tags" ADD CONSTRAINT "todo_task_tags_tag_id_fkey" FOREIGN KEY ("tag_id") REFERENCES "todo_tag"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN     "complete_with_subtasks" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "todo_subtask" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "completed" BOOLEAN NOT NULL DEFAULT false,
+    "completed_at" TIMESTAMP(3),
+    "position" INTEGER NOT NULL,
+    "google_task_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "todo_subtask_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "todo_subtask_task_id_position_idx" ON "todo_subtask"("task_id", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_subtask_task_id_google_task_id_key" ON "todo_subtask"("task_id", "google_task_id");
+
+-- AddForeignKey
+ALTER TABLE "todo_subtask" ADD CONSTRAINT "todo_subtask_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
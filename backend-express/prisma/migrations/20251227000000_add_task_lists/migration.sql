@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "todo_tasklist" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT NOT NULL DEFAULT '#1976d2',
+    "icon" TEXT NOT NULL DEFAULT 'format-list-bulleted',
+    "position" INTEGER NOT NULL,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "google_list_id" TEXT,
+    "microsoft_list_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "todo_tasklist_pkey" PRIMARY KEY ("id")
+);
+
+-- Give every user who already has tasks a default list and put their tasks in it
+INSERT INTO "todo_tasklist" ("id", "user_id", "name", "position", "is_default", "updated_at")
+SELECT gen_random_uuid()::text, "user_id", 'Tasks', 0, true, CURRENT_TIMESTAMP
+FROM "todo_task"
+GROUP BY "user_id";
+
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN     "list_id" TEXT;
+
+UPDATE "todo_task" AS t
+SET "list_id" = l."id"
+FROM "todo_tasklist" AS l
+WHERE l."user_id" = t."user_id" AND l."is_default" = true;
+
+ALTER TABLE "todo_task" ALTER COLUMN "list_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "todo_tasklist_user_id_position_idx" ON "todo_tasklist"("user_id", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_tasklist_user_id_google_list_id_key" ON "todo_tasklist"("user_id", "google_list_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_tasklist_user_id_microsoft_list_id_key" ON "todo_tasklist"("user_id", "microsoft_list_id");
+
+-- CreateIndex
+CREATE INDEX "todo_task_list_id_idx" ON "todo_task"("list_id");
+
+-- AddForeignKey
+ALTER TABLE "todo_tasklist" ADD CONSTRAINT "todo_tasklist_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "auth_user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_task" ADD CONSTRAINT "todo_task_list_id_fkey" FOREIGN KEY ("list_id") REFERENCES "todo_tasklist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
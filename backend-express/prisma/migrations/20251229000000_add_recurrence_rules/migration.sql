@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN     "recurrence" TEXT,
+ADD COLUMN     "recur_from_completion" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "occurrence_count" INTEGER NOT NULL DEFAULT 0;
+
+-- Carry the old repeat types over as rules. Completed copies are history and don't repeat.
+UPDATE "todo_task"
+SET "recurrence" = CASE "reminder_type"
+    WHEN 'daily' THEN 'FREQ=DAILY'
+    WHEN 'weekly' THEN 'FREQ=WEEKLY'
+    WHEN 'monthly' THEN 'FREQ=MONTHLY'
+    WHEN 'yearly' THEN 'FREQ=YEARLY'
+END
+WHERE "reminder_type" IN ('daily', 'weekly', 'monthly', 'yearly') AND "completed" = false;
+
+-- AlterTable
+ALTER TABLE "todo_task" DROP COLUMN "reminder_type";
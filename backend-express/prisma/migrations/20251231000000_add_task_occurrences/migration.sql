@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "todo_task_occurrence" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "due_date" DATE,
+    "status" TEXT NOT NULL,
+    "completed_at" TIMESTAMP(3),
+    "copy_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_task_occurrence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_task_occurrence_copy_id_key" ON "todo_task_occurrence"("copy_id");
+
+-- CreateIndex
+CREATE INDEX "todo_task_occurrence_task_id_position_idx" ON "todo_task_occurrence"("task_id", "position");
+
+-- AddForeignKey
+ALTER TABLE "todo_task_occurrence" ADD CONSTRAINT "todo_task_occurrence_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_task_occurrence" ADD CONSTRAINT "todo_task_occurrence_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "todo_task"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN "due_time" TEXT;
+
+-- CreateTable
+CREATE TABLE "todo_task_reminder" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "offset_minutes" INTEGER NOT NULL,
+    "remind_at" TIMESTAMP(3),
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_task_reminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_task_reminder_task_id_offset_minutes_key" ON "todo_task_reminder"("task_id", "offset_minutes");
+
+-- CreateIndex
+CREATE INDEX "todo_task_reminder_sent_at_remind_at_idx" ON "todo_task_reminder"("sent_at", "remind_at");
+
+-- AddForeignKey
+ALTER TABLE "todo_task_reminder" ADD CONSTRAINT "todo_task_reminder_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Open tasks due from today on used to be reminded by the daily reminder
+-- runs. Keep that by giving them a reminder at 9:00 on the due date in the
+-- owner's timezone.
+INSERT INTO "todo_task_reminder" ("id", "task_id", "offset_minutes", "remind_at")
+SELECT
+    gen_random_uuid()::text,
+    t."id",
+    0,
+    ((t."due_date" + TIME '09:00') AT TIME ZONE COALESCE(p."timezone", 'US/Pacific'))
+FROM "todo_task" t
+LEFT JOIN "users_userprofile" p ON p."user_id" = t."user_id"
+WHERE t."completed" = false
+  AND t."due_date" >= CURRENT_DATE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "todo_task_attachment" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "content_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "thumbnail_key" TEXT,
+    "width" INTEGER,
+    "height" INTEGER,
+    "microsoft_attachment_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_task_attachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "todo_task_attachment_task_id_microsoft_attachment_id_key" ON "todo_task_attachment"("task_id", "microsoft_attachment_id");
+
+-- CreateIndex
+CREATE INDEX "todo_task_attachment_task_id_created_at_idx" ON "todo_task_attachment"("task_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "todo_task_attachment" ADD CONSTRAINT "todo_task_attachment_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Microsoft To Do attachments were only ever stored as JSON metadata in
+-- image_url; the next sync downloads them as real attachments
+UPDATE "todo_task" SET "image_url" = NULL WHERE "microsoft_todo_id" IS NOT NULL AND "image_url" LIKE '[%';
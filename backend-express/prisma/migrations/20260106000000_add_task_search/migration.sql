@@ -0,0 +1,13 @@
+-- AlterTable
+-- The 'simple' configuration doesn't stem or drop stop words, so search works
+-- the same whatever language a task is written in
+ALTER TABLE "todo_task" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "todo_task_user_id_created_at_idx" ON "todo_task"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "todo_task_search_vector_idx" ON "todo_task" USING GIN ("search_vector");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "todo_task" ADD COLUMN "deleted_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "todo_task_user_id_deleted_at_idx" ON "todo_task"("user_id", "deleted_at");
+
+-- CreateIndex
+CREATE INDEX "todo_task_deleted_at_idx" ON "todo_task"("deleted_at");
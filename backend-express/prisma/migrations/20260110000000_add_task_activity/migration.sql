@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "todo_task_activity" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "changes" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_task_activity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "todo_task_activity_task_id_created_at_idx" ON "todo_task_activity"("task_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "todo_task_activity" ADD CONSTRAINT "todo_task_activity_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "todo_task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
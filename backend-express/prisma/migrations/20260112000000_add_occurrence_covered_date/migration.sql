@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "todo_task_occurrence" ADD COLUMN "covered_date" DATE;
@@ -0,0 +1,128 @@
+/**
+ * Script to move legacy task images (Task.imageUrl) into task attachments
+ *
+ * - data: URLs (web uploads) are decoded and stored as attachments
+ * - http(s) URLs are downloaded and stored as attachments
+ * - Device paths (file://, content://, ph://) only ever existed on the phone
+ *   that picked them, so they are cleared
+ *
+ * Files that can't be attached (type or size limits, failed downloads) keep
+ * their imageUrl and are listed at the end. Run with --dry-run to only report.
+ *
+ * Usage: node scripts/migrateTaskImages.js [--dry-run]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const axios = require('axios');
+const { prisma } = require('../src/config/database');
+const taskAttachmentService = require('../src/services/taskAttachmentService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Read the file behind a legacy imageUrl
+ * @returns {Promise<Object|null>} - Multer-style file, or null for device paths
+ */
+async function loadFile(imageUrl) {
+  const dataUrl = imageUrl.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+  if (dataUrl) {
+    const [, mimetype, base64, data] = dataUrl;
+    const buffer = base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+    return {
+      buffer,
+      originalname: `attachment.${EXTENSIONS[mimetype] || 'bin'}`,
+      mimetype,
+      size: buffer.length
+    };
+  }
+
+  if (/^https?:\/\//i.test(imageUrl)) {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      maxContentLength: taskAttachmentService.MAX_ATTACHMENT_BYTES,
+      timeout: 30000
+    });
+    const buffer = Buffer.from(response.data);
+    return {
+      buffer,
+      originalname: path.basename(new URL(imageUrl).pathname) || 'attachment',
+      mimetype: String(response.headers['content-type'] || '').split(';')[0].trim(),
+      size: buffer.length
+    };
+  }
+
+  return null;
+}
+
+async function migrateImages() {
+  try {
+    console.log(`🔍 Finding tasks with legacy images${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const tasks = await prisma.task.findMany({
+      where: { imageUrl: { not: null } },
+      select: { id: true, name: true, imageUrl: true }
+    });
+
+    let attached = 0;
+    let cleared = 0;
+    const failed = [];
+
+    for (const task of tasks) {
+      try {
+        const file = await loadFile(task.imageUrl);
+
+        if (!file) {
+          console.log(`🧹 Clearing device path on "${task.name}" (ID: ${task.id})`);
+          cleared++;
+        } else {
+          console.log(`📎 Attaching ${file.originalname} (${file.mimetype}, ${file.size} bytes) to "${task.name}" (ID: ${task.id})`);
+          if (!dryRun) {
+            await taskAttachmentService.storeAttachment(task.id, file);
+          }
+          attached++;
+        }
+
+        if (!dryRun) {
+          await prisma.task.update({ where: { id: task.id }, data: { imageUrl: null } });
+        }
+      } catch (error) {
+        console.log(`❌ Could not migrate "${task.name}" (ID: ${task.id}): ${error.message}`);
+        failed.push(task.id);
+      }
+    }
+
+    console.log(`\n📊 Summary:`);
+    console.log(`   Tasks with legacy images: ${tasks.length}`);
+    console.log(`   Moved to attachments: ${attached}`);
+    console.log(`   Device paths cleared: ${cleared}`);
+    console.log(`   Left as they were: ${failed.length}\n`);
+
+    if (failed.length > 0) {
+      console.log(`   Not migrated: ${failed.join(', ')}\n`);
+    }
+
+    console.log('🎉 Migration complete!');
+  } catch (error) {
+    console.error('❌ Error migrating task images:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the migration
+migrateImages()
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
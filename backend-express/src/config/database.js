@@ -45,4 +45,24 @@ process.on('beforeExit', async () => {
   await prisma.$disconnect();
 });
 
-module.exports = { prisma };
\ No newline at end of file
+/**
+ * Run a batch of queries atomically
+ * When db is the client of an interactive transaction the queries simply run
+ * in order as part of it, so helpers can take either client.
+ * @param {Object} db - prisma, or a transaction client
+ * @param {Function} buildQueries - (db) => array of queries
+ * @returns {Promise<Array>} - Query results
+ */
+const runInTransaction = async (db, buildQueries) => {
+  if (db === prisma) {
+    return prisma.$transaction(buildQueries(prisma));
+  }
+
+  const results = [];
+  for (const query of buildQueries(db)) {
+    results.push(await query);
+  }
+  return results;
+};
+
+module.exports = { prisma, runInTransaction };
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Public base URLs used to build links in emails and redirects
+ */
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Web app URL (links users open in a browser, e.g. password reset form)
+ */
+const getFrontendUrl = () => stripTrailingSlash(process.env.FRONTEND_URL || 'http://localhost:8081');
+
+/**
+ * Public URL of this API (links handled directly by the backend)
+ */
+const getApiBaseUrl = () => stripTrailingSlash(process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8080}`);
+
+/**
+ * Deep link base of the mobile app (links that open the app directly).
+ * Paths are appended as-is, e.g. samaanai:///email-login
+ */
+const getMobileAppUrl = () => process.env.MOBILE_APP_URL || 'samaanai://';
+
+/**
+ * Build an absolute link with query parameters
+ * @param {string} baseUrl - Base URL (from getFrontendUrl/getApiBaseUrl/getMobileAppUrl)
+ * @param {string} path - Path starting with '/'
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+const buildLink = (baseUrl, path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${baseUrl}${path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = { getFrontendUrl, getApiBaseUrl, getMobileAppUrl, buildLink };
@@ -0,0 +1,192 @@
+const { validationResult } = require('express-validator');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const adminService = require('../services/adminService');
+const tokenService = require('../services/tokenService');
+const passwordResetService = require('../services/passwordResetService');
+const { sendWeeklyReportForUser } = require('../services/schedulerService');
+
+// Load the user an admin route targets, or answer 404
+const findTargetUser = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.params.id },
+    select: adminService.USER_SUMMARY_SELECT
+  });
+
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+  }
+  return user;
+};
+
+// GET /admin/users?search=&status=&page=&limit=
+exports.searchUsers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+
+    res.json(await adminService.searchUsers({ search: search?.trim(), status, page, limit }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /admin/users/:id - profile summary, record counts and integration health
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [counts, activeSessions, integrations] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: user.id },
+        select: {
+          _count: {
+            select: {
+              mealEntries: true,
+              exerciseEntries: true,
+              weightEntries: true,
+              tasks: true,
+              webauthnCredentials: true
+            }
+          }
+        }
+      }),
+      prisma.session.count({
+        where: { userId: user.id, revokedAt: null, expiresAt: { gt: new Date() } }
+      }),
+      adminService.getIntegrationHealth(user.id)
+    ]);
+
+    res.json({
+      user: {
+        ...user,
+        counts: counts._count,
+        activeSessions
+      },
+      integrations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH /admin/users/:id/status - activate or deactivate an account
+exports.updateUserStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { isActive } = req.body;
+
+    if (req.params.id === req.user.id && !isActive) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const user = await prisma.user.update({
+      where: { id: target.id },
+      data: {
+        isActive,
+        // Reactivating by hand also cancels a pending self-service deletion
+        ...(isActive && { deletionRequestedAt: null, deletionScheduledAt: null })
+      },
+      select: adminService.USER_SUMMARY_SELECT
+    });
+
+    if (!isActive) {
+      await tokenService.revokeAllForUser(user.id);
+    }
+
+    logger.info(`Staff ${req.user.id} ${isActive ? 'activated' : 'deactivated'} user ${user.id}`);
+
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /admin/users/:id/password-reset - invalidate the password and email a reset link
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const user = await prisma.user.update({
+      where: { id: target.id },
+      data: { password: null }
+    });
+
+    // The old password no longer works and nobody stays signed in with it
+    await tokenService.revokeAllForUser(user.id);
+    await passwordResetService.sendResetLink(user);
+
+    logger.info(`Staff ${req.user.id} forced a password reset for user ${user.id}`);
+
+    res.json({ message: `Password reset link sent to ${user.email}. All sessions have been signed out.` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /admin/users/:id/integrations
+exports.getUserIntegrations = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    res.json({ integrations: await adminService.getIntegrationHealth(user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /admin/users/:id/weekly-report - re-send this week's report now
+exports.sendWeeklyReport = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const results = await sendWeeklyReportForUser(user.id);
+
+    // null means the user has that channel turned off (or no verified email / push token)
+    const outcome = (result) => {
+      if (!result) return 'skipped';
+      return result.success ? 'sent' : 'failed';
+    };
+
+    res.json({
+      message: 'Weekly report processed',
+      email: outcome(results.email),
+      push: outcome(results.push)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /admin/stats?days=
+exports.getStats = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = parseInt(req.query.days) || 7;
+
+    res.json(await adminService.getUsageStats(days));
+  } catch (error) {
+    next(error);
+  }
+};
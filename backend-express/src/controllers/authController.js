@@ -1,26 +1,80 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
 const { validationResult } = require('express-validator');
-const { sendWelcomeEmail } = require('../services/emailService');
+const {
+  sendWelcomeEmail,
+  sendPasswordChangedEmail
+} = require('../services/emailService');
 const { sendWelcomeNotification } = require('../services/pushNotificationService');
+const passkeyService = require('../services/passkeyService');
+const tokenService = require('../services/tokenService');
+const emailVerificationService = require('../services/emailVerificationService');
+const mfaService = require('../services/mfaService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const accountDeletionService = require('../services/accountDeletionService');
+const oauthCodeService = require('../services/oauthCodeService');
+const identityService = require('../services/identityService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const microsoftOAuthService = require('../services/microsoftOAuthService');
+const loginSecurityService = require('../services/loginSecurityService');
+const emailLoginService = require('../services/emailLoginService');
+const { getApiBaseUrl, buildLink } = require('../config/urls');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret';
-const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+// Accounts pending deletion get told how to get them back
+const inactiveAccountMessage = (user) => (user.deletionScheduledAt
+  ? 'This account is scheduled for deletion. Use the link we emailed you to restore it.'
+  : 'Account is inactive');
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN
+// Build the response every sign-in method returns: user (without password) plus JWT pair
+// method records how the session was started (password, passkey, ...)
+const createLoginResponse = async (user, req, method) => {
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() }
   });
 
-  const refreshToken = jwt.sign({ userId, type: 'refresh' }, JWT_REFRESH_SECRET, {
-    expiresIn: JWT_REFRESH_EXPIRES_IN
+  // Add to login history (clears failed attempts, alerts on a new device)
+  await loginSecurityService.recordSuccessfulLogin(user, req, method);
+
+  // Generate tokens (starts a new session / refresh-token family)
+  const { accessToken, refreshToken } = await tokenService.issueTokens(user.id, {
+    method,
+    ...sessionService.getClientInfo(req)
   });
 
-  return { accessToken, refreshToken };
+  // Remove password, 2FA secrets and lockout state from response
+  const {
+    password: _,
+    totpSecret,
+    totpLastUsedStep,
+    failedLoginCount,
+    lastFailedLoginAt,
+    lockedUntil,
+    ...userWithoutPassword
+  } = user;
+
+  return {
+    user: userWithoutPassword,
+    accessToken,
+    refreshToken
+  };
+};
+
+// Finish a sign-in whose first factor (password or emailed code) was accepted:
+// ask for the second factor when 2FA is on, otherwise issue tokens
+const completeFirstFactorLogin = async (user, req, method) => {
+  if (user.mfaEnabled) {
+    const { mfaToken, expiresAt } = await mfaService.createChallenge(user, { method });
+    return {
+      mfaRequired: true,
+      mfaToken,
+      expiresAt
+    };
+  }
+
+  return createLoginResponse(user, req, method);
 };
 
 // Register new user
@@ -70,12 +124,19 @@ exports.register = async (req, res, next) => {
         email: true,
         firstName: true,
         lastName: true,
+        emailVerified: true,
         profile: true
       }
     });
 
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    const { accessToken, refreshToken } = await tokenService.issueTokens(user.id, {
+      method: 'register',
+      ...sessionService.getClientInfo(req)
+    });
+
+    // First entry in the login history (the device later sign-ins are compared against)
+    await loginSecurityService.recordSuccessfulLogin(user, req, 'register');
 
     // Send welcome email (async, don't wait for it)
     sendWelcomeEmail(user).catch(error => {
@@ -83,6 +144,11 @@ exports.register = async (req, res, next) => {
       // Don't fail registration if email fails
     });
 
+    // Ask the user to confirm they own the address
+    emailVerificationService.sendVerificationLink(user).catch(error => {
+      console.error('Failed to send verification email:', error);
+    });
+
     res.status(201).json({
       user,
       accessToken,
@@ -115,9 +181,27 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Too many wrong passwords: refuse without checking this one
+    const lockout = loginSecurityService.getLockout(user);
+    if (lockout) {
+      await loginSecurityService.recordFailedLogin(user, req, { reason: 'locked' });
+      return res.status(429).json({
+        error: loginSecurityService.lockoutMessage(lockout),
+        retryAfter: lockout.retryAfter
+      });
+    }
+
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password || '');
     if (!isValidPassword) {
+      const newLockout = await loginSecurityService.recordFailedLogin(user, req);
+      if (newLockout) {
+        return res.status(429).json({
+          error: loginSecurityService.lockoutMessage(newLockout),
+          retryAfter: newLockout.retryAfter
+        });
+      }
+
       return res.status(401).json({
         error: 'Invalid email or password'
       });
@@ -126,33 +210,116 @@ exports.login = async (req, res, next) => {
     // Check if account is active
     if (!user.isActive) {
       return res.status(403).json({
-        error: 'Account is inactive'
+        error: inactiveAccountMessage(user)
       });
     }
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
-    });
+    // Password was right, but a second factor may still be needed before issuing tokens
+    res.json(await completeFirstFactorLogin(user, req, 'password'));
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+// Email a passwordless sign-in link and code
+exports.requestEmailLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    const { email, client } = req.body;
 
-    res.json({
-      user: userWithoutPassword,
-      accessToken,
-      refreshToken
+    // Always answer the same way so the endpoint can't be used to probe for accounts
+    const genericResponse = {
+      message: 'If an account exists for that email, a sign-in link and code have been sent'
+    };
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    await emailLoginService.sendLoginEmail(user, { client });
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign in with an emailed magic link token, or an email address and 6-digit code
+exports.verifyEmailLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, email, code } = req.body;
+
+    let userId;
+    if (token) {
+      userId = await emailLoginService.verifyLink(token);
+    } else {
+      const owner = await prisma.user.findUnique({
+        where: { email },
+        select: { id: true }
+      });
+      if (!owner) {
+        return res.status(401).json({
+          error: 'This code is invalid or has expired. Request a new one.'
+        });
+      }
+      userId = await emailLoginService.verifyCode(owner, code);
+    }
+
+    let user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { profile: true }
     });
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: inactiveAccountMessage(user)
+      });
+    }
+
+    // Receiving the email proves the address belongs to the user
+    if (!user.emailVerified) {
+      user = await prisma.user.update({
+        where: { id: user.id },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
+        include: { profile: true }
+      });
+    }
+
+    res.json(await completeFirstFactorLogin(user, req, 'email'));
   } catch (error) {
     next(error);
   }
 };
 
-// Refresh access token
+// Complete a password or email login with a TOTP or recovery code
+exports.verifyMfaLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const { user, method } = await mfaService.verifyChallenge(mfaToken, { code, recoveryCode });
+
+    res.json(await createLoginResponse(user, req, method));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refresh access token (rotates the refresh token)
 exports.refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
@@ -163,30 +330,26 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    const payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
-
-    if (payload.type !== 'refresh') {
-      return res.status(401).json({
-        error: 'Invalid token type'
-      });
-    }
+    // Verify and rotate refresh token (reuse of an old token revokes its family)
+    const { userAgent, ipAddress } = sessionService.getClientInfo(req);
+    const rotated = await tokenService.rotateRefreshToken(refreshToken, { userAgent, ipAddress });
 
     // Check if user exists and is active
     const user = await prisma.user.findUnique({
-      where: { id: payload.userId }
+      where: { id: rotated.userId }
     });
 
     if (!user || !user.isActive) {
+      await tokenService.revokeFamily(rotated.familyId);
       return res.status(401).json({
         error: 'Invalid token'
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user.id);
-
-    res.json(tokens);
+    res.json({
+      accessToken: rotated.accessToken,
+      refreshToken: rotated.refreshToken
+    });
   } catch (error) {
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -197,32 +360,85 @@ exports.refreshToken = async (req, res, next) => {
   }
 };
 
-// Logout (client-side token removal mainly)
-exports.logout = async (req, res) => {
-  // In a more advanced setup, you could blacklist the token
-  res.json({ message: 'Logged out successfully' });
+// Logout - revoke the refresh-token family of the current session
+exports.logout = async (req, res, next) => {
+  try {
+    let familyId = req.auth?.sessionId;
+
+    // Access tokens issued before rotation carry no session; fall back to the refresh token
+    if (!familyId && req.body.refreshToken) {
+      const decoded = tokenService.decodeRefreshToken(req.body.refreshToken);
+      if (decoded && decoded.userId === req.user.id) {
+        familyId = decoded.familyId;
+      }
+    }
+
+    if (familyId) {
+      await tokenService.revokeFamily(familyId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
 };
 
-// WebAuthn / Passkey methods (placeholders for full implementation)
-exports.passkeyRegisterBegin = async (req, res) => {
-  // TODO: Implement WebAuthn registration challenge generation
-  // Use @simplewebauthn/server library
-  res.status(501).json({ error: 'Not implemented yet' });
+// WebAuthn / Passkey methods
+exports.passkeyRegisterBegin = async (req, res, next) => {
+  try {
+    const options = await passkeyService.createRegistrationOptions(req.user);
+    res.json({ options });
+  } catch (error) {
+    next(error);
+  }
 };
 
-exports.passkeyRegisterComplete = async (req, res) => {
-  // TODO: Implement WebAuthn registration verification
-  res.status(501).json({ error: 'Not implemented yet' });
+exports.passkeyRegisterComplete = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { response, name } = req.body;
+    const credential = await passkeyService.verifyRegistration(req.user, response, name);
+
+    res.status(201).json({ credential });
+  } catch (error) {
+    next(error);
+  }
 };
 
-exports.passkeyAuthenticateBegin = async (req, res) => {
-  // TODO: Implement WebAuthn authentication challenge
-  res.status(501).json({ error: 'Not implemented yet' });
+exports.passkeyAuthenticateBegin = async (req, res, next) => {
+  try {
+    // Usernameless: the authenticator offers any passkey registered for this site
+    const options = await passkeyService.createAuthenticationOptions();
+    res.json({ options });
+  } catch (error) {
+    next(error);
+  }
 };
 
-exports.passkeyAuthenticateComplete = async (req, res) => {
-  // TODO: Implement WebAuthn authentication verification
-  res.status(501).json({ error: 'Not implemented yet' });
+exports.passkeyAuthenticateComplete = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user } = await passkeyService.verifyAuthentication(req.body.response);
+
+    // Check if account is active
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: inactiveAccountMessage(user)
+      });
+    }
+
+    res.json(await createLoginResponse(user, req, 'passkey'));
+  } catch (error) {
+    next(error);
+  }
 };
 
 exports.getPasskeyCredentials = async (req, res, next) => {
@@ -247,6 +463,9 @@ exports.deletePasskeyCredential = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Keep at least one way to sign in
+    await identityService.ensureAnotherLoginMethod(req.user.id);
+
     await prisma.webAuthnCredential.delete({
       where: {
         id,
@@ -260,68 +479,612 @@ exports.deletePasskeyCredential = async (req, res, next) => {
   }
 };
 
-// Google OAuth callback
-exports.googleCallback = async (req, res, next) => {
+// List the devices the user is signed in on
+exports.getSessions = async (req, res, next) => {
   try {
-    const user = req.user;
+    const sessions = await sessionService.listSessions(req.user.id, req.auth?.sessionId || null);
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out one device
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await prisma.session.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
     });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
 
-    // Get full user profile
-    const userWithProfile = await prisma.user.findUnique({
-      where: { id: user.id },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        profile: true
-      }
+    await tokenService.revokeFamily(session.id);
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out everywhere except the device making the request
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const currentSessionId = req.auth?.sessionId || null;
+
+    if (!currentSessionId) {
+      return res.status(400).json({
+        error: 'Current session could not be determined. Please sign in again.'
+      });
+    }
+
+    await tokenService.revokeAllForUser(req.user.id, { exceptFamilyId: currentSessionId });
+
+    res.json({ message: 'Signed out of all other sessions' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Recent sign-ins and failed attempts on the account
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const events = await loginSecurityService.getLoginHistory(req.user.id, {
+      limit: parseInt(req.query.limit) || 50
     });
 
-    // Generate tokens as query parameters
-    const params = new URLSearchParams({
-      accessToken,
-      refreshToken,
-      user: JSON.stringify(userWithProfile)
+    res.json({ events });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the user's personal access tokens
+exports.getAccessTokens = async (req, res, next) => {
+  try {
+    const accessTokens = await personalAccessTokenService.listTokens(req.user.id);
+    res.json({ accessTokens, scopes: personalAccessTokenService.SCOPES });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a personal access token; the raw token is only ever returned here
+exports.createAccessToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { token, accessToken } = await personalAccessTokenService.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
     });
 
-    // Detect client type from request
-    // Priority: req.clientType (set by route middleware) > user-agent fallback
-    const clientType = req.clientType || 'web';
-    const userAgent = req.headers['user-agent'] || '';
-    const isMobileApp = clientType === 'mobile' ||
-                        userAgent.toLowerCase().includes('expo') ||
-                        userAgent.toLowerCase().includes('samaanai');
-
-    // Choose redirect URL based on client type
-    let redirectUrl;
-    if (isMobileApp) {
-      // For mobile apps, use deep link scheme
-      redirectUrl = process.env.MOBILE_GOOGLE_SUCCESS_REDIRECT || 'samaanai://auth-callback';
-    } else {
-      // For web browsers, use HTTP URL
-      redirectUrl = process.env.GOOGLE_SUCCESS_REDIRECT || 'http://localhost:8081';
+    res.status(201).json({
+      message: 'Copy this token now. You won\'t be able to see it again.',
+      token,
+      accessToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a personal access token
+exports.revokeAccessToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await personalAccessTokenService.revokeToken(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
     }
 
-    console.log('🔍 OAuth Redirect Debug:');
-    console.log('  Client Type:', clientType);
-    console.log('  User-Agent:', userAgent);
-    console.log('  Is Mobile App:', isMobileApp);
-    console.log('  GOOGLE_SUCCESS_REDIRECT env var:', process.env.GOOGLE_SUCCESS_REDIRECT);
-    console.log('  MOBILE_GOOGLE_SUCCESS_REDIRECT env var:', process.env.MOBILE_GOOGLE_SUCCESS_REDIRECT);
-    console.log('  Final redirectUrl:', redirectUrl);
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.redirect(`${redirectUrl}?${params.toString()}`);
+// Two-factor authentication status for the signed-in user
+exports.getMfaStatus = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { mfaEnabled: true, mfaEnabledAt: true }
+    });
+
+    const recoveryCodesRemaining = user.mfaEnabled
+      ? await mfaService.countRemainingRecoveryCodes(req.user.id)
+      : 0;
+
+    res.json({
+      enabled: user.mfaEnabled,
+      enabledAt: user.mfaEnabledAt,
+      recoveryCodesRemaining
+    });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Start 2FA setup: returns the secret and a QR code for the authenticator app
+exports.mfaEnrollBegin = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const { secret, otpauthUrl, qrCode } = await mfaService.beginEnrollment(user);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm a code from the authenticator app to turn 2FA on
+exports.mfaEnrollComplete = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const recoveryCodes = await mfaService.confirmEnrollment(user, req.body.code);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn 2FA off (requires a current TOTP or recovery code)
+exports.mfaDisable = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const { code, recoveryCode } = req.body;
+    await mfaService.disable(user, { code, recoveryCode });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace recovery codes (requires a current TOTP or recovery code)
+exports.mfaRegenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const { code, recoveryCode } = req.body;
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(user, { code, recoveryCode });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Render the page shown after clicking an email verification link
+const renderVerificationPage = (title, message, success, form = '') => `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <title>${title}</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+        h1 { color: ${success ? '#4caf50' : '#d32f2f'}; }
+        p { font-size: 16px; line-height: 1.6; color: #333; }
+      </style>
+    </head>
+    <body>
+      <h1>${title}</h1>
+      <p>${message}</p>
+      ${form || '<p style="margin-top: 30px; color: #666;">You can close this window and return to the app.</p>'}
+    </body>
+  </html>
+`;
+
+// Verify email address from the emailed link
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await emailVerificationService.verifyEmailToken(req.query.token);
+
+    if (!user) {
+      return res.status(400).send(renderVerificationPage(
+        'Link Expired',
+        'This verification link is invalid or has expired. Request a new one from your profile in the app.',
+        false
+      ));
+    }
+
+    res.send(renderVerificationPage(
+      'Email Verified',
+      `Thanks! ${user.email} has been verified.`,
+      true
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Show the "keep my account" page from the emailed deletion link.
+// Restoring needs a button press so link scanners that prefetch emails can't cancel a deletion.
+exports.showAccountRestore = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!(await accountDeletionService.isRestoreTokenValid(token))) {
+      return res.status(400).send(renderVerificationPage(
+        'Link Expired',
+        'This link is invalid or has expired. If your account has already been deleted it cannot be restored.',
+        false
+      ));
+    }
+
+    res.send(renderVerificationPage(
+      'Keep Your Account?',
+      'Your Samaanai account is scheduled for deletion. Restore it to cancel the deletion and sign in again.',
+      true,
+      `<form method="POST" action="restore">
+        <input type="hidden" name="token" value="${token}">
+        <button type="submit" style="background-color: #1976d2; color: #fff; border: none; padding: 12px 24px; border-radius: 6px; font-size: 16px; cursor: pointer;">Restore My Account</button>
+      </form>`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a pending account deletion
+exports.restoreAccount = async (req, res, next) => {
+  try {
+    const user = await accountDeletionService.cancelDeletion(req.body.token);
+
+    if (!user) {
+      return res.status(400).send(renderVerificationPage(
+        'Link Expired',
+        'This link is invalid or has expired. If your account has already been deleted it cannot be restored.',
+        false
+      ));
+    }
+
+    res.send(renderVerificationPage(
+      'Account Restored',
+      `Welcome back! ${user.email} is active again and will not be deleted. Reconnect any integrations from the app.`,
+      true
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a new verification link to the signed-in user
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email address is already verified'
+      });
+    }
+
+    await emailVerificationService.sendVerificationLink(user);
+
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Request a password reset link
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Always answer the same way so the endpoint can't be used to probe for accounts
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    await passwordResetService.sendResetLink(user);
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set a new password using an emailed reset link
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const record = await passwordResetService.consumeResetToken(token);
+    if (!record || !record.userId) {
+      return res.status(400).json({
+        error: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Proving access to the email also lifts a lockout
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: { password: hashedPassword, failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+    });
+
+    // Whoever had the old password must not stay signed in
+    await tokenService.revokeAllForUser(user.id);
+
+    sendPasswordChangedEmail(user).catch(error => {
+      console.error('Failed to send password changed email:', error);
+    });
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Where to send the browser once a provider sign-in finishes: the app's deep link or the web app
+// (the GOOGLE_* redirect settings apply to every provider)
+// Priority: req.clientType (set by route middleware) > user-agent fallback
+const getOAuthRedirectUrl = (req) => {
+  const clientType = req.clientType || 'web';
+  const userAgent = (req.headers['user-agent'] || '').toLowerCase();
+  const isMobileApp = clientType === 'mobile' ||
+                      userAgent.includes('expo') ||
+                      userAgent.includes('samaanai');
+
+  return isMobileApp
+    ? process.env.MOBILE_GOOGLE_SUCCESS_REDIRECT || 'samaanai://auth-callback'
+    : process.env.GOOGLE_SUCCESS_REDIRECT || 'http://localhost:8081';
+};
+
+const getMicrosoftSignInRedirectUri = () => process.env.MICROSOFT_SIGNIN_REDIRECT_URI ||
+  buildLink(getApiBaseUrl(), '/api/v1/auth/microsoft/callback');
+
+// Finish a provider redirect once the provider has described the account (null if
+// the user cancelled). Sign-ins go back to the app with a short-lived, single-use
+// code that it swaps for tokens with POST /auth/exchange, so tokens never land in
+// URLs, history or logs. Links (req.oauthLink) show a page telling the user to
+// return to the app.
+const completeOAuth = async (req, res, identity) => {
+  if (req.oauthLink) {
+    if (!identity) {
+      return res.status(400).send(renderVerificationPage('Linking Cancelled', 'No account was linked.', false));
+    }
+
+    const name = identityService.providerName(identity.provider);
+
+    try {
+      await identityService.completeLink(req.oauthLink, identity);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).send(renderVerificationPage('Linking Failed', error.message, false));
+    }
+
+    return res.send(renderVerificationPage(`${name} Account Linked`, `You can now sign in with ${name}.`, true));
+  }
+
+  const redirectUrl = getOAuthRedirectUrl(req);
+  const redirectWithError = (error) => res.redirect(`${redirectUrl}?${new URLSearchParams({ error })}`);
+
+  if (!identity) {
+    return redirectWithError('access_denied');
+  }
+
+  let user;
+  try {
+    user = await identityService.signIn(identity);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    // e.g. an unverified Microsoft email that matches an existing account
+    return redirectWithError(error.statusCode === 409 ? 'account_exists' : 'access_denied');
+  }
+
+  // Deactivated accounts (including ones pending deletion) can't sign in
+  if (!user || !user.isActive) {
+    return redirectWithError('access_denied');
+  }
+
+  const code = await oauthCodeService.createCode(user.id, {
+    provider: identity.provider,
+    codeChallenge: req.codeChallenge || null
+  });
+
+  res.redirect(`${redirectUrl}?${new URLSearchParams({ code })}`);
+};
+
+// Google OAuth callback (passport leaves the Google account in req.user)
+exports.googleCallback = async (req, res, next) => {
+  try {
+    await completeOAuth(req, res, req.user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start "Sign in with Microsoft" (or linking Microsoft, with ?link=)
+exports.microsoftSignIn = async (req, res, next) => {
+  try {
+    if (!microsoftOAuthService.isConfigured()) {
+      return res.status(503).json({ error: 'Microsoft sign-in is not configured' });
+    }
+
+    const state = await identityService.createOAuthState(req.oauthParams);
+    res.redirect(await microsoftOAuthService.getSignInUrl(state, getMicrosoftSignInRedirectUri()));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Microsoft sign-in callback
+exports.microsoftCallback = async (req, res, next) => {
+  try {
+    const { code, state, error: oauthError } = req.query;
+
+    const stateData = await identityService.consumeOAuthState(state);
+    if (!stateData) {
+      return res.status(400).send(renderVerificationPage(
+        'Link Expired',
+        'This sign-in attempt has expired. Please try again from the app.',
+        false
+      ));
+    }
+
+    req.clientType = stateData.client;
+    req.codeChallenge = stateData.codeChallenge;
+    req.oauthLink = stateData.link;
+
+    const identity = code && !oauthError
+      ? await microsoftOAuthService.getSignInIdentity(code, getMicrosoftSignInRedirectUri())
+      : null;
+
+    await completeOAuth(req, res, identity);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the ways the user can sign in: password, passkeys and linked accounts
+exports.getLoginMethods = async (req, res, next) => {
+  try {
+    res.json(await identityService.getLoginMethods(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start linking Google or Microsoft: returns a URL for the app to open in a browser
+exports.linkIdentity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider } = req.params;
+    const link = await identityService.createLinkToken(req.user.id, provider);
+
+    res.json({ url: buildLink(getApiBaseUrl(), `/api/v1/auth/${provider}`, { link }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlink Google or Microsoft (refused if it's the only sign-in method left)
+exports.unlinkIdentity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider } = req.params;
+    await identityService.unlinkIdentity(req.user.id, provider);
+
+    res.json({ message: `${identityService.providerName(provider)} account unlinked` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Swap a one-time OAuth code (plus PKCE verifier, if the sign-in used one) for tokens
+exports.exchangeAuthCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, codeVerifier } = req.body;
+
+    const { userId, provider } = await oauthCodeService.exchangeCode(code, codeVerifier);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { profile: true }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Authorization code is invalid or has expired' });
+    }
+
+    // The account may have been deactivated between the redirect and the exchange
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: inactiveAccountMessage(user)
+      });
+    }
+
+    res.json(await createLoginResponse(user, req, provider));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,26 +1,36 @@
+const { validationResult } = require('express-validator');
 const { prisma } = require('../config/database');
 const googleTasksService = require('../services/googleTasksService');
+const taskService = require('../services/taskService');
+const subtaskService = require('../services/subtaskService');
+const taskListService = require('../services/taskListService');
+const recurrenceService = require('../services/recurrenceService');
+const taskSeriesService = require('../services/taskSeriesService');
+const taskReminderService = require('../services/taskReminderService');
+const taskAttachmentService = require('../services/taskAttachmentService');
+const taskBulkService = require('../services/taskBulkService');
+const taskTrashService = require('../services/taskTrashService');
+const taskActivityService = require('../services/taskActivityService');
 const logger = require('../config/logger');
 
+/**
+ * Where a change came from, for the task's activity log: personal access
+ * tokens are scripts, and the app says when a task was dictated
+ */
+const activitySource = (req) => {
+  if (req.auth?.type === 'token') {
+    return 'api';
+  }
+  return req.body?.source === 'voice' ? 'voice' : 'app';
+};
+
 exports.getTasks = async (req, res, next) => {
   try {
-    const { completed, dueDate, reminderType } = req.query;
+    // Filters: list, status=pending|completed|overdue, dueDate, dueFrom, dueTo, recurring,
+    // priority=high,urgent, tag=<id>,<id>&tagMatch=any|all; search: q; paging: sort, order, limit, cursor
+    const { tasks, nextCursor } = await taskService.listTasks(req.user.id, req.query);
 
-    const tasks = await prisma.task.findMany({
-      where: {
-        userId: req.user.id,
-        ...(completed !== undefined && { completed: completed === 'true' }),
-        ...(dueDate && { dueDate: new Date(dueDate) }),
-        ...(reminderType && { reminderType })
-      },
-      orderBy: [
-        { completed: 'asc' },
-        { dueDate: 'asc' },
-        { createdAt: 'desc' }
-      ]
-    });
-
-    res.json({ tasks });
+    res.json({ tasks, nextCursor, hasMore: nextCursor !== null });
   } catch (error) {
     next(error);
   }
@@ -31,15 +41,17 @@ exports.getTask = async (req, res, next) => {
     const task = await prisma.task.findFirst({
       where: {
         id: req.params.id,
-        userId: req.user.id
-      }
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: taskService.TASK_INCLUDE
     });
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({ task });
+    res.json({ task: taskService.serializeTask(task) });
   } catch (error) {
     next(error);
   }
@@ -47,23 +59,42 @@ exports.getTask = async (req, res, next) => {
 
 exports.createTask = async (req, res, next) => {
   try {
-    const { name, description, dueDate, reminderType, imageUrl } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, dueDate, tagIds, completeWithSubtasks, recurFromCompletion, listId } = req.body;
+    const priority = taskService.parsePriority(req.body.priority);
+    const recurrence = recurrenceService.normalizeRecurrence(req.body.recurrence);
+    const dueTime = dueDate ? taskReminderService.parseDueTime(req.body.dueTime) : null;
+    const reminders = taskReminderService.parseReminders(req.body.reminders) || [];
+    const tags = tagIds !== undefined ? await taskService.resolveTagIds(req.user.id, tagIds) : [];
+    const list = await taskListService.resolveList(req.user.id, listId);
+    const due = { dueDate: dueDate ? new Date(dueDate) : null, dueTime: dueTime || null };
 
     const task = await prisma.task.create({
       data: {
         userId: req.user.id,
+        listId: list.id,
         name,
         description,
-        dueDate: dueDate ? new Date(dueDate) : null,
-        reminderType,
-        imageUrl
-      }
+        ...due,
+        recurrence,
+        recurFromCompletion: recurFromCompletion === true,
+        priority,
+        completeWithSubtasks: completeWithSubtasks === true,
+        tags: taskService.tagsWrite(tags),
+        reminders: await taskReminderService.remindersWrite(req.user.id, due, reminders)
+      },
+      include: taskService.TASK_INCLUDE
     });
+    await taskActivityService.recordActivity(task.id, 'created', activitySource(req));
 
     // Tasks created in our app stay local - they don't sync to Google Tasks
     // Only tasks that originated from Google (via sync) will have two-way sync
 
-    res.status(201).json({ task });
+    res.status(201).json({ task: taskService.serializeTask(task) });
   } catch (error) {
     next(error);
   }
@@ -71,89 +102,124 @@ exports.createTask = async (req, res, next) => {
 
 exports.updateTask = async (req, res, next) => {
   try {
-    const { name, description, dueDate, reminderType, imageUrl, completed } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, dueDate, completed, tagIds, completeWithSubtasks, recurFromCompletion, listId } = req.body;
+    const priority = taskService.parsePriority(req.body.priority);
+    const recurrence = recurrenceService.normalizeRecurrence(req.body.recurrence);
+    const reminders = taskReminderService.parseReminders(req.body.reminders);
+    // Clearing the due date clears its time too
+    const dueTime = dueDate !== undefined && !dueDate ? null : taskReminderService.parseDueTime(req.body.dueTime);
 
     // First verify the task belongs to the user
     const existingTask = await prisma.task.findFirst({
       where: {
         id: req.params.id,
-        userId: req.user.id
-      }
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: taskService.TASK_INCLUDE
     });
 
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    // Check if this is a recurring task being marked as complete
-    const isRecurring = existingTask.reminderType &&
-                       ['daily', 'weekly', 'monthly', 'yearly'].includes(existingTask.reminderType);
-    const isBeingCompleted = completed === true && !existingTask.completed;
+    const tags = tagIds !== undefined ? await taskService.resolveTagIds(req.user.id, tagIds) : undefined;
+    const list = listId !== undefined ? await taskListService.resolveList(req.user.id, listId) : undefined;
 
-    if (isRecurring && isBeingCompleted) {
-      // For recurring tasks: create a completed copy and update the original with new due date
+    // Moving a Google task to another list: take it out of its Google list now,
+    // and re-create it below if the new list is synced with Google too
+    const movesGoogleTask = list && list.id !== existingTask.listId && existingTask.googleTaskId;
+    if (movesGoogleTask) {
+      await unlinkFromGoogleList(req.user.id, existingTask);
+    }
 
-      // 1. Create a completed copy for history
-      await prisma.task.create({
-        data: {
-          userId: existingTask.userId,
-          name: name !== undefined ? name : existingTask.name,
-          description: description !== undefined ? description : existingTask.description,
-          dueDate: existingTask.dueDate,
-          reminderType: reminderType !== undefined ? reminderType : existingTask.reminderType,
-          imageUrl: imageUrl !== undefined ? imageUrl : existingTask.imageUrl,
-          completed: true,
-          completedAt: new Date(),
-        }
-      });
+    const due = {
+      dueDate: dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : existingTask.dueDate,
+      dueTime: dueTime !== undefined ? dueTime : existingTask.dueTime
+    };
+    const dueMoved = due.dueDate?.getTime() !== existingTask.dueDate?.getTime() || due.dueTime !== existingTask.dueTime;
+
+    const updateData = {
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(dueMoved && due),
+      ...(reminders !== undefined && {
+        reminders: await taskReminderService.remindersWrite(req.user.id, due, reminders, existingTask.reminders)
+      }),
+      // A new rule starts a new series
+      ...(recurrence !== undefined && recurrence !== existingTask.recurrence && { recurrence, occurrenceCount: 0 }),
+      ...(recurFromCompletion !== undefined && { recurFromCompletion: recurFromCompletion === true }),
+      ...(priority !== undefined && { priority }),
+      ...(tags !== undefined && { tags: taskService.tagsWrite(tags, { replace: true }) }),
+      ...(completeWithSubtasks !== undefined && { completeWithSubtasks: completeWithSubtasks === true }),
+      ...(list && { listId: list.id })
+    };
 
-      // 2. Update original task with next due date and keep it incomplete
-      const nextDueDate = calculateNextDueDate(
-        existingTask.dueDate,
-        reminderType !== undefined ? reminderType : existingTask.reminderType
-      );
-
-      const updateData = {
-        ...(name !== undefined && { name }),
-        ...(description !== undefined && { description }),
-        dueDate: nextDueDate,
-        ...(reminderType !== undefined && { reminderType }),
-        ...(imageUrl !== undefined && { imageUrl }),
-        // Force completed to false for recurring tasks
-        completed: false,
-        completedAt: null
-      };
+    // Completing a recurring task moves it on to its next occurrence
+    const isRecurring = recurrence !== undefined ? !!recurrence : !!existingTask.recurrence;
+    const isBeingCompleted = completed === true && !existingTask.completed;
 
-      const task = await prisma.task.update({
+    if (isRecurring && isBeingCompleted) {
+      // Save the other changes first so the completed occurrence has them too
+      const editedTask = await prisma.task.update({
         where: { id: req.params.id },
-        data: updateData
+        data: updateData,
+        include: taskService.TASK_INCLUDE
       });
+      await taskActivityService.recordChanges(existingTask, editedTask, activitySource(req));
 
-      console.log(`Recurring task "${task.name}" completed via update. Next due: ${nextDueDate?.toISOString().split('T')[0]}`);
+      const { task, message } = await taskSeriesService.completeOccurrence(editedTask);
+      await taskActivityService.recordActivity(task.id, 'completed', activitySource(req));
+      await pushTaskIfLinked(req.user.id, task);
 
-      res.json({
-        task,
-        message: `Task completed! Next occurrence scheduled for ${nextDueDate?.toISOString().split('T')[0]}`
-      });
+      res.json({ task: taskService.serializeTask(task), message });
     } else {
-      // For non-recurring tasks: normal update
-      const updateData = {
-        ...(name !== undefined && { name }),
-        ...(description !== undefined && { description }),
-        ...(dueDate !== undefined && { dueDate: dueDate ? new Date(dueDate) : null }),
-        ...(reminderType !== undefined && { reminderType }),
-        ...(imageUrl !== undefined && { imageUrl }),
-        ...(completed !== undefined && {
-          completed,
-          completedAt: completed ? new Date() : null
-        })
-      };
+      // Un-completing an occurrence of a recurring task puts the series back on it
+      if (completed === false && existingTask.completed) {
+        const reopened = await taskSeriesService.reopenOccurrence(existingTask);
 
-      const task = await prisma.task.update({
+        if (reopened) {
+          // The other changes only apply when the task itself reopens; a
+          // completed copy is gone by now
+          const task = existingTask.occurrence
+            ? reopened.task
+            : await taskSeriesService.rescheduleAndReload(await prisma.task.update({
+              where: { id: reopened.task.id },
+              data: updateData,
+              include: taskService.TASK_INCLUDE
+            }));
+          if (existingTask.occurrence) {
+            await taskActivityService.recordActivity(task.id, 'reopened', activitySource(req));
+          } else {
+            await taskActivityService.recordChanges(existingTask, task, activitySource(req));
+          }
+          await pushTaskIfLinked(req.user.id, task);
+
+          return res.json({ task: taskService.serializeTask(task), message: reopened.message });
+        }
+      }
+
+      if (completed !== undefined) {
+        updateData.completed = completed;
+        updateData.completedAt = completed ? new Date() : null;
+      }
+
+      let task = await prisma.task.update({
         where: { id: req.params.id },
-        data: updateData
+        data: updateData,
+        include: taskService.TASK_INCLUDE
       });
 
+      if (dueMoved) {
+        task = await taskSeriesService.rescheduleAndReload(task);
+      }
+      await taskActivityService.recordChanges(existingTask, task, activitySource(req));
+
       // Push updated task to Google Tasks if integrated AND task originated from Google
       try {
         logger.info(`[SYNC] Checking Google Tasks integration for user ${req.user.id}`);
@@ -168,7 +234,7 @@ exports.updateTask = async (req, res, next) => {
 
         logger.info(`[SYNC] Integration found: ${!!integration}, googleTaskId: ${task.googleTaskId}`);
 
-        if (integration && task.googleTaskId) {
+        if (integration && (task.googleTaskId || (movesGoogleTask && list.googleListId))) {
           logger.info(`[SYNC] Pushing updated task "${task.name}" (completed: ${task.completed}) to Google Tasks for user ${req.user.id}`);
           await googleTasksService.pushTaskToGoogle(req.user.id, task);
           logger.info(`[SYNC] Successfully pushed task to Google`);
@@ -181,143 +247,178 @@ exports.updateTask = async (req, res, next) => {
         logger.error(`[SYNC] Error pushing to Google:`, googleError);
       }
 
-      res.json({ task });
+      res.json({ task: taskService.serializeTask(task) });
     }
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Remove a task (and its subtasks) from Google Tasks and forget the link
+ * Used when a Google task moves to another list.
+ */
+const unlinkFromGoogleList = async (userId, task) => {
+  try {
+    await googleTasksService.deleteTaskFromGoogle(userId, task.googleTaskId);
+  } catch (googleError) {
+    logger.error(`Failed to remove moved task from its Google list:`, googleError);
+  }
+
+  await prisma.$transaction([
+    prisma.task.update({ where: { id: task.id }, data: { googleTaskId: null } }),
+    prisma.subtask.updateMany({ where: { taskId: task.id }, data: { googleTaskId: null } })
+  ]);
+};
+
+/**
+ * Delete a task from Google Tasks if it came from there and the user is still connected
+ */
+const deleteFromGoogleIfLinked = async (userId, task) => {
+  // Delete from Google Tasks if integrated and has googleTaskId
+  if (task.googleTaskId) {
+    try {
+      const integration = await prisma.integration.findUnique({
+        where: {
+          userId_provider: {
+            userId,
+            provider: 'google_tasks'
+          }
+        }
+      });
+
+      if (integration) {
+        logger.info(`Deleting task "${task.name}" from Google Tasks for user ${userId}`);
+        await googleTasksService.deleteTaskFromGoogle(userId, task.googleTaskId);
+      }
+    } catch (googleError) {
+      logger.error(`Failed to delete task from Google Tasks:`, googleError);
+    }
+  }
+};
+
 exports.deleteTask = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Deleted tasks go to the trash. scope=occurrence: skip a recurring task's
+    // current occurrence, or drop a completed copy from its series' history.
+    // scope=all: delete a recurring task with all its history. Without a
+    // scope only the task itself goes.
+    const { scope } = req.query;
+    if (scope !== undefined && !taskSeriesService.DELETE_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${taskSeriesService.DELETE_SCOPES.join(', ')}` });
+    }
+
     // First verify the task belongs to the user
     const existingTask = await prisma.task.findFirst({
       where: {
         id: req.params.id,
-        userId: req.user.id
-      }
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: taskService.TASK_INCLUDE
     });
 
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    // Delete from Google Tasks if integrated and has googleTaskId
-    if (existingTask.googleTaskId) {
-      try {
-        const integration = await prisma.integration.findUnique({
-          where: {
-            userId_provider: {
-              userId: req.user.id,
-              provider: 'google_tasks'
-            }
-          }
-        });
+    const seriesId = existingTask.occurrence?.taskId;
 
-        if (integration) {
-          logger.info(`Deleting task "${existingTask.name}" from Google Tasks for user ${req.user.id}`);
-          await googleTasksService.deleteTaskFromGoogle(req.user.id, existingTask.googleTaskId);
-        }
-      } catch (googleError) {
-        logger.error(`Failed to delete task from Google Tasks:`, googleError);
-      }
+    if (scope === 'occurrence' && seriesId) {
+      await taskTrashService.trashTasks([existingTask.id]);
+      await taskActivityService.recordActivity(existingTask.id, 'deleted', activitySource(req));
+
+      return res.json({
+        message: 'Occurrence deleted from history',
+        undoToken: await taskTrashService.createUndoToken(req.user.id, 'delete', [existingTask.id])
+      });
     }
 
-    await prisma.task.delete({
-      where: { id: req.params.id }
-    });
+    if (scope === 'occurrence' && existingTask.recurrence && !existingTask.completed) {
+      const { task, message } = await taskSeriesService.completeOccurrence(existingTask, { skip: true });
+      await taskActivityService.recordActivity(task.id, 'skipped', activitySource(req));
+      await pushTaskIfLinked(req.user.id, task);
 
-    res.json({ message: 'Task deleted successfully' });
-  } catch (error) {
-    next(error);
-  }
-};
+      return res.json({ task: taskService.serializeTask(task), message });
+    }
 
-/**
- * Calculate next due date based on reminder type
- * @param {Date} currentDueDate - Current due date
- * @param {String} reminderType - 'daily', 'weekly', 'monthly', 'yearly'
- * @returns {Date} - Next due date
- */
-const calculateNextDueDate = (currentDueDate, reminderType) => {
-  if (!currentDueDate || !reminderType) return null;
+    if (scope === 'all') {
+      const series = seriesId
+        ? await prisma.task.findUnique({ where: { id: seriesId } })
+        : existingTask;
 
-  const nextDate = new Date(currentDueDate);
+      await deleteFromGoogleIfLinked(req.user.id, series);
+      const copies = await taskTrashService.trashSeries(series.id);
+      await taskActivityService.recordActivity(series.id, 'deleted', activitySource(req));
 
-  switch (reminderType) {
-    case 'daily':
-      nextDate.setDate(nextDate.getDate() + 1);
-      break;
-    case 'weekly':
-      nextDate.setDate(nextDate.getDate() + 7);
-      break;
-    case 'monthly':
-      nextDate.setMonth(nextDate.getMonth() + 1);
-      break;
-    case 'yearly':
-      nextDate.setFullYear(nextDate.getFullYear() + 1);
-      break;
-    default:
-      return null;
-  }
+      return res.json({
+        message: copies > 0
+          ? `Task and ${copies} completed occurrence${copies === 1 ? '' : 's'} moved to the trash`
+          : 'Task moved to the trash',
+        undoToken: await taskTrashService.createUndoToken(req.user.id, 'delete', [series.id])
+      });
+    }
+
+    await deleteFromGoogleIfLinked(req.user.id, existingTask);
+    await taskTrashService.trashTasks([existingTask.id]);
+    await taskActivityService.recordActivity(existingTask.id, 'deleted', activitySource(req));
 
-  return nextDate;
+    res.json({
+      message: 'Task moved to the trash',
+      undoToken: await taskTrashService.createUndoToken(req.user.id, 'delete', [existingTask.id])
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 exports.toggleTaskCompletion = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const existingTask = await prisma.task.findFirst({
       where: {
         id: req.params.id,
-        userId: req.user.id
-      }
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: taskService.TASK_INCLUDE
     });
 
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    // Check if this is a recurring task being marked as complete
-    const isRecurring = existingTask.reminderType &&
-                       ['daily', 'weekly', 'monthly', 'yearly'].includes(existingTask.reminderType);
-    const isBeingCompleted = !existingTask.completed;
-
-    if (isRecurring && isBeingCompleted) {
-      // For recurring tasks: create a completed copy and update the original with new due date
+    // Completing a recurring task moves it on to its next occurrence
+    if (existingTask.recurrence && !existingTask.completed) {
+      const { task, message, completedTaskId } = await taskSeriesService.completeOccurrence(existingTask);
+      await taskActivityService.recordActivity(task.id, 'completed', activitySource(req));
+      await pushTaskIfLinked(req.user.id, task);
 
-      // 1. Create a completed copy for history
-      await prisma.task.create({
-        data: {
-          userId: existingTask.userId,
-          name: existingTask.name,
-          description: existingTask.description,
-          dueDate: existingTask.dueDate,
-          reminderType: existingTask.reminderType,
-          imageUrl: existingTask.imageUrl,
-          completed: true,
-          completedAt: new Date(),
-          // Don't copy microsoftTodoId to avoid conflicts
-        }
-      });
-
-      // 2. Update original task with next due date and keep it incomplete
-      const nextDueDate = calculateNextDueDate(existingTask.dueDate, existingTask.reminderType);
-
-      const task = await prisma.task.update({
-        where: { id: req.params.id },
-        data: {
-          dueDate: nextDueDate,
-          // Keep completed = false (stays active)
-          completedAt: null
-        }
+      return res.json({
+        task: taskService.serializeTask(task),
+        message,
+        // A skipped final occurrence leaves nothing to undo
+        undoToken: await taskTrashService.createUndoToken(req.user.id, 'complete', completedTaskId ? [completedTaskId] : [])
       });
+    }
 
-      console.log(`Recurring task "${task.name}" completed. Next due: ${nextDueDate?.toISOString().split('T')[0]}`);
+    // Un-completing an occurrence of a recurring task puts the series back
+    // on it rather than leaving a lone open copy
+    const reopened = existingTask.completed && await taskSeriesService.reopenOccurrence(existingTask);
+    if (reopened) {
+      await taskActivityService.recordActivity(reopened.task.id, 'reopened', activitySource(req));
+      await pushTaskIfLinked(req.user.id, reopened.task);
 
-      res.json({
-        task,
-        message: `Task completed! Next occurrence scheduled for ${nextDueDate?.toISOString().split('T')[0]}`
-      });
+      res.json({ task: taskService.serializeTask(reopened.task), message: reopened.message });
     } else {
       // For non-recurring tasks or uncompleting tasks: normal toggle
       const task = await prisma.task.update({
@@ -325,8 +426,10 @@ exports.toggleTaskCompletion = async (req, res, next) => {
         data: {
           completed: !existingTask.completed,
           completedAt: !existingTask.completed ? new Date() : null
-        }
+        },
+        include: taskService.TASK_INCLUDE
       });
+      await taskActivityService.recordChanges(existingTask, task, activitySource(req));
 
       // Push updated task to Google Tasks if integrated AND task originated from Google
       try {
@@ -355,8 +458,350 @@ exports.toggleTaskCompletion = async (req, res, next) => {
         logger.error(`[SYNC] Error pushing to Google:`, googleError);
       }
 
-      res.json({ task });
+      res.json({
+        task: taskService.serializeTask(task),
+        ...(task.completed && {
+          undoToken: await taskTrashService.createUndoToken(req.user.id, 'complete', [task.id])
+        })
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.skipOccurrence = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await prisma.task.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: taskService.TASK_INCLUDE
+    });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!existingTask.recurrence || existingTask.completed) {
+      return res.status(400).json({ error: 'Only open recurring tasks can skip an occurrence' });
+    }
+
+    const { task, message } = await taskSeriesService.completeOccurrence(existingTask, { skip: true });
+    await taskActivityService.recordActivity(task.id, 'skipped', activitySource(req));
+    await pushTaskIfLinked(req.user.id, task);
+
+    res.json({ task: taskService.serializeTask(task), message });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bring Google Tasks up to date after a bulk change to one task
+ */
+const syncBulkResult = async (userId, { status, before, task }) => {
+  if (status === 'deleted') {
+    return deleteFromGoogleIfLinked(userId, before);
+  }
+
+  if (status !== 'updated') {
+    return;
+  }
+
+  // A Google task that moved lists leaves its Google list, and is re-created
+  // if the new list is synced with Google too
+  if (before.googleTaskId && task.listId !== before.listId) {
+    await unlinkFromGoogleList(userId, before);
+
+    const list = await prisma.taskList.findUnique({ where: { id: task.listId } });
+    if (!list.googleListId) {
+      return;
+    }
+
+    try {
+      const integration = await prisma.integration.findUnique({
+        where: {
+          userId_provider: {
+            userId,
+            provider: 'google_tasks'
+          }
+        }
+      });
+
+      if (integration) {
+        const moved = await prisma.task.findUnique({
+          where: { id: task.id },
+          include: taskService.TASK_INCLUDE
+        });
+        await googleTasksService.pushTaskToGoogle(userId, moved);
+      }
+    } catch (googleError) {
+      logger.error(`[SYNC] Error pushing moved task to Google:`, googleError);
+    }
+    return;
+  }
+
+  await pushTaskIfLinked(userId, task);
+};
+
+/**
+ * Log a bulk change to one task in its activity
+ */
+const recordBulkActivity = (source, action, { id, status, before, task }) => {
+  if (status === 'deleted') {
+    return taskActivityService.recordActivity(id, 'deleted', source);
+  }
+  if (status !== 'updated') {
+    return;
+  }
+
+  // A recurring task stays open as it moves on, so say what happened outright
+  if (action === 'complete' || action === 'uncomplete') {
+    return taskActivityService.recordActivity(task.id, action === 'complete' ? 'completed' : 'reopened', source);
+  }
+  return taskActivityService.recordChanges(before, task, source);
+};
+
+exports.bulkUpdateTasks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // action: complete, uncomplete, delete, reschedule (dueDate), move (listId),
+    // addTag/removeTag (tagId); on ids: [...] or filter: { ...GET /tasks filters }
+    const { results, summary } = await taskBulkService.applyBulkAction(req.user.id, req.body);
+
+    // Google only hears about the changes once they're all saved
+    for (const result of results) {
+      await recordBulkActivity(activitySource(req), req.body.action, result);
+      await syncBulkResult(req.user.id, result);
+    }
+
+    // One undo for the whole batch of deletes or completions
+    const { action } = req.body;
+    const undoIds = action === 'delete'
+      ? results.filter(({ status }) => status === 'deleted').map(({ id }) => id)
+      : results.map(({ completedTaskId }) => completedTaskId).filter(Boolean);
+    const undoToken = ['delete', 'complete'].includes(action)
+      ? await taskTrashService.createUndoToken(req.user.id, action, undoIds)
+      : null;
+
+    res.json({
+      results: results.map(({ before, task, completedTaskId, ...result }) => ({
+        ...result,
+        ...(task && { task: taskService.serializeTask(task) })
+      })),
+      summary,
+      ...(undoToken && { undoToken })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getTaskHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const history = await taskSeriesService.getHistory(req.user.id, req.params.id, {
+      limit: req.query.limit
+    });
+
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getTaskActivity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const activity = await taskActivityService.getActivity(req.user.id, req.params.id, {
+      limit: req.query.limit
+    });
+
+    res.json(activity);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getTrash = async (req, res, next) => {
+  try {
+    const tasks = await taskTrashService.listTrash(req.user.id);
+
+    res.json({ tasks, retentionDays: taskTrashService.TRASH_RETENTION_DAYS });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.emptyTrash = async (req, res, next) => {
+  try {
+    const count = await taskTrashService.emptyTrash(req.user.id);
+
+    res.json({ message: `${count} task${count === 1 ? '' : 's'} deleted for good`, count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.restoreTask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await taskTrashService.restoreTask(req.user.id, req.params.id);
+    await taskActivityService.recordActivity(task.id, 'restored', activitySource(req));
+    // Brings back the Google task deleted with it
+    await pushTaskIfLinked(req.user.id, task, { restore: true });
+
+    res.json({ task: taskService.serializeTask(task), message: 'Task restored' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a task left completed by a completion incomplete again
+ * @returns {Promise<Object|null>} - The reopened task, or null if it's gone or already open
+ */
+const undoCompletion = async (userId, taskId) => {
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, userId, deletedAt: null },
+    include: taskService.TASK_INCLUDE
+  });
+
+  if (!task || !task.completed) {
+    return null;
+  }
+
+  // The copy a recurring task left behind puts the series back on it
+  const reopened = await taskSeriesService.reopenOccurrence(task);
+  if (reopened) {
+    return reopened.task;
+  }
+
+  return prisma.task.update({
+    where: { id: task.id },
+    data: { completed: false, completedAt: null },
+    include: taskService.TASK_INCLUDE
+  });
+};
+
+exports.undo = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, taskIds } = await taskTrashService.consumeUndoToken(req.user.id, req.body.token);
+    const tasks = [];
+
+    for (const taskId of taskIds) {
+      let task;
+      if (action === 'delete') {
+        // Tasks restored from the trash in the meantime are skipped
+        task = await taskTrashService.restoreTask(req.user.id, taskId).catch((error) => {
+          if (error.statusCode !== 404) {
+            throw error;
+          }
+          return null;
+        });
+      } else {
+        task = await undoCompletion(req.user.id, taskId);
+      }
+
+      if (task) {
+        await taskActivityService.recordActivity(task.id, action === 'delete' ? 'restored' : 'reopened', activitySource(req));
+        await pushTaskIfLinked(req.user.id, task, { restore: action === 'delete' });
+        tasks.push(taskService.serializeTask(task));
+      }
+    }
+
+    res.json({
+      tasks,
+      message: action === 'delete'
+        ? `${tasks.length} task${tasks.length === 1 ? '' : 's'} restored`
+        : `${tasks.length} task${tasks.length === 1 ? '' : 's'} marked incomplete`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.uploadAttachments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attachments = await taskAttachmentService.addAttachments(req.user.id, req.params.id, req.files);
+
+    res.status(201).json({ attachments });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await taskAttachmentService.deleteAttachment(req.user.id, req.params.id, req.params.attachmentId);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Signed download links are opened by <img> tags and browsers without a JWT
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const download = await taskAttachmentService.openDownload(req.params.id, req.params.variant, req.query.token);
+
+    if (!download) {
+      return res.status(404).json({ error: 'Attachment link is invalid or has expired' });
+    }
+
+    if (download.redirectUrl) {
+      return res.redirect(download.redirectUrl);
     }
+
+    res.setHeader('Content-Type', download.contentType);
+    res.setHeader('Content-Disposition', `${download.inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(download.fileName)}`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (download.size) {
+      res.setHeader('Content-Length', download.size);
+    }
+
+    download.stream.on('error', (error) => res.destroy(error));
+    download.stream.pipe(res);
   } catch (error) {
     next(error);
   }
@@ -364,24 +809,21 @@ exports.toggleTaskCompletion = async (req, res, next) => {
 
 exports.getTaskStats = async (req, res, next) => {
   try {
+    // Same rule as GET /tasks?status=overdue, so the count matches the list
+    const today = await recurrenceService.userToday(req.user.id);
     const [totalTasks, completedTasks, overdueTasks] = await Promise.all([
       prisma.task.count({
-        where: { userId: req.user.id }
+        where: { userId: req.user.id, deletedAt: null }
       }),
       prisma.task.count({
         where: {
           userId: req.user.id,
-          completed: true
+          completed: true,
+          deletedAt: null
         }
       }),
       prisma.task.count({
-        where: {
-          userId: req.user.id,
-          completed: false,
-          dueDate: {
-            lt: new Date()
-          }
-        }
+        where: taskService.buildTaskFilter(req.user.id, { status: 'overdue' }, { today })
       })
     ]);
 
@@ -397,3 +839,325 @@ exports.getTaskStats = async (req, res, next) => {
     next(error);
   }
 };
+
+exports.getTags = async (req, res, next) => {
+  try {
+    const tags = await taskService.listTags(req.user.id);
+
+    res.json({ tags });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createTag = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, color } = req.body;
+    const tag = await taskService.createTag(req.user.id, { name, color });
+
+    res.status(201).json({ tag });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateTag = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, color } = req.body;
+    const tag = await taskService.updateTag(req.user.id, req.params.id, { name, color });
+
+    res.json({ tag });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteTag = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const deleted = await taskService.deleteTag(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Push a task to Google Tasks if it came from there and the user is still connected
+ */
+const pushTaskIfLinked = async (userId, task, options) => {
+  if (!task.googleTaskId) {
+    return;
+  }
+
+  try {
+    const integration = await prisma.integration.findUnique({
+      where: {
+        userId_provider: {
+          userId,
+          provider: 'google_tasks'
+        }
+      }
+    });
+
+    if (integration) {
+      await googleTasksService.pushTaskToGoogle(userId, task, options);
+    }
+  } catch (googleError) {
+    logger.error(`[SYNC] Error pushing to Google:`, googleError);
+  }
+};
+
+/**
+ * Load a task for the subtask endpoints, checking it belongs to the user
+ */
+const findOwnedTask = (req) => prisma.task.findFirst({
+  where: {
+    id: req.params.id,
+    userId: req.user.id,
+    deletedAt: null
+  },
+  include: taskService.TASK_INCLUDE
+});
+
+/**
+ * Reload a task after its checklist changed. Completes the task when it's set
+ * to complete with its subtasks and the last one was just ticked, then
+ * pushes Google-linked tasks.
+ */
+const afterChecklistChange = async (req, taskId, { reordered = false } = {}) => {
+  let task = await prisma.task.findUnique({
+    where: { id: taskId },
+    include: taskService.TASK_INCLUDE
+  });
+  let message;
+
+  if (task.completeWithSubtasks && !task.completed && subtaskService.allSubtasksDone(task.subtasks)) {
+    if (task.recurrence) {
+      ({ task, message } = await taskSeriesService.completeOccurrence(task));
+    } else {
+      task = await prisma.task.update({
+        where: { id: taskId },
+        data: { completed: true, completedAt: new Date() },
+        include: taskService.TASK_INCLUDE
+      });
+      message = 'All subtasks done - task completed!';
+    }
+    await taskActivityService.recordActivity(task.id, 'completed', activitySource(req));
+  }
+
+  await pushTaskIfLinked(req.user.id, task, { reorderSubtasks: reordered });
+
+  return { task: taskService.serializeTask(task), ...(message && { message }) };
+};
+
+exports.addSubtask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await findOwnedTask(req);
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const subtask = await subtaskService.addSubtask(existingTask.id, { name: req.body.name });
+    const result = await afterChecklistChange(req, existingTask.id);
+
+    res.status(201).json({ subtask, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateSubtask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await findOwnedTask(req);
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { name, completed } = req.body;
+    const subtask = await subtaskService.updateSubtask(existingTask.id, req.params.subtaskId, { name, completed });
+    const result = await afterChecklistChange(req, existingTask.id);
+
+    res.json({ subtask, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.toggleSubtask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await findOwnedTask(req);
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const subtask = await subtaskService.toggleSubtask(existingTask.id, req.params.subtaskId);
+    const result = await afterChecklistChange(req, existingTask.id);
+
+    res.json({ subtask, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.reorderSubtasks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await findOwnedTask(req);
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await subtaskService.reorderSubtasks(existingTask.id, req.body.subtaskIds);
+    const result = await afterChecklistChange(req, existingTask.id, { reordered: true });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteSubtask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingTask = await findOwnedTask(req);
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const subtask = await subtaskService.deleteSubtask(existingTask.id, req.params.subtaskId);
+
+    if (subtask.googleTaskId) {
+      try {
+        await googleTasksService.deleteTaskFromGoogle(req.user.id, subtask.googleTaskId);
+      } catch (googleError) {
+        logger.error(`Failed to delete subtask from Google Tasks:`, googleError);
+      }
+    }
+
+    const result = await afterChecklistChange(req, existingTask.id);
+
+    res.json({ message: 'Subtask deleted successfully', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getLists = async (req, res, next) => {
+  try {
+    const lists = await taskListService.listLists(req.user.id);
+
+    res.json({ lists });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, color, icon } = req.body;
+    const list = await taskListService.createList(req.user.id, { name, color, icon });
+
+    res.status(201).json({ list });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, color, icon } = req.body;
+    const list = await taskListService.updateList(req.user.id, req.params.id, { name, color, icon });
+
+    res.json({ list });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.reorderLists = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await taskListService.reorderLists(req.user.id, req.body.listIds);
+    const lists = await taskListService.listLists(req.user.id);
+
+    res.json({ lists });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const moved = await taskListService.deleteList(req.user.id, req.params.id);
+
+    res.json({
+      message: moved > 0
+        ? `List deleted. ${moved} task${moved === 1 ? '' : 's'} moved to your default list.`
+        : 'List deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,13 @@
+const bcrypt = require('bcrypt');
+const { validationResult } = require('express-validator');
 const { prisma } = require('../config/database');
-const { sendEmail } = require('../services/emailService');
+const { sendEmail, sendPasswordChangedEmail } = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const dataExportService = require('../services/dataExportService');
+const passkeyService = require('../services/passkeyService');
+const accountDeletionService = require('../services/accountDeletionService');
+const identityService = require('../services/identityService');
+const taskReminderService = require('../services/taskReminderService');
 
 exports.getProfile = async (req, res, next) => {
   try {
@@ -9,14 +17,21 @@ exports.getProfile = async (req, res, next) => {
         id: true,
         username: true,
         email: true,
+        emailVerified: true,
+        mfaEnabled: true,
+        isStaff: true,
         firstName: true,
         lastName: true,
         createdAt: true,
+        password: true,
         profile: true
       }
     });
 
-    res.json(user);
+    // Expose only whether a password is set (Google-only accounts have none)
+    const { password, ...profileData } = user;
+
+    res.json({ ...profileData, hasPassword: !!password });
   } catch (error) {
     next(error);
   }
@@ -32,6 +47,14 @@ exports.updateProfile = async (req, res, next) => {
       data: {
         ...(firstName && { firstName }),
         ...(lastName && { lastName })
+      },
+      // Never echo the password hash or 2FA secret
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        firstName: true,
+        lastName: true
       }
     });
 
@@ -61,6 +84,189 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
+exports.changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    // Accounts created with Google have no password yet and may set one directly
+    if (user.password) {
+      if (!currentPassword) {
+        return res.status(400).json({ error: 'Current password is required' });
+      }
+
+      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!isValidPassword) {
+        // 400 rather than 401 so clients don't treat it as an expired session
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: hashedPassword }
+    });
+
+    // Sign out every other device; keep the session that made the change
+    await tokenService.revokeAllForUser(user.id, {
+      exceptFamilyId: req.auth?.sessionId || null
+    });
+
+    if (user.password) {
+      sendPasswordChangedEmail(user).catch(error => {
+        console.error('Failed to send password changed email:', error);
+      });
+    }
+
+    res.json({
+      message: user.password ? 'Password changed successfully' : 'Password set successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove the password so the account signs in only with passkeys or linked accounts
+exports.removePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.password) {
+      return res.status(400).json({ error: 'No password is set' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // Keep at least one way to sign in
+    await identityService.ensureAnotherLoginMethod(user.id);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: null }
+    });
+
+    res.json({ message: 'Password removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export everything the user owns as a ZIP. Small accounts download immediately;
+// large accounts (or ?delivery=email) get a background job and an emailed link.
+exports.exportData = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const emailDelivery = req.query.delivery === 'email';
+
+    if (!emailDelivery && await dataExportService.canExportSynchronously(userId)) {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${dataExportService.getArchiveFilename()}"`);
+      await dataExportService.streamExport(userId, res);
+      return;
+    }
+
+    const job = await dataExportService.requestExport(userId);
+
+    res.status(202).json({
+      message: `Your export is being prepared. We'll email a download link to ${req.user.email}.`,
+      export: job
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+exports.getExportStatus = async (req, res, next) => {
+  try {
+    const job = await dataExportService.getExportStatus(req.user.id, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ export: job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download a finished export from the emailed link (no auth header; the token is the credential)
+exports.downloadExport = async (req, res, next) => {
+  try {
+    const job = await dataExportService.findDownload(req.query.token);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export link is invalid or has expired' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${dataExportService.getArchiveFilename(job.completedAt)}"`);
+    res.setHeader('Content-Length', job.fileSize);
+    res.end(job.archive);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Passkey options for confirming account deletion (only this user's passkeys are offered)
+exports.accountDeletionPasskeyOptions = async (req, res, next) => {
+  try {
+    const options = await passkeyService.createAuthenticationOptions(req.user.id);
+    res.json({ options });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate the account now and permanently delete it after the grace period
+exports.requestAccountDeletion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const { password, code, recoveryCode, passkeyResponse } = req.body;
+    await accountDeletionService.confirmIdentity(user, { password, code, recoveryCode, passkeyResponse });
+
+    const { scheduledFor, gracePeriodDays } = await accountDeletionService.requestDeletion(user);
+
+    res.json({
+      message: `Your account has been deactivated and will be permanently deleted in ${gracePeriodDays} days. We've emailed a link to ${user.email} in case you change your mind.`,
+      scheduledFor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.getPreferences = async (req, res, next) => {
   try {
     const profile = await prisma.userProfile.findUnique({
@@ -110,6 +316,11 @@ exports.updatePreferences = async (req, res, next) => {
       }
     });
 
+    // Task reminders fire at wall-clock times in the user's timezone
+    if (timezone) {
+      await taskReminderService.rescheduleUserReminders(req.user.id);
+    }
+
     // Send test email if requested
     if (testEmail) {
       try {
@@ -1,27 +1,39 @@
 const passport = require('passport');
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const { prisma } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+
+// Fields loaded into req.user for every authenticated request
+const AUTH_USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  isActive: true,
+  isStaff: true,
+  profile: true
+};
 
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
   secretOrKey: process.env.JWT_SECRET || 'your-secret-key',
-  algorithms: ['HS256']
+  algorithms: ['HS256'],
+  passReqToCallback: true
 };
 
 passport.use(
-  new JwtStrategy(jwtOptions, async (payload, done) => {
+  new JwtStrategy(jwtOptions, async (req, payload, done) => {
     try {
+      // Signed-out or revoked sessions lose access immediately, not when the token expires
+      if (payload.sid && !(await sessionService.validateSession(payload.sid))) {
+        return done(null, false, { message: 'Session has been revoked' });
+      }
+
       const user = await prisma.user.findUnique({
         where: { id: payload.userId },
-        select: {
-          id: true,
-          username: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          isActive: true,
-          profile: true
-        }
+        select: AUTH_USER_SELECT
       });
 
       if (!user) {
@@ -38,6 +50,9 @@ passport.use(
         data: { lastLogin: new Date() }
       });
 
+      // Token family (sign-in session) the access token was issued for
+      req.auth = { type: 'jwt', sessionId: payload.sid || null };
+
       return done(null, user);
     } catch (error) {
       return done(error, false);
@@ -45,7 +60,65 @@ passport.use(
   })
 );
 
-const authenticate = passport.authenticate('jwt', { session: false });
+const authenticateJwt = passport.authenticate('jwt', { session: false });
+
+// Authenticate with a personal access token that must hold `scope`
+const authenticateAccessToken = async (req, res, next, token, scope) => {
+  try {
+    if (!scope) {
+      return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+    }
+
+    const accessToken = await personalAccessTokenService.verifyToken(token, req.ip || null);
+    if (!accessToken) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: accessToken.userId },
+      select: AUTH_USER_SELECT
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    if (!personalAccessTokenService.hasScope(accessToken.scopes, scope)) {
+      return res.status(403).json({ error: `This access token is missing the ${scope} scope` });
+    }
+
+    req.user = user;
+    req.auth = { type: 'token', tokenId: accessToken.id, scopes: accessToken.scopes };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authenticate a request with a JWT or, where the route allows it, a personal access token.
+ * JWTs have full access. Access tokens are only accepted when a scope is given and
+ * the token holds it.
+ * @param {string|Function|null} scope - Required scope, or (req) => scope
+ */
+const authenticateWithScope = (scope) => (req, res, next) => {
+  const token = ExtractJwt.fromAuthHeaderAsBearerToken()(req);
+
+  if (personalAccessTokenService.isPersonalAccessToken(token)) {
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    return authenticateAccessToken(req, res, next, token, required);
+  }
+
+  authenticateJwt(req, res, next);
+};
+
+// Reads need `<resource>:read`, anything else `<resource>:write`
+const resourceScope = (resource) => (req) => (
+  ['GET', 'HEAD'].includes(req.method) ? `${resource}:read` : `${resource}:write`
+);
+
+// JWT only: account, security and admin routes never accept access tokens
+const authenticate = authenticateWithScope(null);
 
 const optionalAuth = (req, res, next) => {
   passport.authenticate('jwt', { session: false }, (err, user) => {
@@ -56,4 +129,12 @@ const optionalAuth = (req, res, next) => {
   })(req, res, next);
 };
 
-module.exports = { authenticate, optionalAuth, passport };
\ No newline at end of file
+// Use after authenticate: only staff accounts may continue
+const requireStaff = (req, res, next) => {
+  if (!req.user?.isStaff) {
+    return res.status(403).json({ error: 'Staff access required' });
+  }
+  next();
+};
+
+module.exports = { authenticate, authenticateWithScope, resourceScope, optionalAuth, requireStaff, passport };
\ No newline at end of file
@@ -0,0 +1,34 @@
+// Multipart file uploads, kept in memory until the service stores them
+const multer = require('multer');
+const { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS_PER_TASK } = require('../services/taskAttachmentService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send file names as UTF-8
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: MAX_ATTACHMENTS_PER_TASK
+  }
+});
+
+// Accept up to MAX_ATTACHMENTS_PER_TASK files in a "files" field and report
+// limit errors with a status the client can act on
+const uploadFiles = (req, res, next) => {
+  upload.array('files', MAX_ATTACHMENTS_PER_TASK)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        error.statusCode = 413;
+        error.message = `Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        error.statusCode = 400;
+        error.message = `Send up to ${MAX_ATTACHMENTS_PER_TASK} files in the "files" field`;
+      } else {
+        error.statusCode = 400;
+      }
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadFiles };
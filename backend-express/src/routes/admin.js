@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const adminController = require('../controllers/adminController');
+
+// Every admin route requires a signed-in staff account
+router.use(authenticate, requireStaff);
+
+const searchValidation = [
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'staff'])
+    .withMessage('Status must be active, inactive or staff'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const statusValidation = [
+  param('id').isUUID().withMessage('Invalid user ID'),
+  body('isActive')
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false')
+];
+
+const statsValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+];
+
+router.get('/users', searchValidation, adminController.searchUsers);
+router.get('/users/:id', adminController.getUser);
+router.patch('/users/:id/status', statusValidation, adminController.updateUserStatus);
+router.post('/users/:id/password-reset', adminController.forcePasswordReset);
+router.get('/users/:id/integrations', adminController.getUserIntegrations);
+router.post('/users/:id/weekly-report', adminController.sendWeeklyReport);
+router.get('/stats', statsValidation, adminController.getStats);
+
+module.exports = router;
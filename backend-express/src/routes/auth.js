@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
 const passport = require('../config/passport');
 const { authLimiter } = require('../middleware/rateLimiter');
+const oauthCodeService = require('../services/oauthCodeService');
+const identityService = require('../services/identityService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
 
 // Validation middleware
 const registerValidation = [
@@ -33,17 +36,196 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const passkeyRegisterValidation = [
+  body('response')
+    .isObject()
+    .withMessage('Passkey registration response is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be 1-100 characters')
+];
+
+const passkeyAuthenticateValidation = [
+  body('response')
+    .isObject()
+    .withMessage('Passkey authentication response is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+];
+
+const emailLoginRequestValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body('client')
+    .optional()
+    .isIn(['web', 'mobile'])
+    .withMessage('Client must be web or mobile')
+];
+
+// Either the token from a magic link, or the email address and its 6-digit code
+const emailLoginVerifyValidation = [
+  body('token')
+    .optional()
+    .isString()
+    .withMessage('Token must be a string'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body()
+    .custom(value => Boolean(value.token || (value.email && value.code)))
+    .withMessage('A sign-in link, or an email address and code, is required')
+];
+
+// A second factor: either a 6-digit TOTP code or a recovery code
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A verification code or recovery code is required')
+];
+
+const mfaLoginValidation = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor challenge token is required'),
+  ...secondFactorValidation
+];
+
+const mfaEnrollValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+const exchangeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('codeVerifier')
+    .optional()
+    .isString()
+    .isLength({ min: 43, max: 128 })
+    .withMessage('Code verifier must be 43-128 characters')
+];
+
+const identityProviderValidation = [
+  param('provider')
+    .isIn(identityService.PROVIDERS)
+    .withMessage(`Provider must be one of: ${identityService.PROVIDERS.join(', ')}`)
+];
+
+const accessTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be 1-100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(personalAccessTokenService.SCOPES)
+    .withMessage(`Scopes must be from: ${personalAccessTokenService.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .isInt({ min: 1, max: personalAccessTokenService.MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be 1-${personalAccessTokenService.MAX_EXPIRY_DAYS} days`)
+    .toInt()
+];
+
+const loginHistoryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
 // Routes - apply strict rate limiting to sensitive auth endpoints
 router.post('/register', authLimiter, registerValidation, authController.register);
 router.post('/login', authLimiter, loginValidation, authController.login);
+router.post('/email-login', authLimiter, emailLoginRequestValidation, authController.requestEmailLogin);
+router.post('/email-login/verify', authLimiter, emailLoginVerifyValidation, authController.verifyEmailLogin);
+router.post('/mfa/verify', authLimiter, mfaLoginValidation, authController.verifyMfaLogin);
 router.post('/refresh', authController.refreshToken);
 router.post('/logout', authenticate, authController.logout);
 
-// Google OAuth routes
-router.get('/google', (req, res, next) => {
-  // Capture client parameter and pass it through state
+// Active sessions (signed-in devices)
+router.get('/sessions', authenticate, authController.getSessions);
+router.post('/sessions/revoke-others', authenticate, authController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+
+// Sign-ins and failed attempts on the account
+router.get('/login-history', authenticate, loginHistoryValidation, authController.getLoginHistory);
+
+// Personal access tokens for scripts (managed with a signed-in session only)
+router.get('/tokens', authenticate, authController.getAccessTokens);
+router.post('/tokens', authenticate, accessTokenValidation, authController.createAccessToken);
+router.delete('/tokens/:id', authenticate, param('id').isUUID(), authController.revokeAccessToken);
+
+router.post('/password/forgot', authLimiter, forgotPasswordValidation, authController.forgotPassword);
+router.post('/password/reset', authLimiter, resetPasswordValidation, authController.resetPassword);
+router.get('/email/verify', authController.verifyEmail);
+router.post('/email/verify/resend', authLimiter, authenticate, authController.resendVerificationEmail);
+router.get('/account/restore', authController.showAccountRestore);
+router.post('/account/restore', authLimiter, authController.restoreAccount);
+
+// Google and Microsoft sign-in
+// The callback redirects with a one-time code that the app swaps for tokens via /exchange.
+// Clients pass code_challenge (PKCE, S256) so only they can redeem it; the mobile app must.
+// With ?link=<token> (from POST /identities/:provider/link) the provider account is
+// linked to the signed-in user instead.
+const readOAuthParams = (req, res, next) => {
   const client = req.query.client || 'web';
-  const state = JSON.stringify({ client });
+  const codeChallenge = req.query.code_challenge;
+  const link = req.query.link;
+
+  if (!link && (codeChallenge ? !oauthCodeService.isValidCodeChallenge(codeChallenge) : client === 'mobile')) {
+    return res.status(400).json({ error: 'A valid S256 code_challenge is required' });
+  }
+
+  req.oauthParams = { client, codeChallenge, link };
+  next();
+};
+
+router.get('/google', readOAuthParams, (req, res, next) => {
+  // Pass the client parameter, PKCE challenge and link token through state
+  const state = JSON.stringify(req.oauthParams);
 
   passport.authenticate('google', {
     scope: ['profile', 'email'],
@@ -59,21 +241,45 @@ router.get('/google/callback', (req, res, next) => {
     try {
       const parsed = JSON.parse(state);
       req.clientType = parsed.client;
+      req.codeChallenge = parsed.codeChallenge;
+      req.oauthLink = parsed.link;
     } catch (e) {
       // If parsing fails, keep as is
       req.clientType = 'web';
     }
   }
 
-  passport.authenticate('google', { session: false, failureRedirect: '/login' })(req, res, next);
+  // A failed or cancelled sign-in leaves req.user empty; the controller sends the error back to the app
+  passport.authenticate('google', { session: false }, (err, user) => {
+    if (err) return next(err);
+    req.user = user || null;
+    next();
+  })(req, res, next);
 }, authController.googleCallback);
 
+router.get('/microsoft', readOAuthParams, authController.microsoftSignIn);
+router.get('/microsoft/callback', authController.microsoftCallback);
+
+router.post('/exchange', authLimiter, exchangeValidation, authController.exchangeAuthCode);
+
+// Linked sign-in accounts
+router.get('/identities', authenticate, authController.getLoginMethods);
+router.post('/identities/:provider/link', authenticate, identityProviderValidation, authController.linkIdentity);
+router.delete('/identities/:provider', authenticate, identityProviderValidation, authController.unlinkIdentity);
+
 // WebAuthn / Passkey routes
 router.post('/passkey/register/begin', authenticate, authController.passkeyRegisterBegin);
-router.post('/passkey/register/complete', authenticate, authController.passkeyRegisterComplete);
-router.post('/passkey/authenticate/begin', authController.passkeyAuthenticateBegin);
-router.post('/passkey/authenticate/complete', authController.passkeyAuthenticateComplete);
+router.post('/passkey/register/complete', authenticate, passkeyRegisterValidation, authController.passkeyRegisterComplete);
+router.post('/passkey/authenticate/begin', authLimiter, authController.passkeyAuthenticateBegin);
+router.post('/passkey/authenticate/complete', authLimiter, passkeyAuthenticateValidation, authController.passkeyAuthenticateComplete);
 router.get('/passkey/credentials', authenticate, authController.getPasskeyCredentials);
 router.delete('/passkey/credentials/:id', authenticate, authController.deletePasskeyCredential);
 
+// Two-factor authentication (TOTP)
+router.get('/mfa', authenticate, authController.getMfaStatus);
+router.post('/mfa/enroll', authenticate, authController.mfaEnrollBegin);
+router.post('/mfa/enroll/confirm', authenticate, mfaEnrollValidation, authController.mfaEnrollComplete);
+router.post('/mfa/disable', authenticate, secondFactorValidation, authController.mfaDisable);
+router.post('/mfa/recovery-codes', authenticate, secondFactorValidation, authController.mfaRegenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
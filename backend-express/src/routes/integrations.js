@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const integrationController = require('../controllers/integrationController');
 const googleTasksService = require('../services/googleTasksService');
+const taskListService = require('../services/taskListService');
 const logger = require('../config/logger');
 
 // All routes require authentication except callback
@@ -180,6 +181,9 @@ router.delete('/google/disconnect',
 
       await prisma.$disconnect();
 
+      // Mirrored lists stay as ordinary lists
+      await taskListService.unlinkSyncedLists(req.user.id, 'google_tasks');
+
       logger.info(`Google Tasks disconnected for user ${req.user.id}`);
       res.json({ success: true, message: 'Google Tasks disconnected successfully' });
     } catch (error) {
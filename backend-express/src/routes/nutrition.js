@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticateWithScope, resourceScope } = require('../middleware/auth');
 const nutritionController = require('../controllers/nutritionController');
 
-// All nutrition routes require authentication
-router.use(authenticate);
+// All nutrition routes require authentication (access tokens need nutrition:read / nutrition:write)
+router.use(authenticateWithScope(resourceScope('nutrition')));
 
 // Validation middleware
 const mealValidation = [
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticateWithScope, resourceScope } = require('../middleware/auth');
 const todoController = require('../controllers/todoController');
+const { BULK_ACTIONS, MAX_BULK_TASKS } = require('../services/taskBulkService');
+const { uploadFiles } = require('../middleware/upload');
 
-// All todo routes require authentication
-router.use(authenticate);
+// Signed attachment links are opened without a JWT (the token in the link is the credential)
+router.get('/attachments/:id/:variant', param('id').isUUID(), todoController.downloadAttachment);
+
+// All todo routes require authentication (access tokens need todo:read / todo:write)
+router.use(authenticateWithScope(resourceScope('todo')));
 
 // Validation middleware
 const taskValidation = [
@@ -15,23 +20,35 @@ const taskValidation = [
     .isLength({ min: 1, max: 200 })
     .withMessage('Task name is required and must be less than 200 characters'),
   body('description')
-    .optional()
+    .optional({ values: 'null' })
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Description must be less than 1000 characters'),
   body('dueDate')
-    .optional()
+    .optional({ values: 'null' })
     .isISO8601()
     .withMessage('Due date must be a valid ISO 8601 date'),
-  body('reminderType')
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Recurrence must be an RRULE like FREQ=WEEKLY;BYDAY=MO'),
+  body('recurFromCompletion')
     .optional()
-    .isIn(['none', 'morning', 'evening', 'custom'])
-    .withMessage('Reminder type must be none, morning, evening, or custom'),
-  body('imageUrl')
+    .isBoolean()
+    .withMessage('recurFromCompletion must be a boolean'),
+  body('dueTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Due time must be a 24-hour time like 09:30'),
+  body('reminders')
+    .optional({ values: 'null' })
+    .isArray({ max: 5 })
+    .withMessage('Reminders must be an array of up to 5 offsets in minutes'),
+  body('listId')
     .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Image URL must be less than 500 characters')
+    .isUUID()
+    .withMessage('List ID must be a valid ID')
 ];
 
 const taskUpdateValidation = [
@@ -42,30 +59,194 @@ const taskUpdateValidation = [
     .isLength({ min: 1, max: 200 })
     .withMessage('Task name must be less than 200 characters'),
   body('description')
-    .optional()
+    .optional({ values: 'null' })
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Description must be less than 1000 characters'),
   body('dueDate')
-    .optional()
+    .optional({ values: 'null' })
     .isISO8601()
     .withMessage('Due date must be a valid ISO 8601 date'),
   body('completed')
     .optional()
     .isBoolean()
     .withMessage('Completed must be a boolean'),
-  body('reminderType')
+  body('completeWithSubtasks')
+    .optional()
+    .isBoolean()
+    .withMessage('completeWithSubtasks must be a boolean'),
+  body('listId')
+    .optional()
+    .isUUID()
+    .withMessage('List ID must be a valid ID'),
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Recurrence must be an RRULE like FREQ=WEEKLY;BYDAY=MO'),
+  body('recurFromCompletion')
+    .optional()
+    .isBoolean()
+    .withMessage('recurFromCompletion must be a boolean'),
+  body('dueTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Due time must be a 24-hour time like 09:30'),
+  body('reminders')
+    .optional({ values: 'null' })
+    .isArray({ max: 5 })
+    .withMessage('Reminders must be an array of up to 5 offsets in minutes')
+];
+
+const subtaskValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subtask name is required and must be less than 200 characters')
+];
+
+const subtaskUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subtask name must be less than 200 characters'),
+  body('completed')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Completed must be a boolean')
+];
+
+const subtaskOrderValidation = [
+  body('subtaskIds')
+    .isArray()
+    .withMessage('subtaskIds must be an array'),
+  body('subtaskIds.*')
+    .isUUID()
+    .withMessage('Each subtask ID must be a valid ID')
+];
+
+const listValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('List name is required and must be 50 characters or less'),
+  body('color')
     .optional()
-    .isIn(['none', 'morning', 'evening', 'custom'])
-    .withMessage('Reminder type must be none, morning, evening, or custom')
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1976d2'),
+  body('icon')
+    .optional()
+    .matches(/^[a-z0-9-]{1,50}$/)
+    .withMessage('Icon must be an icon name like format-list-bulleted')
+];
+
+const listUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('List name must be 50 characters or less'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1976d2'),
+  body('icon')
+    .optional()
+    .matches(/^[a-z0-9-]{1,50}$/)
+    .withMessage('Icon must be an icon name like format-list-bulleted')
+];
+
+const listOrderValidation = [
+  body('listIds')
+    .isArray()
+    .withMessage('listIds must be an array'),
+  body('listIds.*')
+    .isUUID()
+    .withMessage('Each list ID must be a valid ID')
+];
+
+const tagValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name is required and must be 30 characters or less'),
+  body('color')
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1976d2')
+];
+
+const tagUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be 30 characters or less'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1976d2')
+];
+
+const bulkValidation = [
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TASKS })
+    .withMessage(`ids must be an array of 1 to ${MAX_BULK_TASKS} task IDs`),
+  body('ids.*')
+    .isUUID()
+    .withMessage('Each task ID must be a valid ID'),
+  body('listId')
+    .optional()
+    .isUUID()
+    .withMessage('List ID must be a valid ID'),
+  body('tagId')
+    .optional()
+    .isUUID()
+    .withMessage('Tag ID must be a valid ID'),
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date')
 ];
 
 router.get('/tasks', todoController.getTasks);
 router.get('/tasks/stats', todoController.getTaskStats);
 router.get('/tasks/:id', param('id').isUUID(), todoController.getTask);
+router.get('/tasks/:id/history', param('id').isUUID(), todoController.getTaskHistory);
+router.get('/tasks/:id/activity', param('id').isUUID(), todoController.getTaskActivity);
 router.post('/tasks', taskValidation, todoController.createTask);
+router.post('/tasks/bulk', bulkValidation, todoController.bulkUpdateTasks);
 router.put('/tasks/:id', param('id').isUUID(), taskUpdateValidation, todoController.updateTask);
 router.delete('/tasks/:id', param('id').isUUID(), todoController.deleteTask);
 router.patch('/tasks/:id/toggle', param('id').isUUID(), todoController.toggleTaskCompletion);
+router.post('/tasks/:id/skip', param('id').isUUID(), todoController.skipOccurrence);
+router.post('/tasks/:id/restore', param('id').isUUID(), todoController.restoreTask);
+router.post('/tasks/:id/attachments', param('id').isUUID(), uploadFiles, todoController.uploadAttachments);
+router.delete('/tasks/:id/attachments/:attachmentId', param('id').isUUID(), param('attachmentId').isUUID(), todoController.deleteAttachment);
+
+router.post('/tasks/:id/subtasks', param('id').isUUID(), subtaskValidation, todoController.addSubtask);
+router.put('/tasks/:id/subtasks/order', param('id').isUUID(), subtaskOrderValidation, todoController.reorderSubtasks);
+router.put('/tasks/:id/subtasks/:subtaskId', param('id').isUUID(), param('subtaskId').isUUID(), subtaskUpdateValidation, todoController.updateSubtask);
+router.patch('/tasks/:id/subtasks/:subtaskId/toggle', param('id').isUUID(), param('subtaskId').isUUID(), todoController.toggleSubtask);
+router.delete('/tasks/:id/subtasks/:subtaskId', param('id').isUUID(), param('subtaskId').isUUID(), todoController.deleteSubtask);
+
+router.get('/trash', todoController.getTrash);
+router.delete('/trash', todoController.emptyTrash);
+router.post('/undo', body('token').isString(), todoController.undo);
+
+router.get('/lists', todoController.getLists);
+router.post('/lists', listValidation, todoController.createList);
+router.put('/lists/order', listOrderValidation, todoController.reorderLists);
+router.put('/lists/:id', param('id').isUUID(), listUpdateValidation, todoController.updateList);
+router.delete('/lists/:id', param('id').isUUID(), todoController.deleteList);
+
+router.get('/tags', todoController.getTags);
+router.post('/tags', tagValidation, todoController.createTag);
+router.put('/tags/:id', param('id').isUUID(), tagUpdateValidation, todoController.updateTag);
+router.delete('/tags/:id', param('id').isUUID(), todoController.deleteTag);
 
 module.exports = router;
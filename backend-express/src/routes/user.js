@@ -1,15 +1,60 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const userController = require('../controllers/userController');
 
-// All user routes require authentication
+const changePasswordValidation = [
+  body('currentPassword')
+    .optional()
+    .isString(),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+];
+
+const removePasswordValidation = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required')
+];
+
+const accountDeletionValidation = [
+  body('password')
+    .optional()
+    .isString(),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString(),
+  body('passkeyResponse')
+    .optional()
+    .isObject()
+    .withMessage('Passkey response must be an object'),
+  body()
+    .custom(value => Boolean(value.password || value.passkeyResponse))
+    .withMessage('Confirm with your password or a passkey')
+];
+
+// Emailed export links are opened in a browser without a JWT
+router.get('/export/download', userController.downloadExport);
+
+// All other user routes require authentication
 router.use(authenticate);
 
 router.get('/profile', userController.getProfile);
 router.put('/profile', userController.updateProfile);
 router.get('/preferences', userController.getPreferences);
 router.put('/preferences', userController.updatePreferences);
+router.put('/password', changePasswordValidation, userController.changePassword);
+router.delete('/password', removePasswordValidation, userController.removePassword);
 router.post('/push-token', userController.registerPushToken);
+router.get('/export', userController.exportData);
+router.get('/export/:id', userController.getExportStatus);
+router.post('/account/delete/passkey-options', userController.accountDeletionPasskeyOptions);
+router.post('/account/delete', accountDeletionValidation, userController.requestAccountDeletion);
 
 module.exports = router;
\ No newline at end of file
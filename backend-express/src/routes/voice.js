@@ -121,7 +121,7 @@ For TASK commands:
   "name": "task name (cleaned up, without date/time references)",
   "dueDate": "YYYY-MM-DD or null",
   "description": "optional description",
-  "reminderType": null,
+  "recurrence": "iCalendar RRULE such as FREQ=WEEKLY;BYDAY=MO if the task repeats, otherwise null",
   "confidence": 0.0-1.0
 }
 
@@ -11,6 +11,7 @@ const pinoHttp = require('pino-http');
 const compression = require('compression');
 const passport = require('./config/passport');
 const logger = require('./config/logger');
+const { getApiBaseUrl } = require('./config/urls');
 
 // Routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +20,7 @@ const todoRoutes = require('./routes/todo');
 const userRoutes = require('./routes/user');
 const emailTestRoutes = require('./routes/emailTest');
 const integrationRoutes = require('./routes/integrations');
+const adminRoutes = require('./routes/admin');
 const voiceRoutes = require('./routes/voice');
 
 // Middleware
@@ -28,6 +30,9 @@ const rateLimiter = require('./middleware/rateLimiter');
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind Cloud Run's proxy: use X-Forwarded-For so req.ip is the client address
+app.set('trust proxy', 1);
+
 // Security & Performance Middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disable for API
@@ -51,7 +56,8 @@ app.use(cors({
       return callback(null, origin);
     }
 
-    if (allowedOrigins.includes(origin)) {
+    // Pages served by the API itself (e.g. the account restore form) post back to it
+    if (allowedOrigins.includes(origin) || origin === new URL(getApiBaseUrl()).origin) {
       return callback(null, origin);
     }
 
@@ -60,8 +66,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Name'],
+  exposedHeaders: ['Content-Length', 'Content-Disposition', 'X-Request-Id'],
   maxAge: 86400 // Cache preflight for 24 hours
 }));
 
@@ -70,9 +76,9 @@ app.use(compression());
 // Request logging
 app.use(pinoHttp({ logger }));
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing (files are uploaded as multipart, see middleware/upload.js)
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Passport initialization
 app.use(passport.initialize());
@@ -116,6 +122,7 @@ app.use('/api/v1/user', userRoutes);
 app.use('/api/v1/test', emailTestRoutes);
 app.use('/api/v1/integrations', integrationRoutes);
 app.use('/api/v1/voice', voiceRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,237 @@
+/**
+ * Account Deletion Service
+ * Self-service account deletion with a grace period.
+ *
+ * Lifecycle:
+ *   requestDeletion() -> account deactivated, sessions and integrations revoked,
+ *                        restore link emailed, hard delete scheduled
+ *   cancelDeletion()  -> restore link used before the deadline, account reactivated
+ *   purgeScheduledDeletions() -> scheduler removes accounts past their deadline
+ *                                (every relation on User cascades)
+ */
+
+const bcrypt = require('bcrypt');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const verificationTokenService = require('./verificationTokenService');
+const tokenService = require('./tokenService');
+const passkeyService = require('./passkeyService');
+const mfaService = require('./mfaService');
+const googleTasksService = require('./googleTasksService');
+const { sendAccountDeletionScheduledEmail } = require('./emailService');
+const { getApiBaseUrl, buildLink } = require('../config/urls');
+
+const CANCEL_PURPOSE = 'account_deletion_cancel';
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const deletionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check that the signed-in user really wants to delete the account:
+ * either a passkey assertion, or the password (plus a second factor when MFA is on)
+ * @param {Object} user - Full user row
+ * @param {Object} confirmation
+ * @param {string} confirmation.password - Current password
+ * @param {string} confirmation.code - TOTP code (MFA accounts)
+ * @param {string} confirmation.recoveryCode - Recovery code (MFA accounts)
+ * @param {Object} confirmation.passkeyResponse - AuthenticationResponseJSON
+ */
+exports.confirmIdentity = async (user, { password, code, recoveryCode, passkeyResponse } = {}) => {
+  if (passkeyResponse) {
+    let result;
+    try {
+      result = await passkeyService.verifyAuthentication(passkeyResponse);
+    } catch (error) {
+      // 400 rather than 401 so clients don't treat it as an expired session
+      throw deletionError(error.message);
+    }
+
+    if (result.user.id !== user.id) {
+      throw deletionError('That passkey belongs to a different account');
+    }
+    return;
+  }
+
+  if (!password) {
+    throw deletionError('Confirm with your password or a passkey');
+  }
+
+  if (!user.password) {
+    throw deletionError('This account has no password. Confirm with a passkey or set a password first');
+  }
+
+  const isValidPassword = await bcrypt.compare(password, user.password);
+  if (!isValidPassword) {
+    throw deletionError('Password is incorrect');
+  }
+
+  if (user.mfaEnabled && !(await mfaService.verifySecondFactor(user, { code, recoveryCode }))) {
+    throw deletionError('Invalid verification code');
+  }
+};
+
+/**
+ * Revoke third-party integration tokens and forget them
+ * Google grants are revoked at Google. Microsoft's identity platform has no
+ * endpoint to revoke a single app's tokens, so those are only deleted here
+ * and expire on their own.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of integrations removed
+ */
+exports.revokeIntegrations = async (userId) => {
+  const integrations = await prisma.integration.findMany({
+    where: { userId }
+  });
+
+  for (const integration of integrations) {
+    if (integration.provider === 'google_tasks') {
+      try {
+        await googleTasksService.revokeAccess(integration);
+      } catch (error) {
+        // Already revoked by the user, expired, etc. - still drop our copy
+        logger.warn(`Could not revoke Google Tasks token for user ${userId}: ${error.message}`);
+      }
+    }
+  }
+
+  const [result] = await prisma.$transaction([
+    prisma.integration.deleteMany({ where: { userId } }),
+    prisma.task.updateMany({
+      where: {
+        userId,
+        OR: [
+          { googleTaskId: { not: null } },
+          { microsoftTodoId: { not: null } }
+        ]
+      },
+      data: {
+        googleTaskId: null,
+        microsoftTodoId: null
+      }
+    }),
+    prisma.subtask.updateMany({
+      where: { task: { userId }, googleTaskId: { not: null } },
+      data: { googleTaskId: null }
+    }),
+    prisma.taskList.updateMany({
+      where: { userId },
+      data: { googleListId: null, microsoftListId: null }
+    })
+  ]);
+
+  return result.count;
+};
+
+/**
+ * Deactivate an account now and schedule it for permanent deletion
+ * @param {Object} user - Full user row (identity already confirmed)
+ * @returns {Promise<{scheduledFor: Date, gracePeriodDays: number}>}
+ */
+exports.requestDeletion = async (user) => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      isActive: false,
+      deletionRequestedAt: now,
+      deletionScheduledAt: scheduledFor
+    }
+  });
+
+  // Sign out every device, including the one that made the request
+  await tokenService.revokeAllForUser(user.id);
+
+  try {
+    await exports.revokeIntegrations(user.id);
+  } catch (error) {
+    logger.error(`Failed to revoke integrations for user ${user.id}:`, error);
+  }
+
+  await verificationTokenService.invalidateTokens(user.id, CANCEL_PURPOSE);
+
+  const { token } = await verificationTokenService.createToken({
+    purpose: CANCEL_PURPOSE,
+    userId: user.id,
+    ttlMinutes: GRACE_PERIOD_DAYS * 24 * 60
+  });
+
+  const restoreUrl = buildLink(getApiBaseUrl(), '/api/v1/auth/account/restore', { token });
+
+  sendAccountDeletionScheduledEmail(user, restoreUrl, scheduledFor).catch(error => {
+    logger.error('Failed to send account deletion email:', error);
+  });
+
+  logger.info(`Account ${user.id} scheduled for deletion on ${scheduledFor.toISOString()}`);
+
+  return { scheduledFor, gracePeriodDays: GRACE_PERIOD_DAYS };
+};
+
+/**
+ * Check a restore link without using it
+ * @param {string} token - Raw token from the emailed link
+ * @returns {Promise<boolean>}
+ */
+exports.isRestoreTokenValid = async (token) => {
+  const record = await verificationTokenService.findValidToken(CANCEL_PURPOSE, token);
+  return Boolean(record);
+};
+
+/**
+ * Cancel a pending deletion from the emailed link and reactivate the account
+ * @param {string} token - Raw token from the emailed link
+ * @returns {Promise<Object|null>} - Restored user, or null if the link is invalid
+ */
+exports.cancelDeletion = async (token) => {
+  const record = await verificationTokenService.consumeToken(CANCEL_PURPOSE, token);
+  if (!record || !record.userId) {
+    return null;
+  }
+
+  // Only undo a self-service deletion; accounts deactivated for other reasons stay inactive
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: record.userId,
+      deletionScheduledAt: { not: null }
+    },
+    data: {
+      isActive: true,
+      deletionRequestedAt: null,
+      deletionScheduledAt: null
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  logger.info(`Account deletion cancelled for user ${record.userId}`);
+
+  return prisma.user.findUnique({
+    where: { id: record.userId },
+    select: { id: true, email: true, username: true }
+  });
+};
+
+/**
+ * Permanently delete accounts whose grace period has ended
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+exports.purgeScheduledDeletions = async () => {
+  const result = await prisma.user.deleteMany({
+    where: {
+      isActive: false,
+      deletionScheduledAt: { lte: new Date() }
+    }
+  });
+
+  return result.count;
+};
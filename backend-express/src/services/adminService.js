@@ -0,0 +1,218 @@
+/**
+ * Admin Service
+ * Queries behind the staff console: user search, integration health and
+ * usage statistics.
+ */
+
+const { prisma } = require('../config/database');
+
+// Integrations that haven't synced successfully for this long are reported as stale
+const STALE_SYNC_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields staff may see about a user (never password hashes, TOTP secrets or tokens)
+const USER_SUMMARY_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  isActive: true,
+  isStaff: true,
+  emailVerified: true,
+  mfaEnabled: true,
+  dateJoined: true,
+  lastLogin: true,
+  deletionScheduledAt: true
+};
+
+exports.USER_SUMMARY_SELECT = USER_SUMMARY_SELECT;
+
+/**
+ * Search users by email, username or name
+ * @param {Object} options
+ * @param {string} options.search - Case-insensitive text to match
+ * @param {string} options.status - 'active', 'inactive' or 'staff'
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{users: Array, pagination: Object}>}
+ */
+exports.searchUsers = async ({ search, status, page = 1, limit = 25 }) => {
+  const where = {
+    ...(search && {
+      OR: ['email', 'username', 'firstName', 'lastName'].map(field => ({
+        [field]: { contains: search, mode: 'insensitive' }
+      }))
+    }),
+    ...(status === 'active' && { isActive: true }),
+    ...(status === 'inactive' && { isActive: false }),
+    ...(status === 'staff' && { isStaff: true })
+  };
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      select: USER_SUMMARY_SELECT,
+      orderBy: { dateJoined: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.user.count({ where })
+  ]);
+
+  return {
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Describe the state of each of a user's integrations
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - One entry per connected provider
+ */
+exports.getIntegrationHealth = async (userId) => {
+  const integrations = await prisma.integration.findMany({
+    where: { userId },
+    orderBy: { provider: 'asc' }
+  });
+
+  const now = new Date();
+
+  return Promise.all(integrations.map(async (integration) => {
+    const syncField = integration.provider === 'google_tasks' ? 'googleTaskId' : 'microsoftTodoId';
+    const syncedTasks = await prisma.task.count({
+      where: { userId, [syncField]: { not: null } }
+    });
+
+    const tokenExpired = !integration.expiresAt || integration.expiresAt <= now;
+    const canRefresh = Boolean(integration.refreshToken);
+
+    let status = 'healthy';
+    if (tokenExpired && !canRefresh) {
+      status = 'reconnect_required';
+    } else if (integration.lastSyncError) {
+      status = 'error';
+    } else if (!integration.lastSyncedAt) {
+      status = 'never_synced';
+    } else if (now - integration.lastSyncedAt > STALE_SYNC_DAYS * DAY_MS) {
+      status = 'stale';
+    }
+
+    return {
+      provider: integration.provider,
+      status,
+      connectedAt: integration.createdAt,
+      lastSyncedAt: integration.lastSyncedAt,
+      lastSyncError: integration.lastSyncError,
+      tokenExpiresAt: integration.expiresAt,
+      tokenExpired,
+      canRefresh,
+      scope: integration.scope,
+      syncedTasks
+    };
+  }));
+};
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Aggregate usage statistics
+ * Active users come from lastLogin, which every authenticated request refreshes.
+ * The daily series counts a user as active on a day they signed in or used a
+ * session, logged a meal or exercise, or created or completed a task. Only the
+ * latest use of each session is stored, so earlier days may be undercounted.
+ * @param {number} days - Length of the reporting window, ending today (UTC)
+ * @returns {Promise<Object>}
+ */
+exports.getUsageStats = async (days = 7) => {
+  const now = new Date();
+  const today = new Date(toDateString(now));
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+  const activeSince = (windowDays) => ({ lastLogin: { gte: new Date(now.getTime() - windowDays * DAY_MS) } });
+
+  const [
+    totalUsers,
+    activeAccounts,
+    newUsers,
+    dau,
+    wau,
+    mau,
+    mealsLogged,
+    exercisesLogged,
+    tasksCreated,
+    tasksCompleted,
+    integrations
+  ] = await Promise.all([
+    prisma.user.count(),
+    prisma.user.count({ where: { isActive: true } }),
+    prisma.user.count({ where: { dateJoined: { gte: since } } }),
+    prisma.user.count({ where: activeSince(1) }),
+    prisma.user.count({ where: activeSince(7) }),
+    prisma.user.count({ where: activeSince(30) }),
+    prisma.mealEntry.count({ where: { createdAt: { gte: since } } }),
+    prisma.exerciseEntry.count({ where: { createdAt: { gte: since } } }),
+    prisma.task.count({ where: { createdAt: { gte: since } } }),
+    prisma.task.count({ where: { completedAt: { gte: since } } }),
+    prisma.integration.groupBy({ by: ['provider'], _count: { _all: true } })
+  ]);
+
+  const startDate = toDateString(since);
+  const endDate = toDateString(today);
+
+  const daily = await prisma.$queryRaw`
+    WITH days AS (
+      SELECT generate_series(${startDate}::date, ${endDate}::date, interval '1 day') AS day
+    ),
+    activity AS (
+      SELECT user_id, created_at AS at FROM auth_session
+      UNION ALL SELECT user_id, last_seen_at FROM auth_session
+      UNION ALL SELECT user_id, created_at FROM nutrition_mealentry
+      UNION ALL SELECT user_id, created_at FROM nutrition_exerciseentry
+      UNION ALL SELECT user_id, created_at FROM todo_task
+      UNION ALL SELECT user_id, completed_at FROM todo_task WHERE completed_at IS NOT NULL
+    )
+    SELECT
+      to_char(days.day, 'YYYY-MM-DD') AS date,
+      (SELECT COUNT(DISTINCT a.user_id)::int FROM activity a
+        WHERE a.at >= days.day AND a.at < days.day + interval '1 day') AS "activeUsers",
+      (SELECT COUNT(*)::int FROM auth_user u
+        WHERE u.date_joined >= days.day AND u.date_joined < days.day + interval '1 day') AS "newUsers",
+      (SELECT COUNT(*)::int FROM nutrition_mealentry m
+        WHERE m.created_at >= days.day AND m.created_at < days.day + interval '1 day') AS "mealsLogged",
+      (SELECT COUNT(*)::int FROM todo_task t
+        WHERE t.completed_at >= days.day AND t.completed_at < days.day + interval '1 day') AS "tasksCompleted"
+    FROM days
+    ORDER BY days.day
+  `;
+
+  return {
+    period: { days, from: startDate, to: endDate },
+    users: {
+      total: totalUsers,
+      active: activeAccounts,
+      new: newUsers,
+      dau,
+      wau,
+      mau
+    },
+    activity: {
+      mealsLogged,
+      exercisesLogged,
+      tasksCreated,
+      tasksCompleted
+    },
+    integrations: Object.fromEntries(
+      integrations.map(group => [group.provider, group._count._all])
+    ),
+    daily
+  };
+};
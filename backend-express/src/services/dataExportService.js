@@ -0,0 +1,370 @@
+/**
+ * Data Export Service
+ * Packages everything a user owns into a ZIP of JSON and CSV files.
+ *
+ * Small accounts are streamed straight back to the request. Larger ones are
+ * built in the background, stored on a DataExport row and delivered via an
+ * emailed download link that expires after EXPORT_LINK_TTL_DAYS.
+ */
+
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const verificationTokenService = require('./verificationTokenService');
+const taskService = require('./taskService');
+const { sendDataExportReadyEmail } = require('./emailService');
+const { getApiBaseUrl, buildLink } = require('../config/urls');
+
+// Accounts with more rows than this are exported asynchronously
+const SYNC_EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 5000;
+const EXPORT_LINK_TTL_DAYS = 7;
+// Jobs still running after this long were lost (e.g. instance restarted)
+const STALE_JOB_HOURS = 6;
+
+const TASK_CSV_COLUMNS = [
+  'id', 'name', 'list', 'description', 'dueDate', 'dueTime', 'recurrence', 'priority', 'tags', 'completed',
+  'completedAt', 'microsoftTodoId', 'googleTaskId', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Quote a value for CSV
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV with the given columns
+ * @param {Object[]} rows - Records
+ * @param {string[]} columns - Column names (record keys)
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+].join('\n');
+
+/**
+ * Count the rows an export would contain
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countExportRows = async (userId) => {
+  const counts = await Promise.all([
+    prisma.mealEntry.count({ where: { userId } }),
+    prisma.exerciseEntry.count({ where: { userId } }),
+    prisma.weightEntry.count({ where: { userId } }),
+    prisma.task.count({ where: { userId } })
+  ]);
+
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Load everything the user owns (no password hashes, secrets or OAuth tokens)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+const collectUserData = async (userId) => {
+  const [user, meals, exercises, weights, tasks, integrations, passkeys] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        emailVerified: true,
+        firstName: true,
+        lastName: true,
+        mfaEnabled: true,
+        dateJoined: true,
+        lastLogin: true,
+        createdAt: true,
+        profile: true,
+        identities: {
+          select: { provider: true, email: true, createdAt: true, lastUsedAt: true }
+        }
+      }
+    }),
+    prisma.mealEntry.findMany({ where: { userId }, orderBy: { date: 'asc' } }),
+    prisma.exerciseEntry.findMany({ where: { userId }, orderBy: { date: 'asc' } }),
+    prisma.weightEntry.findMany({ where: { userId }, orderBy: { date: 'asc' } }),
+    // Includes the completed copies left behind by recurring tasks
+    prisma.task.findMany({
+      where: { userId },
+      include: taskService.TASK_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.integration.findMany({
+      where: { userId },
+      select: {
+        provider: true,
+        scope: true,
+        expiresAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    }),
+    prisma.webAuthnCredential.findMany({
+      where: { userId },
+      select: {
+        name: true,
+        createdAt: true,
+        lastUsed: true
+      }
+    })
+  ]);
+
+  // Push tokens are device credentials, not user data
+  const { pushToken, ...profile } = user.profile || {};
+
+  return {
+    profile: { ...user, profile: user.profile ? profile : null },
+    meals,
+    exercises,
+    weights,
+    tasks: tasks.map(taskService.serializeTask),
+    integrations,
+    passkeys
+  };
+};
+
+/**
+ * Write the export files into an archiver instance
+ */
+const appendExportFiles = (archive, data) => {
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  archive.append(json({
+    exportedAt: new Date().toISOString(),
+    files: [
+      'profile.json',
+      'meals.json', 'meals.csv',
+      'exercises.json', 'exercises.csv',
+      'weights.json', 'weights.csv',
+      'tasks.json', 'tasks.csv',
+      'integrations.json',
+      'passkeys.json'
+    ]
+  }), { name: 'README.json' });
+
+  archive.append(json(data.profile), { name: 'profile.json' });
+
+  archive.append(json(data.meals), { name: 'meals.json' });
+  archive.append(toCsv(data.meals, ['id', 'date', 'mealType', 'description', 'calories', 'createdAt']), { name: 'meals.csv' });
+
+  archive.append(json(data.exercises), { name: 'exercises.json' });
+  archive.append(toCsv(data.exercises, ['id', 'date', 'description', 'caloriesBurned', 'durationMinutes', 'createdAt']), { name: 'exercises.csv' });
+
+  archive.append(json(data.weights), { name: 'weights.json' });
+  archive.append(toCsv(data.weights, ['id', 'date', 'weight']), { name: 'weights.csv' });
+
+  // Attachments (with their download links) are only in the JSON file
+  archive.append(json(data.tasks), { name: 'tasks.json' });
+  archive.append(toCsv(
+    data.tasks.map(task => ({
+      ...task,
+      list: task.list.name,
+      tags: task.tags.map(tag => tag.name).join('; ')
+    })),
+    TASK_CSV_COLUMNS
+  ), { name: 'tasks.csv' });
+
+  archive.append(json(data.integrations), { name: 'integrations.json' });
+  archive.append(json(data.passkeys), { name: 'passkeys.json' });
+};
+
+/**
+ * Build the export ZIP in memory
+ * @param {string} userId - User ID
+ * @returns {Promise<Buffer>}
+ */
+const buildArchive = async (userId) => {
+  const data = await collectUserData(userId);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = new PassThrough();
+  const chunks = [];
+
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    output.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+  appendExportFiles(archive, data);
+  await archive.finalize();
+  await finished;
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Name used for the downloaded file
+ */
+exports.getArchiveFilename = (date = new Date()) => `samaanai-export-${date.toISOString().split('T')[0]}.zip`;
+
+/**
+ * Whether the account is small enough to export during the request
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+exports.canExportSynchronously = async (userId) => (await countExportRows(userId)) <= SYNC_EXPORT_MAX_ROWS;
+
+/**
+ * Stream the export ZIP to a writable stream (e.g. the HTTP response)
+ * @param {string} userId - User ID
+ * @param {Object} destination - Writable stream
+ */
+exports.streamExport = async (userId, destination) => {
+  const data = await collectUserData(userId);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    logger.error({ err: error }, `Data export stream failed for user ${userId}`);
+    destination.destroy(error);
+  });
+
+  archive.pipe(destination);
+  appendExportFiles(archive, data);
+  await archive.finalize();
+};
+
+/**
+ * Build an export in the background and email a download link
+ * @param {string} exportId - DataExport ID
+ */
+const processExport = async (exportId) => {
+  const job = await prisma.dataExport.update({
+    where: { id: exportId },
+    data: { status: 'processing' },
+    include: { user: true }
+  });
+
+  try {
+    const archive = await buildArchive(job.userId);
+    const downloadToken = verificationTokenService.generateToken();
+    const expiresAt = new Date(Date.now() + EXPORT_LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: {
+        status: 'ready',
+        archive,
+        fileSize: archive.length,
+        downloadTokenHash: verificationTokenService.hashToken(downloadToken),
+        completedAt: new Date(),
+        expiresAt
+      }
+    });
+
+    const downloadUrl = buildLink(getApiBaseUrl(), '/api/v1/user/export/download', { token: downloadToken });
+    await sendDataExportReadyEmail(job.user, downloadUrl, EXPORT_LINK_TTL_DAYS);
+
+    logger.info(`Data export ${exportId} ready for user ${job.userId} (${archive.length} bytes)`);
+  } catch (error) {
+    logger.error({ err: error }, `Data export ${exportId} failed for user ${job.userId}`);
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: 'failed', error: error.message, completedAt: new Date() }
+    });
+  }
+};
+
+/**
+ * Queue a background export, reusing one that is already in progress
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - DataExport (without the archive)
+ */
+exports.requestExport = async (userId) => {
+  const inProgress = await prisma.dataExport.findFirst({
+    where: {
+      userId,
+      status: { in: ['pending', 'processing'] }
+    },
+    select: { id: true, status: true, createdAt: true }
+  });
+
+  if (inProgress) {
+    return inProgress;
+  }
+
+  const job = await prisma.dataExport.create({
+    data: { userId },
+    select: { id: true, status: true, createdAt: true }
+  });
+
+  // Runs after the response is sent; failures are recorded on the job
+  setImmediate(() => {
+    processExport(job.id).catch(error => {
+      logger.error({ err: error }, `Data export ${job.id} could not be processed`);
+    });
+  });
+
+  return job;
+};
+
+/**
+ * Get the status of one of the user's exports
+ * @returns {Promise<Object|null>}
+ */
+exports.getExportStatus = (userId, exportId) => prisma.dataExport.findFirst({
+  where: { id: exportId, userId },
+  select: {
+    id: true,
+    status: true,
+    fileSize: true,
+    createdAt: true,
+    completedAt: true,
+    expiresAt: true
+  }
+});
+
+/**
+ * Find a ready export by its emailed download token
+ * @param {string} token - Raw download token
+ * @returns {Promise<Object|null>} - DataExport with archive, or null if invalid/expired
+ */
+exports.findDownload = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return prisma.dataExport.findFirst({
+    where: {
+      downloadTokenHash: verificationTokenService.hashToken(token),
+      status: 'ready',
+      expiresAt: { gt: new Date() }
+    }
+  });
+};
+
+/**
+ * Delete expired archives and fail jobs that never finished
+ * @returns {Promise<number>} - Number of exports removed
+ */
+exports.purgeExpiredExports = async () => {
+  await prisma.dataExport.updateMany({
+    where: {
+      status: { in: ['pending', 'processing'] },
+      createdAt: { lt: new Date(Date.now() - STALE_JOB_HOURS * 60 * 60 * 1000) }
+    },
+    data: { status: 'failed', error: 'Export did not finish', completedAt: new Date() }
+  });
+
+  const result = await prisma.dataExport.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { status: 'failed', createdAt: { lt: new Date(Date.now() - EXPORT_LINK_TTL_DAYS * 24 * 60 * 60 * 1000) } }
+      ]
+    }
+  });
+
+  return result.count;
+};
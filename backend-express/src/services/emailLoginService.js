@@ -0,0 +1,149 @@
+/**
+ * Email Login Service
+ * Passwordless sign-in: the user asks for a sign-in email and then either
+ * opens the magic link in it or types the 6-digit code it contains.
+ *
+ * Both come from one request record, so using either one uses up the other.
+ * Requests expire after LOGIN_TTL_MINUTES, a new request replaces the previous
+ * one, and a code is burned after MAX_CODE_ATTEMPTS wrong guesses.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const verificationTokenService = require('./verificationTokenService');
+const { sendLoginLinkEmail } = require('./emailService');
+const { getFrontendUrl, getMobileAppUrl, buildLink } = require('../config/urls');
+
+const LOGIN_PURPOSE = 'email_login';
+const LOGIN_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Per-account limit on sign-in emails, on top of the per-IP authLimiter
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const emailLoginError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+const codesMatch = (code, codeHash) => {
+  const expected = Buffer.from(codeHash || '', 'hex');
+  const actual = Buffer.from(verificationTokenService.hashToken(code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Email a magic link and code, replacing any earlier request
+ * Requests within RESEND_COOLDOWN_MS of the last one are ignored.
+ * @param {Object} user - User with id, email and name fields
+ * @param {Object} options
+ * @param {string} options.client - 'mobile' links open the app, anything else the web app
+ * @returns {Promise<boolean>} - false if nothing was sent because of the cooldown
+ */
+exports.sendLoginEmail = async (user, { client = 'web' } = {}) => {
+  const recent = await prisma.verificationToken.findFirst({
+    where: {
+      userId: user.id,
+      purpose: LOGIN_PURPOSE,
+      createdAt: { gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+    },
+    select: { id: true }
+  });
+
+  if (recent) {
+    return false;
+  }
+
+  // Only the most recent link and code stay valid
+  await verificationTokenService.invalidateTokens(user.id, LOGIN_PURPOSE);
+
+  const code = generateCode();
+  const { token } = await verificationTokenService.createToken({
+    purpose: LOGIN_PURPOSE,
+    userId: user.id,
+    ttlMinutes: LOGIN_TTL_MINUTES,
+    data: { codeHash: verificationTokenService.hashToken(code), attempts: 0 }
+  });
+
+  const loginUrl = client === 'mobile'
+    ? buildLink(getMobileAppUrl(), '/email-login', { token })
+    : buildLink(getFrontendUrl(), '/email-login', { token });
+
+  sendLoginLinkEmail(user, loginUrl, code, LOGIN_TTL_MINUTES).catch(error => {
+    console.error('Failed to send sign-in email:', error);
+  });
+
+  return true;
+};
+
+/**
+ * Use a magic link
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<string>} - ID of the user the link was sent to
+ */
+exports.verifyLink = async (token) => {
+  const record = await verificationTokenService.consumeToken(LOGIN_PURPOSE, token);
+
+  if (!record || !record.userId) {
+    throw emailLoginError('This sign-in link is invalid or has expired. Request a new one.', 401);
+  }
+
+  return record.userId;
+};
+
+/**
+ * Use a 6-digit code
+ * @param {Object} user - User the code was requested for
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<string>} - The user's ID
+ */
+exports.verifyCode = async (user, code) => {
+  const request = await prisma.verificationToken.findFirst({
+    where: {
+      userId: user.id,
+      purpose: LOGIN_PURPOSE,
+      consumedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!request) {
+    throw emailLoginError('This code is invalid or has expired. Request a new one.', 401);
+  }
+
+  if (!codesMatch(String(code).replace(/\s/g, ''), request.data?.codeHash)) {
+    const attempts = (request.data?.attempts || 0) + 1;
+
+    if (attempts >= MAX_CODE_ATTEMPTS) {
+      await verificationTokenService.invalidateTokens(user.id, LOGIN_PURPOSE);
+      throw emailLoginError('Too many invalid codes. Request a new one.', 401);
+    }
+
+    await prisma.verificationToken.update({
+      where: { id: request.id },
+      data: { data: { ...request.data, attempts } }
+    });
+
+    // 400 so the client keeps the request and lets the user retry
+    throw emailLoginError('Invalid code');
+  }
+
+  // Single use: a concurrent request that also passed the check loses here
+  const { count } = await prisma.verificationToken.updateMany({
+    where: { id: request.id, consumedAt: null },
+    data: { consumedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw emailLoginError('This code is invalid or has expired. Request a new one.', 401);
+  }
+
+  return user.id;
+};
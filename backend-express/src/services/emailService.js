@@ -137,7 +137,10 @@ const sendWeeklyReportEmail = async (user, reportData) => {
  * Send task reminder email
  */
 const sendTaskReminderEmail = async (user, task) => {
-  const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date';
+  // Due dates are calendar days stored at midnight UTC
+  const dueDate = task.dueDate
+    ? `${new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: 'UTC' })}${task.dueTime ? ` at ${task.dueTime}` : ''}`
+    : 'No due date';
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -224,11 +227,227 @@ const sendCalorieReminderEmail = async (user) => {
   });
 };
 
+/**
+ * Send email address verification link
+ */
+const sendVerificationEmail = async (user, verifyUrl, expiresInHours) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">Confirm Your Email Address</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>Please confirm that ${user.email} is your email address so we can send you reports and reminders.</p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${verifyUrl}" style="background-color: #1976d2; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Verify Email</a>
+      </div>
+
+      <p>This link expires in ${expiresInHours} hours. If you didn't create a Samaanai account, you can ignore this email.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Confirm your email for Samaanai',
+    html,
+    text: `Confirm your email address for Samaanai using this link (expires in ${expiresInHours} hours): ${verifyUrl}`
+  });
+};
+
+/**
+ * Send link to a finished account data export
+ */
+const sendDataExportReadyEmail = async (user, downloadUrl, expiresInDays) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">Your Data Export Is Ready</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>The export of your Samaanai account data you requested is ready to download.</p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${downloadUrl}" style="background-color: #1976d2; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Download Export</a>
+      </div>
+
+      <p>The ZIP file contains your profile, meals, exercises, weight entries, tasks, integrations and passkeys as JSON and CSV files.</p>
+      <p>This link expires in ${expiresInDays} days. Anyone with the link can download your data, so don't forward this email.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your Samaanai data export is ready',
+    html,
+    text: `Your Samaanai data export is ready. Download it within ${expiresInDays} days: ${downloadUrl}`
+  });
+};
+
+/**
+ * Send password reset link
+ */
+const sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">Reset Your Password</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>We received a request to reset the password for your Samaanai account.</p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${resetUrl}" style="background-color: #1976d2; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Reset Password</a>
+      </div>
+
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your Samaanai password',
+    html,
+    text: `Reset your Samaanai password using this link (expires in ${expiresInMinutes} minutes): ${resetUrl}`
+  });
+};
+
+/**
+ * Send a passwordless sign-in email with a magic link and a 6-digit code
+ */
+const sendLoginLinkEmail = async (user, loginUrl, code, expiresInMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">Sign In to Samaanai</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>Use the button below to sign in on the device where you asked for this email.</p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${loginUrl}" style="background-color: #1976d2; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Sign In</a>
+      </div>
+
+      <p>Or enter this code in the app:</p>
+      <p style="font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; margin: 20px 0;">${code}</p>
+
+      <p>The link and code expire in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you didn't try to sign in, you can safely ignore this email.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: `Your Samaanai sign-in code: ${code}`,
+    html,
+    text: `Your Samaanai sign-in code is ${code}. Or sign in with this link: ${loginUrl} (expires in ${expiresInMinutes} minutes)`
+  });
+};
+
+/**
+ * Notify user that their password was changed
+ */
+const sendPasswordChangedEmail = async (user) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">Your Password Was Changed</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>The password for your Samaanai account was just changed, and other devices have been signed out.</p>
+      <p>If you didn't make this change, reset your password right away using "Forgot password?" on the login screen.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your Samaanai password was changed',
+    html,
+    text: 'The password for your Samaanai account was just changed. If this wasn\'t you, reset your password right away.'
+  });
+};
+
+/**
+ * Alert the user to a sign-in from a device they haven't used before
+ */
+const sendNewDeviceLoginEmail = async (user, { deviceName, ipAddress, method, time }) => {
+  const when = time.toLocaleString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  const device = deviceName || 'Unknown device';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1976d2;">New Sign-in to Your Account</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>Your Samaanai account was just signed in to from a new device:</p>
+
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="margin: 5px 0;"><strong>Device:</strong> ${device}</p>
+        <p style="margin: 5px 0;"><strong>Signed in with:</strong> ${method}</p>
+        <p style="margin: 5px 0;"><strong>IP address:</strong> ${ipAddress || 'Unknown'}</p>
+        <p style="margin: 5px 0;"><strong>Time:</strong> ${when}</p>
+      </div>
+
+      <p>If this was you, there's nothing else to do.</p>
+      <p>If it wasn't, change your password and sign out the device from Profile &gt; Sessions in the app right away.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your Samaanai account',
+    html,
+    text: `Your Samaanai account was signed in to from a new device (${device}, IP ${ipAddress || 'unknown'}) on ${when}. If this wasn't you, change your password and sign out the device from Sessions in the app.`
+  });
+};
+
+const sendAccountDeletionScheduledEmail = async (user, restoreUrl, scheduledFor) => {
+  const deletionDate = scheduledFor.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #d32f2f;">Your Account Is Scheduled for Deletion</h2>
+      <p>Hi ${user.firstName || user.username},</p>
+      <p>We received a request to delete your Samaanai account. It has been deactivated and all devices have been signed out.</p>
+      <p>On <strong>${deletionDate}</strong> your account and all of its data (meals, exercises, weight entries and tasks) will be permanently deleted.</p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${restoreUrl}" style="background-color: #1976d2; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Keep My Account</a>
+      </div>
+
+      <p>Changed your mind? Use the button above before that date to cancel the deletion. Connected Google Tasks and Microsoft To Do integrations have been disconnected and will need to be reconnected.</p>
+      <p>If you didn't request this, restore your account and change your password right away.</p>
+      <p style="margin-top: 30px;">Best regards,<br>The Samaanai Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your Samaanai account is scheduled for deletion',
+    html,
+    text: `Your Samaanai account will be permanently deleted on ${deletionDate}. To cancel, open: ${restoreUrl}`
+  });
+};
+
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
   sendWeeklyReportEmail,
   sendTaskReminderEmail,
   sendGoalAchievementEmail,
-  sendCalorieReminderEmail
+  sendCalorieReminderEmail,
+  sendVerificationEmail,
+  sendDataExportReadyEmail,
+  sendPasswordResetEmail,
+  sendLoginLinkEmail,
+  sendPasswordChangedEmail,
+  sendNewDeviceLoginEmail,
+  sendAccountDeletionScheduledEmail
 };
@@ -0,0 +1,80 @@
+/**
+ * Email Verification Service
+ * Issues signed verification links and marks addresses as verified.
+ *
+ * Links are JWTs bound to the address they were sent to, so a link stops
+ * working if the user changes their email before clicking it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const { sendVerificationEmail } = require('./emailService');
+const { getApiBaseUrl, buildLink } = require('../config/urls');
+
+const VERIFICATION_PURPOSE = 'email_verification';
+const VERIFICATION_EXPIRES_IN_HOURS = 48;
+
+// Derived key so verification links can never be accepted as access tokens
+const getSigningKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key')
+  .update(VERIFICATION_PURPOSE)
+  .digest();
+
+/**
+ * Create a signed verification token for the user's current address
+ * @param {Object} user - User with id and email
+ * @returns {string}
+ */
+exports.createVerificationToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, purpose: VERIFICATION_PURPOSE },
+  getSigningKey(),
+  { expiresIn: `${VERIFICATION_EXPIRES_IN_HOURS}h` }
+);
+
+/**
+ * Email a verification link to the user
+ * @param {Object} user - User with id, email and name fields
+ */
+exports.sendVerificationLink = async (user) => {
+  const token = exports.createVerificationToken(user);
+  const verifyUrl = buildLink(getApiBaseUrl(), '/api/v1/auth/email/verify', { token });
+
+  return sendVerificationEmail(user, verifyUrl, VERIFICATION_EXPIRES_IN_HOURS);
+};
+
+/**
+ * Verify a token and mark the address as verified
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} - Updated user, or null if the link is invalid/expired
+ */
+exports.verifyEmailToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSigningKey());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== VERIFICATION_PURPOSE) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: payload.userId } });
+  if (!user || user.email !== payload.email) {
+    return null;
+  }
+
+  // Clicking the link twice is harmless
+  if (user.emailVerified) {
+    return user;
+  }
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    }
+  });
+};
@@ -1,6 +1,10 @@
 const { google } = require('googleapis');
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
+const taskSyncService = require('./taskSyncService');
+const taskListService = require('./taskListService');
+const taskReminderService = require('./taskReminderService');
+const taskActivityService = require('./taskActivityService');
 
 const SCOPES = ['https://www.googleapis.com/auth/tasks'];
 
@@ -115,6 +119,7 @@ class GoogleTasksService {
             logger.info(`Found ${taskLists?.length || 0} task lists for user ${userId}`);
 
             if (!taskLists || taskLists.length === 0) {
+                await taskSyncService.recordSyncStatus(userId, 'google_tasks');
                 return { success: true, synced: 0, message: 'No task lists found' };
             }
 
@@ -124,10 +129,17 @@ class GoogleTasksService {
             for (const list of taskLists) {
                 logger.info(`Syncing tasks from list: ${list.title} (${list.id})`);
 
+                // Each Google list maps to one local list
+                const localList = await taskListService.findOrCreateSyncedList(userId, 'google_tasks', list.id, list.title);
+
                 // Fetch all tasks with pagination support
                 let pageToken = null;
                 let listTaskCount = 0;
 
+                // Child tasks become subtasks once all their parents are in
+                const childTasks = [];
+                const parentIds = [];
+
                 do {
                     const tasksResponse = await tasks.tasks.list({
                         tasklist: list.id,
@@ -151,9 +163,19 @@ class GoogleTasksService {
                                 continue;
                             }
 
+                            if (gTask.parent) {
+                                childTasks.push(gTask);
+                                continue;
+                            }
+
                             logger.debug(`Syncing task: ${gTask.title} (${gTask.id})`);
 
-                            await prisma.task.upsert({
+                            // Kept to log what the sync changed
+                            const existingTask = await prisma.task.findUnique({
+                                where: { userId_googleTaskId: { userId, googleTaskId: gTask.id } }
+                            });
+
+                            const task = await prisma.task.upsert({
                                 where: {
                                     userId_googleTaskId: {
                                         userId: userId,
@@ -161,6 +183,7 @@ class GoogleTasksService {
                                     }
                                 },
                                 update: {
+                                    listId: localList.id,
                                     name: gTask.title,
                                     description: gTask.notes || null,
                                     completed: gTask.status === 'completed',
@@ -170,6 +193,7 @@ class GoogleTasksService {
                                 },
                                 create: {
                                     userId: userId,
+                                    listId: localList.id,
                                     googleTaskId: gTask.id,
                                     name: gTask.title,
                                     description: gTask.notes || null,
@@ -178,16 +202,27 @@ class GoogleTasksService {
                                     dueDate: gTask.due ? new Date(gTask.due) : null
                                 }
                             });
+                            if (existingTask) {
+                                await taskActivityService.recordChanges(existingTask, task, 'google', { type: 'synced' });
+                            } else {
+                                await taskActivityService.recordActivity(task.id, 'created', 'google');
+                            }
+                            // A due date changed in Google moves the task's reminders with it
+                            await taskReminderService.rescheduleReminders(task.id);
+                            parentIds.push(gTask.id);
                             totalSynced++;
                             listTaskCount++;
                         }
                     }
                 } while (pageToken); // Continue while there are more pages
 
+                await this.syncSubtasks(userId, parentIds, childTasks);
+
                 logger.info(`Completed syncing ${listTaskCount} tasks from list ${list.title}`);
             }
 
             logger.info(`Successfully synced ${totalSynced} tasks for user ${userId}`);
+            await taskSyncService.recordSyncStatus(userId, 'google_tasks');
             return { success: true, synced: totalSynced };
         } catch (error) {
             logger.error(`Error syncing Google Tasks for user ${userId}:`, error);
@@ -196,31 +231,179 @@ class GoogleTasksService {
                 code: error.code,
                 errors: error.errors
             });
+            await taskSyncService.recordSyncStatus(userId, 'google_tasks', error.message || 'Sync failed')
+                .catch(statusError => logger.error('Error recording sync status:', statusError));
             throw error;
         }
     }
 
     /**
-     * Push a task to Google Tasks (create or update)
+     * Store Google child tasks as subtasks of their parent tasks
+     * Children are ordered as in Google, followed by any items added locally
+     * that haven't been pushed yet. Linked subtasks whose Google task is gone
+     * are removed.
      * @param {string} userId - User ID
+     * @param {string[]} parentIds - Google IDs of the top-level tasks just synced
+     * @param {object[]} childTasks - Google tasks that have a parent
+     */
+    async syncSubtasks(userId, parentIds, childTasks) {
+        const childIds = childTasks.map(gTask => gTask.id);
+
+        // Older syncs stored child tasks as top-level tasks
+        if (childIds.length > 0) {
+            await prisma.task.deleteMany({
+                where: { userId, googleTaskId: { in: childIds } }
+            });
+        }
+
+        await prisma.subtask.deleteMany({
+            where: {
+                task: { userId, googleTaskId: { in: parentIds } },
+                googleTaskId: { not: null, notIn: childIds }
+            }
+        });
+
+        const byParent = new Map();
+        for (const gTask of childTasks) {
+            byParent.set(gTask.parent, [...(byParent.get(gTask.parent) || []), gTask]);
+        }
+
+        for (const [parentId, children] of byParent) {
+            const task = await prisma.task.findUnique({
+                where: { userId_googleTaskId: { userId, googleTaskId: parentId } },
+                include: { subtasks: { where: { googleTaskId: null }, orderBy: { position: 'asc' } } }
+            });
+
+            if (!task) {
+                logger.debug(`Skipping ${children.length} subtasks - parent ${parentId} was not synced`);
+                continue;
+            }
+
+            // Google's position strings sort in display order
+            children.sort((a, b) => (a.position || '').localeCompare(b.position || ''));
+
+            for (const [position, gTask] of children.entries()) {
+                const data = {
+                    name: gTask.title || '(untitled)',
+                    completed: gTask.status === 'completed',
+                    completedAt: gTask.completed ? new Date(gTask.completed) : null,
+                    position
+                };
+
+                await prisma.subtask.upsert({
+                    where: { taskId_googleTaskId: { taskId: task.id, googleTaskId: gTask.id } },
+                    update: data,
+                    create: { ...data, taskId: task.id, googleTaskId: gTask.id }
+                });
+            }
+
+            for (const [index, subtask] of task.subtasks.entries()) {
+                await prisma.subtask.update({
+                    where: { id: subtask.id },
+                    data: { position: children.length + index }
+                });
+            }
+        }
+    }
+
+    /**
+     * Push a task's checklist to Google as child tasks of the task
+     * @param {object} tasks - Google Tasks API client
+     * @param {string} taskListId - List holding the parent task
+     * @param {string} parentId - Google ID of the parent task
+     * @param {object[]} subtasks - The task's subtasks in order
+     * @param {object} options
+     * @param {boolean} options.reorder - Also move existing children into the local order
+     * @param {boolean} options.restore - Un-delete existing children deleted along with the parent
+     */
+    async pushSubtasksToGoogle(tasks, taskListId, parentId, subtasks, { reorder = false, restore = false } = {}) {
+        let previous;
+
+        for (const subtask of subtasks) {
+            const googleSubtask = {
+                title: subtask.name,
+                status: subtask.completed ? 'completed' : 'needsAction',
+                ...(subtask.completed && { completed: subtask.completedAt ? new Date(subtask.completedAt).toISOString() : new Date().toISOString() }),
+                ...(restore && { deleted: false })
+            };
+
+            if (subtask.googleTaskId) {
+                await tasks.tasks.patch({
+                    tasklist: taskListId,
+                    task: subtask.googleTaskId,
+                    requestBody: googleSubtask
+                });
+
+                if (reorder) {
+                    await tasks.tasks.move({
+                        tasklist: taskListId,
+                        task: subtask.googleTaskId,
+                        parent: parentId,
+                        ...(previous && { previous })
+                    });
+                }
+
+                previous = subtask.googleTaskId;
+            } else {
+                const result = await tasks.tasks.insert({
+                    tasklist: taskListId,
+                    parent: parentId,
+                    ...(previous && { previous }),
+                    requestBody: googleSubtask
+                });
+
+                await prisma.subtask.update({
+                    where: { id: subtask.id },
+                    data: { googleTaskId: result.data.id }
+                });
+
+                previous = result.data.id;
+            }
+        }
+    }
+
+    /**
+     * Google list a task belongs in: the one its local list mirrors, or the
+     * user's first Google list for tasks in lists that aren't synced
+     * @param {object} tasks - Google Tasks API client
      * @param {object} task - Task from our database
+     * @returns {Promise<string>}
+     */
+    async getGoogleListId(tasks, task) {
+        const list = task.listId
+            ? await prisma.taskList.findUnique({ where: { id: task.listId }, select: { googleListId: true } })
+            : null;
+
+        if (list?.googleListId) {
+            return list.googleListId;
+        }
+
+        const taskListsResponse = await tasks.tasklists.list();
+        const taskLists = taskListsResponse.data.items;
+
+        if (!taskLists || taskLists.length === 0) {
+            throw new Error('No task lists found for user');
+        }
+
+        return taskLists[0].id;
+    }
+
+    /**
+     * Push a task to Google Tasks (create or update)
+     * @param {string} userId - User ID
+     * @param {object} task - Task from our database, with its subtasks if they should be pushed too
+     * @param {object} options
+     * @param {boolean} options.reorderSubtasks - The checklist order changed
+     * @param {boolean} options.restore - The task is back from the trash: un-delete
+     *   its Google task, or create a new one if Google no longer has it
      * @returns {Promise<object>} Updated task with Google Task ID
      */
-    async pushTaskToGoogle(userId, task) {
+    async pushTaskToGoogle(userId, task, { reorderSubtasks = false, restore = false } = {}) {
         try {
             const auth = await this.getAuthenticatedClient(userId);
             const tasks = google.tasks({ version: 'v1', auth });
 
-            // Get or create the default task list
-            const taskListsResponse = await tasks.tasklists.list();
-            const taskLists = taskListsResponse.data.items;
-
-            if (!taskLists || taskLists.length === 0) {
-                throw new Error('No task lists found for user');
-            }
-
-            // Use the first list (default list)
-            const taskListId = taskLists[0].id;
+            const taskListId = await this.getGoogleListId(tasks, task);
 
             const googleTask = {
                 title: task.name,
@@ -228,24 +411,42 @@ class GoogleTasksService {
                 status: task.completed ? 'completed' : 'needsAction',
                 due: task.dueDate ? new Date(task.dueDate).toISOString() : undefined,
                 // Google Tasks requires 'completed' timestamp when status is 'completed'
-                ...(task.completed && { completed: task.completedAt ? new Date(task.completedAt).toISOString() : new Date().toISOString() })
+                ...(task.completed && { completed: task.completedAt ? new Date(task.completedAt).toISOString() : new Date().toISOString() }),
+                ...(restore && { deleted: false })
             };
 
             logger.info(`[PUSH] Task data - completed: ${task.completed}, completedAt: ${task.completedAt}`);
             logger.info(`[PUSH] Google Task object: ${JSON.stringify(googleTask)}`);
 
             let result;
+            let subtasks = task.subtasks;
             if (task.googleTaskId) {
                 // Update existing Google Task
                 logger.info(`Updating Google Task ${task.googleTaskId} for user ${userId}`);
                 logger.info(`[PUSH] Calling tasks.tasks.patch with tasklist: ${taskListId}, task: ${task.googleTaskId}`);
-                result = await tasks.tasks.patch({
-                    tasklist: taskListId,
-                    task: task.googleTaskId,
-                    requestBody: googleTask
-                });
-                logger.info(`[PUSH] Patch result - status: ${result.data.status}, completed: ${result.data.completed}`);
-            } else {
+                try {
+                    result = await tasks.tasks.patch({
+                        tasklist: taskListId,
+                        task: task.googleTaskId,
+                        requestBody: googleTask
+                    });
+                    logger.info(`[PUSH] Patch result - status: ${result.data.status}, completed: ${result.data.completed}`);
+                } catch (error) {
+                    // Google only keeps deleted tasks for a while; after that a
+                    // restored task is created again, subtasks and all
+                    if (!restore || ![404, 410].includes(error.code)) {
+                        throw error;
+                    }
+                    logger.info(`Google Task ${task.googleTaskId} is gone, creating it again for user ${userId}`);
+                    await prisma.subtask.updateMany({
+                        where: { taskId: task.id },
+                        data: { googleTaskId: null }
+                    });
+                    subtasks = subtasks?.map(subtask => ({ ...subtask, googleTaskId: null }));
+                }
+            }
+
+            if (!result) {
                 // Create new Google Task
                 logger.info(`Creating new Google Task for task "${task.name}" (user ${userId})`);
                 result = await tasks.tasks.insert({
@@ -260,6 +461,15 @@ class GoogleTasksService {
                 });
             }
 
+            if (subtasks?.length > 0) {
+                await this.pushSubtasksToGoogle(tasks, taskListId, result.data.id, subtasks, {
+                    reorder: reorderSubtasks,
+                    restore
+                });
+            }
+
+            await taskActivityService.recordActivity(task.id, 'pushed', 'google');
+
             logger.info(`Successfully pushed task to Google Tasks: ${result.data.id}`);
             return { success: true, googleTaskId: result.data.id };
         } catch (error) {
@@ -305,6 +515,22 @@ class GoogleTasksService {
             throw error;
         }
     }
+
+    /**
+     * Revoke the grant behind a stored integration at Google
+     * Revoking the refresh token also invalidates access tokens issued from it.
+     * @param {object} integration - Integration row with accessToken/refreshToken
+     * @returns {Promise<void>}
+     */
+    async revokeAccess(integration) {
+        const token = integration.refreshToken || integration.accessToken;
+        if (!token) {
+            return;
+        }
+
+        await this.oauth2Client.revokeToken(token);
+        logger.info(`Revoked Google Tasks access for user ${integration.userId}`);
+    }
 }
 
 module.exports = new GoogleTasksService();
@@ -0,0 +1,285 @@
+/**
+ * Identity Service
+ * External accounts (Google, Microsoft) linked to a user for sign-in, and the
+ * rules for adding and removing sign-in methods.
+ *
+ * A user's sign-in methods are their password, passkeys and linked identities.
+ * Removing any of them is refused when it is the last one left, so an account
+ * can never end up without a way to sign in.
+ */
+
+const { prisma } = require('../config/database');
+const { sendWelcomeEmail } = require('./emailService');
+const verificationTokenService = require('./verificationTokenService');
+
+const PROVIDERS = ['google', 'microsoft'];
+
+const PROVIDER_NAMES = {
+  google: 'Google',
+  microsoft: 'Microsoft'
+};
+
+// Links opened from the app to start connecting a provider to the signed-in account
+const LINK_PURPOSE = 'identity_link';
+const LINK_TTL_MINUTES = 10;
+
+// CSRF state for provider redirects that aren't handled by passport
+const STATE_PURPOSE = 'oauth_state';
+const STATE_TTL_MINUTES = 10;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const identityError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.PROVIDERS = PROVIDERS;
+
+/**
+ * Human-readable provider name for messages
+ * @param {string} provider - 'google' or 'microsoft'
+ * @returns {string}
+ */
+exports.providerName = (provider) => PROVIDER_NAMES[provider] || provider;
+
+/**
+ * Store what a provider redirect needs to remember and return the state value to send
+ * @param {Object} data - e.g. { client, codeChallenge, link }
+ * @returns {Promise<string>}
+ */
+exports.createOAuthState = async (data) => {
+  const { token } = await verificationTokenService.createToken({
+    purpose: STATE_PURPOSE,
+    ttlMinutes: STATE_TTL_MINUTES,
+    data
+  });
+
+  return token;
+};
+
+/**
+ * Redeem the state returned to a provider callback (once)
+ * @param {string} state - State from the callback query
+ * @returns {Promise<Object|null>} - Data given to createOAuthState, or null if invalid/expired
+ */
+exports.consumeOAuthState = async (state) => {
+  const record = await verificationTokenService.consumeToken(STATE_PURPOSE, state);
+  return record ? record.data || {} : null;
+};
+
+/**
+ * Find the user for a provider sign-in, linking or creating an account if needed
+ * An unknown identity is attached to an existing account with the same email
+ * only when the provider vouches for that address (emailVerified).
+ * @param {Object} identity - Normalized provider profile
+ * @param {string} identity.provider - 'google' or 'microsoft'
+ * @param {string} identity.providerUserId - Stable account ID at the provider
+ * @param {string} identity.email - Email address reported by the provider
+ * @param {boolean} identity.emailVerified - Whether the provider verified the email
+ * @param {string} identity.displayName - Used as the username for new accounts
+ * @param {string} identity.firstName
+ * @param {string} identity.lastName
+ * @returns {Promise<Object>} - The user (with profile); callers must check isActive
+ */
+exports.signIn = async (identity) => {
+  const { provider, providerUserId, email, emailVerified } = identity;
+
+  const existing = await prisma.userIdentity.findUnique({
+    where: { provider_providerUserId: { provider, providerUserId } }
+  });
+
+  if (existing) {
+    await prisma.userIdentity.update({
+      where: { id: existing.id },
+      data: { lastUsedAt: new Date(), ...(email && { email }) }
+    });
+
+    return prisma.user.findUnique({
+      where: { id: existing.userId },
+      include: { profile: true }
+    });
+  }
+
+  if (!email) {
+    throw identityError(`Your ${exports.providerName(provider)} account has no email address`);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email }
+  });
+
+  if (user) {
+    // An unverified address could belong to someone else: make the owner link it themselves
+    if (!emailVerified) {
+      throw identityError(
+        `An account with this email already exists. Sign in another way and link ${exports.providerName(provider)} from Sign-in Methods.`,
+        409
+      );
+    }
+
+    // Deactivated accounts (including ones pending deletion) can't sign in
+    if (!user.isActive) {
+      return user;
+    }
+
+    await prisma.userIdentity.create({
+      data: { userId: user.id, provider, providerUserId, email, lastUsedAt: new Date() }
+    });
+
+    return prisma.user.update({
+      where: { id: user.id },
+      // The provider has confirmed the address
+      data: user.emailVerified ? {} : { emailVerified: true, emailVerifiedAt: new Date() },
+      include: { profile: true }
+    });
+  }
+
+  const created = await prisma.user.create({
+    data: {
+      email,
+      username: identity.displayName || email.split('@')[0],
+      emailVerified: Boolean(emailVerified),
+      emailVerifiedAt: emailVerified ? new Date() : null,
+      password: null, // No password for OAuth users
+      firstName: identity.firstName || null,
+      lastName: identity.lastName || null,
+      profile: {
+        create: {}
+      },
+      identities: {
+        create: { provider, providerUserId, email, lastUsedAt: new Date() }
+      }
+    },
+    include: { profile: true }
+  });
+
+  // Send welcome email (async, don't wait for it)
+  sendWelcomeEmail(created).catch(error => {
+    console.error('Failed to send welcome email:', error);
+    // Don't fail OAuth if email fails
+  });
+
+  return created;
+};
+
+/**
+ * Start linking a provider to the signed-in user
+ * The returned token goes into the provider sign-in URL the app opens in a
+ * browser, where there is no Authorization header to identify the user.
+ * @param {string} userId - User ID
+ * @param {string} provider - 'google' or 'microsoft'
+ * @returns {Promise<string>} - Raw single-use link token
+ */
+exports.createLinkToken = async (userId, provider) => {
+  const { token } = await verificationTokenService.createToken({
+    purpose: LINK_PURPOSE,
+    userId,
+    ttlMinutes: LINK_TTL_MINUTES,
+    data: { provider }
+  });
+
+  return token;
+};
+
+/**
+ * Finish linking: attach the provider account to the user the link token was issued for
+ * @param {string} linkToken - Token from createLinkToken
+ * @param {Object} identity - Normalized provider profile (see signIn)
+ * @returns {Promise<Object>} - The created identity
+ */
+exports.completeLink = async (linkToken, identity) => {
+  const { provider, providerUserId, email } = identity;
+  const record = await verificationTokenService.consumeToken(LINK_PURPOSE, linkToken);
+
+  if (!record || !record.userId || record.data?.provider !== provider) {
+    throw identityError('This link has expired. Please try again from the app.');
+  }
+
+  const [existing, current] = await Promise.all([
+    prisma.userIdentity.findUnique({
+      where: { provider_providerUserId: { provider, providerUserId } }
+    }),
+    prisma.userIdentity.findUnique({
+      where: { userId_provider: { userId: record.userId, provider } }
+    })
+  ]);
+
+  if (existing) {
+    if (existing.userId === record.userId) {
+      return existing;
+    }
+    throw identityError(`This ${exports.providerName(provider)} account is already linked to another user`, 409);
+  }
+
+  if (current) {
+    throw identityError(`A different ${exports.providerName(provider)} account is already linked. Unlink it first.`, 409);
+  }
+
+  return prisma.userIdentity.create({
+    data: { userId: record.userId, provider, providerUserId, email }
+  });
+};
+
+/**
+ * List a user's sign-in methods
+ * @param {string} userId - User ID
+ * @returns {Promise<{password: boolean, passkeys: number, identities: Array}>}
+ */
+exports.getLoginMethods = async (userId) => {
+  const [user, passkeys, identities] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { password: true }
+    }),
+    prisma.webAuthnCredential.count({ where: { userId } }),
+    prisma.userIdentity.findMany({
+      where: { userId },
+      select: { id: true, provider: true, email: true, createdAt: true, lastUsedAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    password: Boolean(user?.password),
+    passkeys,
+    identities
+  };
+};
+
+/**
+ * Refuse to remove a sign-in method when it is the user's last one
+ * @param {string} userId - User ID
+ */
+const ensureAnotherLoginMethod = async (userId) => {
+  const { password, passkeys, identities } = await exports.getLoginMethods(userId);
+
+  if ((password ? 1 : 0) + passkeys + identities.length <= 1) {
+    throw identityError('You can\'t remove your only sign-in method. Add another one first.');
+  }
+};
+
+exports.ensureAnotherLoginMethod = ensureAnotherLoginMethod;
+
+/**
+ * Unlink a provider from a user
+ * @param {string} userId - User ID
+ * @param {string} provider - 'google' or 'microsoft'
+ */
+exports.unlinkIdentity = async (userId, provider) => {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { userId_provider: { userId, provider } }
+  });
+
+  if (!identity) {
+    throw identityError(`No ${exports.providerName(provider)} account is linked`, 404);
+  }
+
+  await ensureAnotherLoginMethod(userId);
+
+  await prisma.userIdentity.delete({
+    where: { id: identity.id }
+  });
+};
@@ -0,0 +1,231 @@
+/**
+ * Login Security Service
+ * Per-account protection against password guessing and the login history
+ * shown to users.
+ *
+ * Failed password attempts are counted on the user. After LOCKOUT_THRESHOLD
+ * failures in a row the account is locked for a while, and each further
+ * failure locks it for longer (LOCKOUT_MINUTES). A successful sign-in or a
+ * password reset clears the counter. This works alongside the per-IP
+ * authLimiter, which can't stop guessing spread over many addresses.
+ */
+
+const { prisma } = require('../config/database');
+const { sendNewDeviceLoginEmail } = require('./emailService');
+const sessionService = require('./sessionService');
+
+const LOCKOUT_THRESHOLD = 5;
+
+// Lock length for the 1st, 2nd, 3rd, ... lockout in a row (the last one repeats)
+const LOCKOUT_MINUTES = [1, 5, 15, 60];
+
+// Failures older than this no longer count toward a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How long login history is kept
+const HISTORY_RETENTION_DAYS = 180;
+
+const METHOD_NAMES = {
+  password: 'password',
+  email: 'an emailed link or code',
+  passkey: 'a passkey',
+  google: 'Google',
+  microsoft: 'Microsoft',
+  register: 'sign-up'
+};
+
+exports.LOCKOUT_THRESHOLD = LOCKOUT_THRESHOLD;
+
+/**
+ * Remaining lockout for a user, if any
+ * @param {Object} user - User with lockedUntil
+ * @returns {{lockedUntil: Date, retryAfter: number}|null} - retryAfter in seconds
+ */
+const getLockout = (user) => {
+  if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    lockedUntil: user.lockedUntil,
+    retryAfter: Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000)
+  };
+};
+
+exports.getLockout = getLockout;
+
+/**
+ * Message telling a locked-out user when to try again
+ * @param {{retryAfter: number}} lockout - From getLockout
+ * @returns {string}
+ */
+exports.lockoutMessage = ({ retryAfter }) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`;
+};
+
+/**
+ * Record a failed sign-in and lock the account once there have been too many
+ * @param {Object} user - User that was signed in to
+ * @param {Object} req - Express request (for device details)
+ * @param {Object} options
+ * @param {string} options.method - Sign-in method that failed
+ * @param {string} options.reason - Why it failed (invalid_password, locked)
+ * @returns {Promise<Object|null>} - The lockout now in effect (see getLockout), or null
+ */
+exports.recordFailedLogin = async (user, req, { method = 'password', reason = 'invalid_password' } = {}) => {
+  const clientInfo = sessionService.getClientInfo(req);
+
+  await prisma.loginEvent.create({
+    data: {
+      userId: user.id,
+      method,
+      success: false,
+      failureReason: reason,
+      ...clientInfo
+    }
+  });
+
+  // Attempts made while locked were never checked, so they don't extend the lock
+  if (reason === 'locked') {
+    return getLockout(user);
+  }
+
+  const now = new Date();
+  const stale = !user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_WINDOW_MS;
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginCount: stale ? 1 : { increment: 1 },
+      lastFailedLoginAt: now
+    },
+    select: { failedLoginCount: true }
+  });
+
+  if (updated.failedLoginCount < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const step = Math.min(updated.failedLoginCount - LOCKOUT_THRESHOLD, LOCKOUT_MINUTES.length - 1);
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES[step] * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil }
+  });
+
+  console.warn(`⚠️  Account ${user.id} locked until ${lockedUntil.toISOString()} after ${updated.failedLoginCount} failed sign-ins`);
+
+  return getLockout({ lockedUntil });
+};
+
+/**
+ * Clear a user's failed sign-in counter and lockout
+ * @param {string} userId - User ID
+ */
+exports.clearFailedLogins = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+  });
+};
+
+/**
+ * Record a successful sign-in, and email the user when it came from a device
+ * they haven't signed in from before
+ * @param {Object} user - User that signed in
+ * @param {Object} req - Express request (for device details)
+ * @param {string} method - Sign-in method (password, email, passkey, google, microsoft, register)
+ * @returns {Promise<Object>} - The login event
+ */
+exports.recordSuccessfulLogin = async (user, req, method) => {
+  const clientInfo = sessionService.getClientInfo(req);
+
+  // A device is known once it has signed in successfully. Nothing is "new"
+  // on the very first sign-in, when there is no history to compare with.
+  const [hasHistory, knownDevice] = await Promise.all([
+    prisma.loginEvent.findFirst({
+      where: { userId: user.id, success: true },
+      select: { id: true }
+    }),
+    prisma.loginEvent.findFirst({
+      where: {
+        userId: user.id,
+        success: true,
+        deviceName: clientInfo.deviceName,
+        userAgent: clientInfo.userAgent
+      },
+      select: { id: true }
+    })
+  ]);
+
+  const newDevice = Boolean(hasHistory) && !knownDevice;
+
+  const event = await prisma.loginEvent.create({
+    data: {
+      userId: user.id,
+      method,
+      success: true,
+      newDevice,
+      ...clientInfo
+    }
+  });
+
+  if (user.failedLoginCount || user.lockedUntil) {
+    await exports.clearFailedLogins(user.id);
+  }
+
+  if (newDevice) {
+    // Async, don't hold up the sign-in
+    sendNewDeviceLoginEmail(user, {
+      deviceName: clientInfo.deviceName,
+      ipAddress: clientInfo.ipAddress,
+      method: METHOD_NAMES[method] || method,
+      time: event.createdAt
+    }).catch(error => {
+      console.error('Failed to send new device sign-in email:', error);
+    });
+  }
+
+  return event;
+};
+
+/**
+ * A user's recent sign-ins and failed attempts, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Object[]>}
+ */
+exports.getLoginHistory = async (userId, { limit = 50 } = {}) => {
+  return prisma.loginEvent.findMany({
+    where: { userId },
+    select: {
+      id: true,
+      method: true,
+      success: true,
+      failureReason: true,
+      deviceName: true,
+      ipAddress: true,
+      newDevice: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+};
+
+/**
+ * Delete login history past the retention period
+ * @returns {Promise<number>} - Number of events removed
+ */
+exports.purgeOldLoginEvents = async () => {
+  const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { count } = await prisma.loginEvent.deleteMany({
+    where: { createdAt: { lt: cutoff } }
+  });
+
+  return count;
+};
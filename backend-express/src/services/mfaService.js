@@ -0,0 +1,309 @@
+/**
+ * MFA Service
+ * TOTP two-factor authentication with one-time recovery codes.
+ *
+ * Login challenge lifecycle:
+ *   password (or emailed code) accepted -> createChallenge() issues a short-lived mfaToken
+ *   verifyChallenge() with a valid TOTP/recovery code -> challenge consumed, user returned
+ *   wrong code -> attempt counted; after MAX_CHALLENGE_ATTEMPTS the challenge is burned
+ *   expired/consumed challenge -> rejected, user must sign in with their password again
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { prisma } = require('../config/database');
+const verificationTokenService = require('./verificationTokenService');
+
+const CHALLENGE_PURPOSE = 'mfa_challenge';
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept codes from the previous/next 30s window to tolerate clock drift
+authenticator.options = { window: 1, step: TOTP_STEP_SECONDS };
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const mfaError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Normalize user-typed codes ("123 456", "abcd-ef12")
+ */
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Generate a set of recovery codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Replace a user's recovery codes, returning the new plain-text codes (shown once)
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+
+  await client.mfaRecoveryCode.deleteMany({ where: { userId } });
+  await client.mfaRecoveryCode.createMany({
+    data: codes.map(code => ({
+      userId,
+      codeHash: verificationTokenService.hashToken(normalizeCode(code))
+    }))
+  });
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code against the user's secret, rejecting replays of a used time step
+ * @returns {Promise<boolean>}
+ */
+const verifyTotp = async (user, code, secret = user.totpSecret) => {
+  const token = normalizeCode(code);
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return false;
+  }
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return false;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+
+  // Conditional update: each time step can be used once, even under concurrent requests
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { totpLastUsedStep: null },
+        { totpLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { totpLastUsedStep: step }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Mark a recovery code as used
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (userId, code) => {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const { count } = await prisma.mfaRecoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: verificationTokenService.hashToken(normalized),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Verify a second factor for an MFA-enabled user
+ * @param {Object} user - User with id and totpSecret
+ * @param {Object} factors
+ * @param {string} factors.code - 6-digit TOTP code
+ * @param {string} factors.recoveryCode - One-time recovery code
+ * @returns {Promise<boolean>}
+ */
+exports.verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code) {
+    return verifyTotp(user, code);
+  }
+  if (recoveryCode) {
+    return useRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+};
+
+/**
+ * Start enrollment: store a new pending secret and return it with a QR code
+ * @param {Object} user - User with id, email and mfaEnabled
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+exports.beginEnrollment = async (user) => {
+  if (user.mfaEnabled) {
+    throw mfaError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = authenticator.generateSecret(20);
+  const issuer = process.env.APP_NAME || 'Samaanai';
+  const otpauthUrl = authenticator.keyuri(user.email, issuer, secret);
+
+  // Stays inactive until a code is confirmed
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpSecret: secret, totpLastUsedStep: null }
+  });
+
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrollment by confirming a code from the authenticator app
+ * @param {Object} user - User with id, totpSecret and mfaEnabled
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<string[]>} - Recovery codes (shown to the user once)
+ */
+exports.confirmEnrollment = async (user, code) => {
+  if (user.mfaEnabled) {
+    throw mfaError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.totpSecret) {
+    throw mfaError('Start two-factor setup before confirming a code');
+  }
+
+  if (!(await verifyTotp(user, code))) {
+    throw mfaError('Invalid verification code');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: { mfaEnabled: true, mfaEnabledAt: new Date() }
+    });
+
+    return replaceRecoveryCodes(tx, user.id);
+  });
+};
+
+/**
+ * Turn off two-factor authentication after checking a current factor
+ * @param {Object} user - User with id, totpSecret and mfaEnabled
+ * @param {Object} factors - { code } or { recoveryCode }
+ */
+exports.disable = async (user, factors) => {
+  if (!user.mfaEnabled) {
+    throw mfaError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await exports.verifySecondFactor(user, factors))) {
+    throw mfaError('Invalid verification code');
+  }
+
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId: user.id } }),
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        mfaEnabled: false,
+        mfaEnabledAt: null,
+        totpSecret: null,
+        totpLastUsedStep: null
+      }
+    })
+  ]);
+};
+
+/**
+ * Replace recovery codes after checking a current factor
+ * @returns {Promise<string[]>} - New recovery codes
+ */
+exports.regenerateRecoveryCodes = async (user, factors) => {
+  if (!user.mfaEnabled) {
+    throw mfaError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await exports.verifySecondFactor(user, factors))) {
+    throw mfaError('Invalid verification code');
+  }
+
+  return prisma.$transaction(tx => replaceRecoveryCodes(tx, user.id));
+};
+
+/**
+ * Count unused recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+exports.countRemainingRecoveryCodes = (userId) => prisma.mfaRecoveryCode.count({
+  where: { userId, usedAt: null }
+});
+
+/**
+ * Issue a login challenge after the first factor (password or emailed code) has been accepted
+ * @param {Object} user - User with id
+ * @param {Object} options
+ * @param {string} options.method - How the first factor was given (password, email)
+ * @returns {Promise<{mfaToken: string, expiresAt: Date}>}
+ */
+exports.createChallenge = async (user, { method = 'password' } = {}) => {
+  const { token, record } = await verificationTokenService.createToken({
+    purpose: CHALLENGE_PURPOSE,
+    userId: user.id,
+    ttlMinutes: CHALLENGE_TTL_MINUTES,
+    data: { attempts: 0, method }
+  });
+
+  return { mfaToken: token, expiresAt: record.expiresAt };
+};
+
+/**
+ * Complete a login challenge with a TOTP or recovery code
+ * @param {string} mfaToken - Token returned by createChallenge
+ * @param {Object} factors - { code } or { recoveryCode }
+ * @returns {Promise<{user: Object, method: string}>} - The user (with profile) the challenge
+ *   was issued for and the first-factor method given to createChallenge
+ */
+exports.verifyChallenge = async (mfaToken, factors) => {
+  const challenge = await verificationTokenService.findValidToken(CHALLENGE_PURPOSE, mfaToken);
+  if (!challenge) {
+    throw mfaError('Two-factor challenge is invalid or has expired. Please sign in again.', 401);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.userId },
+    include: { profile: true }
+  });
+
+  if (!user || !user.isActive || !user.mfaEnabled) {
+    await verificationTokenService.consumeToken(CHALLENGE_PURPOSE, mfaToken);
+    throw mfaError('Two-factor challenge is invalid or has expired. Please sign in again.', 401);
+  }
+
+  if (!(await exports.verifySecondFactor(user, factors))) {
+    const attempts = (challenge.data?.attempts || 0) + 1;
+
+    if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      await verificationTokenService.consumeToken(CHALLENGE_PURPOSE, mfaToken);
+      throw mfaError('Too many invalid codes. Please sign in again.', 401);
+    }
+
+    await prisma.verificationToken.update({
+      where: { id: challenge.id },
+      data: { data: { ...challenge.data, attempts } }
+    });
+
+    // 400 so the client keeps the challenge and lets the user retry
+    throw mfaError('Invalid verification code');
+  }
+
+  // Single use: a concurrent request that also passed the check loses here
+  const consumed = await verificationTokenService.consumeToken(CHALLENGE_PURPOSE, mfaToken);
+  if (!consumed) {
+    throw mfaError('Two-factor challenge is invalid or has expired. Please sign in again.', 401);
+  }
+
+  return { user, method: challenge.data?.method || 'password' };
+};
@@ -194,8 +194,8 @@ exports.transformMicrosoftTask = (msTask) => {
       completed: completed,
       completedAt: completed && msTask.completedDateTime ? new Date(msTask.completedDateTime.dateTime) : null,
       microsoftTodoId: msTask.id,
-      reminderType: null, // Microsoft To Do has reminders, but mapping is complex
-      imageUrl: null // Attachments require separate API calls
+      recurrence: msTask.recurrence || null, // Graph pattern; turned into an RRULE when saved
+      attachments: [] // Fetched with a separate API call
     };
   } catch (error) {
     console.error('Error transforming Microsoft task:', error);
@@ -204,42 +204,50 @@ exports.transformMicrosoftTask = (msTask) => {
 };
 
 /**
- * Get all tasks from the default "Tasks" list and transform them
+ * Get all tasks from every To Do list and transform them
+ * Each task carries the list it came from (microsoftListId, microsoftListName).
  * @param {string} accessToken - Valid access token
  * @param {boolean} excludeCompleted - Exclude completed tasks (default: true)
  * @returns {Promise<Array<Object>>} - Array of transformed tasks
  */
 exports.getAndTransformTasks = async (accessToken, excludeCompleted = true) => {
   try {
-    // Get the Tasks list ID
-    const listId = await exports.getTasksListId(accessToken);
+    const lists = await exports.getTodoLists(accessToken);
 
-    if (!listId) {
-      console.warn('No "Tasks" list found for user');
+    if (lists.length === 0) {
+      console.warn('No To Do lists found for user');
       return [];
     }
 
-    // Get all tasks from the list (excluding completed by default)
-    const msTasks = await exports.getTasksFromList(accessToken, listId, excludeCompleted);
+    const transformedTasks = [];
 
-    // Transform each task to Samaanai format and fetch attachments
-    const transformedTasks = await Promise.all(msTasks.map(async (msTask) => {
-      const transformedTask = exports.transformMicrosoftTask(msTask);
+    for (const list of lists) {
+      // Get all tasks from the list (excluding completed by default)
+      const msTasks = await exports.getTasksFromList(accessToken, list.id, excludeCompleted);
 
-      // Fetch attachments for this task
-      const attachments = await exports.getTaskAttachments(accessToken, listId, msTask.id);
-      transformedTask.attachments = attachments;
+      // Transform each task to Samaanai format and fetch attachments
+      const listTasks = await Promise.all(msTasks.map(async (msTask) => {
+        const transformedTask = exports.transformMicrosoftTask(msTask);
+        transformedTask.microsoftListId = list.id;
+        transformedTask.microsoftListName = list.displayName;
 
-      // Log attachment fetching for debugging
-      if (attachments.length > 0) {
-        console.log(`Task "${msTask.title}" has ${attachments.length} attachment(s):`,
-          attachments.map(a => `${a.name} (${a.size} bytes)`).join(', '));
-      }
+        // Fetch attachments for this task
+        const attachments = await exports.getTaskAttachments(accessToken, list.id, msTask.id);
+        transformedTask.attachments = attachments;
 
-      return transformedTask;
-    }));
+        // Log attachment fetching for debugging
+        if (attachments.length > 0) {
+          console.log(`Task "${msTask.title}" has ${attachments.length} attachment(s):`,
+            attachments.map(a => `${a.name} (${a.size} bytes)`).join(', '));
+        }
+
+        return transformedTask;
+      }));
+
+      transformedTasks.push(...listTasks);
+    }
 
-    console.log(`Transformed ${transformedTasks.length} tasks from Microsoft To Do`);
+    console.log(`Transformed ${transformedTasks.length} tasks from ${lists.length} Microsoft To Do lists`);
 
     return transformedTasks;
   } catch (error) {
@@ -254,6 +262,7 @@ exports.getAndTransformTasks = async (accessToken, excludeCompleted = true) => {
  * @param {string} listId - To Do list ID
  * @param {string} taskId - Task ID
  * @returns {Promise<Array<Object>>} - Array of attachment objects with name, contentType, size
+ *   and the file's base64 contentBytes
  */
 exports.getTaskAttachments = async (accessToken, listId, taskId) => {
   try {
@@ -272,8 +281,7 @@ exports.getTaskAttachments = async (accessToken, listId, taskId) => {
       name: attachment.name,
       contentType: attachment.contentType,
       size: attachment.size,
-      // Note: contentBytes is available but we're not storing the actual file content
-      // Just metadata for now
+      contentBytes: attachment.contentBytes
     }));
   } catch (error) {
     console.error(`Error fetching attachments for task ${taskId}:`, error);
@@ -255,3 +255,74 @@ exports.getValidAccessToken = async (integration, updateCallback) => {
 
   return accessToken;
 };
+
+/**
+ * Sign in with Microsoft
+ * Separate from the To Do connection above: only OpenID Connect scopes are
+ * requested, and CSRF state is handled by the caller.
+ */
+
+// Scopes for "Sign in with Microsoft" (MSAL adds openid, profile and offline_access)
+const SIGN_IN_SCOPES = ['User.Read', 'email'];
+
+// Tenant of personal Microsoft accounts, whose email addresses Microsoft has verified
+const CONSUMER_TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+/**
+ * Whether Microsoft credentials are configured
+ * @returns {boolean}
+ */
+exports.isConfigured = () => Boolean(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET);
+
+/**
+ * Generate the authorization URL for signing in with Microsoft
+ * @param {string} state - Opaque state returned to the callback
+ * @param {string} redirectUri - Sign-in callback URL
+ * @returns {Promise<string>}
+ */
+exports.getSignInUrl = async (state, redirectUri) => {
+  const cca = getConfidentialClient();
+
+  return cca.getAuthCodeUrl({
+    scopes: SIGN_IN_SCOPES,
+    redirectUri,
+    state,
+    prompt: 'select_account'
+  });
+};
+
+/**
+ * Redeem a sign-in authorization code and describe the Microsoft account
+ * @param {string} code - Authorization code from the callback
+ * @param {string} redirectUri - Sign-in callback URL (must match getSignInUrl)
+ * @returns {Promise<Object>} - Normalized identity for identityService
+ */
+exports.getSignInIdentity = async (code, redirectUri) => {
+  const cca = getConfidentialClient();
+
+  const response = await cca.acquireTokenByCode({
+    code,
+    scopes: SIGN_IN_SCOPES,
+    redirectUri
+  });
+
+  const claims = response?.idTokenClaims;
+  if (!claims?.oid) {
+    throw new Error('No ID token received from Microsoft');
+  }
+
+  // Work and school accounts may report any address as their email, so only
+  // personal accounts are trusted to own theirs
+  const email = (claims.email || claims.preferred_username || '').toLowerCase() || null;
+
+  return {
+    provider: 'microsoft',
+    // oid is only unique within a tenant
+    providerUserId: `${claims.tid}:${claims.oid}`,
+    email,
+    emailVerified: Boolean(claims.email) && claims.tid === CONSUMER_TENANT_ID,
+    displayName: claims.name || null,
+    firstName: claims.given_name || null,
+    lastName: claims.family_name || null
+  };
+};
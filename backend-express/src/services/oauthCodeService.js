@@ -0,0 +1,84 @@
+/**
+ * OAuth Code Service
+ * Single-use authorization codes that hand a completed social sign-in back
+ * to the app. The OAuth callback redirects with ?code=... only; the app then
+ * swaps the code for tokens with POST /auth/exchange, so tokens never appear
+ * in URLs, browser history or referrers.
+ *
+ * Clients may bind a code to a PKCE code_challenge (S256) when starting the
+ * sign-in; the exchange then requires the matching code_verifier, so an app
+ * intercepting the redirect can't redeem the code.
+ */
+
+const crypto = require('crypto');
+const verificationTokenService = require('./verificationTokenService');
+
+const CODE_PURPOSE = 'oauth_code';
+const CODE_TTL_MINUTES = 2;
+
+// RFC 7636: base64url SHA-256 digest is always 43 characters
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const exchangeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a code_challenge supplied when starting sign-in
+ * @param {string} codeChallenge - base64url SHA-256 of the client's verifier
+ * @returns {boolean}
+ */
+exports.isValidCodeChallenge = (codeChallenge) => CODE_CHALLENGE_PATTERN.test(codeChallenge || '');
+
+/**
+ * Issue a code for a user who just finished signing in with a provider
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.provider - Sign-in provider (e.g. 'google'), recorded as the session method
+ * @param {string|null} options.codeChallenge - PKCE S256 challenge, if the client sent one
+ * @returns {Promise<string>} - Raw code for the redirect URL
+ */
+exports.createCode = async (userId, { provider, codeChallenge = null }) => {
+  const { token } = await verificationTokenService.createToken({
+    purpose: CODE_PURPOSE,
+    userId,
+    ttlMinutes: CODE_TTL_MINUTES,
+    data: { provider, codeChallenge }
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a code (once)
+ * @param {string} code - Code from the redirect
+ * @param {string} codeVerifier - PKCE verifier, required when the code was bound to a challenge
+ * @returns {Promise<{userId: string, provider: string}>}
+ */
+exports.exchangeCode = async (code, codeVerifier) => {
+  const record = await verificationTokenService.consumeToken(CODE_PURPOSE, code);
+
+  if (!record || !record.userId) {
+    throw exchangeError('Authorization code is invalid or has expired');
+  }
+
+  const { provider, codeChallenge } = record.data || {};
+
+  if (codeChallenge) {
+    const expected = codeVerifier
+      ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+      : '';
+
+    if (expected.length !== codeChallenge.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(codeChallenge))) {
+      throw exchangeError('Code verifier does not match');
+    }
+  }
+
+  return { userId: record.userId, provider };
+};
@@ -0,0 +1,262 @@
+/**
+ * Passkey Service
+ * WebAuthn registration and authentication ceremonies for passkeys
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { prisma } = require('../config/database');
+const verificationTokenService = require('./verificationTokenService');
+
+const REGISTRATION_PURPOSE = 'passkey_registration';
+const AUTHENTICATION_PURPOSE = 'passkey_authentication';
+
+// Challenges are only valid for a few minutes
+const CHALLENGE_TTL_MINUTES = 5;
+
+/**
+ * Relying party configuration
+ * WEBAUTHN_ORIGINS may list several origins (web app, Android apk-key-hash, etc.)
+ */
+const getRelyingParty = () => ({
+  rpName: process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'Samaanai',
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:8081')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+});
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const passkeyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Read the challenge the authenticator signed from the client data
+ * @param {Object} response - Registration/authentication response from the client
+ * @returns {string|null} - base64url challenge
+ */
+const extractChallenge = (response) => {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8')
+    );
+    return clientData.challenge || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Consume the stored challenge referenced by a client response
+ * @returns {Promise<{challenge: string, record: Object}>}
+ */
+const consumeChallenge = async (purpose, response) => {
+  const challenge = extractChallenge(response);
+  const record = await verificationTokenService.consumeToken(purpose, challenge);
+
+  if (!record) {
+    throw passkeyError('Passkey challenge is invalid or has expired');
+  }
+
+  return { challenge, record };
+};
+
+/**
+ * Generate registration options for a signed-in user
+ * @param {Object} user - User with id, username and email
+ * @returns {Promise<Object>} - PublicKeyCredentialCreationOptionsJSON
+ */
+exports.createRegistrationOptions = async (user) => {
+  const { rpName, rpID } = getRelyingParty();
+
+  const existingCredentials = await prisma.webAuthnCredential.findMany({
+    where: { userId: user.id },
+    select: { credentialId: true, transports: true }
+  });
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.username,
+    userID: Buffer.from(user.id, 'utf8'),
+    attestationType: 'none',
+    excludeCredentials: existingCredentials.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred'
+    }
+  });
+
+  await verificationTokenService.createToken({
+    purpose: REGISTRATION_PURPOSE,
+    userId: user.id,
+    ttlMinutes: CHALLENGE_TTL_MINUTES,
+    token: options.challenge
+  });
+
+  return options;
+};
+
+/**
+ * Verify an attestation and store the new credential
+ * @param {Object} user - Signed-in user
+ * @param {Object} response - RegistrationResponseJSON from the client
+ * @param {string} name - Friendly name for the passkey
+ * @returns {Promise<Object>} - Created WebAuthnCredential
+ */
+exports.verifyRegistration = async (user, response, name) => {
+  const { rpID, origins } = getRelyingParty();
+  const { challenge, record } = await consumeChallenge(REGISTRATION_PURPOSE, response);
+
+  if (record.userId !== user.id) {
+    throw passkeyError('Passkey challenge is invalid or has expired');
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    throw passkeyError(`Passkey registration failed: ${error.message}`);
+  }
+
+  if (!verification.verified || !verification.registrationInfo) {
+    throw passkeyError('Passkey registration could not be verified');
+  }
+
+  const { credential } = verification.registrationInfo;
+
+  return prisma.webAuthnCredential.create({
+    data: {
+      userId: user.id,
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      signCount: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      name: name || 'Passkey'
+    },
+    select: {
+      id: true,
+      name: true,
+      createdAt: true,
+      lastUsed: true
+    }
+  });
+};
+
+/**
+ * Generate authentication options
+ * Without a userId the browser offers any discoverable passkey for this site.
+ * @param {string|null} userId - Restrict to this user's credentials
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptionsJSON
+ */
+exports.createAuthenticationOptions = async (userId = null) => {
+  const { rpID } = getRelyingParty();
+
+  let allowCredentials;
+  if (userId) {
+    const credentials = await prisma.webAuthnCredential.findMany({
+      where: { userId },
+      select: { credentialId: true, transports: true }
+    });
+
+    allowCredentials = credentials.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    }));
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials,
+    userVerification: 'preferred'
+  });
+
+  await verificationTokenService.createToken({
+    purpose: AUTHENTICATION_PURPOSE,
+    userId,
+    ttlMinutes: CHALLENGE_TTL_MINUTES,
+    token: options.challenge
+  });
+
+  return options;
+};
+
+/**
+ * Verify an assertion and update the credential's counter
+ * @param {Object} response - AuthenticationResponseJSON from the client
+ * @returns {Promise<{user: Object, credential: Object}>}
+ */
+exports.verifyAuthentication = async (response) => {
+  const { rpID, origins } = getRelyingParty();
+  const { challenge, record } = await consumeChallenge(AUTHENTICATION_PURPOSE, response);
+
+  const credential = await prisma.webAuthnCredential.findFirst({
+    where: {
+      credentialId: response.id,
+      // Challenges issued for a specific user only accept that user's passkeys
+      ...(record.userId && { userId: record.userId })
+    },
+    include: {
+      user: {
+        include: { profile: true }
+      }
+    }
+  });
+
+  if (!credential) {
+    throw passkeyError('Passkey not recognized', 401);
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: Buffer.from(credential.publicKey, 'base64url'),
+        counter: credential.signCount,
+        transports: credential.transports
+      },
+      requireUserVerification: false
+    });
+  } catch (error) {
+    throw passkeyError(`Passkey authentication failed: ${error.message}`, 401);
+  }
+
+  if (!verification.verified) {
+    throw passkeyError('Passkey authentication could not be verified', 401);
+  }
+
+  const updatedCredential = await prisma.webAuthnCredential.update({
+    where: { id: credential.id },
+    data: {
+      signCount: verification.authenticationInfo.newCounter,
+      lastUsed: new Date()
+    }
+  });
+
+  return { user: credential.user, credential: updatedCredential };
+};
@@ -0,0 +1,41 @@
+/**
+ * Password Reset Service
+ * Emailed single-use links for setting a new password. Used by "Forgot password?"
+ * and by staff forcing a reset.
+ */
+
+const verificationTokenService = require('./verificationTokenService');
+const { sendPasswordResetEmail } = require('./emailService');
+const { getFrontendUrl, buildLink } = require('../config/urls');
+
+const PASSWORD_RESET_PURPOSE = 'password_reset';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+/**
+ * Email a password reset link, invalidating any earlier links
+ * @param {Object} user - User with id, email and name fields
+ * @returns {Promise<void>}
+ */
+exports.sendResetLink = async (user) => {
+  // Only the most recent link stays valid
+  await verificationTokenService.invalidateTokens(user.id, PASSWORD_RESET_PURPOSE);
+
+  const { token } = await verificationTokenService.createToken({
+    purpose: PASSWORD_RESET_PURPOSE,
+    userId: user.id,
+    ttlMinutes: PASSWORD_RESET_TTL_MINUTES
+  });
+
+  const resetUrl = buildLink(getFrontendUrl(), '/reset-password', { token });
+
+  sendPasswordResetEmail(user, resetUrl, PASSWORD_RESET_TTL_MINUTES).catch(error => {
+    console.error('Failed to send password reset email:', error);
+  });
+};
+
+/**
+ * Use a reset link
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Object|null>} - Token record, or null if invalid/expired/used
+ */
+exports.consumeResetToken = (token) => verificationTokenService.consumeToken(PASSWORD_RESET_PURPOSE, token);
@@ -0,0 +1,148 @@
+/**
+ * Personal Access Token Service
+ * Long-lived, scoped API tokens that users create for scripts and automations.
+ * The raw token is returned once at creation; only its SHA-256 hash is stored.
+ *
+ * Scopes are `<resource>:read` or `<resource>:write`; a write scope also
+ * grants read access to the same resource.
+ */
+
+const { prisma } = require('../config/database');
+const { hashToken, generateToken } = require('./verificationTokenService');
+
+// Recognizable prefix so tokens can be told apart from JWTs (and found by secret scanners)
+const TOKEN_PREFIX = 'sam_pat_';
+
+const SCOPES = ['todo:read', 'todo:write', 'nutrition:read', 'nutrition:write'];
+
+const MAX_TOKENS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+
+// Don't write lastUsedAt on every request from a busy script
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Fields returned to the owner (never the hash)
+const TOKEN_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const tokenError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.SCOPES = SCOPES;
+exports.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+
+/**
+ * Whether a bearer token looks like a personal access token (rather than a JWT)
+ * @param {string} token - Raw bearer token
+ * @returns {boolean}
+ */
+exports.isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Check a token's scopes
+ * @param {string[]} scopes - Scopes granted to the token
+ * @param {string} scope - Scope the route needs
+ * @returns {boolean}
+ */
+exports.hasScope = (scopes, scope) => {
+  const [resource, access] = scope.split(':');
+  return scopes.includes(scope) || (access === 'read' && scopes.includes(`${resource}:write`));
+};
+
+/**
+ * Create a token
+ * @param {string} userId - Owner
+ * @param {Object} options
+ * @param {string} options.name - Label shown in the token list
+ * @param {string[]} options.scopes - Granted scopes (from SCOPES)
+ * @param {number} options.expiresInDays - Lifetime, 1 to MAX_EXPIRY_DAYS days
+ * @returns {Promise<{token: string, accessToken: Object}>} - Raw token (shown once) and its summary
+ */
+exports.createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const count = await prisma.personalAccessToken.count({ where: { userId } });
+  if (count >= MAX_TOKENS_PER_USER) {
+    throw tokenError(`You can have at most ${MAX_TOKENS_PER_USER} access tokens. Revoke one first.`);
+  }
+
+  const token = `${TOKEN_PREFIX}${generateToken()}`;
+
+  const accessToken = await prisma.personalAccessToken.create({
+    data: {
+      userId,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 4),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    },
+    select: TOKEN_SUMMARY_SELECT
+  });
+
+  return { token, accessToken };
+};
+
+/**
+ * List a user's tokens, newest first
+ * @param {string} userId - Owner
+ * @returns {Promise<Object[]>}
+ */
+exports.listTokens = async (userId) => {
+  return prisma.personalAccessToken.findMany({
+    where: { userId },
+    select: TOKEN_SUMMARY_SELECT,
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Revoke (delete) one of the user's tokens
+ * @param {string} userId - Owner
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<boolean>} - false if the user has no such token
+ */
+exports.revokeToken = async (userId, tokenId) => {
+  const { count } = await prisma.personalAccessToken.deleteMany({
+    where: { id: tokenId, userId }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Look up the token presented with a request and record its use
+ * @param {string} token - Raw bearer token
+ * @param {string|null} ipAddress - Client IP
+ * @returns {Promise<Object|null>} - Token record, or null if unknown/expired
+ */
+exports.verifyToken = async (token, ipAddress = null) => {
+  const record = await prisma.personalAccessToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!record || record.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await prisma.personalAccessToken.update({
+      where: { id: record.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    });
+  }
+
+  return record;
+};
@@ -77,17 +77,21 @@ const sendBulkPushNotifications = async (messages) => {
  * Send task reminder push notification
  */
 const sendTaskReminderNotification = async (pushToken, task) => {
-  const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date';
+  // Due dates are calendar days stored at midnight UTC
+  const dueDate = task.dueDate
+    ? `${new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' })}${task.dueTime ? ` at ${task.dueTime}` : ''}`
+    : null;
 
   return sendPushNotification({
     pushToken,
     title: 'Task Reminder',
-    body: `Don't forget: ${task.name}`,
+    body: dueDate ? `Don't forget: ${task.name} (due ${dueDate})` : `Don't forget: ${task.name}`,
     data: {
       type: 'task_reminder',
       taskId: task.id,
       taskName: task.name,
-      dueDate: task.dueDate
+      dueDate: task.dueDate,
+      dueTime: task.dueTime
     }
   });
 };
@@ -0,0 +1,505 @@
+/**
+ * Recurrence Service
+ * Repeat rules for recurring tasks, written as iCalendar RRULEs
+ * (RFC 5545), e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE".
+ *
+ * Due dates are calendar days, so rules run on days too: DAILY, WEEKLY,
+ * MONTHLY and YEARLY with INTERVAL, BYDAY (with an ordinal for monthly and
+ * yearly rules, e.g. -1FR), BYMONTHDAY, BYMONTH, BYSETPOS, WKST and either
+ * COUNT or UNTIL. Days are handled as UTC midnights so no server or DST
+ * offset can shift them; "today" comes from the user's timezone.
+ */
+
+const { prisma } = require('../config/database');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DEFAULT_TIMEZONE = 'US/Pacific';
+
+// Rules that can never produce a date (e.g. BYMONTH=2;BYMONTHDAY=30) stop after this many periods
+const MAX_EMPTY_PERIODS = 1000;
+
+// Shorthands kept from the old reminderType values
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const recurrenceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+const makeDay = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => makeDay(year, month + 1, 0).getUTCDate();
+
+/**
+ * Strip the time from a date, keeping its UTC calendar day
+ */
+const toDay = (date) => {
+  const value = new Date(date);
+  return makeDay(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+};
+
+/**
+ * Parse a comma-separated list of integers within ±max (0 never allowed)
+ */
+const parseNumbers = (name, value, max, { allowNegative = true } = {}) => value.split(',').map(item => {
+  const number = Number(item);
+  const valid = Number.isInteger(number) && number !== 0 &&
+    Math.abs(number) <= max && (allowNegative || number > 0);
+
+  if (!/^[+-]?\d+$/.test(item) || !valid) {
+    throw recurrenceError(`Invalid ${name} value "${item}" in recurrence rule`);
+  }
+  return number;
+});
+
+/**
+ * Parse UNTIL, keeping only its date (20261231 or 20261231T235959Z)
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  const until = match && makeDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  if (!until || until.getUTCDate() !== Number(match[3])) {
+    throw recurrenceError('UNTIL must be a date like 20261231');
+  }
+  return until;
+};
+
+/**
+ * Parse an RRULE into its parts
+ * @param {string} text - e.g. "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1" (an "RRULE:" prefix is allowed)
+ * @returns {Object} - { freq, interval, byDay: [{ weekday, nth }], byMonthDay, byMonth, bySetPos, weekStart, count, until }
+ */
+exports.parseRule = (text) => {
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], weekStart: 1 };
+  const seen = new Set();
+
+  const parts = String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawName, value, extra] = part.split('=');
+    const name = (rawName || '').toUpperCase();
+
+    if (!value || extra !== undefined) {
+      throw recurrenceError(`Invalid recurrence rule part "${part}"`);
+    }
+    if (seen.has(name)) {
+      throw recurrenceError(`${name} appears more than once in the recurrence rule`);
+    }
+    seen.add(name);
+
+    const upper = value.toUpperCase();
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upper)) {
+          throw recurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = upper;
+        break;
+      case 'INTERVAL':
+        [rule.interval] = parseNumbers(name, value, 999, { allowNegative: false });
+        break;
+      case 'COUNT':
+        [rule.count] = parseNumbers(name, value, 9999, { allowNegative: false });
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(upper);
+        break;
+      case 'BYDAY':
+        rule.byDay = upper.split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          const nth = match && match[1] ? Number(match[1]) : null;
+
+          if (!match || nth === 0 || Math.abs(nth) > 53) {
+            throw recurrenceError(`Invalid BYDAY value "${item}" in recurrence rule`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumbers(name, value, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseNumbers(name, value, 12, { allowNegative: false });
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseNumbers(name, value, 366);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(upper)) {
+          throw recurrenceError('WKST must be a weekday like MO');
+        }
+        rule.weekStart = WEEKDAYS.indexOf(upper);
+        break;
+      default:
+        throw recurrenceError(`${name} is not supported in recurrence rules`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw recurrenceError('Recurrence rule needs a FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw recurrenceError('A recurrence rule can have COUNT or UNTIL, not both');
+  }
+
+  const hasOrdinal = rule.byDay.some(day => day.nth !== null);
+  if (hasOrdinal && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw recurrenceError('Numbered BYDAY values (like 2MO) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  if (hasOrdinal && rule.freq === 'YEARLY' && rule.byMonth.length === 0) {
+    throw recurrenceError('Numbered BYDAY values in a yearly rule need BYMONTH');
+  }
+  if (rule.byDay.some(day => day.nth !== null && Math.abs(day.nth) > 5)) {
+    throw recurrenceError('Numbered BYDAY values must be between -5 and 5');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw recurrenceError('BYMONTHDAY can\'t be used with FREQ=WEEKLY');
+  }
+
+  return rule;
+};
+
+/**
+ * Write a parsed rule back as a canonical RRULE string
+ * @param {Object} rule - From parseRule
+ * @returns {string}
+ */
+exports.formatRule = (rule) => {
+  const pad = (number) => String(number).padStart(2, '0');
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.nth || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos.length > 0) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.weekStart !== 1) parts.push(`WKST=${WEEKDAYS[rule.weekStart]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const until = rule.until;
+    parts.push(`UNTIL=${until.getUTCFullYear()}${pad(until.getUTCMonth() + 1)}${pad(until.getUTCDate())}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Check a recurrence from a request body and return it in canonical form
+ * @param {string|null|undefined} value - RRULE, a preset (daily, weekly, monthly, yearly), or null/'' for none
+ * @returns {string|null|undefined} - undefined when the value was omitted
+ */
+exports.normalizeRecurrence = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '' || value === 'none') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > 200) {
+    throw recurrenceError('Recurrence must be an RRULE string of up to 200 characters');
+  }
+
+  const preset = PRESETS[value.trim().toLowerCase()];
+  return exports.formatRule(exports.parseRule(preset || value));
+};
+
+/**
+ * Days of one month a rule picks, before BYSETPOS
+ */
+const expandMonth = (rule, year, month, anchor) => {
+  const length = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length);
+  } else if (rule.byDay.length === 0) {
+    // Same day of the month as the anchor; months without it are skipped
+    days = anchor.getUTCDate() <= length ? [anchor.getUTCDate()] : [];
+  } else {
+    days = Array.from({ length }, (_, index) => index + 1);
+  }
+
+  if (rule.byDay.length > 0) {
+    days = days.filter(day => {
+      const weekday = makeDay(year, month, day).getUTCDay();
+      return rule.byDay.some(byDay => {
+        if (byDay.weekday !== weekday) return false;
+        if (byDay.nth === null) return true;
+
+        // Which of this weekday in the month the day is, from the start or the end
+        const fromStart = Math.ceil(day / 7);
+        const fromEnd = -Math.ceil((length - day + 1) / 7);
+        return byDay.nth === fromStart || byDay.nth === fromEnd;
+      });
+    });
+  }
+
+  return days.map(day => makeDay(year, month, day));
+};
+
+/**
+ * Every day a rule picks within one period (a day, week, month or year)
+ */
+const expandPeriod = (rule, periodStart, anchor) => {
+  const inMonths = (dates) => (rule.byMonth.length > 0
+    ? dates.filter(date => rule.byMonth.includes(date.getUTCMonth() + 1))
+    : dates);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const weekdayOk = rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === periodStart.getUTCDay());
+      const monthDays = expandMonth({ ...rule, byDay: [] }, periodStart.getUTCFullYear(), periodStart.getUTCMonth(), periodStart);
+      const monthDayOk = monthDays.some(date => date.getTime() === periodStart.getTime());
+      return weekdayOk && monthDayOk ? inMonths([periodStart]) : [];
+    }
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [anchor.getUTCDay()];
+      const week = Array.from({ length: 7 }, (_, index) => addDays(periodStart, index));
+      return inMonths(week.filter(date => weekdays.includes(date.getUTCDay())));
+    }
+    case 'MONTHLY':
+      return inMonths(expandMonth(rule, periodStart.getUTCFullYear(), periodStart.getUTCMonth(), anchor));
+    case 'YEARLY': {
+      const year = periodStart.getUTCFullYear();
+      const months = rule.byMonth.length > 0
+        ? rule.byMonth.map(month => month - 1)
+        : (rule.byDay.length > 0 || rule.byMonthDay.length > 0
+          ? Array.from({ length: 12 }, (_, index) => index)
+          : [anchor.getUTCMonth()]);
+      return months.sort((a, b) => a - b).flatMap(month => expandMonth(rule, year, month, anchor));
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Start of the period holding a day, moved on by a number of periods
+ */
+const periodStart = (rule, anchor, offset) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(anchor, offset);
+    case 'WEEKLY': {
+      const back = (anchor.getUTCDay() - rule.weekStart + 7) % 7;
+      return addDays(anchor, offset * 7 - back);
+    }
+    case 'MONTHLY':
+      return makeDay(anchor.getUTCFullYear(), anchor.getUTCMonth() + offset, 1);
+    default:
+      return makeDay(anchor.getUTCFullYear() + offset, 0, 1);
+  }
+};
+
+/**
+ * Occurrences of a rule after an anchor day, in order. The anchor's period
+ * is the first one, so INTERVAL counts from it. UNTIL is honored; COUNT is
+ * left to the caller, which knows how many occurrences came before.
+ * @param {Object} rule - From parseRule
+ * @param {Date} anchor - Day the series continues from (not itself returned)
+ */
+function* occurrencesAfter(rule, anchor) {
+  let emptyPeriods = 0;
+
+  for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period += rule.interval) {
+    let dates = expandPeriod(rule, periodStart(rule, anchor, period), anchor)
+      .sort((a, b) => a - b);
+
+    if (rule.bySetPos.length > 0) {
+      dates = rule.bySetPos
+        .map(position => dates[position > 0 ? position - 1 : dates.length + position])
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    }
+
+    const upcoming = dates.filter(date => date > anchor);
+    emptyPeriods = upcoming.length > 0 ? 0 : emptyPeriods + 1;
+
+    for (const date of upcoming) {
+      if (rule.until && date > rule.until) {
+        return;
+      }
+      yield date;
+    }
+  }
+}
+
+/**
+ * Today's date in a timezone, as a UTC midnight
+ * @param {string} timezone - IANA name, e.g. 'America/Los_Angeles'
+ * @param {Date} now
+ * @returns {Date}
+ */
+exports.todayIn = (timezone, now = new Date()) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || DEFAULT_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).formatToParts(now);
+  } catch {
+    // Unknown timezone names fall back to UTC rather than failing the request
+    return toDay(now);
+  }
+
+  const part = (type) => Number(parts.find(item => item.type === type).value);
+  return makeDay(part('year'), part('month') - 1, part('day'));
+};
+
+/**
+ * Today's date for a user, in the timezone on their profile
+ * @param {string} userId - User ID
+ * @returns {Promise<Date>}
+ */
+exports.userToday = async (userId) => {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { timezone: true }
+  });
+
+  return exports.todayIn(profile?.timezone);
+};
+
+/**
+ * Work out where a recurring task goes once its current occurrence is
+ * completed or skipped
+ *
+ * Fixed schedules continue from the due date and catch up past today, so a
+ * task that was left overdue lands on its next upcoming date rather than on
+ * one that has already passed. Tasks that repeat from completion continue
+ * from today. Occurrences missed on the way count towards COUNT, and so does
+ * one that falls today, which is covered by the completion itself.
+ * @param {Object} task - { recurrence, recurFromCompletion, occurrenceCount, dueDate }
+ * @param {Date} today - The user's today (see userToday)
+ * @returns {{ nextDueDate: Date|null, occurrences: number, missed: Date[], covered: Date|null }} -
+ *   nextDueDate is null when the series has ended; occurrences is the new occurrenceCount;
+ *   missed are the dates passed over on the way; covered is today, if an occurrence fell on it
+ */
+exports.nextOccurrence = (task, today) => {
+  const rule = exports.parseRule(task.recurrence);
+  const fromCompletion = task.recurFromCompletion || !task.dueDate;
+  const anchor = fromCompletion ? toDay(today) : toDay(task.dueDate);
+  const done = (task.occurrenceCount || 0) + 1;
+  const missed = [];
+  let covered = null;
+  const used = () => done + missed.length + (covered ? 1 : 0);
+
+  for (const date of occurrencesAfter(rule, anchor)) {
+    if (rule.count && used() >= rule.count) {
+      break;
+    }
+    if (date > toDay(today) || fromCompletion) {
+      return { nextDueDate: date, occurrences: used(), missed, covered };
+    }
+    if (date < toDay(today)) {
+      missed.push(date);
+    } else {
+      // An occurrence falling today is covered by this completion
+      covered = date;
+    }
+  }
+
+  return { nextDueDate: null, occurrences: used(), missed, covered };
+};
+
+/**
+ * The next few dates of a rule, for previews
+ * @param {string} recurrence - RRULE
+ * @param {Date} from - Day to start after
+ * @param {number} limit - How many dates
+ * @returns {Date[]}
+ */
+exports.previewOccurrences = (recurrence, from, limit = 5) => {
+  const rule = exports.parseRule(recurrence);
+  const dates = [];
+
+  for (const date of occurrencesAfter(rule, toDay(from))) {
+    if (dates.length >= limit || (rule.count && dates.length >= rule.count)) {
+      break;
+    }
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Convert a Microsoft To Do recurrence (patternedRecurrence) to an RRULE
+ * @param {Object} recurrence - { pattern, range } from Microsoft Graph
+ * @returns {string|null} - null for patterns with no RRULE equivalent
+ */
+exports.fromMicrosoftRecurrence = (recurrence) => {
+  const pattern = recurrence?.pattern;
+  if (!pattern) {
+    return null;
+  }
+
+  const days = (pattern.daysOfWeek || []).map(day => day.slice(0, 2).toUpperCase());
+  const nth = { first: 1, second: 2, third: 3, fourth: 4, last: -1 }[pattern.index] || 1;
+  const parts = [];
+
+  switch (pattern.type) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+    case 'weekly':
+      parts.push('FREQ=WEEKLY');
+      if (days.length > 0) parts.push(`BYDAY=${days.join(',')}`);
+      break;
+    case 'absoluteMonthly':
+      parts.push('FREQ=MONTHLY', `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case 'relativeMonthly':
+      parts.push('FREQ=MONTHLY', `BYDAY=${days.join(',')}`, `BYSETPOS=${nth}`);
+      break;
+    case 'absoluteYearly':
+      parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case 'relativeYearly':
+      parts.push('FREQ=YEARLY', `BYMONTH=${pattern.month}`, `BYDAY=${days.join(',')}`, `BYSETPOS=${nth}`);
+      break;
+    default:
+      return null;
+  }
+
+  if (pattern.interval > 1) {
+    parts.push(`INTERVAL=${pattern.interval}`);
+  }
+
+  const range = recurrence.range || {};
+  if (range.type === 'numbered' && range.numberOfOccurrences > 0) {
+    parts.push(`COUNT=${range.numberOfOccurrences}`);
+  } else if (range.type === 'endDate' && range.endDate) {
+    parts.push(`UNTIL=${range.endDate.replace(/-/g, '')}`);
+  }
+
+  try {
+    return exports.normalizeRecurrence(parts.join(';'));
+  } catch {
+    return null;
+  }
+};
@@ -4,6 +4,22 @@ const { sendWeeklyReportEmail, sendCalorieReminderEmail } = require('./emailServ
 const { sendWeeklyReportNotification, sendCalorieReminderNotification } = require('./pushNotificationService');
 const { sendTaskReminderEmail } = require('./emailService');
 const { sendTaskReminderNotification } = require('./pushNotificationService');
+const { purgeExpiredTokens } = require('./verificationTokenService');
+const { purgeExpiredRefreshTokens } = require('./tokenService');
+const { purgeExpiredExports } = require('./dataExportService');
+const { purgeScheduledDeletions } = require('./accountDeletionService');
+const { purgeOldLoginEvents } = require('./loginSecurityService');
+const { purgeOrphanedFiles } = require('./taskAttachmentService');
+const { claimDueReminders } = require('./taskReminderService');
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = require('./taskTrashService');
+
+/**
+ * Whether scheduled emails may be sent to this user
+ * Unverified addresses never receive scheduled emails.
+ */
+const canSendEmail = (user) => Boolean(
+  user.profile.emailNotifications && user.email && user.emailVerified
+);
 
 /**
  * Calculate weekly report data for a user
@@ -44,12 +60,13 @@ const calculateWeeklyReport = async (userId) => {
 
   // Get task stats
   const tasks = await prisma.task.findMany({
-    where: { userId }
+    where: { userId, deletedAt: null }
   });
 
   const tasksCompletedThisWeek = await prisma.task.count({
     where: {
       userId,
+      deletedAt: null,
       completedAt: {
         gte: oneWeekAgo
       }
@@ -97,8 +114,8 @@ const sendWeeklyReports = async () => {
         // Calculate report data
         const reportData = await calculateWeeklyReport(user.id);
 
-        // Send email if email notifications are enabled
-        if (user.profile.emailNotifications && user.email) {
+        // Send email if email notifications are enabled and the address is verified
+        if (canSendEmail(user)) {
           await sendWeeklyReportEmail(user, reportData);
           console.log(`Sent weekly report email to ${user.email}`);
         }
@@ -122,35 +139,17 @@ const sendWeeklyReports = async () => {
 };
 
 /**
- * Send reminders for tasks due today or tomorrow
+ * Send the task reminders that are due now
+ * Each task's reminders fire at their own time in the user's timezone (see
+ * taskReminderService); a reminder is claimed before it's sent, so it goes out once.
  */
 const sendTaskReminders = async () => {
   try {
-    console.log('Starting task reminder checks...');
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const tasks = await claimDueReminders(new Date());
 
-    // Get tasks due today or tomorrow that are not completed
-    const tasks = await prisma.task.findMany({
-      where: {
-        completed: false,
-        dueDate: {
-          gte: today,
-          lt: new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000) // End of tomorrow
-        }
-      },
-      include: {
-        user: {
-          include: {
-            profile: true
-          }
-        }
-      }
-    });
+    if (tasks.length === 0) {
+      return;
+    }
 
     console.log(`Found ${tasks.length} tasks requiring reminders`);
 
@@ -162,7 +161,7 @@ const sendTaskReminders = async () => {
         if (!user.profile) continue;
 
         // Send email reminder if enabled
-        if (user.profile.emailNotifications && user.email) {
+        if (canSendEmail(user)) {
           await sendTaskReminderEmail(user, task);
           console.log(`Sent task reminder email to ${user.email} for task ${task.name}`);
         }
@@ -244,7 +243,7 @@ const sendCalorieReminders = async () => {
         console.log(`Sending notification to ${user.username} (preferred time: ${userNotificationTime})`);
 
         // Send email reminder if enabled
-        if (user.profile.emailNotifications && user.email) {
+        if (canSendEmail(user)) {
           await sendCalorieReminderEmail(user);
           console.log(`Sent calorie reminder email to ${user.email}`);
         }
@@ -267,6 +266,64 @@ const sendCalorieReminders = async () => {
   }
 };
 
+/**
+ * Remove expired and already-used verification tokens, expired refresh tokens,
+ * expired data export archives and old login history
+ */
+const cleanupExpiredTokens = async () => {
+  try {
+    const removed = await purgeExpiredTokens();
+    console.log(`Removed ${removed} expired verification tokens`);
+
+    const removedRefreshTokens = await purgeExpiredRefreshTokens();
+    console.log(`Removed ${removedRefreshTokens} expired refresh tokens`);
+
+    const removedExports = await purgeExpiredExports();
+    console.log(`Removed ${removedExports} expired data exports`);
+
+    const removedLoginEvents = await purgeOldLoginEvents();
+    console.log(`Removed ${removedLoginEvents} old login history events`);
+  } catch (error) {
+    console.error('Error in cleanupExpiredTokens:', error);
+  }
+};
+
+/**
+ * Permanently delete accounts whose deletion grace period has ended
+ */
+const processAccountDeletions = async () => {
+  try {
+    const removed = await purgeScheduledDeletions();
+    console.log(`Deleted ${removed} accounts scheduled for deletion`);
+  } catch (error) {
+    console.error('Error in processAccountDeletions:', error);
+  }
+};
+
+/**
+ * Permanently delete tasks that have been in the trash for TRASH_RETENTION_DAYS
+ */
+const cleanupTrash = async () => {
+  try {
+    const removed = await purgeExpiredTrash();
+    console.log(`Purged ${removed} tasks from the trash`);
+  } catch (error) {
+    console.error('Error in cleanupTrash:', error);
+  }
+};
+
+/**
+ * Delete attachment files left behind by deleted tasks and accounts
+ */
+const cleanupAttachmentFiles = async () => {
+  try {
+    const removed = await purgeOrphanedFiles();
+    console.log(`Removed ${removed} orphaned attachment files`);
+  } catch (error) {
+    console.error('Error in cleanupAttachmentFiles:', error);
+  }
+};
+
 /**
  * Initialize all scheduled jobs
  */
@@ -281,35 +338,60 @@ const initializeScheduler = () => {
     timezone: 'America/Los_Angeles'
   });
 
-  // Morning task reminders - Run every day at 6:30 AM PST
-  cron.schedule('30 6 * * *', () => {
-    console.log('Running morning task reminder job...');
+  // Task reminders - Run every minute and send the reminders whose time has come
+  cron.schedule('* * * * *', () => {
     sendTaskReminders();
+  });
+
+  // Calorie reminders - Run every 30 minutes to check user preferences
+  // This allows personalized notification times for each user
+  cron.schedule('*/30 * * * *', () => {
+    console.log('Running personalized calorie reminder job...');
+    sendCalorieReminders();
+  });
+
+  // Token cleanup - Run every day at 3:00 AM PST
+  cron.schedule('0 3 * * *', () => {
+    console.log('Running token cleanup job...');
+    cleanupExpiredTokens();
   }, {
     timezone: 'America/Los_Angeles'
   });
 
-  // Evening task reminders - Run every day at 8:00 PM PST
-  cron.schedule('0 20 * * *', () => {
-    console.log('Running evening task reminder job...');
-    sendTaskReminders();
+  // Account deletion - Run every day at 4:00 AM PST
+  cron.schedule('0 4 * * *', () => {
+    console.log('Running account deletion job...');
+    processAccountDeletions();
   }, {
     timezone: 'America/Los_Angeles'
   });
 
-  // Calorie reminders - Run every 30 minutes to check user preferences
-  // This allows personalized notification times for each user
-  cron.schedule('*/30 * * * *', () => {
-    console.log('Running personalized calorie reminder job...');
-    sendCalorieReminders();
+  // Trash purge - Run every day at 4:15 AM PST, before attachment cleanup
+  // removes the files of the purged tasks
+  cron.schedule('15 4 * * *', () => {
+    console.log('Running trash purge job...');
+    cleanupTrash();
+  }, {
+    timezone: 'America/Los_Angeles'
+  });
+
+  // Attachment cleanup - Run every day at 4:30 AM PST, after account deletion
+  cron.schedule('30 4 * * *', () => {
+    console.log('Running attachment cleanup job...');
+    cleanupAttachmentFiles();
+  }, {
+    timezone: 'America/Los_Angeles'
   });
 
   console.log('Scheduler service initialized successfully');
   console.log('Scheduled jobs:');
   console.log('- Weekly reports: Every Monday at 8:00 AM PST');
-  console.log('- Morning task reminders: Every day at 6:30 AM PST');
-  console.log('- Evening task reminders: Every day at 8:00 PM PST');
+  console.log('- Task reminders: Every minute (each task\'s reminders in the user\'s timezone)');
   console.log('- Personalized calorie reminders: Every 30 minutes (respects user notification_time preference)');
+  console.log('- Token cleanup: Every day at 3:00 AM PST');
+  console.log('- Account deletion: Every day at 4:00 AM PST');
+  console.log(`- Trash purge: Every day at 4:15 AM PST (tasks trashed over ${TRASH_RETENTION_DAYS} days ago)`);
+  console.log('- Attachment cleanup: Every day at 4:30 AM PST');
 };
 
 /**
@@ -333,7 +415,7 @@ const sendWeeklyReportForUser = async (userId) => {
       push: null
     };
 
-    if (user.profile.emailNotifications && user.email) {
+    if (canSendEmail(user)) {
       results.email = await sendWeeklyReportEmail(user, reportData);
     }
 
@@ -355,5 +437,8 @@ module.exports = {
   sendTaskReminders,
   sendCalorieReminders,
   calculateWeeklyReport,
-  sendWeeklyReportForUser
+  sendWeeklyReportForUser,
+  cleanupExpiredTokens,
+  processAccountDeletions,
+  cleanupTrash
 };
@@ -0,0 +1,121 @@
+/**
+ * Session Service
+ * Describes the devices a user is signed in on. Each session is one
+ * refresh-token family (see tokenService); revoking is done there.
+ */
+
+const { prisma } = require('../config/database');
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * Turn a user agent into a short label such as "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null}
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+
+  const platforms = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ];
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Expo|CFNetwork|Darwin/, 'Samaanai app']
+  ];
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || null;
+};
+
+exports.describeUserAgent = describeUserAgent;
+
+/**
+ * Collect device details for a new or refreshed session
+ * The app sends X-Device-Name (e.g. "Jane's iPhone"); browsers fall back to the user agent.
+ * @param {Object} req - Express request
+ * @returns {{deviceName: string|null, userAgent: string|null, ipAddress: string|null}}
+ */
+exports.getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = (req.get('x-device-name') || '').trim().slice(0, 100) || describeUserAgent(userAgent);
+
+  return {
+    deviceName,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+    ipAddress: req.ip || null
+  };
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string|null} currentSessionId - Session making the request
+ * @returns {Promise<Object[]>}
+ */
+exports.listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastSeenAt: 'desc' },
+    select: {
+      id: true,
+      method: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastSeenAt: true
+    }
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId
+  }));
+};
+
+/**
+ * Check that an access token's session is still active and record activity
+ * @param {string} sessionId - Session (token family) ID from the access token
+ * @returns {Promise<boolean>} - false if the session was revoked or no longer exists
+ */
+exports.validateSession = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, lastSeenAt: true }
+  });
+
+  if (!session || session.revokedAt) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+    await prisma.session.update({
+      where: { id: sessionId },
+      data: { lastSeenAt: new Date() }
+    });
+  }
+
+  return true;
+};
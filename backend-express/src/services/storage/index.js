@@ -0,0 +1,50 @@
+/**
+ * File Storage
+ * Picks the storage backend for uploaded files from STORAGE_DRIVER.
+ *
+ * Every backend has the same shape:
+ *   put(key, body, { contentType })  - store a Buffer
+ *   get(key)                          - readable stream of a stored file
+ *   remove(keys)                      - delete files (missing ones are ignored)
+ *   list(prefix)                      - async iterable of { key, lastModified }
+ *   getSignedUrl(key, options)        - URL the client can download from
+ *                                       directly, or null to serve it via the API
+ */
+
+const path = require('path');
+const localDiskStorage = require('./localDiskStorage');
+const s3Storage = require('./s3Storage');
+
+const DRIVERS = {
+  local: () => localDiskStorage({
+    root: process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads')
+  }),
+  s3: () => s3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID && {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  })
+};
+
+let storage = null;
+
+/**
+ * The configured storage backend (created on first use)
+ * @returns {Object}
+ */
+exports.getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    }
+    storage = DRIVERS[driver]();
+  }
+
+  return storage;
+};
@@ -0,0 +1,85 @@
+/**
+ * Local Disk Storage
+ * Keeps files under a directory on this machine. Suited to development and
+ * single-instance deployments; files are served back through the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage backend rooted at a directory
+ * @param {Object} options
+ * @param {string} options.root - Directory files are kept in
+ * @returns {Object} - Storage backend
+ */
+module.exports = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated by us, but never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Walk the directory tree, yielding every file with its key
+  async function* walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(fullPath);
+      } else {
+        const stats = await fs.promises.stat(fullPath);
+        yield {
+          key: path.relative(baseDir, fullPath).split(path.sep).join('/'),
+          lastModified: stats.mtime
+        };
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        const filePath = resolveKey(key);
+        await fs.promises.rm(filePath, { force: true });
+        // Tidy up the folder once its last file is gone (fails while it isn't empty)
+        await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+      }
+    },
+
+    list(prefix) {
+      return walk(resolveKey(prefix));
+    },
+
+    // Files on disk have no URL of their own
+    async getSignedUrl() {
+      return null;
+    }
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * S3 Storage
+ * Keeps files in an S3 bucket or any S3-compatible service (Cloudflare R2,
+ * MinIO, Google Cloud Storage interoperability, ...). Downloads go straight
+ * to the bucket through short-lived presigned URLs.
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// DeleteObjects takes at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Create a storage backend for a bucket
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region (use "auto" for R2)
+ * @param {string} options.endpoint - Endpoint of an S3-compatible service (omit for AWS)
+ * @param {boolean} options.forcePathStyle - Address the bucket in the path (MinIO)
+ * @param {Object} options.credentials - { accessKeyId, secretAccessKey }; the
+ *   SDK's default credential chain is used when omitted
+ * @returns {Object} - Storage backend
+ */
+module.exports = ({ bucket, region, endpoint, forcePathStyle = false, credentials }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to store files in S3');
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(credentials && { credentials })
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async remove(keys) {
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(key => ({ Key: key })),
+            Quiet: true
+          }
+        }));
+      }
+    },
+
+    async* list(prefix) {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken
+        }));
+
+        for (const object of page.Contents || []) {
+          yield { key: object.Key, lastModified: object.LastModified };
+        }
+
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    getSignedUrl(key, { expiresIn, contentDisposition, contentType }) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: contentDisposition,
+        ResponseContentType: contentType
+      }), { expiresIn });
+    }
+  };
+};
@@ -0,0 +1,168 @@
+/**
+ * Subtask Service
+ * Ordered checklist items inside a task, each with its own completion state.
+ *
+ * Positions run 0..n-1 in display order. Every change renumbers the list so
+ * there are no gaps, which keeps reordering a simple rewrite of positions.
+ */
+
+const { prisma } = require('../config/database');
+
+const MAX_SUBTASKS_PER_TASK = 100;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const subtaskError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find one of a task's subtasks
+ */
+const findSubtask = async (taskId, subtaskId) => {
+  const subtask = await prisma.subtask.findFirst({
+    where: { id: subtaskId, taskId }
+  });
+
+  if (!subtask) {
+    throw subtaskError('Subtask not found', 404);
+  }
+
+  return subtask;
+};
+
+exports.MAX_SUBTASKS_PER_TASK = MAX_SUBTASKS_PER_TASK;
+
+/**
+ * Add an item to the end of a task's checklist
+ * @param {string} taskId - Parent task ID (already checked to belong to the user)
+ * @param {Object} data
+ * @param {string} data.name
+ * @returns {Promise<Object>} - The subtask
+ */
+exports.addSubtask = async (taskId, { name }) => {
+  const count = await prisma.subtask.count({ where: { taskId } });
+
+  if (count >= MAX_SUBTASKS_PER_TASK) {
+    throw subtaskError(`A task can have at most ${MAX_SUBTASKS_PER_TASK} subtasks`);
+  }
+
+  return prisma.subtask.create({
+    data: { taskId, name, position: count }
+  });
+};
+
+/**
+ * Rename a subtask or set its completion state
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @param {Object} data - { name, completed } (either may be omitted)
+ * @returns {Promise<Object>} - The updated subtask
+ */
+exports.updateSubtask = async (taskId, subtaskId, { name, completed }) => {
+  await findSubtask(taskId, subtaskId);
+
+  return prisma.subtask.update({
+    where: { id: subtaskId },
+    data: {
+      ...(name !== undefined && { name }),
+      ...(completed !== undefined && {
+        completed,
+        completedAt: completed ? new Date() : null
+      })
+    }
+  });
+};
+
+/**
+ * Flip a subtask between done and not done
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise<Object>} - The updated subtask
+ */
+exports.toggleSubtask = async (taskId, subtaskId) => {
+  const subtask = await findSubtask(taskId, subtaskId);
+
+  return exports.updateSubtask(taskId, subtaskId, { completed: !subtask.completed });
+};
+
+/**
+ * Put a task's checklist in a new order
+ * @param {string} taskId - Parent task ID
+ * @param {string[]} subtaskIds - Every subtask ID of the task, in the new order
+ */
+exports.reorderSubtasks = async (taskId, subtaskIds) => {
+  const subtasks = await prisma.subtask.findMany({
+    where: { taskId },
+    select: { id: true }
+  });
+
+  const current = new Set(subtasks.map(subtask => subtask.id));
+  const complete = subtaskIds.length === current.size &&
+    new Set(subtaskIds).size === subtaskIds.length &&
+    subtaskIds.every(id => current.has(id));
+
+  if (!complete) {
+    throw subtaskError('subtaskIds must list every subtask of the task exactly once');
+  }
+
+  await prisma.$transaction(subtaskIds.map((id, position) => prisma.subtask.update({
+    where: { id },
+    data: { position }
+  })));
+};
+
+/**
+ * Remove a subtask and close the gap it leaves
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise<Object>} - The deleted subtask
+ */
+exports.deleteSubtask = async (taskId, subtaskId) => {
+  const subtask = await findSubtask(taskId, subtaskId);
+
+  await prisma.$transaction([
+    prisma.subtask.delete({ where: { id: subtaskId } }),
+    prisma.subtask.updateMany({
+      where: { taskId, position: { gt: subtask.position } },
+      data: { position: { decrement: 1 } }
+    })
+  ]);
+
+  return subtask;
+};
+
+/**
+ * Whether a task's checklist is finished
+ * @param {Object[]} subtasks - The task's subtasks
+ * @returns {boolean} - false for a task without subtasks
+ */
+exports.allSubtasksDone = (subtasks) =>
+  subtasks.length > 0 && subtasks.every(subtask => subtask.completed);
+
+/**
+ * Nested write that copies a checklist onto the completed copy a recurring
+ * task leaves behind. Google IDs stay with the live task.
+ * @param {Object[]} subtasks - Subtasks of the recurring task
+ * @returns {Object}
+ */
+exports.copySubtasksWrite = (subtasks) => ({
+  create: subtasks.map(({ name, completed, completedAt, position }) => ({
+    name, completed, completedAt, position
+  }))
+});
+
+/**
+ * Nested write that unticks every item so the next occurrence of a recurring
+ * task starts with a fresh checklist
+ * @returns {Object}
+ */
+exports.resetSubtasksWrite = () => ({
+  updateMany: {
+    where: { completed: true },
+    data: { completed: false, completedAt: null }
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Task Activity Service
+ * An activity log per task: when it was created, which fields changed (old and
+ * new values), completions, syncs from and pushes to Google or Microsoft, and
+ * trips to and from the trash. Every entry records where it came from, so a
+ * sync overwriting a change made in the app shows up as such.
+ */
+
+const { prisma } = require('../config/database');
+
+const ACTIVITY_TYPES = ['created', 'updated', 'completed', 'reopened', 'skipped', 'synced', 'pushed', 'deleted', 'restored'];
+const ACTIVITY_SOURCES = ['app', 'voice', 'google', 'microsoft', 'api'];
+
+// Fields whose old and new values are logged when they change
+const TRACKED_FIELDS = ['name', 'description', 'dueDate', 'dueTime', 'priority', 'recurrence', 'listId', 'tags'];
+
+const DEFAULT_ACTIVITY_LIMIT = 50;
+const MAX_ACTIVITY_LIMIT = 200;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const activityError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.ACTIVITY_TYPES = ACTIVITY_TYPES;
+exports.ACTIVITY_SOURCES = ACTIVITY_SOURCES;
+
+/**
+ * A field's value as it's stored in the log
+ */
+const loggedValue = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (field === 'dueDate') {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+  if (field === 'tags') {
+    return value.map(({ tag }) => tag.name).sort();
+  }
+  return value;
+};
+
+/**
+ * Fields that differ between two versions of a task
+ * Only fields loaded on both are compared; completion is logged on its own.
+ * @param {Object} before - The task before the change
+ * @param {Object} after - The task after it
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+exports.diffTask = (before, after) => TRACKED_FIELDS
+  .filter(field => field in before && field in after)
+  .map(field => ({ field, from: loggedValue(field, before[field]), to: loggedValue(field, after[field]) }))
+  .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+/**
+ * Add entries to a task's log
+ * @param {string} taskId - Task
+ * @param {Object[]} entries - [{ type, changes }]
+ * @param {string} source - One of ACTIVITY_SOURCES
+ * @param {Object} options
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ */
+const record = async (taskId, entries, source, { db = prisma } = {}) => {
+  if (entries.length === 0) {
+    return;
+  }
+
+  await db.taskActivity.createMany({
+    data: entries.map(({ type, changes }) => ({ taskId, type, source, changes: changes || undefined }))
+  });
+};
+
+/**
+ * Log something that happened to a task
+ * @param {string} taskId - Task
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {string} source - One of ACTIVITY_SOURCES
+ * @param {Object} options
+ * @param {Object[]} options.changes - [{ field, from, to }]
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ */
+exports.recordActivity = (taskId, type, source, { changes, db } = {}) =>
+  record(taskId, [{ type, changes }], source, { db });
+
+/**
+ * Log the difference between two versions of a task: the fields that changed,
+ * and its completion if that flipped
+ * @param {Object} before - The task before the change
+ * @param {Object} after - The task after it
+ * @param {string} source - One of ACTIVITY_SOURCES
+ * @param {Object} options
+ * @param {string} options.type - 'updated', or 'synced' for changes from a provider
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ */
+exports.recordChanges = (before, after, source, { type = 'updated', db } = {}) => {
+  const changes = exports.diffTask(before, after);
+  const entries = changes.length > 0 ? [{ type, changes }] : [];
+
+  if (typeof before.completed === 'boolean' && typeof after.completed === 'boolean' && before.completed !== after.completed) {
+    entries.push({ type: after.completed ? 'completed' : 'reopened' });
+  }
+
+  return record(after.id, entries, source, { db });
+};
+
+/**
+ * A task's activity, most recent first
+ * List changes name the lists rather than their IDs.
+ * @param {string} userId - Owner
+ * @param {string} taskId - Task
+ * @param {Object} options
+ * @param {number} options.limit - How many entries to return
+ * @returns {Promise<{activity: Object[]}>}
+ */
+exports.getActivity = async (userId, taskId, { limit } = {}) => {
+  const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_ACTIVITY_LIMIT, 1), MAX_ACTIVITY_LIMIT);
+
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, userId, deletedAt: null },
+    select: { id: true }
+  });
+
+  if (!task) {
+    throw activityError('Task not found', 404);
+  }
+
+  const activity = await prisma.taskActivity.findMany({
+    where: { taskId },
+    select: { id: true, type: true, source: true, changes: true, createdAt: true },
+    orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+    take
+  });
+
+  const listIds = [...new Set(activity.flatMap(({ changes }) => (changes || [])
+    .filter(({ field }) => field === 'listId')
+    .flatMap(({ from, to }) => [from, to])))];
+  const lists = listIds.length > 0
+    ? await prisma.taskList.findMany({ where: { id: { in: listIds }, userId }, select: { id: true, name: true } })
+    : [];
+  const listName = (id) => lists.find(list => list.id === id)?.name ?? null;
+
+  return {
+    activity: activity.map(entry => ({
+      ...entry,
+      changes: entry.changes && entry.changes.map(change => (change.field === 'listId'
+        ? { field: 'list', from: listName(change.from), to: listName(change.to) }
+        : change))
+    }))
+  };
+};
@@ -0,0 +1,415 @@
+/**
+ * Task Attachment Service
+ * Files attached to tasks: upload checks, thumbnails, download links and cleanup.
+ *
+ * The bytes live in the configured storage backend (see storage/) under
+ * attachments/<attachmentId>/, next to a small WebP thumbnail for images.
+ * Download links are signed, expiring API URLs so they work in <img> tags
+ * and browsers without an Authorization header; with S3 the API redirects
+ * to a presigned bucket URL instead of streaming the file itself.
+ *
+ * Rows are removed with their task (cascade), so files whose row is gone are
+ * swept up later by purgeOrphanedFiles rather than on every delete path.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { getStorage } = require('./storage');
+const { getApiBaseUrl, buildLink } = require('../config/urls');
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TASK = 10;
+
+const ALLOWED_CONTENT_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif',
+  'application/pdf',
+  'text/plain', 'text/csv', 'text/markdown',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'audio/mpeg', 'audio/mp4', 'audio/x-m4a',
+  'video/mp4', 'video/quicktime'
+];
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Download links stay the same within an hour (so images cache) and work for
+// this long after that
+const DOWNLOAD_URL_TTL_HOURS = 24;
+const DOWNLOAD_PURPOSE = 'attachment_download';
+const VARIANTS = ['file', 'thumbnail'];
+
+const KEY_PREFIX = 'attachments/';
+// Files younger than this are never swept, so an upload that hasn't saved its row yet survives
+const ORPHAN_GRACE_HOURS = 24;
+const ORPHAN_BATCH_SIZE = 500;
+
+const ATTACHMENT_SELECT = {
+  id: true,
+  fileName: true,
+  contentType: true,
+  size: true,
+  width: true,
+  height: true,
+  thumbnailKey: true,
+  createdAt: true
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const attachmentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Derived key so download links can never be accepted as access tokens
+const getSigningKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key')
+  .update(DOWNLOAD_PURPOSE)
+  .digest();
+
+exports.MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+exports.MAX_ATTACHMENTS_PER_TASK = MAX_ATTACHMENTS_PER_TASK;
+exports.ATTACHMENT_SELECT = ATTACHMENT_SELECT;
+
+/**
+ * Signed URL for one variant of an attachment
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} variant - 'file' or 'thumbnail'
+ * @returns {string}
+ */
+const downloadUrl = (attachmentId, variant) => {
+  const hour = Math.floor(Date.now() / (60 * 60 * 1000)) * 60 * 60;
+  const token = jwt.sign(
+    { aid: attachmentId, variant, purpose: DOWNLOAD_PURPOSE, iat: hour },
+    getSigningKey(),
+    { expiresIn: `${DOWNLOAD_URL_TTL_HOURS + 1}h` }
+  );
+
+  return buildLink(getApiBaseUrl(), `/api/v1/todo/attachments/${attachmentId}/${variant}`, { token });
+};
+
+/**
+ * Shape an attachment for API responses, with download links
+ * @param {Object} attachment - Loaded with ATTACHMENT_SELECT
+ * @returns {Object}
+ */
+exports.serializeAttachment = ({ thumbnailKey, ...attachment }) => ({
+  ...attachment,
+  url: downloadUrl(attachment.id, 'file'),
+  thumbnailUrl: thumbnailKey ? downloadUrl(attachment.id, 'thumbnail') : null
+});
+
+/**
+ * Thumbnail and dimensions of an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<{thumbnail: Buffer, width: number, height: number}|null>} -
+ *   null if the image can't be read (e.g. HEIC without codec support)
+ */
+const makeThumbnail = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = metadata.orientation >= 5;
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return {
+      thumbnail,
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+  } catch (error) {
+    logger.warn({ err: error }, 'Could not create an attachment thumbnail');
+    return null;
+  }
+};
+
+/**
+ * Check a file against the type and size limits
+ * @param {Object} file - { originalname, mimetype, size }
+ */
+const checkFile = ({ originalname, mimetype, size }) => {
+  if (!ALLOWED_CONTENT_TYPES.includes(mimetype)) {
+    throw attachmentError(`${originalname}: files of type ${mimetype || 'unknown'} can't be attached`, 415);
+  }
+
+  if (size > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError(`${originalname}: files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`, 413);
+  }
+};
+
+/**
+ * Store a file and attach it to a task
+ * The files are removed again if the row can't be saved.
+ * @param {string} taskId - Task ID
+ * @param {Object} file - { buffer, originalname, mimetype, size }
+ * @param {Object} options
+ * @param {string} options.microsoftAttachmentId - Microsoft To Do attachment it came from
+ * @returns {Promise<Object>} - Attachment loaded with ATTACHMENT_SELECT
+ */
+const storeAttachment = async (taskId, file, { microsoftAttachmentId = null } = {}) => {
+  checkFile(file);
+
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const storageKey = `${KEY_PREFIX}${id}/file`;
+  const image = file.mimetype.startsWith('image/') ? await makeThumbnail(file.buffer) : null;
+  const thumbnailKey = image ? `${KEY_PREFIX}${id}/thumbnail` : null;
+
+  try {
+    await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+    if (image) {
+      await storage.put(thumbnailKey, image.thumbnail, { contentType: 'image/webp' });
+    }
+
+    return await prisma.taskAttachment.create({
+      data: {
+        id,
+        taskId,
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        width: image?.width ?? null,
+        height: image?.height ?? null,
+        microsoftAttachmentId
+      },
+      select: ATTACHMENT_SELECT
+    });
+  } catch (error) {
+    await storage.remove([storageKey, thumbnailKey].filter(Boolean)).catch(() => {});
+    throw error;
+  }
+};
+
+exports.storeAttachment = storeAttachment;
+
+/**
+ * Delete attachments' files, logging rather than failing if storage is unavailable
+ * (anything left behind is picked up by purgeOrphanedFiles)
+ */
+const removeFiles = async (attachments) => {
+  const keys = attachments.flatMap(({ storageKey, thumbnailKey }) => [storageKey, thumbnailKey]).filter(Boolean);
+  if (keys.length === 0) {
+    return;
+  }
+
+  try {
+    await getStorage().remove(keys);
+  } catch (error) {
+    logger.error({ err: error }, `Could not remove ${keys.length} attachment file(s)`);
+  }
+};
+
+/**
+ * Attach uploaded files to one of the user's tasks
+ * @param {string} userId - Owner
+ * @param {string} taskId - Task ID
+ * @param {Object[]} files - Multer files ({ buffer, originalname, mimetype, size })
+ * @returns {Promise<Object[]>} - The new attachments, serialized
+ */
+exports.addAttachments = async (userId, taskId, files = []) => {
+  if (files.length === 0) {
+    throw attachmentError('Choose at least one file to attach');
+  }
+
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, userId, deletedAt: null },
+    select: { id: true, _count: { select: { attachments: true } } }
+  });
+
+  if (!task) {
+    throw attachmentError('Task not found', 404);
+  }
+
+  if (task._count.attachments + files.length > MAX_ATTACHMENTS_PER_TASK) {
+    throw attachmentError(`A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`);
+  }
+
+  // Check every file before storing any of them
+  files.forEach(checkFile);
+
+  const attachments = [];
+  for (const file of files) {
+    attachments.push(await storeAttachment(task.id, file));
+  }
+
+  return attachments.map(exports.serializeAttachment);
+};
+
+/**
+ * Remove an attachment from one of the user's tasks
+ * @param {string} userId - Owner
+ * @param {string} taskId - Task ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<void>}
+ */
+exports.deleteAttachment = async (userId, taskId, attachmentId) => {
+  const attachment = await prisma.taskAttachment.findFirst({
+    where: { id: attachmentId, taskId, task: { userId, deletedAt: null } }
+  });
+
+  if (!attachment) {
+    throw attachmentError('Attachment not found', 404);
+  }
+
+  await prisma.taskAttachment.delete({ where: { id: attachment.id } });
+  await removeFiles([attachment]);
+};
+
+/**
+ * Work out what a download link points at
+ * @param {string} attachmentId - Attachment ID from the URL
+ * @param {string} variant - 'file' or 'thumbnail' from the URL
+ * @param {string} token - Signed token from the URL
+ * @returns {Promise<{redirectUrl: string}|{stream: Object, contentType: string, fileName: string, size: number, inline: boolean}|null>} -
+ *   null if the link is invalid or expired, the attachment is gone, or its task is in the trash
+ */
+exports.openDownload = async (attachmentId, variant, token) => {
+  if (!VARIANTS.includes(variant) || !token || typeof token !== 'string') {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSigningKey());
+  } catch {
+    return null;
+  }
+
+  if (payload.purpose !== DOWNLOAD_PURPOSE || payload.aid !== attachmentId || payload.variant !== variant) {
+    return null;
+  }
+
+  // Links stop working once the task is in the trash or its owner's account is closing
+  const attachment = await prisma.taskAttachment.findFirst({
+    where: { id: attachmentId, task: { deletedAt: null, user: { isActive: true } } }
+  });
+  const key = variant === 'thumbnail' ? attachment?.thumbnailKey : attachment?.storageKey;
+  if (!key) {
+    return null;
+  }
+
+  const contentType = variant === 'thumbnail' ? 'image/webp' : attachment.contentType;
+  // Only images open in the browser; everything else is downloaded
+  const inline = contentType.startsWith('image/');
+  const storage = getStorage();
+
+  const redirectUrl = await storage.getSignedUrl(key, {
+    expiresIn: 5 * 60,
+    contentType,
+    contentDisposition: `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  });
+  if (redirectUrl) {
+    return { redirectUrl };
+  }
+
+  return {
+    stream: await storage.get(key),
+    contentType,
+    fileName: attachment.fileName,
+    size: variant === 'thumbnail' ? null : attachment.size,
+    inline
+  };
+};
+
+/**
+ * Mirror a Microsoft To Do task's attachments onto the synced task
+ * Microsoft always wins: attachments removed there are removed here, new ones
+ * are downloaded. Files over the size limit or of other types are skipped.
+ * @param {string} taskId - Synced task ID
+ * @param {Object[]} msAttachments - { id, name, contentType, size, contentBytes }
+ * @returns {Promise<void>}
+ */
+exports.syncMicrosoftAttachments = async (taskId, msAttachments = []) => {
+  const existing = await prisma.taskAttachment.findMany({
+    where: { taskId, microsoftAttachmentId: { not: null } }
+  });
+  const msIds = msAttachments.map(attachment => attachment.id);
+
+  const removed = existing.filter(attachment => !msIds.includes(attachment.microsoftAttachmentId));
+  if (removed.length > 0) {
+    await prisma.taskAttachment.deleteMany({ where: { id: { in: removed.map(({ id }) => id) } } });
+    await removeFiles(removed);
+  }
+
+  const added = msAttachments.filter(attachment =>
+    attachment.contentBytes && !existing.some(({ microsoftAttachmentId }) => microsoftAttachmentId === attachment.id)
+  );
+
+  for (const msAttachment of added) {
+    const buffer = Buffer.from(msAttachment.contentBytes, 'base64');
+    try {
+      await storeAttachment(taskId, {
+        buffer,
+        originalname: msAttachment.name,
+        mimetype: msAttachment.contentType,
+        size: buffer.length
+      }, { microsoftAttachmentId: msAttachment.id });
+    } catch (error) {
+      logger.warn({ err: error }, `Skipped Microsoft attachment "${msAttachment.name}" on task ${taskId}`);
+    }
+  }
+};
+
+/**
+ * Delete stored files that no attachment points at any more (their task or
+ * account was deleted)
+ * @returns {Promise<number>} - Number of files removed
+ */
+exports.purgeOrphanedFiles = async () => {
+  const cutoff = Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000;
+  const storage = getStorage();
+  let removed = 0;
+  let batch = new Map();
+
+  const flush = async () => {
+    const ids = [...batch.keys()];
+    const kept = await prisma.taskAttachment.findMany({
+      where: { id: { in: ids } },
+      select: { id: true }
+    });
+    const keptIds = new Set(kept.map(({ id }) => id));
+    const orphaned = ids.filter(id => !keptIds.has(id)).flatMap(id => batch.get(id));
+
+    if (orphaned.length > 0) {
+      await storage.remove(orphaned);
+      removed += orphaned.length;
+    }
+    batch = new Map();
+  };
+
+  for await (const { key, lastModified } of storage.list(KEY_PREFIX)) {
+    if (lastModified.getTime() > cutoff) {
+      continue;
+    }
+
+    const id = key.slice(KEY_PREFIX.length).split('/')[0];
+    batch.set(id, [...(batch.get(id) || []), key]);
+
+    if (batch.size >= ORPHAN_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (batch.size > 0) {
+    await flush();
+  }
+
+  return removed;
+};
@@ -0,0 +1,262 @@
+/**
+ * Task Bulk Service
+ * Applies one action to many tasks at once: the tasks picked by ID, or every
+ * task matching the filters of GET /todo/tasks.
+ *
+ * The changes are made in one transaction. Tasks that weren't found or that
+ * the action can't apply to are reported per task and left alone; any other
+ * error rolls the whole batch back. Each result carries the task before and
+ * after the change so the caller can push it to Google Tasks once committed.
+ */
+
+const { prisma } = require('../config/database');
+const taskService = require('./taskService');
+const taskListService = require('./taskListService');
+const taskSeriesService = require('./taskSeriesService');
+const taskTrashService = require('./taskTrashService');
+
+const BULK_ACTIONS = ['complete', 'uncomplete', 'delete', 'reschedule', 'move', 'addTag', 'removeTag'];
+const RESULT_STATUSES = ['updated', 'deleted', 'unchanged', 'not_found', 'failed'];
+const MAX_BULK_TASKS = 500;
+
+// Completing a recurring task takes several queries, so allow big batches time
+const TRANSACTION_TIMEOUT_MS = 60000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const bulkError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.BULK_ACTIONS = BULK_ACTIONS;
+exports.MAX_BULK_TASKS = MAX_BULK_TASKS;
+
+/**
+ * Check what the action needs before touching any task
+ * @returns {Promise<Object>} - { dueDate } for reschedule, { list } for move,
+ *   { tagId } for tags, { deletedAt } for delete
+ */
+const resolveParams = async (userId, action, { dueDate, listId, tagId }) => {
+  switch (action) {
+    case 'reschedule':
+      if (dueDate === undefined) {
+        throw bulkError('reschedule needs a dueDate (YYYY-MM-DD, or null to clear it)');
+      }
+      return { dueDate: dueDate === null ? null : taskService.parseDay('dueDate', dueDate) };
+    case 'move':
+      if (!listId) {
+        throw bulkError('move needs a listId');
+      }
+      return { list: await taskListService.resolveList(userId, listId) };
+    case 'addTag':
+    case 'removeTag':
+      if (!tagId) {
+        throw bulkError(`${action} needs a tagId`);
+      }
+      await taskService.resolveTagIds(userId, [tagId]);
+      return { tagId };
+    case 'delete':
+      // The whole batch leaves for the trash at the same moment
+      return { deletedAt: new Date() };
+    default:
+      return {};
+  }
+};
+
+/**
+ * IDs of the tasks to act on: the ones given, or the ones a filter matches
+ * @param {string} userId - Owner
+ * @param {Object} target - { ids } or { filter } with GET /todo/tasks filters
+ * @returns {Promise<string[]>}
+ */
+const resolveTaskIds = async (userId, { ids, filter }) => {
+  if ((ids === undefined) === (filter === undefined)) {
+    throw bulkError('Send either ids or filter');
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      throw bulkError('ids must be a non-empty array of task IDs');
+    }
+
+    const unique = [...new Set(ids)];
+    if (unique.length > MAX_BULK_TASKS) {
+      throw bulkError(`Up to ${MAX_BULK_TASKS} tasks can be changed at once`);
+    }
+    return unique;
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw bulkError('filter must be an object of task filters, as for GET /todo/tasks');
+  }
+
+  // Filters arrive as JSON here rather than query strings
+  const query = Object.fromEntries(Object.entries(filter)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)]));
+
+  const tasks = await prisma.task.findMany({
+    where: await taskService.matchingTasksWhere(userId, query),
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+    take: MAX_BULK_TASKS + 1
+  });
+
+  if (tasks.length > MAX_BULK_TASKS) {
+    throw bulkError(`The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down`);
+  }
+
+  return tasks.map(({ id }) => id);
+};
+
+/**
+ * Save a change to a task and reload it
+ */
+const updateTask = (db, task, data) => db.task.update({
+  where: { id: task.id },
+  data,
+  include: taskService.TASK_INCLUDE
+});
+
+/**
+ * Apply the action to one task, the same way the single-task endpoints do
+ * @param {Object} db - Transaction client
+ * @param {Object} task - Task loaded with TASK_INCLUDE
+ * @returns {Promise<{status: string, task?: Object, message?: string, completedTaskId?: string|null}>}
+ */
+const applyAction = async (db, task, action, params) => {
+  const hasTag = task.tags.some(({ tag }) => tag.id === params.tagId);
+
+  switch (action) {
+    case 'complete':
+      if (task.completed) {
+        return { status: 'unchanged' };
+      }
+      // Recurring tasks move on to their next occurrence
+      if (task.recurrence) {
+        return { status: 'updated', ...(await taskSeriesService.completeOccurrence(task, { db })) };
+      }
+      return {
+        status: 'updated',
+        task: await updateTask(db, task, { completed: true, completedAt: new Date() }),
+        completedTaskId: task.id
+      };
+
+    case 'uncomplete': {
+      if (!task.completed) {
+        return { status: 'unchanged' };
+      }
+      // Occurrences of a recurring task put the series back on them
+      const reopened = await taskSeriesService.reopenOccurrence(task, { db });
+      if (reopened) {
+        return { status: 'updated', ...reopened };
+      }
+      return {
+        status: 'updated',
+        task: await updateTask(db, task, { completed: false, completedAt: null })
+      };
+    }
+
+    case 'delete':
+      await taskTrashService.trashTasks([task.id], { deletedAt: params.deletedAt, db });
+      return { status: 'deleted' };
+
+    case 'reschedule':
+      if (task.dueDate?.getTime() === params.dueDate?.getTime()) {
+        return { status: 'unchanged' };
+      }
+      return {
+        status: 'updated',
+        // Clearing the due date clears its time too; reminders follow the date
+        task: await taskSeriesService.rescheduleAndReload(await updateTask(db, task, {
+          dueDate: params.dueDate,
+          ...(!params.dueDate && { dueTime: null })
+        }), { db })
+      };
+
+    case 'move':
+      if (task.listId === params.list.id) {
+        return { status: 'unchanged' };
+      }
+      return { status: 'updated', task: await updateTask(db, task, { listId: params.list.id }) };
+
+    case 'addTag':
+      if (hasTag) {
+        return { status: 'unchanged' };
+      }
+      return { status: 'updated', task: await updateTask(db, task, { tags: { create: { tagId: params.tagId } } }) };
+
+    case 'removeTag':
+      if (!hasTag) {
+        return { status: 'unchanged' };
+      }
+      return { status: 'updated', task: await updateTask(db, task, { tags: { deleteMany: { tagId: params.tagId } } }) };
+
+    default:
+      throw bulkError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Apply one action to many tasks
+ * @param {string} userId - Owner
+ * @param {Object} request
+ * @param {string} request.action - One of BULK_ACTIONS
+ * @param {string[]} request.ids - Tasks to change...
+ * @param {Object} request.filter - ...or filters picking them, as for GET /todo/tasks
+ * @param {string|null} request.dueDate - reschedule: YYYY-MM-DD, or null to clear
+ * @param {string} request.listId - move: the list to move to
+ * @param {string} request.tagId - addTag/removeTag: the tag
+ * @returns {Promise<{results: Object[], summary: Object}>} - One result per task
+ *   in order: { id, status, before, task, message, error, completedTaskId }.
+ *   before and task are loaded with TASK_INCLUDE; task is the task after the
+ *   change (for a reopened occurrence, the recurring task it belongs to).
+ *   completedTaskId is the task a completion left completed, for undoing it.
+ */
+exports.applyBulkAction = async (userId, { action, ids, filter, dueDate, listId, tagId } = {}) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw bulkError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  const params = await resolveParams(userId, action, { dueDate, listId, tagId });
+  const taskIds = await resolveTaskIds(userId, { ids, filter });
+
+  const results = await prisma.$transaction(async (db) => {
+    const done = [];
+
+    for (const id of taskIds) {
+      // Loaded one at a time, as earlier changes in the batch may have
+      // touched it (reopening an occurrence deletes its copy)
+      const before = await db.task.findFirst({
+        where: { id, userId, deletedAt: null },
+        include: taskService.TASK_INCLUDE
+      });
+
+      if (!before) {
+        done.push({ id, status: 'not_found' });
+        continue;
+      }
+
+      try {
+        done.push({ id, before, ...(await applyAction(db, before, action, params)) });
+      } catch (error) {
+        // The helpers only throw these before writing anything, so the rest of
+        // the batch can carry on; anything else aborts the transaction
+        if (!error.statusCode) {
+          throw error;
+        }
+        done.push({ id, status: 'failed', error: error.message });
+      }
+    }
+
+    return done;
+  }, { timeout: TRANSACTION_TIMEOUT_MS });
+
+  const summary = Object.fromEntries(RESULT_STATUSES.map(status =>
+    [status, results.filter(result => result.status === status).length]));
+
+  return { results, summary };
+};
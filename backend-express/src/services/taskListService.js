@@ -0,0 +1,261 @@
+/**
+ * Task List Service
+ * Lists (projects) that group a user's tasks.
+ *
+ * Every user has exactly one default list. It's created the first time it's
+ * needed, takes new tasks that don't name a list and can't be deleted. Lists
+ * synced from Google Tasks or Microsoft To Do mirror one list there each.
+ */
+
+const { prisma } = require('../config/database');
+
+const DEFAULT_LIST_NAME = 'Tasks';
+const MAX_LISTS_PER_USER = 50;
+
+// Providers and the column holding the ID of the list they mirror
+const SYNC_COLUMNS = {
+  google_tasks: 'googleListId',
+  microsoft: 'microsoftListId'
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const listError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Position after the user's last list
+ */
+const nextPosition = async (userId) => {
+  const last = await prisma.taskList.findFirst({
+    where: { userId },
+    orderBy: { position: 'desc' },
+    select: { position: true }
+  });
+
+  return last ? last.position + 1 : 0;
+};
+
+/**
+ * Get a user's default list, creating it if they don't have one yet
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+exports.getDefaultList = async (userId) => {
+  const existing = await prisma.taskList.findFirst({
+    where: { userId, isDefault: true }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  return prisma.taskList.create({
+    data: {
+      userId,
+      name: DEFAULT_LIST_NAME,
+      isDefault: true,
+      position: await nextPosition(userId)
+    }
+  });
+};
+
+/**
+ * Resolve the list a task should go into
+ * @param {string} userId - User ID
+ * @param {string} listId - List chosen by the client, or undefined for the default list
+ * @returns {Promise<Object>} - The list
+ */
+exports.resolveList = async (userId, listId) => {
+  if (listId === undefined || listId === null) {
+    return exports.getDefaultList(userId);
+  }
+
+  const list = await prisma.taskList.findFirst({
+    where: { id: listId, userId }
+  });
+
+  if (!list) {
+    throw listError('List not found', 404);
+  }
+
+  return list;
+};
+
+/**
+ * A user's lists in order, with how many unfinished tasks each has
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>}
+ */
+exports.listLists = async (userId) => {
+  await exports.getDefaultList(userId);
+
+  const lists = await prisma.taskList.findMany({
+    where: { userId },
+    include: {
+      _count: { select: { tasks: { where: { completed: false, deletedAt: null } } } }
+    },
+    orderBy: { position: 'asc' }
+  });
+
+  return lists.map(({ _count, userId: _, ...list }) => ({ ...list, pendingCount: _count.tasks }));
+};
+
+/**
+ * Create a list at the end of the user's lists
+ * @param {string} userId - User ID
+ * @param {Object} data - { name, color, icon }
+ * @returns {Promise<Object>}
+ */
+exports.createList = async (userId, { name, color, icon }) => {
+  const count = await prisma.taskList.count({ where: { userId } });
+  if (count >= MAX_LISTS_PER_USER) {
+    throw listError(`You can have at most ${MAX_LISTS_PER_USER} lists`);
+  }
+
+  // Make sure the default list exists before the first custom one
+  await exports.getDefaultList(userId);
+
+  return prisma.taskList.create({
+    data: {
+      userId,
+      name,
+      ...(color && { color: color.toLowerCase() }),
+      ...(icon && { icon }),
+      position: await nextPosition(userId)
+    }
+  });
+};
+
+/**
+ * Rename a list or change its color or icon
+ * @param {string} userId - User ID
+ * @param {string} listId - List ID
+ * @param {Object} data - { name, color, icon } (any may be omitted)
+ * @returns {Promise<Object>}
+ */
+exports.updateList = async (userId, listId, { name, color, icon }) => {
+  await exports.resolveList(userId, listId);
+
+  return prisma.taskList.update({
+    where: { id: listId },
+    data: {
+      ...(name !== undefined && { name }),
+      ...(color !== undefined && { color: color.toLowerCase() }),
+      ...(icon !== undefined && { icon })
+    }
+  });
+};
+
+/**
+ * Put a user's lists in a new order
+ * @param {string} userId - User ID
+ * @param {string[]} listIds - Every list ID of the user, in the new order
+ */
+exports.reorderLists = async (userId, listIds) => {
+  const lists = await prisma.taskList.findMany({
+    where: { userId },
+    select: { id: true }
+  });
+
+  const current = new Set(lists.map(list => list.id));
+  const complete = listIds.length === current.size &&
+    new Set(listIds).size === listIds.length &&
+    listIds.every(id => current.has(id));
+
+  if (!complete) {
+    throw listError('listIds must list every one of your lists exactly once');
+  }
+
+  await prisma.$transaction(listIds.map((id, position) => prisma.taskList.update({
+    where: { id },
+    data: { position }
+  })));
+};
+
+/**
+ * Delete a list. Its tasks move to the default list.
+ * @param {string} userId - User ID
+ * @param {string} listId - List ID
+ * @returns {Promise<number>} - Number of tasks moved
+ */
+exports.deleteList = async (userId, listId) => {
+  const list = await exports.resolveList(userId, listId);
+
+  if (list.isDefault) {
+    throw listError('The default list can\'t be deleted');
+  }
+
+  if (list.googleListId || list.microsoftListId) {
+    throw listError('This list is synced from another app. Delete it there, or disconnect the integration first.');
+  }
+
+  const defaultList = await exports.getDefaultList(userId);
+
+  const [moved] = await prisma.$transaction([
+    prisma.task.updateMany({
+      where: { listId },
+      data: { listId: defaultList.id }
+    }),
+    prisma.taskList.delete({ where: { id: listId } })
+  ]);
+
+  return moved.count;
+};
+
+/**
+ * Find or create the local list mirroring a list in Google Tasks or Microsoft To Do
+ * The local name follows the remote one; color, icon and order stay as the user set them.
+ * @param {string} userId - User ID
+ * @param {string} provider - 'google_tasks' or 'microsoft'
+ * @param {string} remoteId - ID of the list at the provider
+ * @param {string} name - Name of the list at the provider
+ * @returns {Promise<Object>}
+ */
+exports.findOrCreateSyncedList = async (userId, provider, remoteId, name) => {
+  const column = SYNC_COLUMNS[provider];
+
+  const existing = await prisma.taskList.findFirst({
+    where: { userId, [column]: remoteId }
+  });
+
+  if (existing) {
+    if (name && existing.name !== name) {
+      return prisma.taskList.update({
+        where: { id: existing.id },
+        data: { name }
+      });
+    }
+    return existing;
+  }
+
+  return prisma.taskList.create({
+    data: {
+      userId,
+      name: name || 'Untitled list',
+      [column]: remoteId,
+      position: await nextPosition(userId)
+    }
+  });
+};
+
+/**
+ * Forget which provider lists a user's lists mirror (when disconnecting)
+ * @param {string} userId - User ID
+ * @param {string} provider - 'google_tasks' or 'microsoft'
+ * @returns {Promise<number>} - Number of lists unlinked
+ */
+exports.unlinkSyncedLists = async (userId, provider) => {
+  const column = SYNC_COLUMNS[provider];
+
+  const { count } = await prisma.taskList.updateMany({
+    where: { userId, [column]: { not: null } },
+    data: { [column]: null }
+  });
+
+  return count;
+};
@@ -0,0 +1,292 @@
+/**
+ * Task Reminder Service
+ * Due times and per-task reminders.
+ *
+ * A task can have a due time ("HH:MM") on its due date and up to
+ * MAX_REMINDERS_PER_TASK reminders, each some minutes before the task is due.
+ * Tasks without a due time are due at DEFAULT_DUE_TIME. Every reminder stores
+ * the moment it fires (remindAt), worked out in the owner's timezone, so the
+ * scheduler only has to look for reminders whose moment has come. A reminder
+ * fires once: it's claimed by setting sentAt, and only moves back to unsent
+ * when its task's due date or time changes.
+ */
+
+const { prisma, runInTransaction } = require('../config/database');
+const recurrenceService = require('./recurrenceService');
+
+const DEFAULT_DUE_TIME = '09:00';
+const MAX_REMINDERS_PER_TASK = 5;
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_OFFSET_MINUTES = 28 * MINUTES_PER_DAY;
+
+// Reminders that were due longer ago than this are left unsent (server
+// downtime, or a reminder added after its moment) rather than sent late
+const SEND_GRACE_MINUTES = 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const reminderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.DEFAULT_DUE_TIME = DEFAULT_DUE_TIME;
+exports.MAX_REMINDERS_PER_TASK = MAX_REMINDERS_PER_TASK;
+
+/**
+ * Check a due time from a request body
+ * @param {*} dueTime - "HH:MM" (24-hour), or null/'' to clear it
+ * @returns {string|null|undefined} - undefined if it wasn't sent
+ */
+exports.parseDueTime = (dueTime) => {
+  if (dueTime === undefined) {
+    return undefined;
+  }
+
+  if (dueTime === null || dueTime === '') {
+    return null;
+  }
+
+  if (typeof dueTime !== 'string' || !TIME_PATTERN.test(dueTime)) {
+    throw reminderError('Due time must be a 24-hour time like 09:30');
+  }
+
+  return dueTime;
+};
+
+/**
+ * Check reminder offsets from a request body
+ * @param {*} reminders - Array of minutes before the task is due, e.g. [0, 15, 1440]
+ * @returns {number[]|undefined} - Offsets without duplicates, smallest first;
+ *   undefined if they weren't sent
+ */
+exports.parseReminders = (reminders) => {
+  if (reminders === undefined) {
+    return undefined;
+  }
+
+  if (reminders === null) {
+    return [];
+  }
+
+  const valid = Array.isArray(reminders) && reminders.every(offset =>
+    Number.isInteger(offset) && offset >= 0 && offset <= MAX_OFFSET_MINUTES
+  );
+
+  if (!valid) {
+    throw reminderError(`reminders must be an array of minutes before the task is due (0 to ${MAX_OFFSET_MINUTES})`);
+  }
+
+  const offsets = [...new Set(reminders)].sort((a, b) => a - b);
+
+  if (offsets.length > MAX_REMINDERS_PER_TASK) {
+    throw reminderError(`A task can have at most ${MAX_REMINDERS_PER_TASK} reminders`);
+  }
+
+  return offsets;
+};
+
+/**
+ * The UTC moment of a wall-clock date and time in a timezone
+ * @param {Date} day - Date at midnight UTC (as stored for @db.Date)
+ * @param {string} time - "HH:MM"
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+const zonedMoment = (day, time, timezone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  } catch {
+    // Unknown timezone names fall back to UTC, like the rest of the todo code
+    return new Date(wallClock);
+  }
+
+  // How far the timezone's clock is ahead of UTC at a given moment
+  const offsetAt = (moment) => {
+    const parts = Object.fromEntries(
+      formatter.formatToParts(new Date(moment)).map(({ type, value }) => [type, Number(value)])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - moment;
+  };
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // a daylight saving change falls in between
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * When a reminder fires
+ * Whole days are counted on the calendar, so "1 day before" a 9:00 task is
+ * 9:00 the day before even across a daylight saving change.
+ * @param {Object} task - { dueDate, dueTime }
+ * @param {number} offsetMinutes - Minutes before the task is due
+ * @param {string} timezone - Owner's timezone
+ * @returns {Date|null} - null when the task has no due date
+ */
+const remindAtFor = (task, offsetMinutes, timezone) => {
+  if (!task.dueDate) {
+    return null;
+  }
+
+  const days = Math.floor(offsetMinutes / MINUTES_PER_DAY);
+  const day = new Date(new Date(task.dueDate).getTime() - days * MINUTES_PER_DAY * 60 * 1000);
+  const moment = zonedMoment(day, task.dueTime || DEFAULT_DUE_TIME, timezone);
+
+  return new Date(moment.getTime() - (offsetMinutes % MINUTES_PER_DAY) * 60 * 1000);
+};
+
+/**
+ * The owner's timezone
+ */
+const userTimezone = async (userId) => {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { timezone: true }
+  });
+
+  return profile?.timezone || recurrenceService.DEFAULT_TIMEZONE;
+};
+
+/**
+ * Nested write that sets a task's reminders
+ * Reminders the task already has are kept as they are, so one that has
+ * already been sent isn't sent again; the others are removed or added.
+ * @param {string} userId - Owner, for their timezone
+ * @param {Object} task - { dueDate, dueTime } as they'll be saved
+ * @param {number[]} offsets - Offsets checked with parseReminders
+ * @param {Object[]} existing - The task's current reminders (updates)
+ * @returns {Promise<Object>}
+ */
+exports.remindersWrite = async (userId, task, offsets, existing = []) => {
+  const timezone = await userTimezone(userId);
+  const added = offsets.filter(offset => !existing.some(reminder => reminder.offsetMinutes === offset));
+
+  return {
+    ...(existing.length > 0 && { deleteMany: { offsetMinutes: { notIn: offsets } } }),
+    create: added.map(offsetMinutes => ({
+      offsetMinutes,
+      remindAt: remindAtFor(task, offsetMinutes, timezone)
+    }))
+  };
+};
+
+/**
+ * Move a task's reminders after its due date or time changed
+ * Reminders whose moment changes go back to unsent; the rest are left alone,
+ * so calling this when nothing moved never sends a reminder twice.
+ * @param {string} taskId - Task ID
+ * @param {Object} options
+ * @param {boolean} options.unsentOnly - Leave reminders that were already sent where they are
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ * @returns {Promise<void>}
+ */
+exports.rescheduleReminders = async (taskId, { unsentOnly = false, db = prisma } = {}) => {
+  const reminders = await db.taskReminder.findMany({
+    where: { taskId, ...(unsentOnly && { sentAt: null }) }
+  });
+  if (reminders.length === 0) {
+    return;
+  }
+
+  const task = await db.task.findUnique({
+    where: { id: taskId },
+    select: { userId: true, dueDate: true, dueTime: true }
+  });
+  const timezone = await userTimezone(task.userId);
+
+  const moved = reminders
+    .map(reminder => ({ reminder, remindAt: remindAtFor(task, reminder.offsetMinutes, timezone) }))
+    .filter(({ reminder, remindAt }) => remindAt?.getTime() !== reminder.remindAt?.getTime());
+
+  if (moved.length === 0) {
+    return;
+  }
+
+  await runInTransaction(db, tx => moved.map(({ reminder, remindAt }) =>
+    tx.taskReminder.update({
+      where: { id: reminder.id },
+      data: { remindAt, sentAt: null }
+    })
+  ));
+};
+
+/**
+ * Move all of a user's open reminders after their timezone changed
+ * @param {string} userId - Owner
+ * @returns {Promise<void>}
+ */
+exports.rescheduleUserReminders = async (userId) => {
+  const tasks = await prisma.task.findMany({
+    where: { userId, completed: false, deletedAt: null, reminders: { some: { sentAt: null } } },
+    select: { id: true }
+  });
+
+  for (const task of tasks) {
+    await exports.rescheduleReminders(task.id, { unsentOnly: true });
+  }
+};
+
+/**
+ * Claim the reminders that are due now, one notification per task
+ * Each reminder is marked sent before anything goes out, so a reminder is
+ * never sent twice even if two scheduler runs overlap. When several of a
+ * task's reminders come due together only one notification is sent.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>} - Tasks to notify, each with user and profile
+ */
+exports.claimDueReminders = async (now = new Date()) => {
+  const reminders = await prisma.taskReminder.findMany({
+    where: {
+      sentAt: null,
+      remindAt: {
+        lte: now,
+        gt: new Date(now.getTime() - SEND_GRACE_MINUTES * 60 * 1000)
+      },
+      task: { completed: false, deletedAt: null }
+    },
+    include: {
+      task: {
+        include: {
+          user: {
+            include: {
+              profile: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { remindAt: 'asc' }
+  });
+
+  const tasks = new Map();
+
+  for (const reminder of reminders) {
+    const { count } = await prisma.taskReminder.updateMany({
+      where: { id: reminder.id, sentAt: null },
+      data: { sentAt: now }
+    });
+
+    if (count > 0 && !tasks.has(reminder.taskId)) {
+      tasks.set(reminder.taskId, reminder.task);
+    }
+  }
+
+  return [...tasks.values()];
+};
@@ -0,0 +1,351 @@
+/**
+ * Task Series Service
+ * History of a recurring task: one row per occurrence saying whether it was
+ * completed, skipped or missed (passed over before the task was done).
+ *
+ * The live recurring task is the series. Completing an occurrence leaves a
+ * completed copy behind, linked from its occurrence row, so the copy can be
+ * traced back to the series, reopened or deleted with it. Rows are numbered
+ * by position in the order the occurrences fell due.
+ *
+ * The helpers that change a series take an optional transaction client (db)
+ * so bulk changes can run them inside one transaction.
+ */
+
+const crypto = require('crypto');
+const { prisma, runInTransaction } = require('../config/database');
+const taskService = require('./taskService');
+const taskReminderService = require('./taskReminderService');
+const recurrenceService = require('./recurrenceService');
+const subtaskService = require('./subtaskService');
+
+const DELETE_SCOPES = ['occurrence', 'all'];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const seriesError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.DELETE_SCOPES = DELETE_SCOPES;
+
+/**
+ * History rows for how an occurrence of a recurring task ended, numbered
+ * after the series' last row: the occurrence itself (with the completed copy
+ * kept for it and any occurrence due today it covered) and later dates that
+ * were passed over without being done
+ */
+const occurrenceRows = async (task, { status, copyId = null, missed = [], covered = null }, { db }) => {
+  const { _max } = await db.taskOccurrence.aggregate({
+    where: { taskId: task.id },
+    _max: { position: true }
+  });
+  const start = _max.position === null ? 0 : _max.position + 1;
+
+  return [
+    {
+      taskId: task.id,
+      position: start,
+      dueDate: task.dueDate,
+      status,
+      completedAt: status === 'completed' ? new Date() : null,
+      copyId,
+      coveredDate: covered
+    },
+    ...missed.map((dueDate, index) => ({
+      taskId: task.id,
+      position: start + 1 + index,
+      dueDate,
+      status: 'missed'
+    }))
+  ];
+};
+
+/**
+ * Move a task's reminders to its current due date and time, reloading the
+ * task if it has any
+ * @param {Object} task - Task loaded with TASK_INCLUDE
+ * @param {Object} options
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ * @returns {Promise<Object>}
+ */
+exports.rescheduleAndReload = async (task, { db = prisma } = {}) => {
+  if (task.reminders.length === 0) {
+    return task;
+  }
+
+  await taskReminderService.rescheduleReminders(task.id, { db });
+
+  return db.task.findUnique({
+    where: { id: task.id },
+    include: taskService.TASK_INCLUDE
+  });
+};
+
+/**
+ * Finish the current occurrence of a recurring task, by completing or
+ * skipping it. Every way of completing a recurring task comes through here.
+ *
+ * A completed occurrence leaves a completed copy behind for history (a
+ * skipped one doesn't) and the task itself moves on to its next due date
+ * with a fresh checklist. Completing the last occurrence of a series just
+ * completes the task. Each outcome, and any dates passed over on the way,
+ * is recorded in the series history. Callers push the result to Google.
+ * @param {Object} existingTask - Task loaded with TASK_INCLUDE
+ * @param {Object} options
+ * @param {boolean} options.skip - Skip the occurrence instead of completing it
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ * @returns {Promise<{task: Object, message: string, completedTaskId: string|null}>} -
+ *   completedTaskId is the task left completed (the copy, or the task itself
+ *   after its last occurrence), which reopening undoes the completion
+ */
+exports.completeOccurrence = async (existingTask, { skip = false, db = prisma } = {}) => {
+  const today = await recurrenceService.userToday(existingTask.userId);
+  const { nextDueDate, occurrences, missed, covered } = recurrenceService.nextOccurrence(existingTask, today);
+
+  if (!nextDueDate) {
+    if (skip) {
+      throw seriesError('This is the last occurrence of the series. Complete or delete the task instead.');
+    }
+
+    const rows = await occurrenceRows(existingTask, { status: 'completed', missed, covered }, { db });
+    const [task] = await runInTransaction(db, tx => [
+      tx.task.update({
+        where: { id: existingTask.id },
+        data: { completed: true, completedAt: new Date(), occurrenceCount: occurrences },
+        include: taskService.TASK_INCLUDE
+      }),
+      tx.taskOccurrence.createMany({ data: rows })
+    ]);
+
+    return { task, message: 'Task completed! That was the last occurrence.', completedTaskId: task.id };
+  }
+
+  // The copy's ID is picked up front so its history row can link to it in the same transaction
+  const copyId = skip ? null : crypto.randomUUID();
+  const rows = await occurrenceRows(existingTask, {
+    status: skip ? 'skipped' : 'completed',
+    copyId,
+    missed,
+    covered
+  }, { db });
+
+  const results = await runInTransaction(db, tx => [
+    // Keep a completed copy for history. It doesn't repeat itself and
+    // doesn't take the Microsoft/Google IDs, which stay with the live task.
+    ...(copyId ? [tx.task.create({
+      data: {
+        id: copyId,
+        userId: existingTask.userId,
+        listId: existingTask.listId,
+        name: existingTask.name,
+        description: existingTask.description,
+        dueDate: existingTask.dueDate,
+        priority: existingTask.priority,
+        imageUrl: existingTask.imageUrl,
+        completed: true,
+        completedAt: new Date(),
+        tags: taskService.tagsWrite(existingTask.tags.map(({ tag }) => tag.id)),
+        subtasks: subtaskService.copySubtasksWrite(existingTask.subtasks)
+      }
+    })] : []),
+    tx.taskOccurrence.createMany({ data: rows }),
+    // Move the task on to its next due date and keep it incomplete
+    tx.task.update({
+      where: { id: existingTask.id },
+      data: {
+        dueDate: nextDueDate,
+        occurrenceCount: occurrences,
+        completed: false,
+        completedAt: null,
+        subtasks: subtaskService.resetSubtasksWrite()
+      },
+      include: taskService.TASK_INCLUDE
+    })
+  ]);
+
+  // Reminders follow the new due date
+  const task = await exports.rescheduleAndReload(results[results.length - 1], { db });
+
+  const next = nextDueDate.toISOString().split('T')[0];
+  console.log(`Recurring task "${task.name}" ${skip ? 'skipped' : 'completed'}. Next due: ${next}`);
+
+  return {
+    task,
+    completedTaskId: copyId,
+    message: skip
+      ? `Occurrence skipped. Next occurrence scheduled for ${next}`
+      : `Task completed! Next occurrence scheduled for ${next}`
+  };
+};
+
+/**
+ * Completion counts and streaks for a series
+ * Skipped occurrences neither break nor extend a streak and don't count
+ * towards the completion rate; missed ones do both.
+ * @param {string[]} statuses - Occurrence statuses, oldest first
+ * @returns {Object}
+ */
+const seriesStats = (statuses) => {
+  const stats = { completed: 0, skipped: 0, missed: 0, currentStreak: 0, bestStreak: 0 };
+
+  for (const status of statuses) {
+    stats[status] += 1;
+
+    if (status === 'completed') {
+      stats.currentStreak += 1;
+      stats.bestStreak = Math.max(stats.bestStreak, stats.currentStreak);
+    } else if (status === 'missed') {
+      stats.currentStreak = 0;
+    }
+  }
+
+  const due = stats.completed + stats.missed;
+
+  return {
+    ...stats,
+    total: statuses.length,
+    // Percentage of due occurrences that were completed
+    completionRate: due > 0 ? Math.round((stats.completed / due) * 100) : null
+  };
+};
+
+/**
+ * Find the series a task belongs to: itself, or the task a completed copy came from
+ * @param {string} userId - Owner
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>}
+ */
+const findSeries = async (userId, taskId) => {
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, userId, deletedAt: null },
+    include: { occurrence: { select: { taskId: true } } }
+  });
+
+  if (!task) {
+    throw seriesError('Task not found', 404);
+  }
+
+  if (!task.occurrence) {
+    return task;
+  }
+
+  return prisma.task.findUnique({ where: { id: task.occurrence.taskId } });
+};
+
+/**
+ * A recurring task's occurrences, most recent first, with stats over all of them
+ * @param {string} userId - Owner
+ * @param {string} taskId - The recurring task or one of its completed copies
+ * @param {Object} options
+ * @param {number} options.limit - How many occurrences to return
+ * @returns {Promise<{seriesId: string, name: string, recurrence: string|null, stats: Object, occurrences: Object[]}>}
+ */
+exports.getHistory = async (userId, taskId, { limit } = {}) => {
+  const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const series = await findSeries(userId, taskId);
+  // Occurrences whose completed copy is in the trash are left out until it's restored
+  const where = { taskId: series.id, NOT: { copy: { is: { deletedAt: { not: null } } } } };
+
+  const [statuses, occurrences] = await Promise.all([
+    prisma.taskOccurrence.findMany({
+      where,
+      select: { status: true },
+      orderBy: { position: 'asc' }
+    }),
+    prisma.taskOccurrence.findMany({
+      where,
+      select: { id: true, dueDate: true, status: true, completedAt: true, copyId: true },
+      orderBy: { position: 'desc' },
+      take
+    })
+  ]);
+
+  return {
+    seriesId: series.id,
+    name: series.name,
+    recurrence: series.recurrence,
+    stats: seriesStats(statuses.map(({ status }) => status)),
+    occurrences
+  };
+};
+
+/**
+ * Reopen the most recently completed occurrence of a series
+ *
+ * For a completed copy, the copy is removed and the recurring task moves back
+ * to the copy's due date. For a recurring task whose last occurrence was
+ * completed, the task itself reopens. Either way the occurrence and any
+ * missed ones after it drop out of the history.
+ * @param {Object} task - A completed task loaded with TASK_INCLUDE
+ * @param {Object} options
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ * @returns {Promise<{task: Object, message: string}|null>} - The reopened
+ *   recurring task, or null if the task has no history to restore
+ */
+exports.reopenOccurrence = async (task, { db = prisma } = {}) => {
+  let row;
+
+  if (task.occurrence) {
+    row = await db.taskOccurrence.findUnique({ where: { copyId: task.id } });
+  } else if (task.recurrence) {
+    row = await db.taskOccurrence.findFirst({
+      where: { taskId: task.id, status: { not: 'missed' } },
+      orderBy: { position: 'desc' }
+    });
+
+    // Only a series that ended with this task being completed reopens here
+    if (row && (row.copyId || row.status !== 'completed')) {
+      row = null;
+    }
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  const later = await db.taskOccurrence.count({
+    where: { taskId: row.taskId, position: { gt: row.position }, status: { not: 'missed' } }
+  });
+
+  if (later > 0) {
+    throw seriesError('Only the most recent occurrence can be reopened. Later occurrences have been completed or skipped since.');
+  }
+
+  const series = await db.task.findUnique({ where: { id: row.taskId } });
+  const rowsRemoved = await db.taskOccurrence.count({
+    where: { taskId: row.taskId, position: { gte: row.position } }
+  });
+  // An occurrence the completion covered counted towards the series without a row of its own
+  const removed = rowsRemoved + (row.coveredDate ? 1 : 0);
+
+  await runInTransaction(db, tx => [
+    tx.taskOccurrence.deleteMany({
+      where: { taskId: row.taskId, position: { gte: row.position } }
+    }),
+    ...(row.copyId ? [tx.task.delete({ where: { id: row.copyId } })] : []),
+    tx.task.update({
+      where: { id: row.taskId },
+      data: {
+        dueDate: row.dueDate,
+        occurrenceCount: Math.max(0, series.occurrenceCount - removed),
+        completed: false,
+        completedAt: null
+      }
+    })
+  ]);
+  await taskReminderService.rescheduleReminders(row.taskId, { db });
+
+  const reopened = await db.task.findUnique({
+    where: { id: row.taskId },
+    include: taskService.TASK_INCLUDE
+  });
+
+  return { task: reopened, message: 'Restored the previous occurrence' };
+};
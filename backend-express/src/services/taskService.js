@@ -0,0 +1,530 @@
+/**
+ * Task Service
+ * Priorities, user-defined tags, and filtering, searching and paging through
+ * todo tasks.
+ *
+ * Tasks are returned with their tags flattened to [{ id, name, color }] and
+ * their subtasks in order with a progress count, plus the list they're in
+ * ({ id, name, color, icon }), its reminders, its attachments with download
+ * links and, for completed copies of a recurring task, the seriesId they
+ * belong to; use TASK_INCLUDE when loading a task and serializeTask before
+ * responding.
+ */
+
+const { prisma } = require('../config/database');
+const taskAttachmentService = require('./taskAttachmentService');
+const recurrenceService = require('./recurrenceService');
+
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+const TAG_MATCH_MODES = ['any', 'all'];
+
+const TASK_STATUSES = ['all', 'pending', 'completed', 'overdue'];
+// Sort orders for GET /todo/tasks and the direction each goes by default
+const TASK_SORTS = { dueDate: 'asc', name: 'asc', createdAt: 'desc', relevance: 'desc' };
+const NULLABLE_SORT_FIELDS = ['dueDate'];
+const DATE_SORT_FIELDS = ['dueDate', 'createdAt'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_WORDS = 10;
+
+const MAX_TAGS_PER_USER = 100;
+
+// Load a task's list, its series, its reminders, its attachments, its tags alphabetically and its checklist in order
+const TASK_INCLUDE = {
+  list: {
+    select: { id: true, name: true, color: true, icon: true }
+  },
+  occurrence: {
+    select: { taskId: true }
+  },
+  reminders: {
+    select: { id: true, offsetMinutes: true, remindAt: true, sentAt: true },
+    orderBy: { offsetMinutes: 'asc' }
+  },
+  attachments: {
+    select: taskAttachmentService.ATTACHMENT_SELECT,
+    orderBy: { createdAt: 'asc' }
+  },
+  tags: {
+    select: {
+      tag: { select: { id: true, name: true, color: true } }
+    },
+    orderBy: { tag: { name: 'asc' } }
+  },
+  subtasks: {
+    select: {
+      id: true,
+      name: true,
+      completed: true,
+      completedAt: true,
+      position: true,
+      googleTaskId: true
+    },
+    orderBy: { position: 'asc' }
+  }
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const taskError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split a comma-separated query value ("high,urgent") into its parts
+ */
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+exports.PRIORITIES = PRIORITIES;
+exports.TAG_MATCH_MODES = TAG_MATCH_MODES;
+exports.TASK_STATUSES = TASK_STATUSES;
+exports.TASK_INCLUDE = TASK_INCLUDE;
+
+/**
+ * Check a priority from a request body
+ * @param {*} priority - Value sent by the client (null means 'none')
+ * @returns {string|undefined} - The priority, or undefined if it wasn't sent
+ */
+exports.parsePriority = (priority) => {
+  if (priority === undefined) {
+    return undefined;
+  }
+
+  if (priority === null || priority === '') {
+    return 'none';
+  }
+
+  if (!PRIORITIES.includes(priority)) {
+    throw taskError(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  return priority;
+};
+
+/**
+ * Flatten a task loaded with TASK_INCLUDE for the API
+ * @param {Object} task - Task with tags and subtasks
+ * @returns {Object} - Task with tags as [{ id, name, color }],
+ *   subtaskProgress as { completed, total } and seriesId (null unless the
+ *   task is a completed occurrence of a recurring task)
+ */
+exports.serializeTask = ({ tags = [], subtasks = [], attachments = [], occurrence, ...task }) => ({
+  ...task,
+  seriesId: occurrence?.taskId || null,
+  tags: tags.map(({ tag }) => tag),
+  attachments: attachments.map(taskAttachmentService.serializeAttachment),
+  subtasks,
+  subtaskProgress: {
+    completed: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  }
+});
+
+/**
+ * Check a YYYY-MM-DD value
+ * @param {string} name - Field name for the error message
+ * @param {string} value - Value from the request
+ * @returns {Date} - Midnight UTC of that day, as date-only columns store it
+ */
+const parseDay = (name, value) => {
+  if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(value))) {
+    throw taskError(`${name} must be a date like 2026-01-31`);
+  }
+  return new Date(`${value}T00:00:00.000Z`);
+};
+
+exports.parseDay = parseDay;
+
+/**
+ * Build the Prisma where clause for GET /todo/tasks
+ * @param {string} userId - Owner
+ * @param {Object} query - Request query
+ * @param {string} query.list - List ID
+ * @param {string} query.status - 'pending', 'completed', 'overdue' or 'all' (default)
+ * @param {string} query.completed - 'true' or 'false'
+ * @param {string} query.dueDate - YYYY-MM-DD
+ * @param {string} query.dueFrom - YYYY-MM-DD, due on or after
+ * @param {string} query.dueTo - YYYY-MM-DD, due on or before
+ * @param {string} query.recurring - 'true' for recurring tasks, 'false' for one-off tasks
+ * @param {string} query.priority - Comma-separated priorities (matches any)
+ * @param {string} query.tag - Comma-separated tag IDs
+ * @param {string} query.tagMatch - 'any' (default) or 'all' of the tags
+ * @param {Object} options
+ * @param {Date} options.today - The user's today, needed for status=overdue
+ * @returns {Object}
+ */
+exports.buildTaskFilter = (userId, query = {}, { today } = {}) => {
+  const { list, status = 'all', completed, dueDate, dueFrom, dueTo, recurring, priority, tag, tagMatch = 'any' } = query;
+  const priorities = parseList(priority);
+  const tagIds = parseList(tag);
+
+  const unknown = priorities.filter(value => !PRIORITIES.includes(value));
+  if (unknown.length > 0) {
+    throw taskError(`Unknown priority: ${unknown.join(', ')}`);
+  }
+
+  if (!TAG_MATCH_MODES.includes(tagMatch)) {
+    throw taskError(`tagMatch must be one of: ${TAG_MATCH_MODES.join(', ')}`);
+  }
+
+  if (!TASK_STATUSES.includes(status)) {
+    throw taskError(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+  }
+
+  // Overdue means due before the user's today and still open
+  const due = {
+    ...(dueDate && { equals: parseDay('dueDate', dueDate) }),
+    ...(dueFrom && { gte: parseDay('dueFrom', dueFrom) }),
+    ...(dueTo && { lte: parseDay('dueTo', dueTo) }),
+    ...(status === 'overdue' && { lt: today })
+  };
+
+  const where = {
+    userId,
+    deletedAt: null,
+    ...(list && { listId: String(list) }),
+    ...(completed !== undefined && { completed: completed === 'true' }),
+    ...(status !== 'all' && { completed: status === 'completed' }),
+    ...(Object.keys(due).length > 0 && { dueDate: due }),
+    ...(recurring !== undefined && { recurrence: recurring === 'true' ? { not: null } : null }),
+    ...(priorities.length > 0 && { priority: { in: priorities } })
+  };
+
+  if (tagIds.length > 0) {
+    if (tagMatch === 'all') {
+      where.AND = tagIds.map(tagId => ({ tags: { some: { tagId } } }));
+    } else {
+      where.tags = { some: { tagId: { in: tagIds } } };
+    }
+  }
+
+  return where;
+};
+
+/**
+ * Turn search text into a Postgres prefix query, so "gro mil" finds "Groceries: milk"
+ * @param {string} text - What the user typed
+ * @returns {string|null} - tsquery text, or null if there's nothing to search for
+ */
+const toSearchQuery = (text) => {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) {
+    return null;
+  }
+  return words.slice(0, MAX_SEARCH_WORDS).map(word => `${word}:*`).join(' & ');
+};
+
+/**
+ * Full-text search over a user's task names and descriptions
+ * Names weigh more than descriptions in the rank.
+ * @param {string} userId - Owner
+ * @param {string} tsquery - From toSearchQuery
+ * @returns {Promise<{id: string, rank: number}[]>} - Best matches first
+ */
+const searchTasks = (userId, tsquery) => prisma.$queryRaw`
+  SELECT id, ts_rank(search_vector, query) AS rank
+  FROM todo_task, to_tsquery('simple', ${tsquery}) AS query
+  WHERE user_id = ${userId} AND deleted_at IS NULL AND search_vector @@ query
+  ORDER BY rank DESC, id ASC
+`;
+
+/**
+ * Find the tasks matching the filters and search of GET /todo/tasks
+ * @returns {Promise<{where: Object, matches: Object[]|null}>} - Prisma where
+ *   clause, plus the search hits best first when there's a search
+ */
+const matchTasks = async (userId, query) => {
+  const tsquery = toSearchQuery(query.q);
+  const today = query.status === 'overdue' ? await recurrenceService.userToday(userId) : undefined;
+  const where = exports.buildTaskFilter(userId, query, { today });
+  const matches = tsquery ? await searchTasks(userId, tsquery) : null;
+
+  if (matches) {
+    where.id = { in: matches.map(({ id }) => id) };
+  }
+
+  return { where, matches };
+};
+
+/**
+ * Prisma where clause for the tasks a GET /todo/tasks query matches, search included
+ * @param {string} userId - Owner
+ * @param {Object} query - Filters of buildTaskFilter plus q
+ * @returns {Promise<Object>}
+ */
+exports.matchingTasksWhere = async (userId, query = {}) => (await matchTasks(userId, query)).where;
+
+/**
+ * Opaque cursor pointing just past a task in a sort order
+ */
+const encodeCursor = (sortKey, value, id) => Buffer
+  .from(JSON.stringify({ sortKey, value, id }))
+  .toString('base64url');
+
+/**
+ * Read a cursor, checking it was made for the same sort order
+ * @returns {{value: *, id: string}}
+ */
+const decodeCursor = (cursor, sortKey) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    throw taskError('Invalid cursor');
+  }
+
+  // The value ends up in a where clause, so it must be a plain value
+  if (!parsed || typeof parsed.id !== 'string' ||
+      !(parsed.value === null || ['string', 'number'].includes(typeof parsed.value))) {
+    throw taskError('Invalid cursor');
+  }
+
+  if (parsed.sortKey !== sortKey) {
+    throw taskError('The cursor belongs to a different sort order; start again without it');
+  }
+
+  return parsed;
+};
+
+/**
+ * Where clause for the tasks after a cursor
+ * Ties are broken by ID, and tasks without a value (no due date) come last
+ * whichever way the list is sorted.
+ */
+const afterCursor = (field, order, { value, id }) => {
+  const nullable = NULLABLE_SORT_FIELDS.includes(field);
+  if (value === null) {
+    return { [field]: null, id: { gt: id } };
+  }
+
+  const typed = DATE_SORT_FIELDS.includes(field) ? new Date(value) : value;
+  if (typed instanceof Date && Number.isNaN(typed.getTime())) {
+    throw taskError('Invalid cursor');
+  }
+  return {
+    OR: [
+      { [field]: { [order === 'asc' ? 'gt' : 'lt']: typed } },
+      { [field]: typed, id: { gt: id } },
+      ...(nullable ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * One page of a user's tasks for GET /todo/tasks
+ * @param {string} userId - Owner
+ * @param {Object} query - Request query: the filters of buildTaskFilter plus
+ * @param {string} query.q - Search text (names and descriptions)
+ * @param {string} query.sort - dueDate, name, createdAt or relevance (default:
+ *   relevance when searching, otherwise dueDate)
+ * @param {string} query.order - 'asc' or 'desc' (each sort has its own default)
+ * @param {string} query.limit - Page size
+ * @param {string} query.cursor - nextCursor from the previous page
+ * @returns {Promise<{tasks: Object[], nextCursor: string|null}>}
+ */
+exports.listTasks = async (userId, query = {}) => {
+  const tsquery = toSearchQuery(query.q);
+  const sort = query.sort || (tsquery ? 'relevance' : 'dueDate');
+  if (!TASK_SORTS[sort]) {
+    throw taskError(`sort must be one of: ${Object.keys(TASK_SORTS).join(', ')}`);
+  }
+  if (sort === 'relevance' && !tsquery) {
+    throw taskError('sort=relevance needs a search (q)');
+  }
+
+  const order = query.order || TASK_SORTS[sort];
+  if (!['asc', 'desc'].includes(order)) {
+    throw taskError('order must be asc or desc');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const sortKey = `${sort}:${order}`;
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortKey) : null;
+
+  const { where, matches } = await matchTasks(userId, query);
+
+  let page;
+  let cursorValue;
+
+  if (sort === 'relevance') {
+    // Rank order comes from Postgres, so filter the matches and page through them here
+    const filtered = await prisma.task.findMany({ where, select: { id: true } });
+    const ids = new Set(filtered.map(({ id }) => id));
+    const ranked = matches
+      .filter(({ id }) => ids.has(id))
+      .sort((a, b) => (order === 'desc' ? b.rank - a.rank : a.rank - b.rank) || (a.id < b.id ? -1 : 1));
+    const start = cursor
+      ? ranked.findIndex(({ id, rank }) => (order === 'desc' ? rank < cursor.value : rank > cursor.value) ||
+        (rank === cursor.value && id > cursor.id))
+      : 0;
+    const pageRanks = start === -1 ? [] : ranked.slice(start, start + limit + 1);
+
+    const tasks = await prisma.task.findMany({
+      where: { id: { in: pageRanks.map(({ id }) => id) } },
+      include: TASK_INCLUDE
+    });
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    page = pageRanks.map(({ id }) => byId.get(id)).filter(Boolean);
+    cursorValue = (task) => pageRanks.find(({ id }) => id === task.id).rank;
+  } else {
+    const nullable = NULLABLE_SORT_FIELDS.includes(sort);
+    page = await prisma.task.findMany({
+      where: cursor ? { AND: [where, afterCursor(sort, order, cursor)] } : where,
+      include: TASK_INCLUDE,
+      orderBy: [
+        { [sort]: nullable ? { sort: order, nulls: 'last' } : order },
+        { id: 'asc' }
+      ],
+      take: limit + 1
+    });
+    cursorValue = (task) => (task[sort] instanceof Date ? task[sort].toISOString() : task[sort]);
+  }
+
+  const hasMore = page.length > limit;
+  const tasks = page.slice(0, limit);
+  const last = tasks[tasks.length - 1];
+
+  return {
+    tasks: tasks.map(exports.serializeTask),
+    nextCursor: hasMore ? encodeCursor(sortKey, cursorValue(last), last.id) : null
+  };
+};
+
+/**
+ * Check that tags belong to the user before attaching them to a task
+ * @param {string} userId - Owner
+ * @param {string[]} tagIds - Tag IDs from the request
+ * @returns {Promise<string[]>} - The IDs without duplicates
+ */
+exports.resolveTagIds = async (userId, tagIds) => {
+  if (!Array.isArray(tagIds) || tagIds.some(id => typeof id !== 'string')) {
+    throw taskError('tagIds must be an array of tag IDs');
+  }
+
+  const ids = [...new Set(tagIds)];
+
+  if (ids.length === 0) {
+    return ids;
+  }
+
+  const count = await prisma.tag.count({
+    where: { userId, id: { in: ids } }
+  });
+
+  if (count !== ids.length) {
+    throw taskError('One or more tags were not found', 404);
+  }
+
+  return ids;
+};
+
+/**
+ * Nested write that sets a task's tags
+ * @param {string[]} tagIds - Tag IDs checked with resolveTagIds
+ * @param {Object} options
+ * @param {boolean} options.replace - Remove the task's current tags first (updates)
+ * @returns {Object}
+ */
+exports.tagsWrite = (tagIds, { replace = false } = {}) => ({
+  ...(replace && { deleteMany: {} }),
+  create: tagIds.map(tagId => ({ tagId }))
+});
+
+/**
+ * List a user's tags with how many tasks use each
+ * @param {string} userId - Owner
+ * @returns {Promise<Object[]>}
+ */
+exports.listTags = async (userId) => {
+  const tags = await prisma.tag.findMany({
+    where: { userId },
+    // Tasks in the trash don't count
+    include: { _count: { select: { tasks: { where: { task: { deletedAt: null } } } } } },
+    orderBy: { name: 'asc' }
+  });
+
+  return tags.map(({ _count, userId: _, ...tag }) => ({ ...tag, taskCount: _count.tasks }));
+};
+
+/**
+ * Find a tag with the same name, ignoring case
+ */
+const findTagByName = (userId, name) => prisma.tag.findFirst({
+  where: { userId, name: { equals: name, mode: 'insensitive' } }
+});
+
+/**
+ * Create a tag
+ * @param {string} userId - Owner
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {string} data.color - #rrggbb
+ * @returns {Promise<Object>}
+ */
+exports.createTag = async (userId, { name, color }) => {
+  const count = await prisma.tag.count({ where: { userId } });
+  if (count >= MAX_TAGS_PER_USER) {
+    throw taskError(`You can have at most ${MAX_TAGS_PER_USER} tags`);
+  }
+
+  if (await findTagByName(userId, name)) {
+    throw taskError(`A tag named "${name}" already exists`, 409);
+  }
+
+  return prisma.tag.create({
+    data: { userId, name, color: color.toLowerCase() },
+    select: { id: true, name: true, color: true, createdAt: true }
+  });
+};
+
+/**
+ * Rename or recolor a tag
+ * @param {string} userId - Owner
+ * @param {string} tagId - Tag ID
+ * @param {Object} data - { name, color } (either may be omitted)
+ * @returns {Promise<Object>}
+ */
+exports.updateTag = async (userId, tagId, { name, color }) => {
+  const tag = await prisma.tag.findFirst({ where: { id: tagId, userId } });
+  if (!tag) {
+    throw taskError('Tag not found', 404);
+  }
+
+  if (name !== undefined) {
+    const existing = await findTagByName(userId, name);
+    if (existing && existing.id !== tagId) {
+      throw taskError(`A tag named "${name}" already exists`, 409);
+    }
+  }
+
+  return prisma.tag.update({
+    where: { id: tagId },
+    data: {
+      ...(name !== undefined && { name }),
+      ...(color !== undefined && { color: color.toLowerCase() })
+    },
+    select: { id: true, name: true, color: true, createdAt: true }
+  });
+};
+
+/**
+ * Delete a tag (tasks keep everything but the tag)
+ * @param {string} userId - Owner
+ * @param {string} tagId - Tag ID
+ * @returns {Promise<boolean>} - false if the user has no such tag
+ */
+exports.deleteTag = async (userId, tagId) => {
+  const { count } = await prisma.tag.deleteMany({
+    where: { id: tagId, userId }
+  });
+
+  return count > 0;
+};
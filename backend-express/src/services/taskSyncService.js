@@ -6,6 +6,11 @@
 const { prisma } = require('../config/database');
 const microsoftOAuthService = require('./microsoftOAuthService');
 const microsoftGraphService = require('./microsoftGraphService');
+const taskListService = require('./taskListService');
+const recurrenceService = require('./recurrenceService');
+const taskReminderService = require('./taskReminderService');
+const taskAttachmentService = require('./taskAttachmentService');
+const taskActivityService = require('./taskActivityService');
 
 /**
  * Sync tasks from Microsoft To Do to Samaanai
@@ -60,11 +65,22 @@ exports.syncTasksFromMicrosoft = async (userId) => {
 
     console.log(`Found ${msTasks.length} tasks from Microsoft To Do`);
 
-    // 4. Process each task
+    // 4. Process each task, keeping it in the local list that mirrors its To Do list
+    const localListIds = new Map();
+
     for (const msTask of msTasks) {
       try {
-        const result = await exports.createOrUpdateTask(userId, msTask);
-        syncedTasks.push(result.task);
+        if (!localListIds.has(msTask.microsoftListId)) {
+          const localList = await taskListService.findOrCreateSyncedList(
+            userId, 'microsoft', msTask.microsoftListId, msTask.microsoftListName
+          );
+          localListIds.set(msTask.microsoftListId, localList.id);
+        }
+
+        const result = await exports.createOrUpdateTask(userId, msTask, localListIds.get(msTask.microsoftListId));
+        if (result.task) {
+          syncedTasks.push(result.task);
+        }
 
         if (result.action === 'created') {
           results.created++;
@@ -81,6 +97,8 @@ exports.syncTasksFromMicrosoft = async (userId) => {
 
     console.log(`Sync completed: ${results.created} created, ${results.updated} updated, ${results.skipped} skipped, ${results.errors} errors`);
 
+    await exports.recordSyncStatus(userId, 'microsoft', results.errors > 0 ? `${results.errors} tasks failed to sync` : null);
+
     return {
       success: results.errors === 0,
       results,
@@ -92,6 +110,10 @@ exports.syncTasksFromMicrosoft = async (userId) => {
     console.error('Error syncing tasks from Microsoft:', err);
     error = err.message || 'Failed to sync tasks';
 
+    await exports.recordSyncStatus(userId, 'microsoft', error).catch(statusError => {
+      console.error('Error recording sync status:', statusError);
+    });
+
     return {
       success: false,
       results,
@@ -101,14 +123,36 @@ exports.syncTasksFromMicrosoft = async (userId) => {
   }
 };
 
+/**
+ * Record the outcome of a sync run on the integration (shown in admin integration health)
+ * @param {string} userId - User ID
+ * @param {string} provider - Integration provider ('microsoft', 'google_tasks')
+ * @param {string|null} error - Error message, or null if the sync succeeded
+ * @returns {Promise<void>}
+ */
+exports.recordSyncStatus = async (userId, provider, error = null) => {
+  await prisma.integration.updateMany({
+    where: { userId, provider },
+    data: {
+      // Only successful runs move lastSyncedAt forward
+      ...(!error && { lastSyncedAt: new Date() }),
+      lastSyncError: error
+    }
+  });
+};
+
 /**
  * Create or update a task in Samaanai database
- * Per user requirements: Microsoft always wins (overwrite Samaanai)
+ * Per user requirements: Microsoft always wins (overwrite Samaanai); what it
+ * overwrote is kept in the task's activity log. Tasks in the trash are left
+ * alone (and not created again) until they're restored.
  * @param {string} userId - User ID
  * @param {Object} msTask - Transformed Microsoft task
- * @returns {Promise<{action: string, task: Object}>}
+ * @param {string} listId - Local list mirroring the task's To Do list
+ * @returns {Promise<{action: string, task: Object|null}>} - action is created,
+ *   updated, or skipped (with no task) for a task in the trash
  */
-exports.createOrUpdateTask = async (userId, msTask) => {
+exports.createOrUpdateTask = async (userId, msTask, listId) => {
   try {
     // Check if task already exists for THIS USER by microsoftTodoId
     // IMPORTANT: We must filter by userId to avoid updating other users' tasks
@@ -119,31 +163,38 @@ exports.createOrUpdateTask = async (userId, msTask) => {
       }
     });
 
-    // Process attachments - store as JSON string in imageUrl field
-    let imageUrl = null;
-    if (msTask.attachments && msTask.attachments.length > 0) {
-      // Store all attachments metadata as JSON
-      imageUrl = JSON.stringify(msTask.attachments);
-      console.log(`Storing ${msTask.attachments.length} attachment(s) for task "${msTask.name}"`);
+    if (existingTask?.deletedAt) {
+      // Deleted here: the trash wins until the task is restored or purged
+      return {
+        action: 'skipped',
+        task: null
+      };
     }
 
     if (existingTask) {
       // Task exists for this user - UPDATE
-      // Per user requirements: Microsoft always wins
+      // Per user requirements: Microsoft always wins, including the repeat rule
+      const recurrence = recurrenceService.fromMicrosoftRecurrence(msTask.recurrence);
       const updatedTask = await prisma.task.update({
         where: {
           id: existingTask.id
         },
         data: {
+          listId,
           name: msTask.name,
           description: msTask.description,
           dueDate: msTask.dueDate ? new Date(msTask.dueDate) : null,
           completed: msTask.completed,
           completedAt: msTask.completedAt,
-          imageUrl: imageUrl,
+          recurrence,
+          // A changed rule starts its count again
+          ...(recurrence !== existingTask.recurrence && { occurrenceCount: 0 })
           // microsoftTodoId stays the same
         }
       });
+      await taskActivityService.recordChanges(existingTask, updatedTask, 'microsoft', { type: 'synced' });
+      await taskReminderService.rescheduleReminders(updatedTask.id);
+      await taskAttachmentService.syncMicrosoftAttachments(updatedTask.id, msTask.attachments);
 
       return {
         action: 'updated',
@@ -154,16 +205,18 @@ exports.createOrUpdateTask = async (userId, msTask) => {
       const newTask = await prisma.task.create({
         data: {
           userId: userId,
+          listId,
           name: msTask.name,
           description: msTask.description,
           dueDate: msTask.dueDate ? new Date(msTask.dueDate) : null,
           completed: msTask.completed,
           completedAt: msTask.completedAt,
           microsoftTodoId: msTask.microsoftTodoId,
-          reminderType: msTask.reminderType,
-          imageUrl: imageUrl
+          recurrence: recurrenceService.fromMicrosoftRecurrence(msTask.recurrence)
         }
       });
+      await taskActivityService.recordActivity(newTask.id, 'created', 'microsoft');
+      await taskAttachmentService.syncMicrosoftAttachments(newTask.id, msTask.attachments);
 
       return {
         action: 'created',
@@ -240,6 +293,9 @@ exports.clearSyncedTasks = async (userId) => {
       }
     });
 
+    // Mirrored lists stay as ordinary lists
+    await taskListService.unlinkSyncedLists(userId, 'microsoft');
+
     console.log(`Cleared Microsoft sync data from ${result.count} tasks`);
     return result.count;
   } catch (error) {
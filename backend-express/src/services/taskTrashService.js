@@ -0,0 +1,208 @@
+/**
+ * Task Trash Service
+ * Deleted tasks go to the trash (Task.deletedAt is set) and can be restored
+ * for TRASH_RETENTION_DAYS, after which the scheduler purges them for good.
+ * Trashed tasks are left out of every task query; use deletedAt: null when
+ * loading tasks for the user.
+ *
+ * A recurring task trashed with its history takes its completed copies with
+ * it, and they come back together. A trashed completed copy drops out of its
+ * series' history until it's restored.
+ *
+ * Deletes and completions also hand out a short-lived, single-use undo token
+ * so the app can offer an Undo button straight afterwards.
+ */
+
+const { prisma } = require('../config/database');
+const taskService = require('./taskService');
+const verificationTokenService = require('./verificationTokenService');
+
+const TRASH_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 500;
+
+const UNDO_PURPOSE = 'task_undo';
+const UNDO_ACTIONS = ['delete', 'complete'];
+const UNDO_TTL_MINUTES = 2;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const trashError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+exports.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
+/**
+ * When a trashed task will be purged
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Move tasks to the trash
+ * @param {string[]} taskIds - Tasks to trash (ones already in the trash are left as they are)
+ * @param {Object} options
+ * @param {Date} options.deletedAt - When they were deleted (default: now)
+ * @param {Object} options.db - Transaction client to run in (default: prisma)
+ * @returns {Promise<Date>} - The deletedAt they were given
+ */
+exports.trashTasks = async (taskIds, { deletedAt = new Date(), db = prisma } = {}) => {
+  await db.task.updateMany({
+    where: { id: { in: taskIds }, deletedAt: null },
+    data: { deletedAt }
+  });
+
+  return deletedAt;
+};
+
+/**
+ * Move a recurring task to the trash together with the completed copies in its history
+ * @param {string} seriesId - The recurring task's ID
+ * @returns {Promise<number>} - How many completed copies went with it
+ */
+exports.trashSeries = async (seriesId) => {
+  const rows = await prisma.taskOccurrence.findMany({
+    where: { taskId: seriesId, copyId: { not: null }, copy: { is: { deletedAt: null } } },
+    select: { copyId: true }
+  });
+
+  await exports.trashTasks([seriesId, ...rows.map(({ copyId }) => copyId)]);
+
+  return rows.length;
+};
+
+/**
+ * A user's trashed tasks, most recently deleted first
+ * @param {string} userId - Owner
+ * @returns {Promise<Object[]>} - Serialized tasks with deletedAt and purgeAt
+ */
+exports.listTrash = async (userId) => {
+  const tasks = await prisma.task.findMany({
+    where: { userId, deletedAt: { not: null } },
+    include: taskService.TASK_INCLUDE,
+    orderBy: [{ deletedAt: 'desc' }, { id: 'asc' }]
+  });
+
+  return tasks.map(task => ({
+    ...taskService.serializeTask(task),
+    purgeAt: purgeDate(task.deletedAt)
+  }));
+};
+
+/**
+ * Take a task out of the trash, along with completed copies trashed with it
+ * Re-creating it at Google is up to the caller: the returned task still has
+ * the googleTaskId of the Google task deleted along with it.
+ * @param {string} userId - Owner
+ * @param {string} taskId - Trashed task
+ * @returns {Promise<Object>} - The restored task, loaded with TASK_INCLUDE
+ */
+exports.restoreTask = async (userId, taskId) => {
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, userId, deletedAt: { not: null } }
+  });
+
+  if (!task) {
+    throw trashError('Task not found in the trash', 404);
+  }
+
+  const copies = await prisma.taskOccurrence.findMany({
+    where: { taskId: task.id, copy: { is: { deletedAt: task.deletedAt } } },
+    select: { copyId: true }
+  });
+
+  await prisma.task.updateMany({
+    where: { id: { in: [task.id, ...copies.map(({ copyId }) => copyId)] } },
+    data: { deletedAt: null }
+  });
+
+  return prisma.task.findUnique({
+    where: { id: task.id },
+    include: taskService.TASK_INCLUDE
+  });
+};
+
+/**
+ * Permanently delete trashed tasks
+ * History entries of trashed completed copies go with them.
+ * @param {Object} where - Which trashed tasks
+ * @returns {Promise<number>} - How many tasks were deleted
+ */
+const purge = async (where) => {
+  let removed = 0;
+
+  for (;;) {
+    const tasks = await prisma.task.findMany({
+      where: { ...where, deletedAt: { ...where.deletedAt, not: null } },
+      select: { id: true },
+      take: PURGE_BATCH_SIZE
+    });
+    if (tasks.length === 0) {
+      return removed;
+    }
+
+    const ids = tasks.map(({ id }) => id);
+    const [, { count }] = await prisma.$transaction([
+      prisma.taskOccurrence.deleteMany({ where: { copyId: { in: ids } } }),
+      prisma.task.deleteMany({ where: { id: { in: ids } } })
+    ]);
+    removed += count;
+  }
+};
+
+/**
+ * Empty a user's trash
+ * @param {string} userId - Owner
+ * @returns {Promise<number>} - How many tasks were deleted
+ */
+exports.emptyTrash = (userId) => purge({ userId });
+
+/**
+ * Permanently delete tasks that have been in the trash for TRASH_RETENTION_DAYS
+ * Their attachment files are removed by the attachment cleanup job.
+ * @returns {Promise<number>} - How many tasks were deleted
+ */
+exports.purgeExpiredTrash = () => purge({
+  deletedAt: { lt: new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+});
+
+/**
+ * Issue a token that undoes a delete or completion for a couple of minutes
+ * @param {string} userId - Owner
+ * @param {string} action - 'delete' or 'complete'
+ * @param {string[]} taskIds - Tasks to restore, or to mark incomplete again
+ *   (for a recurring task, the completed copy it left behind)
+ * @returns {Promise<string|null>} - Token, or null when there's nothing to undo
+ */
+exports.createUndoToken = async (userId, action, taskIds) => {
+  if (taskIds.length === 0) {
+    return null;
+  }
+
+  const { token } = await verificationTokenService.createToken({
+    purpose: UNDO_PURPOSE,
+    userId,
+    ttlMinutes: UNDO_TTL_MINUTES,
+    data: { action, taskIds }
+  });
+
+  return token;
+};
+
+/**
+ * Use up an undo token
+ * @param {string} userId - Owner
+ * @param {string} token - Token from createUndoToken
+ * @returns {Promise<{action: string, taskIds: string[]}>}
+ */
+exports.consumeUndoToken = async (userId, token) => {
+  const record = await verificationTokenService.consumeToken(UNDO_PURPOSE, token);
+
+  if (!record || record.userId !== userId || !UNDO_ACTIONS.includes(record.data?.action)) {
+    throw trashError('This can no longer be undone', 410);
+  }
+
+  return record.data;
+};
@@ -0,0 +1,260 @@
+/**
+ * Token Service
+ * Issues JWT access/refresh pairs backed by a persisted refresh-token store.
+ *
+ * Every sign-in starts a token family, recorded as a Session (id = familyId).
+ * Each /auth/refresh call rotates the refresh token within its family;
+ * presenting an already-rotated token is treated as theft and revokes the
+ * whole family.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const tokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sign an access token and a refresh token for a stored refresh-token row
+ */
+const signTokenPair = (userId, familyId, refreshTokenId) => {
+  const accessToken = jwt.sign({ userId, sid: familyId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+
+  const refreshToken = jwt.sign({ userId, type: 'refresh', fid: familyId }, JWT_REFRESH_SECRET, {
+    expiresIn: JWT_REFRESH_EXPIRES_IN,
+    jwtid: refreshTokenId
+  });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Persist a refresh token and sign the matching JWT pair
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} userId - User ID
+ * @param {string} familyId - Token family the refresh token belongs to
+ * @returns {Promise<{accessToken: string, refreshToken: string, record: Object}>}
+ */
+const createRefreshToken = async (client, userId, familyId) => {
+  const id = crypto.randomUUID();
+  const tokens = signTokenPair(userId, familyId, id);
+  const { exp } = jwt.decode(tokens.refreshToken);
+
+  const record = await client.refreshToken.create({
+    data: {
+      id,
+      userId,
+      familyId,
+      expiresAt: new Date(exp * 1000)
+    }
+  });
+
+  return { ...tokens, record };
+};
+
+/**
+ * Issue a new token pair, starting a new token family (session)
+ * @param {string} userId - User ID
+ * @param {Object} session - Session details
+ * @param {string} session.method - How the user signed in (password, google, passkey, register)
+ * @param {string|null} session.deviceName - Device label
+ * @param {string|null} session.userAgent - User-Agent header
+ * @param {string|null} session.ipAddress - Client IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, familyId: string}>}
+ */
+exports.issueTokens = async (userId, { method = 'password', deviceName = null, userAgent = null, ipAddress = null } = {}) => {
+  const familyId = crypto.randomUUID();
+
+  return prisma.$transaction(async (tx) => {
+    const { accessToken, refreshToken, record } = await createRefreshToken(tx, userId, familyId);
+
+    await tx.session.create({
+      data: {
+        id: familyId,
+        userId,
+        method,
+        deviceName,
+        userAgent,
+        ipAddress,
+        expiresAt: record.expiresAt
+      }
+    });
+
+    return { accessToken, refreshToken, familyId };
+  });
+};
+
+/**
+ * Exchange a refresh token for a new pair (rotation)
+ * @param {string} rawRefreshToken - Refresh token presented by the client
+ * @param {Object} client - Current userAgent/ipAddress, recorded on the session
+ * @returns {Promise<{accessToken: string, refreshToken: string, userId: string, familyId: string}>}
+ */
+exports.rotateRefreshToken = async (rawRefreshToken, { userAgent = null, ipAddress = null } = {}) => {
+  // Throws JsonWebTokenError / TokenExpiredError for bad tokens
+  const payload = jwt.verify(rawRefreshToken, JWT_REFRESH_SECRET);
+
+  // Tokens issued before rotation existed carry no jti and cannot be revoked - reject them
+  if (payload.type !== 'refresh' || !payload.jti) {
+    throw tokenError('Invalid token type');
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { id: payload.jti }
+  });
+
+  if (!stored || stored.userId !== payload.userId) {
+    throw tokenError('Invalid or expired refresh token');
+  }
+
+  if (stored.revokedAt) {
+    // A rotated (or revoked) token came back: assume it was stolen
+    if (stored.replacedById) {
+      logger.warn(`Refresh token reuse detected for user ${stored.userId}, revoking family ${stored.familyId}`);
+      await exports.revokeFamily(stored.familyId);
+    }
+    throw tokenError('Invalid or expired refresh token');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const next = await createRefreshToken(tx, stored.userId, stored.familyId);
+
+    // Conditional update so two concurrent refreshes cannot both rotate the same token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: {
+        revokedAt: new Date(),
+        replacedById: next.record.id
+      }
+    });
+
+    if (count === 0) {
+      throw tokenError('Invalid or expired refresh token');
+    }
+
+    // A refresh is activity on the session and extends its lifetime
+    await tx.session.updateMany({
+      where: { id: stored.familyId },
+      data: {
+        lastSeenAt: new Date(),
+        expiresAt: next.record.expiresAt,
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      }
+    });
+
+    return {
+      accessToken: next.accessToken,
+      refreshToken: next.refreshToken,
+      userId: stored.userId,
+      familyId: stored.familyId
+    };
+  });
+};
+
+/**
+ * Read the family ID from a refresh token without rotating it
+ * @param {string} rawRefreshToken - Refresh token
+ * @returns {{userId: string, familyId: string}|null}
+ */
+exports.decodeRefreshToken = (rawRefreshToken) => {
+  try {
+    const payload = jwt.verify(rawRefreshToken, JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    if (payload.type !== 'refresh' || !payload.fid) {
+      return null;
+    }
+    return { userId: payload.userId, familyId: payload.fid };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Revoke every refresh token in a family and end its session
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+exports.revokeFamily = async (familyId) => {
+  const revokedAt = new Date();
+
+  const [result] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt }
+    }),
+    prisma.session.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt }
+    })
+  ]);
+
+  return result.count;
+};
+
+/**
+ * Revoke every refresh token a user holds (e.g. after a password change)
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string|null} options.exceptFamilyId - Keep this family (the caller's own session)
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+exports.revokeAllForUser = async (userId, { exceptFamilyId = null } = {}) => {
+  const revokedAt = new Date();
+
+  const [result] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptFamilyId && { familyId: { not: exceptFamilyId } })
+      },
+      data: { revokedAt }
+    }),
+    prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptFamilyId && { id: { not: exceptFamilyId } })
+      },
+      data: { revokedAt }
+    })
+  ]);
+
+  return result.count;
+};
+
+/**
+ * Delete refresh tokens that can no longer be used
+ * Revoked tokens are kept until expiry so reuse can still be detected.
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+exports.purgeExpiredRefreshTokens = async () => {
+  const now = new Date();
+
+  const [result] = await prisma.$transaction([
+    prisma.refreshToken.deleteMany({
+      where: { expiresAt: { lt: now } }
+    }),
+    // A session ends when its last refresh token expires
+    prisma.session.deleteMany({
+      where: { expiresAt: { lt: now } }
+    })
+  ]);
+
+  return result.count;
+};
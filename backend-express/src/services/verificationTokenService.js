@@ -0,0 +1,134 @@
+/**
+ * Verification Token Service
+ * Issues and consumes single-use, expiring secrets (WebAuthn challenges,
+ * emailed links, etc.). Only a SHA-256 hash of each secret is persisted.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+
+/**
+ * Hash a raw token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+exports.hashToken = hashToken;
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string}
+ */
+exports.generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Create and store a new verification token
+ * @param {Object} options
+ * @param {string} options.purpose - What the token may be used for
+ * @param {string|null} options.userId - Owning user (null for anonymous flows)
+ * @param {number} options.ttlMinutes - Minutes until the token expires
+ * @param {Object} options.data - Extra JSON payload stored with the token
+ * @param {string} options.token - Use this raw value instead of generating one
+ * @returns {Promise<{token: string, record: Object}>}
+ */
+exports.createToken = async ({ purpose, userId = null, ttlMinutes = 15, data = null, token = null }) => {
+  const rawToken = token || exports.generateToken();
+
+  const record = await prisma.verificationToken.create({
+    data: {
+      purpose,
+      userId,
+      tokenHash: hashToken(rawToken),
+      data,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }
+  });
+
+  return { token: rawToken, record };
+};
+
+/**
+ * Consume a token. Succeeds at most once per token.
+ * @param {string} purpose - Expected purpose
+ * @param {string} token - Raw token presented by the client
+ * @returns {Promise<Object|null>} - Token record, or null if invalid/expired/used
+ */
+exports.consumeToken = async (purpose, token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+
+  // Conditional update makes consumption atomic under concurrent requests
+  const { count } = await prisma.verificationToken.updateMany({
+    where: {
+      tokenHash,
+      purpose,
+      consumedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { consumedAt: new Date() }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.verificationToken.findUnique({ where: { tokenHash } });
+};
+
+/**
+ * Look up a usable token without consuming it
+ * @param {string} purpose - Expected purpose
+ * @param {string} token - Raw token presented by the client
+ * @returns {Promise<Object|null>} - Token record, or null if invalid/expired/used
+ */
+exports.findValidToken = async (purpose, token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return prisma.verificationToken.findFirst({
+    where: {
+      tokenHash: hashToken(token),
+      purpose,
+      consumedAt: null,
+      expiresAt: { gt: new Date() }
+    }
+  });
+};
+
+/**
+ * Invalidate a user's outstanding tokens for a purpose (e.g. older reset links)
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<number>} - Number of tokens invalidated
+ */
+exports.invalidateTokens = async (userId, purpose) => {
+  const result = await prisma.verificationToken.updateMany({
+    where: { userId, purpose, consumedAt: null },
+    data: { consumedAt: new Date() }
+  });
+
+  return result.count;
+};
+
+/**
+ * Delete expired and consumed tokens
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+exports.purgeExpiredTokens = async () => {
+  const result = await prisma.verificationToken.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { consumedAt: { not: null } }
+      ]
+    }
+  });
+
+  return result.count;
+};
@@ -0,0 +1,121 @@
+/**
+ * In-memory stand-in for the Prisma client
+ * Covers the query shapes the services under test use: equality, null,
+ * { lt, lte, gt, gte, in, not } filters, OR, and the usual model methods.
+ * Tests mock ../src/config/database with createDatabase() and seed rows
+ * through db.prisma.<model>.rows. Reads and updates return copies, as Prisma
+ * does; create hands back the stored row so a test can keep a handle on it.
+ */
+
+const crypto = require('crypto');
+
+const matchesValue = (actual, expected) => {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  if (expected instanceof Date) {
+    return actual instanceof Date && actual.getTime() === expected.getTime();
+  }
+  if (typeof expected === 'object') {
+    return Object.entries(expected).every(([op, value]) => {
+      switch (op) {
+        case 'lt': return actual !== null && actual !== undefined && actual < value;
+        case 'lte': return actual !== null && actual !== undefined && actual <= value;
+        case 'gt': return actual !== null && actual !== undefined && actual > value;
+        case 'gte': return actual !== null && actual !== undefined && actual >= value;
+        case 'in': return value.includes(actual);
+        case 'not': return !matchesValue(actual, value);
+        default: throw new Error(`fakePrisma: unsupported filter "${op}"`);
+      }
+    });
+  }
+  return actual === expected;
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, expected]) => {
+  if (key === 'OR') {
+    return expected.some(clause => matches(row, clause));
+  }
+  if (key === 'AND') {
+    return expected.every(clause => matches(row, clause));
+  }
+  return matchesValue(row[key], expected);
+});
+
+const copy = row => (row ? { ...row } : null);
+
+const createModel = (defaults = () => ({})) => {
+  const model = {
+    rows: [],
+
+    findUnique: async ({ where }) => copy(model.rows.find(row => matches(row, where))),
+
+    findFirst: async ({ where } = {}) => copy(model.rows.find(row => matches(row, where))),
+
+    findMany: async ({ where } = {}) => model.rows.filter(row => matches(row, where)).map(copy),
+
+    count: async ({ where } = {}) => model.rows.filter(row => matches(row, where)).length,
+
+    create: async ({ data }) => {
+      const row = { id: crypto.randomUUID(), ...defaults(), ...data };
+      model.rows.push(row);
+      return row;
+    },
+
+    createMany: async ({ data }) => {
+      data.forEach(item => model.rows.push({ id: crypto.randomUUID(), ...defaults(), ...item }));
+      return { count: data.length };
+    },
+
+    update: async ({ where, data }) => {
+      const row = model.rows.find(candidate => matches(candidate, where));
+      if (!row) {
+        throw new Error('fakePrisma: record to update not found');
+      }
+      return copy(Object.assign(row, data));
+    },
+
+    updateMany: async ({ where, data }) => {
+      const found = model.rows.filter(row => matches(row, where));
+      found.forEach(row => Object.assign(row, data));
+      return { count: found.length };
+    },
+
+    deleteMany: async ({ where } = {}) => {
+      const before = model.rows.length;
+      model.rows = model.rows.filter(row => !matches(row, where));
+      return { count: before - model.rows.length };
+    }
+  };
+
+  return model;
+};
+
+/**
+ * Build a fresh database with the models the tests need
+ * @returns {{prisma: Object, runInTransaction: Function}}
+ */
+exports.createDatabase = () => {
+  const prisma = {
+    user: createModel(() => ({ isActive: true, mfaEnabled: false, totpSecret: null, totpLastUsedStep: null })),
+    verificationToken: createModel(() => ({ consumedAt: null, data: null })),
+    mfaRecoveryCode: createModel(() => ({ usedAt: null })),
+    task: createModel(() => ({ deletedAt: null, recurrence: null, occurrenceCount: 0 })),
+    taskActivity: createModel(() => ({ createdAt: new Date() })),
+
+    // Array form runs the queries in order; callback form gets the client itself
+    $transaction: async (queries) => (typeof queries === 'function'
+      ? queries(prisma)
+      : Promise.all(queries))
+  };
+
+  const runInTransaction = async (db, buildQueries) => {
+    const results = [];
+    for (const query of buildQueries(db)) {
+      results.push(await query);
+    }
+    return results;
+  };
+
+  return { prisma, runInTransaction };
+};
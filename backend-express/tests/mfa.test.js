@@ -0,0 +1,219 @@
+/**
+ * Two-factor login challenge: password -> mfaToken -> TOTP or recovery code -> tokens
+ * Runs the real mfaService and verificationTokenService against an in-memory database.
+ */
+
+jest.mock('../src/config/database', () => require('./helpers/fakePrisma').createDatabase());
+jest.mock('../src/services/tokenService', () => ({
+  issueTokens: jest.fn(async () => ({ accessToken: 'access-token', refreshToken: 'refresh-token' }))
+}));
+jest.mock('../src/services/loginSecurityService', () => ({
+  getLockout: jest.fn(() => null),
+  recordFailedLogin: jest.fn(async () => null),
+  recordSuccessfulLogin: jest.fn(async () => {})
+}));
+jest.mock('../src/services/sessionService', () => ({
+  getClientInfo: jest.fn(() => ({ userAgent: 'jest', ipAddress: '127.0.0.1' }))
+}));
+jest.mock('../src/services/emailService', () => ({}));
+jest.mock('../src/services/pushNotificationService', () => ({}));
+
+const bcrypt = require('bcrypt');
+const { authenticator } = require('otplib');
+const { prisma } = require('../src/config/database');
+const authController = require('../src/controllers/authController');
+const mfaService = require('../src/services/mfaService');
+const verificationTokenService = require('../src/services/verificationTokenService');
+
+const PASSWORD = 'correct horse battery staple';
+const RECOVERY_CODE = 'abcde-12345';
+
+// Call a handler and capture what it answered with (or passed to next)
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let error;
+  await handler({ headers: {}, ...req }, res, (err) => { error = err; });
+  return { res, error };
+};
+
+const login = () => call(authController.login, { body: { email: 'ada@example.com', password: PASSWORD } });
+
+const verify = (mfaToken, factors) => call(authController.verifyMfaLogin, { body: { mfaToken, ...factors } });
+
+// A six-digit code that isn't valid for the secret in the current window
+const wrongCodeFor = (secret) => ['000000', '111111', '222222', '333333']
+  .find(code => authenticator.checkDelta(code, secret) === null);
+
+let user;
+
+beforeEach(async () => {
+  prisma.user.rows = [];
+  prisma.verificationToken.rows = [];
+  prisma.mfaRecoveryCode.rows = [];
+
+  user = await prisma.user.create({
+    data: {
+      email: 'ada@example.com',
+      password: await bcrypt.hash(PASSWORD, 4),
+      mfaEnabled: true,
+      totpSecret: authenticator.generateSecret(20),
+      profile: null
+    }
+  });
+
+  await prisma.mfaRecoveryCode.create({
+    data: { userId: user.id, codeHash: verificationTokenService.hashToken('abcde12345') }
+  });
+});
+
+describe('login with two-factor authentication enabled', () => {
+  it('returns a challenge instead of tokens', async () => {
+    const { res } = await login();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      mfaRequired: true,
+      mfaToken: expect.any(String),
+      expiresAt: expect.any(Date)
+    });
+    expect(res.body.accessToken).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+  });
+
+  it('issues tokens straight away when two-factor is off', async () => {
+    user.mfaEnabled = false;
+
+    const { res } = await login();
+
+    expect(res.body.mfaRequired).toBeUndefined();
+    expect(res.body.accessToken).toBe('access-token');
+    expect(res.body.user.totpSecret).toBeUndefined();
+  });
+});
+
+describe('verifyMfaLogin', () => {
+  it('completes the login with a TOTP code', async () => {
+    const { res: challenge } = await login();
+
+    const { res, error } = await verify(challenge.body.mfaToken, { code: authenticator.generate(user.totpSecret) });
+
+    expect(error).toBeUndefined();
+    expect(res.body.accessToken).toBe('access-token');
+    expect(res.body.refreshToken).toBe('refresh-token');
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.user.password).toBeUndefined();
+    expect(res.body.user.totpSecret).toBeUndefined();
+  });
+
+  it('accepts a recovery code only once', async () => {
+    const { res: first } = await login();
+    const { res, error } = await verify(first.body.mfaToken, { recoveryCode: 'ABCDE 12345' });
+
+    expect(error).toBeUndefined();
+    expect(res.body.accessToken).toBe('access-token');
+    expect(await mfaService.countRemainingRecoveryCodes(user.id)).toBe(0);
+
+    const { res: second } = await login();
+    const { error: reuseError } = await verify(second.body.mfaToken, { recoveryCode: RECOVERY_CODE });
+
+    expect(reuseError.statusCode).toBe(400);
+    expect(reuseError.message).toBe('Invalid verification code');
+  });
+
+  it('rejects a TOTP code whose time step was already used', async () => {
+    const code = authenticator.generate(user.totpSecret);
+
+    const { res: first } = await login();
+    await verify(first.body.mfaToken, { code });
+    expect(user.totpLastUsedStep).toEqual(expect.any(Number));
+
+    const { res: second } = await login();
+    const { res, error } = await verify(second.body.mfaToken, { code });
+
+    expect(res.body).toBeUndefined();
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Invalid verification code');
+  });
+
+  it('rejects a challenge that was already used', async () => {
+    const { res: challenge } = await login();
+    await verify(challenge.body.mfaToken, { recoveryCode: RECOVERY_CODE });
+
+    const { error } = await verify(challenge.body.mfaToken, { code: authenticator.generate(user.totpSecret) });
+
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('rejects an expired challenge', async () => {
+    const { res: challenge } = await login();
+    prisma.verificationToken.rows.forEach((row) => {
+      row.expiresAt = new Date(Date.now() - 1000);
+    });
+
+    const { error } = await verify(challenge.body.mfaToken, { code: authenticator.generate(user.totpSecret) });
+
+    expect(error.statusCode).toBe(401);
+    expect(user.totpLastUsedStep).toBeNull();
+  });
+
+  it('burns the challenge after too many wrong codes', async () => {
+    const { res: challenge } = await login();
+    const wrongCode = wrongCodeFor(user.totpSecret);
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const { error } = await verify(challenge.body.mfaToken, { code: wrongCode });
+      expect(error.statusCode).toBe(400);
+    }
+
+    const { error: lastError } = await verify(challenge.body.mfaToken, { code: wrongCode });
+    expect(lastError.statusCode).toBe(401);
+
+    const { error } = await verify(challenge.body.mfaToken, { code: authenticator.generate(user.totpSecret) });
+    expect(error.statusCode).toBe(401);
+  });
+});
+
+describe('mfaEnrollComplete', () => {
+  beforeEach(() => {
+    user.mfaEnabled = false;
+  });
+
+  const enroll = code => call(authController.mfaEnrollComplete, { user: { id: user.id }, body: { code } });
+
+  it('refuses to enable two-factor without a valid code', async () => {
+    const { res, error } = await enroll(wrongCodeFor(user.totpSecret));
+
+    expect(res.body).toBeUndefined();
+    expect(error.statusCode).toBe(400);
+    expect(user.mfaEnabled).toBe(false);
+  });
+
+  it('refuses when setup was never started', async () => {
+    user.totpSecret = null;
+
+    const { error } = await enroll('123456');
+
+    expect(error.statusCode).toBe(400);
+    expect(user.mfaEnabled).toBe(false);
+  });
+
+  it('enables two-factor and returns fresh recovery codes for a valid code', async () => {
+    const { res, error } = await enroll(authenticator.generate(user.totpSecret));
+
+    expect(error).toBeUndefined();
+    expect(user.mfaEnabled).toBe(true);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expect(await mfaService.countRemainingRecoveryCodes(user.id)).toBe(10);
+  });
+});
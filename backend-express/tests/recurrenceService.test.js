@@ -0,0 +1,78 @@
+/**
+ * Where a recurring task goes after its current occurrence is completed
+ */
+
+jest.mock('../src/config/database', () => require('./helpers/fakePrisma').createDatabase());
+
+const recurrenceService = require('../src/services/recurrenceService');
+
+const day = text => new Date(`${text}T00:00:00.000Z`);
+const days = dates => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('nextOccurrence', () => {
+  it('moves a task completed on time to its next date', () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=DAILY;COUNT=3', dueDate: day('2026-10-17'), occurrenceCount: 0 },
+      day('2026-10-17')
+    );
+
+    expect(result.nextDueDate).toEqual(day('2026-10-18'));
+    expect(result.occurrences).toBe(1);
+    expect(result.missed).toEqual([]);
+  });
+
+  it('catches an overdue task up past today, counting what it missed', () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=DAILY', dueDate: day('2026-10-15'), occurrenceCount: 0 },
+      day('2026-10-19')
+    );
+
+    expect(result.nextDueDate).toEqual(day('2026-10-20'));
+    expect(days(result.missed)).toEqual(['2026-10-16', '2026-10-17', '2026-10-18']);
+    // The completion covers the due date and today's occurrence
+    expect(result.occurrences).toBe(5);
+  });
+
+  it("counts today's covered occurrence towards COUNT", () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=DAILY;COUNT=3', dueDate: day('2026-10-17'), occurrenceCount: 0 },
+      day('2026-10-19')
+    );
+
+    expect(result.nextDueDate).toBeNull();
+    expect(result.occurrences).toBe(3);
+    expect(days(result.missed)).toEqual(['2026-10-18']);
+    expect(result.covered).toEqual(day('2026-10-19'));
+  });
+
+  it('keeps going when COUNT leaves room after today', () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=DAILY;COUNT=4', dueDate: day('2026-10-17'), occurrenceCount: 0 },
+      day('2026-10-19')
+    );
+
+    expect(result.nextDueDate).toEqual(day('2026-10-20'));
+    expect(result.occurrences).toBe(3);
+  });
+
+  it('ends the series when today is the last date before UNTIL', () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=DAILY;UNTIL=20261019', dueDate: day('2026-10-17'), occurrenceCount: 0 },
+      day('2026-10-19')
+    );
+
+    expect(result.nextDueDate).toBeNull();
+    expect(result.occurrences).toBe(3);
+  });
+
+  it('continues from today for tasks that repeat from completion', () => {
+    const result = recurrenceService.nextOccurrence(
+      { recurrence: 'FREQ=WEEKLY', recurFromCompletion: true, dueDate: day('2026-10-01'), occurrenceCount: 2 },
+      day('2026-10-19')
+    );
+
+    expect(result.nextDueDate).toEqual(day('2026-10-26'));
+    expect(result.occurrences).toBe(3);
+    expect(result.missed).toEqual([]);
+  });
+});
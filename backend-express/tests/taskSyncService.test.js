@@ -0,0 +1,109 @@
+/**
+ * Microsoft To Do sync: Microsoft always wins over the local copy of a task
+ */
+
+jest.mock('../src/config/database', () => require('./helpers/fakePrisma').createDatabase());
+jest.mock('../src/services/microsoftOAuthService', () => ({}));
+jest.mock('../src/services/microsoftGraphService', () => ({}));
+jest.mock('../src/services/taskReminderService', () => ({
+  rescheduleReminders: jest.fn(async () => {})
+}));
+jest.mock('../src/services/taskAttachmentService', () => ({
+  syncMicrosoftAttachments: jest.fn(async () => {})
+}));
+
+const { prisma } = require('../src/config/database');
+const taskSyncService = require('../src/services/taskSyncService');
+const taskReminderService = require('../src/services/taskReminderService');
+
+const msTask = (overrides = {}) => ({
+  microsoftTodoId: 'ms-1',
+  name: 'Water the plants',
+  description: null,
+  dueDate: '2026-10-20T00:00:00.000Z',
+  completed: false,
+  completedAt: null,
+  recurrence: null,
+  attachments: [],
+  ...overrides
+});
+
+const weekly = {
+  pattern: { type: 'weekly', interval: 1, daysOfWeek: ['monday'] },
+  range: { type: 'noEnd' }
+};
+
+let task;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  prisma.task.rows = [];
+  prisma.taskActivity.rows = [];
+
+  task = await prisma.task.create({
+    data: {
+      userId: 'user-1',
+      listId: 'list-1',
+      microsoftTodoId: 'ms-1',
+      name: 'Water the plants',
+      description: null,
+      dueDate: new Date('2026-10-20T00:00:00.000Z'),
+      completed: false,
+      completedAt: null,
+      recurrence: 'FREQ=DAILY',
+      occurrenceCount: 4
+    }
+  });
+});
+
+describe('createOrUpdateTask', () => {
+  it("takes the repeat rule from Microsoft and logs the one it replaced", async () => {
+    const result = await taskSyncService.createOrUpdateTask('user-1', msTask({ recurrence: weekly }), 'list-1');
+
+    expect(result.action).toBe('updated');
+    expect(task.recurrence).toBe('FREQ=WEEKLY;BYDAY=MO');
+    expect(task.occurrenceCount).toBe(0);
+    expect(prisma.taskActivity.rows).toEqual([
+      expect.objectContaining({
+        taskId: task.id,
+        type: 'synced',
+        source: 'microsoft',
+        changes: [{ field: 'recurrence', from: 'FREQ=DAILY', to: 'FREQ=WEEKLY;BYDAY=MO' }]
+      })
+    ]);
+  });
+
+  it('stops the series when it was stopped in Microsoft', async () => {
+    await taskSyncService.createOrUpdateTask('user-1', msTask(), 'list-1');
+
+    expect(task.recurrence).toBeNull();
+  });
+
+  it('keeps the occurrence count when the rule is unchanged', async () => {
+    await taskSyncService.createOrUpdateTask('user-1', msTask({
+      recurrence: { pattern: { type: 'daily', interval: 1 }, range: { type: 'noEnd' } }
+    }), 'list-1');
+
+    expect(task.recurrence).toBe('FREQ=DAILY');
+    expect(task.occurrenceCount).toBe(4);
+    expect(prisma.taskActivity.rows).toEqual([]);
+  });
+
+  it('leaves a task in the trash alone', async () => {
+    const deletedAt = new Date('2026-10-18T12:00:00.000Z');
+    task.deletedAt = deletedAt;
+
+    const result = await taskSyncService.createOrUpdateTask('user-1', msTask({ name: 'Renamed in To Do', recurrence: weekly }), 'list-2');
+
+    expect(result).toEqual({ action: 'skipped', task: null });
+    expect(task).toEqual(expect.objectContaining({
+      name: 'Water the plants',
+      listId: 'list-1',
+      recurrence: 'FREQ=DAILY',
+      deletedAt
+    }));
+    expect(prisma.task.rows).toHaveLength(1);
+    expect(prisma.taskActivity.rows).toEqual([]);
+    expect(taskReminderService.rescheduleReminders).not.toHaveBeenCalled();
+  });
+});
@@ -15,7 +15,9 @@ module.exports = {
     },
     ios: {
       bundleIdentifier: "com.samaanai.mobile",
-      supportsTablet: true
+      supportsTablet: true,
+      // Passkeys require the app to be associated with the WebAuthn relying party domain
+      associatedDomains: [`webcredentials:${process.env.WEBAUTHN_RP_ID || "samaanai.com"}`]
     },
     android: {
       package: "com.samaanai.mobile",
@@ -0,0 +1,325 @@
+/**
+ * Recurrence Editor Component
+ * Picks how a task repeats: frequency, interval, weekdays or monthly pattern,
+ * when the series ends and whether it repeats from the completion date.
+ * Rules the form can't show (set through the API) are edited as raw RRULEs.
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, TextInput, Chip, Switch, HelperText } from 'react-native-paper';
+import {
+  FREQUENCIES, WEEKDAYS, ORDINALS, DEFAULT_REPEAT,
+  ruleToRepeat, repeatToRule, describeRecurrence
+} from '../utils/recurrence';
+
+const MONTHLY_MODES = [
+  { value: 'sameDay', label: 'Same day' },
+  { value: 'nthWeekday', label: 'Nth weekday' },
+  { value: 'lastWeekday', label: 'Last weekday' },
+  { value: 'lastDay', label: 'Last day' }
+];
+
+const ENDS = [
+  { value: 'never', label: 'Never' },
+  { value: 'count', label: 'After' },
+  { value: 'until', label: 'On date' }
+];
+
+export default function RecurrenceEditor({ recurrence, recurFromCompletion, onChange }) {
+  const [repeat, setRepeat] = useState(() => (recurrence ? ruleToRepeat(recurrence) : null));
+  // Rules from elsewhere that the form can't represent stay editable as text
+  const [customRule, setCustomRule] = useState(() => (recurrence && !ruleToRepeat(recurrence) ? recurrence : null));
+
+  const update = (changes) => {
+    const next = { ...(repeat || DEFAULT_REPEAT), ...changes };
+    setRepeat(next);
+    setCustomRule(null);
+    onChange({ recurrence: repeatToRule(next), recurFromCompletion });
+  };
+
+  const selectFrequency = (freq) => {
+    if (!freq) {
+      setRepeat(null);
+      setCustomRule(null);
+      onChange({ recurrence: null, recurFromCompletion: false });
+      return;
+    }
+    update({ freq });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = repeat.weekdays.includes(day)
+      ? repeat.weekdays.filter(item => item !== day)
+      : [...repeat.weekdays, day];
+    update({ weekdays });
+  };
+
+  const unit = FREQUENCIES.find(freq => freq.value === repeat?.freq)?.unit;
+  const rule = customRule || (repeat ? repeatToRule(repeat) : null);
+
+  return (
+    <View>
+      <View style={styles.chipRow}>
+        <Chip
+          selected={!repeat && !customRule}
+          showSelectedOverlay
+          onPress={() => selectFrequency(null)}
+          style={styles.chip}
+          mode="outlined"
+        >
+          Never
+        </Chip>
+        {FREQUENCIES.map(freq => (
+          <Chip
+            key={freq.value}
+            selected={repeat?.freq === freq.value}
+            showSelectedOverlay
+            onPress={() => selectFrequency(freq.value)}
+            style={styles.chip}
+            mode="outlined"
+          >
+            {freq.label}
+          </Chip>
+        ))}
+      </View>
+
+      {customRule && (
+        <>
+          <TextInput
+            label="Custom rule (RRULE)"
+            value={customRule}
+            onChangeText={(value) => {
+              setCustomRule(value);
+              onChange({ recurrence: value.trim() || null, recurFromCompletion });
+            }}
+            mode="outlined"
+            autoCapitalize="characters"
+            style={styles.input}
+          />
+          <HelperText type="info" visible={true}>
+            Pick a frequency above to replace this rule with a simpler one.
+          </HelperText>
+        </>
+      )}
+
+      {repeat && (
+        <>
+          <View style={styles.inlineRow}>
+            <Text style={styles.inlineLabel}>Every</Text>
+            <TextInput
+              value={String(repeat.interval)}
+              onChangeText={(value) => update({ interval: Math.max(1, parseInt(value, 10) || 1) })}
+              keyboardType="number-pad"
+              mode="outlined"
+              dense
+              maxLength={3}
+              style={styles.numberInput}
+            />
+            <Text style={styles.inlineLabel}>{repeat.interval > 1 ? `${unit}s` : unit}</Text>
+          </View>
+
+          {repeat.freq === 'WEEKLY' && (
+            <View style={styles.weekdayRow}>
+              {WEEKDAYS.map(day => {
+                const selected = repeat.weekdays.includes(day.value);
+                return (
+                  <TouchableOpacity
+                    key={day.value}
+                    onPress={() => toggleWeekday(day.value)}
+                    style={[styles.weekday, selected && styles.weekdaySelected]}
+                  >
+                    <Text style={[styles.weekdayText, selected && styles.weekdayTextSelected]}>
+                      {day.label.slice(0, 2)}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+
+          {repeat.freq === 'MONTHLY' && (
+            <>
+              <View style={styles.chipRow}>
+                {MONTHLY_MODES.map(mode => (
+                  <Chip
+                    key={mode.value}
+                    compact
+                    selected={repeat.monthlyMode === mode.value}
+                    showSelectedOverlay
+                    onPress={() => update({ monthlyMode: mode.value })}
+                    style={styles.chip}
+                  >
+                    {mode.label}
+                  </Chip>
+                ))}
+              </View>
+              {repeat.monthlyMode === 'nthWeekday' && (
+                <>
+                  <View style={styles.chipRow}>
+                    {ORDINALS.map(ordinal => (
+                      <Chip
+                        key={ordinal.value}
+                        compact
+                        selected={repeat.ordinal === ordinal.value}
+                        showSelectedOverlay
+                        onPress={() => update({ ordinal: ordinal.value })}
+                        style={styles.chip}
+                      >
+                        {ordinal.label}
+                      </Chip>
+                    ))}
+                  </View>
+                  <View style={styles.chipRow}>
+                    {WEEKDAYS.map(day => (
+                      <Chip
+                        key={day.value}
+                        compact
+                        selected={repeat.ordinalWeekday === day.value}
+                        showSelectedOverlay
+                        onPress={() => update({ ordinalWeekday: day.value })}
+                        style={styles.chip}
+                      >
+                        {day.label}
+                      </Chip>
+                    ))}
+                  </View>
+                </>
+              )}
+            </>
+          )}
+
+          <Text style={styles.subLabel}>Ends</Text>
+          <View style={styles.chipRow}>
+            {ENDS.map(end => (
+              <Chip
+                key={end.value}
+                compact
+                selected={repeat.ends === end.value}
+                showSelectedOverlay
+                onPress={() => update({ ends: end.value })}
+                style={styles.chip}
+              >
+                {end.label}
+              </Chip>
+            ))}
+          </View>
+          {repeat.ends === 'count' && (
+            <View style={styles.inlineRow}>
+              <TextInput
+                value={String(repeat.count)}
+                onChangeText={(value) => update({ count: Math.max(1, parseInt(value, 10) || 1) })}
+                keyboardType="number-pad"
+                mode="outlined"
+                dense
+                maxLength={4}
+                style={styles.numberInput}
+              />
+              <Text style={styles.inlineLabel}>times</Text>
+            </View>
+          )}
+          {repeat.ends === 'until' && (
+            <TextInput
+              label="Last date (YYYY-MM-DD)"
+              value={repeat.until}
+              onChangeText={(value) => update({ until: value.trim() })}
+              mode="outlined"
+              dense
+              maxLength={10}
+              style={styles.input}
+            />
+          )}
+        </>
+      )}
+
+      {rule && (
+        <>
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Repeat from the day I complete it</Text>
+            <Switch
+              value={recurFromCompletion}
+              onValueChange={(value) => onChange({ recurrence: rule, recurFromCompletion: value })}
+            />
+          </View>
+          <Text style={styles.summary}>{describeRecurrence(rule, recurFromCompletion)}</Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8
+  },
+  chip: {
+    marginBottom: 0
+  },
+  input: {
+    marginBottom: 8
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8
+  },
+  inlineLabel: {
+    fontSize: 14,
+    color: '#666'
+  },
+  numberInput: {
+    width: 70
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8
+  },
+  weekday: {
+    width: 38,
+    height: 38,
+    borderRadius: 19,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f6f8'
+  },
+  weekdaySelected: {
+    backgroundColor: '#1976d2'
+  },
+  weekdayText: {
+    fontSize: 13,
+    color: '#666'
+  },
+  weekdayTextSelected: {
+    color: '#fff',
+    fontWeight: '600'
+  },
+  subLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 4
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginRight: 12
+  },
+  summary: {
+    fontSize: 13,
+    color: '#1976d2',
+    marginTop: 8
+  }
+});
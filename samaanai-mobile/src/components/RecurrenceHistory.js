@@ -0,0 +1,159 @@
+/**
+ * Recurrence History Component
+ * Shows how a recurring task's past occurrences went: streaks, completion
+ * rate and the most recent occurrences. Works from the recurring task or any
+ * of its completed copies. Reloads whenever the task passed in changes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { format } from 'date-fns';
+import { api } from '../services/api';
+
+const RECENT_LIMIT = 10;
+
+const STATUSES = {
+  completed: { label: 'Completed', icon: 'check-circle', color: '#4caf50' },
+  skipped: { label: 'Skipped', icon: 'skip-next-circle', color: '#9e9e9e' },
+  missed: { label: 'Missed', icon: 'close-circle', color: '#d32f2f' }
+};
+
+export default function RecurrenceHistory({ task }) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const { data } = await api.getTaskHistory(task.id, { limit: RECENT_LIMIT });
+        setHistory(data);
+      } catch (err) {
+        console.error('Task history error:', err);
+        setHistory(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [task]);
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loading} />;
+  }
+
+  if (!history) {
+    return <Text style={styles.emptyText}>History isn't available right now.</Text>;
+  }
+
+  const { stats, occurrences } = history;
+
+  return (
+    <View>
+      <Text style={styles.title}>History</Text>
+
+      <View style={styles.statsRow}>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{stats.currentStreak}</Text>
+          <Text style={styles.statLabel}>Current streak</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{stats.bestStreak}</Text>
+          <Text style={styles.statLabel}>Best streak</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>
+            {stats.completionRate === null ? '–' : `${stats.completionRate}%`}
+          </Text>
+          <Text style={styles.statLabel}>Completed</Text>
+        </View>
+      </View>
+
+      {stats.total > 0 && (
+        <Text style={styles.summary}>
+          {stats.completed} completed, {stats.skipped} skipped, {stats.missed} missed
+        </Text>
+      )}
+
+      {occurrences.length === 0 ? (
+        <Text style={styles.emptyText}>No occurrences finished yet.</Text>
+      ) : (
+        occurrences.map(occurrence => {
+          const status = STATUSES[occurrence.status] || STATUSES.completed;
+          return (
+            <View key={occurrence.id} style={styles.occurrenceRow}>
+              <MaterialCommunityIcons name={status.icon} size={20} color={status.color} />
+              <Text style={styles.occurrenceDate}>
+                {occurrence.dueDate ? format(new Date(occurrence.dueDate), 'EEE, MMM d, yyyy') : 'No due date'}
+              </Text>
+              <Text style={[styles.occurrenceStatus, { color: status.color }]}>{status.label}</Text>
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: 16
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 12
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    backgroundColor: '#f5f6f8'
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1976d2'
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2
+  },
+  summary: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8
+  },
+  occurrenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    gap: 8
+  },
+  occurrenceDate: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333'
+  },
+  occurrenceStatus: {
+    fontSize: 13,
+    fontWeight: '600'
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginVertical: 8
+  }
+});
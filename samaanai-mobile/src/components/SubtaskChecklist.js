@@ -0,0 +1,235 @@
+/**
+ * Subtask Checklist Component
+ * Shows and edits the checklist inside a task. Every change returns the
+ * updated task, which is handed back through onTaskChange.
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Text, TextInput, IconButton, ProgressBar, Switch } from 'react-native-paper';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { api } from '../services/api';
+
+export default function SubtaskChecklist({ task, onTaskChange }) {
+  const [newItem, setNewItem] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const subtasks = task.subtasks || [];
+  const { completed, total } = task.subtaskProgress || { completed: 0, total: 0 };
+
+  // Run a checklist request and show the task it returns
+  const save = async (request, errorMessage) => {
+    try {
+      setSaving(true);
+      const { data } = await request();
+      onTaskChange(data.task);
+      if (data.message) {
+        Alert.alert('Checklist Done', data.message);
+      }
+      return true;
+    } catch (err) {
+      console.error('Checklist error:', err);
+      Alert.alert('Error', err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || errorMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const name = newItem.trim();
+    if (!name) return;
+
+    if (await save(() => api.addSubtask(task.id, name), 'Failed to add item')) {
+      setNewItem('');
+    }
+  };
+
+  const handleRename = async (subtask) => {
+    const name = editingName.trim();
+    setEditingId(null);
+
+    if (!name || name === subtask.name) return;
+
+    await save(() => api.updateSubtask(task.id, subtask.id, { name }), 'Failed to rename item');
+  };
+
+  const handleMove = (index, offset) => {
+    const ids = subtasks.map(subtask => subtask.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+
+    save(() => api.reorderSubtasks(task.id, ids), 'Failed to reorder items');
+  };
+
+  const handleToggleAutoComplete = (value) => {
+    save(() => api.updateTask(task.id, { completeWithSubtasks: value }), 'Failed to update task');
+  };
+
+  return (
+    <View>
+      <View style={styles.headerRow}>
+        <Text style={styles.sectionTitle}>Checklist</Text>
+        {total > 0 && <Text style={styles.progressText}>{completed}/{total}</Text>}
+      </View>
+
+      {total > 0 && (
+        <ProgressBar progress={completed / total} color="#66bb6a" style={styles.progressBar} />
+      )}
+
+      {subtasks.map((subtask, index) => (
+        <View key={subtask.id} style={styles.itemRow}>
+          <TouchableOpacity
+            onPress={() => save(() => api.toggleSubtask(task.id, subtask.id), 'Failed to update item')}
+            disabled={saving}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <MaterialCommunityIcons
+              name={subtask.completed ? 'checkbox-marked' : 'checkbox-blank-outline'}
+              size={24}
+              color={subtask.completed ? '#66bb6a' : '#9e9e9e'}
+            />
+          </TouchableOpacity>
+
+          {editingId === subtask.id ? (
+            <TextInput
+              value={editingName}
+              onChangeText={setEditingName}
+              onSubmitEditing={() => handleRename(subtask)}
+              onBlur={() => handleRename(subtask)}
+              mode="flat"
+              dense
+              autoFocus
+              maxLength={200}
+              style={styles.itemInput}
+            />
+          ) : (
+            <TouchableOpacity
+              style={styles.itemNameContainer}
+              onLongPress={() => {
+                setEditingId(subtask.id);
+                setEditingName(subtask.name);
+              }}
+            >
+              <Text style={[styles.itemName, subtask.completed && styles.itemNameCompleted]}>
+                {subtask.name}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <IconButton
+            icon="chevron-up"
+            size={18}
+            disabled={saving || index === 0}
+            onPress={() => handleMove(index, -1)}
+            style={styles.itemButton}
+          />
+          <IconButton
+            icon="chevron-down"
+            size={18}
+            disabled={saving || index === subtasks.length - 1}
+            onPress={() => handleMove(index, 1)}
+            style={styles.itemButton}
+          />
+          <IconButton
+            icon="close"
+            size={18}
+            disabled={saving}
+            onPress={() => save(() => api.deleteSubtask(task.id, subtask.id), 'Failed to delete item')}
+            style={styles.itemButton}
+          />
+        </View>
+      ))}
+
+      <TextInput
+        placeholder="Add an item"
+        value={newItem}
+        onChangeText={setNewItem}
+        onSubmitEditing={handleAdd}
+        mode="outlined"
+        dense
+        maxLength={200}
+        style={styles.addInput}
+        right={<TextInput.Icon icon="plus" onPress={handleAdd} disabled={saving || !newItem.trim()} />}
+      />
+
+      {total > 0 && (
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Complete the task when every item is done</Text>
+          <Switch
+            value={task.completeWithSubtasks}
+            onValueChange={handleToggleAutoComplete}
+            disabled={saving}
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666'
+  },
+  progressText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#66bb6a'
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+    marginBottom: 8
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    minHeight: 40
+  },
+  itemNameContainer: {
+    flex: 1,
+    marginLeft: 10,
+    paddingVertical: 6
+  },
+  itemName: {
+    fontSize: 15,
+    color: '#333'
+  },
+  itemNameCompleted: {
+    color: '#9e9e9e',
+    textDecorationLine: 'line-through'
+  },
+  itemInput: {
+    flex: 1,
+    marginLeft: 10,
+    backgroundColor: 'transparent'
+  },
+  itemButton: {
+    margin: 0
+  },
+  addInput: {
+    marginTop: 8
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginRight: 12
+  }
+});
@@ -0,0 +1,196 @@
+/**
+ * Task Activity Timeline Component
+ * Shows what happened to a task, most recent first: edits with their old and
+ * new values, completions, syncs from Google or Microsoft, pushes back to
+ * Google and trips to the trash, each with where it came from. Reloads
+ * whenever the task passed in changes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { format, parseISO } from 'date-fns';
+import { api } from '../services/api';
+import { getPriority } from '../utils/taskOptions';
+import { describeRecurrence } from '../utils/recurrence';
+
+const RECENT_LIMIT = 20;
+
+const TYPES = {
+  created: { label: 'Created', icon: 'plus-circle', color: '#1976d2' },
+  updated: { label: 'Edited', icon: 'pencil-circle', color: '#616161' },
+  completed: { label: 'Completed', icon: 'check-circle', color: '#4caf50' },
+  reopened: { label: 'Marked incomplete', icon: 'restore', color: '#fb8c00' },
+  skipped: { label: 'Occurrence skipped', icon: 'skip-next-circle', color: '#9e9e9e' },
+  synced: { label: 'Changed', icon: 'cloud-download', color: '#7b1fa2' },
+  pushed: { label: 'Pushed', icon: 'cloud-upload', color: '#7b1fa2' },
+  deleted: { label: 'Moved to the trash', icon: 'delete-circle', color: '#d32f2f' },
+  restored: { label: 'Restored from the trash', icon: 'delete-restore', color: '#1976d2' }
+};
+
+const SOURCES = {
+  app: 'in the app',
+  voice: 'by voice',
+  google: 'in Google Tasks',
+  microsoft: 'in Microsoft To Do',
+  api: 'through the API'
+};
+
+const PROVIDERS = {
+  google: 'Google Tasks',
+  microsoft: 'Microsoft To Do'
+};
+
+const FIELDS = {
+  name: 'Name',
+  description: 'Description',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  priority: 'Priority',
+  recurrence: 'Repeat',
+  list: 'List',
+  tags: 'Tags'
+};
+
+// "Completed in Microsoft To Do", "Pushed to Google Tasks"
+const describeType = ({ type, source }) => {
+  if (type === 'pushed') {
+    return `Pushed to ${PROVIDERS[source] || source}`;
+  }
+  return [(TYPES[type] || TYPES.updated).label, SOURCES[source]].filter(Boolean).join(' ');
+};
+
+const describeValue = (field, value) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+  switch (field) {
+    case 'dueDate':
+      return format(parseISO(value), 'MMM d, yyyy');
+    case 'priority':
+      return getPriority(value).label;
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'tags':
+      return value.join(', ');
+    default:
+      return String(value);
+  }
+};
+
+export default function TaskActivityTimeline({ task }) {
+  const [activity, setActivity] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchActivity = async () => {
+      try {
+        setLoading(true);
+        const { data } = await api.getTaskActivity(task.id, { limit: RECENT_LIMIT });
+        setActivity(data.activity);
+      } catch (err) {
+        console.error('Task activity error:', err);
+        setActivity(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchActivity();
+  }, [task]);
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loading} />;
+  }
+
+  if (!activity) {
+    return <Text style={styles.emptyText}>Activity isn't available right now.</Text>;
+  }
+
+  return (
+    <View>
+      <Text style={styles.title}>Activity</Text>
+
+      {activity.length === 0 ? (
+        <Text style={styles.emptyText}>Nothing recorded yet.</Text>
+      ) : (
+        activity.map((entry, index) => {
+          const type = TYPES[entry.type] || TYPES.updated;
+          const last = index === activity.length - 1;
+          return (
+            <View key={entry.id} style={styles.entryRow}>
+              <View style={styles.rail}>
+                <MaterialCommunityIcons name={type.icon} size={20} color={type.color} />
+                {!last && <View style={styles.railLine} />}
+              </View>
+              <View style={styles.entryBody}>
+                <Text style={styles.entryTitle}>{describeType(entry)}</Text>
+                <Text style={styles.entryTime}>{format(new Date(entry.createdAt), 'MMM d, yyyy h:mm a')}</Text>
+                {(entry.changes || []).map(change => (
+                  <Text key={change.field} style={styles.change} numberOfLines={2}>
+                    <Text style={styles.changeField}>{FIELDS[change.field] || change.field}: </Text>
+                    {describeValue(change.field, change.from)} → {describeValue(change.field, change.to)}
+                  </Text>
+                ))}
+              </View>
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: 16
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 12
+  },
+  entryRow: {
+    flexDirection: 'row',
+    gap: 10
+  },
+  rail: {
+    alignItems: 'center',
+    width: 20
+  },
+  railLine: {
+    flex: 1,
+    width: 2,
+    marginVertical: 2,
+    backgroundColor: '#e0e0e0'
+  },
+  entryBody: {
+    flex: 1,
+    paddingBottom: 14
+  },
+  entryTitle: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500'
+  },
+  entryTime: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2
+  },
+  change: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 4
+  },
+  changeField: {
+    fontWeight: '600'
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginVertical: 8
+  }
+});
@@ -0,0 +1,185 @@
+/**
+ * Task List Dialog Component
+ * Creates a list, or renames, recolors and deletes an existing one. Calls
+ * onSaved after any change so the caller can reload its lists.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, Alert, Platform } from 'react-native';
+import { Text, TextInput, Button, Portal, Dialog, HelperText } from 'react-native-paper';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { api } from '../services/api';
+import { TAG_COLORS, LIST_ICONS } from '../utils/taskOptions';
+
+export default function TaskListDialog({ visible, list, onDismiss, onSaved }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(TAG_COLORS[5]);
+  const [icon, setIcon] = useState(LIST_ICONS[0]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isSynced = !!(list?.googleListId || list?.microsoftListId);
+  const canDelete = list && !list.isDefault && !isSynced;
+
+  useEffect(() => {
+    if (visible) {
+      setName(list?.name || '');
+      setColor(list?.color || TAG_COLORS[5]);
+      setIcon(list?.icon || LIST_ICONS[0]);
+      setError('');
+    }
+  }, [visible, list]);
+
+  const handleSave = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError('Please enter a list name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const listData = { name: trimmed, color, icon };
+      const { data } = list
+        ? await api.updateList(list.id, listData)
+        : await api.createList(listData);
+      onSaved(data.list);
+    } catch (err) {
+      console.error('Save list error:', err);
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to save list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteList = async () => {
+    try {
+      setSaving(true);
+      await api.deleteList(list.id);
+      onSaved(null);
+    } catch (err) {
+      console.error('Delete list error:', err);
+      setError(err.response?.data?.error || 'Failed to delete list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const message = `Tasks in "${list.name}" will move to your default list.`;
+
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) {
+        deleteList();
+      }
+      return;
+    }
+
+    Alert.alert('Delete List', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: deleteList }
+    ]);
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{list ? 'Edit List' : 'New List'}</Dialog.Title>
+        <Dialog.Content>
+          <TextInput
+            label="Name"
+            value={name}
+            onChangeText={setName}
+            mode="outlined"
+            maxLength={50}
+            disabled={isSynced}
+          />
+          {isSynced && (
+            <HelperText type="info" visible={true}>
+              This list is synced, so its name follows the other app.
+            </HelperText>
+          )}
+
+          <Text style={styles.label}>Color</Text>
+          <View style={styles.optionRow}>
+            {TAG_COLORS.map(option => (
+              <TouchableOpacity
+                key={option}
+                onPress={() => setColor(option)}
+                style={[styles.colorSwatch, { backgroundColor: option }, color === option && styles.selectedOption]}
+              />
+            ))}
+          </View>
+
+          <Text style={styles.label}>Icon</Text>
+          <View style={styles.optionRow}>
+            {LIST_ICONS.map(option => (
+              <TouchableOpacity
+                key={option}
+                onPress={() => setIcon(option)}
+                style={[styles.iconOption, icon === option && styles.selectedOption]}
+              >
+                <MaterialCommunityIcons name={option} size={20} color={color} />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {error ? (
+            <HelperText type="error" visible={true}>
+              {error}
+            </HelperText>
+          ) : null}
+        </Dialog.Content>
+        <Dialog.Actions>
+          {canDelete && (
+            <Button onPress={handleDelete} textColor="#d32f2f" disabled={saving} style={styles.deleteButton}>
+              Delete
+            </Button>
+          )}
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSave} loading={saving} disabled={saving}>
+            {list ? 'Save' : 'Create'}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'transparent'
+  },
+  iconOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f6f8',
+    borderWidth: 2,
+    borderColor: 'transparent'
+  },
+  selectedOption: {
+    borderColor: '#333'
+  },
+  deleteButton: {
+    marginRight: 'auto'
+  }
+});
@@ -2,6 +2,7 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
 import api from '../services/api';
 import { registerForPushNotificationsAsync } from '../services/notificationService';
 import { secureStorage, appStorage } from '../services/secureStorage';
+import { authenticateWithPasskey } from '../services/passkeyService';
 
 const AuthContext = createContext();
 
@@ -66,6 +67,11 @@ export const AuthProvider = ({ children }) => {
       const { data } = await api.login(email, password);
       console.log('Login response:', data);
 
+      // Two-factor enabled: the caller must finish with verifyMfa()
+      if (data.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: data.mfaToken };
+      }
+
       // Store tokens securely, user data in app storage
       await Promise.all([
         appStorage.setItem('user', JSON.stringify(data.user)),
@@ -142,33 +148,142 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const loginWithGoogle = async (accessToken, refreshToken, user) => {
+  // Passwordless sign-in with { token } from an emailed link or { email, code }
+  const loginWithEmail = async (credentials) => {
+    try {
+      const { data } = await api.verifyEmailLogin(credentials);
+
+      // Two-factor enabled: the caller must finish with verifyMfa()
+      if (data.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: data.mfaToken };
+      }
+
+      // Store tokens securely, user data in app storage
+      await Promise.all([
+        appStorage.setItem('user', JSON.stringify(data.user)),
+        secureStorage.setItem('accessToken', data.accessToken),
+        secureStorage.setItem('refreshToken', data.refreshToken)
+      ]);
+
+      setUser(data.user);
+      setIsAuthenticated(true);
+
+      // Register push token after successful login
+      await registerPushToken();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Email login error:', error);
+      return {
+        success: false,
+        // 401 means the link or code is used up and a new email is needed
+        expired: error.response?.status === 401,
+        error: error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Sign-in failed'
+      };
+    }
+  };
+
+  // Finish a password or email login with a TOTP code ({ code }) or a recovery code ({ recoveryCode })
+  const verifyMfa = async (mfaToken, factor) => {
+    try {
+      const { data } = await api.verifyMfa(mfaToken, factor);
+
+      // Store tokens securely, user data in app storage
+      await Promise.all([
+        appStorage.setItem('user', JSON.stringify(data.user)),
+        secureStorage.setItem('accessToken', data.accessToken),
+        secureStorage.setItem('refreshToken', data.refreshToken)
+      ]);
+
+      setUser(data.user);
+      setIsAuthenticated(true);
+
+      // Register push token after successful login
+      await registerPushToken();
+
+      return { success: true };
+    } catch (error) {
+      console.error('MFA verification error:', error);
+      return {
+        success: false,
+        // 401 means the challenge is gone and the user has to sign in again
+        expired: error.response?.status === 401,
+        error: error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Verification failed'
+      };
+    }
+  };
+
+  // Finish a Google or Microsoft sign-in: redeem the one-time code from the OAuth redirect
+  const loginWithAuthCode = async (code, codeVerifier) => {
     try {
+      const { data } = await api.exchangeAuthCode(code, codeVerifier);
+
       // Store tokens securely, user data in app storage
       await Promise.all([
-        appStorage.setItem('user', JSON.stringify(user)),
-        secureStorage.setItem('accessToken', accessToken),
-        secureStorage.setItem('refreshToken', refreshToken)
+        appStorage.setItem('user', JSON.stringify(data.user)),
+        secureStorage.setItem('accessToken', data.accessToken),
+        secureStorage.setItem('refreshToken', data.refreshToken)
       ]);
 
-      setUser(user);
+      setUser(data.user);
       setIsAuthenticated(true);
 
-      // Register push token after successful Google login
+      // Register push token after successful OAuth login
       await registerPushToken();
 
       return { success: true };
     } catch (error) {
-      console.error('Google login error:', error);
+      console.error('OAuth login error:', error);
       return {
         success: false,
-        error: 'Failed to complete Google login'
+        error: error.response?.data?.error || 'Failed to complete sign-in'
+      };
+    }
+  };
+
+  const loginWithPasskey = async () => {
+    try {
+      const data = await authenticateWithPasskey();
+
+      // Store tokens securely, user data in app storage
+      await Promise.all([
+        appStorage.setItem('user', JSON.stringify(data.user)),
+        secureStorage.setItem('accessToken', data.accessToken),
+        secureStorage.setItem('refreshToken', data.refreshToken)
+      ]);
+
+      setUser(data.user);
+      setIsAuthenticated(true);
+
+      // Register push token after successful passkey login
+      await registerPushToken();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Passkey login error:', error);
+
+      // User dismissed the passkey prompt
+      if (error.name === 'NotAllowedError' || error.error === 'UserCancelled') {
+        return { success: false, cancelled: true };
+      }
+
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Passkey sign-in failed'
       };
     }
   };
 
   const logout = async () => {
     try {
+      // Revoke the session server-side; local sign-out proceeds even if this fails
+      try {
+        const refreshToken = await secureStorage.getItem('refreshToken');
+        await api.logout(refreshToken);
+      } catch (error) {
+        console.warn('Server logout failed:', error.message);
+      }
+
       // Clear tokens from secure storage and user from app storage
       await Promise.all([
         appStorage.removeItem('user'),
@@ -186,8 +301,11 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    verifyMfa,
     register,
-    loginWithGoogle,
+    loginWithEmail,
+    loginWithAuthCode,
+    loginWithPasskey,
     logout
   };
 
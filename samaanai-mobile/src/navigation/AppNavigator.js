@@ -8,6 +8,10 @@ import { useAuth } from '../contexts/AuthContext';
 // Screens
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
+import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/auth/ResetPasswordScreen';
+import EmailLoginScreen from '../screens/auth/EmailLoginScreen';
+import TwoFactorChallengeScreen from '../screens/auth/TwoFactorChallengeScreen';
 import DashboardScreen from '../screens/DashboardScreen';
 import NutritionScreen from '../screens/nutrition/NutritionScreen';
 import MealsScreen from '../screens/nutrition/MealsScreen';
@@ -22,10 +26,20 @@ import WeightTrackingScreen from '../screens/nutrition/WeightTrackingScreen';
 import TodoScreen from '../screens/todo/TodoScreen';
 import AddEditTaskScreen from '../screens/todo/AddEditTaskScreen';
 import TaskDetailScreen from '../screens/todo/TaskDetailScreen';
+import TrashScreen from '../screens/todo/TrashScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import EditProfileScreen from '../screens/account/EditProfileScreen';
 import ChangePasswordScreen from '../screens/account/ChangePasswordScreen';
 import PreferencesScreen from '../screens/account/PreferencesScreen';
+import PasskeysScreen from '../screens/account/PasskeysScreen';
+import SignInMethodsScreen from '../screens/account/SignInMethodsScreen';
+import TwoFactorScreen from '../screens/account/TwoFactorScreen';
+import SessionsScreen from '../screens/account/SessionsScreen';
+import AccessTokensScreen from '../screens/account/AccessTokensScreen';
+import LoginHistoryScreen from '../screens/account/LoginHistoryScreen';
+import DeleteAccountScreen from '../screens/account/DeleteAccountScreen';
+import AdminScreen from '../screens/admin/AdminScreen';
+import AdminUserScreen from '../screens/admin/AdminUserScreen';
 import LoadingScreen from '../screens/LoadingScreen';
 
 const Stack = createNativeStackNavigator();
@@ -100,6 +114,11 @@ function TodoStack() {
         component={TaskDetailScreen}
         options={{ headerShown: false }}
       />
+      <Stack.Screen
+        name="Trash"
+        component={TrashScreen}
+        options={{ title: 'Trash' }}
+      />
     </Stack.Navigator>
   );
 }
@@ -128,6 +147,51 @@ function ProfileStack() {
         component={PreferencesScreen}
         options={{ title: 'Preferences' }}
       />
+      <Stack.Screen
+        name="SignInMethods"
+        component={SignInMethodsScreen}
+        options={{ title: 'Sign-in Methods' }}
+      />
+      <Stack.Screen
+        name="Passkeys"
+        component={PasskeysScreen}
+        options={{ title: 'Passkeys' }}
+      />
+      <Stack.Screen
+        name="TwoFactor"
+        component={TwoFactorScreen}
+        options={{ title: 'Two-Factor Authentication' }}
+      />
+      <Stack.Screen
+        name="Sessions"
+        component={SessionsScreen}
+        options={{ title: 'Active Sessions' }}
+      />
+      <Stack.Screen
+        name="LoginHistory"
+        component={LoginHistoryScreen}
+        options={{ title: 'Login History' }}
+      />
+      <Stack.Screen
+        name="AccessTokens"
+        component={AccessTokensScreen}
+        options={{ title: 'Access Tokens' }}
+      />
+      <Stack.Screen
+        name="DeleteAccount"
+        component={DeleteAccountScreen}
+        options={{ title: 'Delete Account' }}
+      />
+      <Stack.Screen
+        name="Admin"
+        component={AdminScreen}
+        options={{ title: 'Admin Console' }}
+      />
+      <Stack.Screen
+        name="AdminUser"
+        component={AdminUserScreen}
+        options={{ title: 'User Details' }}
+      />
       <Stack.Screen
         name="FoodPreferences"
         component={FoodPreferencesScreen}
@@ -176,6 +240,10 @@ function AuthStack() {
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
+      <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+      <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+      <Stack.Screen name="EmailLogin" component={EmailLoginScreen} />
+      <Stack.Screen name="TwoFactorChallenge" component={TwoFactorChallengeScreen} />
     </Stack.Navigator>
   );
 }
@@ -188,6 +256,8 @@ const linking = {
       Auth: {
         screens: {
           Login: 'auth-callback',
+          ResetPassword: 'reset-password',
+          EmailLogin: 'email-login',
         }
       },
       Main: {
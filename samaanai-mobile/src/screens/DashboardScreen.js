@@ -101,8 +101,8 @@ export default function DashboardScreen({ navigation }) {
           name: parsedCommand.name,
           description: parsedCommand.description || '',
           dueDate: parsedCommand.dueDate || null,
-          reminderType: parsedCommand.reminderType || null,
-          imageUrl: null
+          recurrence: parsedCommand.recurrence || null,
+          source: 'voice'
         };
         await api.createTask(taskData);
         fetchDashboardData(); // Refresh dashboard
@@ -18,6 +18,8 @@ export default function ProfileScreen({ navigation }) {
   const [microsoftConnected, setMicrosoftConnected] = useState(false);
   const [googleConnected, setGoogleConnected] = useState(false);
   const [checkingIntegrations, setCheckingIntegrations] = useState(false);
+  const [resendingVerification, setResendingVerification] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   const fetchProfile = async () => {
     try {
@@ -53,6 +55,56 @@ export default function ProfileScreen({ navigation }) {
     checkIntegrationStatus();
   }, []);
 
+  const handleResendVerification = async () => {
+    try {
+      setResendingVerification(true);
+      const { data } = await api.resendVerificationEmail();
+      Alert.alert('Email Sent', data.message || 'Check your inbox for the verification link');
+    } catch (err) {
+      Alert.alert('Error', err.response?.data?.error || 'Failed to send verification email');
+      console.error(err);
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
+  const handleExportData = async () => {
+    try {
+      setExporting(true);
+
+      // Native apps can't save the ZIP directly, so the download link is emailed
+      if (Platform.OS !== 'web') {
+        const { data } = await api.exportData({ delivery: 'email' });
+        Alert.alert('Export Requested', data.message);
+        return;
+      }
+
+      const response = await api.exportData();
+
+      // Large accounts are exported in the background
+      if (response.status === 202) {
+        const data = JSON.parse(await response.data.text());
+        Alert.alert('Export Requested', data.message);
+        return;
+      }
+
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'samaanai-export.zip';
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      Alert.alert('Error', 'Failed to export your data');
+      console.error(err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleLogout = () => {
     if (Platform.OS === 'web') {
       setLogoutDialogVisible(true);
@@ -203,7 +255,7 @@ export default function ProfileScreen({ navigation }) {
     );
   }
 
-  const { username, email, created_at } = profile || {};
+  const { username, email, emailVerified, created_at } = profile || {};
   const initials = username ? username.substring(0, 2).toUpperCase() : 'U';
   const memberSince = created_at ? new Date(created_at).toLocaleDateString('en-US', {
     month: 'long',
@@ -222,6 +274,28 @@ export default function ProfileScreen({ navigation }) {
         </Card.Content>
       </Card>
 
+      {/* Email verification reminder */}
+      {emailVerified === false && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.verifyTitle}>Verify your email address</Text>
+            <Text style={styles.sectionDescription}>
+              We sent a link to {email}. Weekly reports and email reminders start once your address is verified.
+            </Text>
+            <Button
+              mode="outlined"
+              onPress={handleResendVerification}
+              loading={resendingVerification}
+              disabled={resendingVerification}
+              style={styles.verifyButton}
+              icon="email-check"
+            >
+              Resend Verification Email
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Account Settings */}
       <Card style={styles.card}>
         <Card.Content>
@@ -244,6 +318,63 @@ export default function ProfileScreen({ navigation }) {
           onPress={() => navigation.navigate('ChangePassword')}
         />
         <Divider />
+        <List.Item
+          title="Sign-in Methods"
+          description="Link Google or Microsoft"
+          left={props => <List.Icon {...props} icon="account-key" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('SignInMethods')}
+        />
+        <Divider />
+        <List.Item
+          title="Manage Passkeys"
+          description="Sign in without a password"
+          left={props => <List.Icon {...props} icon="key-variant" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('Passkeys')}
+        />
+        <Divider />
+        <List.Item
+          title="Two-Factor Authentication"
+          description={profile?.mfaEnabled ? 'On' : 'Add a code from an authenticator app'}
+          left={props => <List.Icon {...props} icon="shield-lock" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('TwoFactor')}
+        />
+        <Divider />
+        <List.Item
+          title="Active Sessions"
+          description="See and sign out devices"
+          left={props => <List.Icon {...props} icon="devices" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('Sessions')}
+        />
+        <Divider />
+        <List.Item
+          title="Login History"
+          description="Recent sign-ins and failed attempts"
+          left={props => <List.Icon {...props} icon="history" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('LoginHistory')}
+        />
+        <Divider />
+        <List.Item
+          title="Access Tokens"
+          description="API tokens for scripts and shortcuts"
+          left={props => <List.Icon {...props} icon="key-chain" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('AccessTokens')}
+        />
+        <Divider />
+        <List.Item
+          title="Export My Data"
+          description={exporting ? 'Preparing export...' : 'Download everything as a ZIP file'}
+          left={props => <List.Icon {...props} icon="download" />}
+          right={props => (exporting ? <ActivityIndicator style={styles.itemSpinner} /> : <List.Icon {...props} icon="chevron-right" />)}
+          onPress={handleExportData}
+          disabled={exporting}
+        />
+        <Divider />
         <List.Item
           title="Preferences"
           description="Manage your app preferences"
@@ -251,6 +382,28 @@ export default function ProfileScreen({ navigation }) {
           right={props => <List.Icon {...props} icon="chevron-right" />}
           onPress={() => navigation.navigate('Preferences')}
         />
+        {/* The staff console is only built for the web app */}
+        {Platform.OS === 'web' && profile?.isStaff && (
+          <>
+            <Divider />
+            <List.Item
+              title="Admin Console"
+              description="Manage users and view usage stats"
+              left={props => <List.Icon {...props} icon="shield-crown" />}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => navigation.navigate('Admin')}
+            />
+          </>
+        )}
+        <Divider />
+        <List.Item
+          title="Delete Account"
+          description="Permanently delete your account and data"
+          titleStyle={styles.dangerText}
+          left={props => <List.Icon {...props} icon="account-remove" color="#d32f2f" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('DeleteAccount')}
+        />
       </Card>
 
       {/* Nutrition Settings */}
@@ -480,6 +633,20 @@ const styles = StyleSheet.create({
     margin: 16,
     marginBottom: 8
   },
+  verifyTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#f57c00'
+  },
+  verifyButton: {
+    marginTop: 12
+  },
+  itemSpinner: {
+    marginRight: 8
+  },
+  dangerText: {
+    color: '#d32f2f'
+  },
   logoutButton: {
     marginTop: 8
   },
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform, RefreshControl } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog, Chip, TextInput, HelperText } from 'react-native-paper';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+
+const SCOPE_LABELS = {
+  'todo:read': 'Read tasks',
+  'todo:write': 'Manage tasks',
+  'nutrition:read': 'Read nutrition',
+  'nutrition:write': 'Log nutrition'
+};
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const formatDate = (value) => format(new Date(value), 'MMM d, yyyy');
+
+export default function AccessTokensScreen() {
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [accessTokens, setAccessTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [createVisible, setCreateVisible] = useState(false);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [error, setError] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+  const [tokenToRevoke, setTokenToRevoke] = useState(null);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const { data } = await api.getAccessTokens();
+      setAccessTokens(data.accessTokens || []);
+      setScopes(data.scopes || []);
+    } catch (err) {
+      console.error('Fetch access tokens error:', err);
+      Alert.alert('Error', 'Failed to load access tokens');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchTokens();
+  };
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(selectedScopes.includes(scope)
+      ? selectedScopes.filter(s => s !== scope)
+      : [...selectedScopes, scope]);
+  };
+
+  const closeCreate = () => {
+    setCreateVisible(false);
+    setName('');
+    setSelectedScopes([]);
+    setExpiresInDays(30);
+    setError('');
+  };
+
+  const handleCreate = async () => {
+    if (!name.trim()) {
+      setError('Give the token a name');
+      return;
+    }
+    if (selectedScopes.length === 0) {
+      setError('Select at least one scope');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const { data } = await api.createAccessToken({
+        name: name.trim(),
+        scopes: selectedScopes,
+        expiresInDays
+      });
+      setAccessTokens([data.accessToken, ...accessTokens]);
+      setNewToken(data.token);
+      closeCreate();
+    } catch (err) {
+      console.error('Create access token error:', err);
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to create token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeToken = async (accessToken) => {
+    try {
+      await api.revokeAccessToken(accessToken.id);
+      setAccessTokens(accessTokens.filter(t => t.id !== accessToken.id));
+    } catch (err) {
+      console.error('Revoke access token error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to revoke token');
+    }
+  };
+
+  const handleRevoke = (accessToken) => {
+    if (Platform.OS === 'web') {
+      setTokenToRevoke(accessToken);
+    } else {
+      Alert.alert(
+        'Revoke Token',
+        `Scripts using "${accessToken.name}" will stop working immediately.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Revoke',
+            style: 'destructive',
+            onPress: () => revokeToken(accessToken)
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmRevoke = async () => {
+    const accessToken = tokenToRevoke;
+    setTokenToRevoke(null);
+    await revokeToken(accessToken);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Access Tokens</Text>
+          <Text style={styles.description}>
+            Tokens let scripts and shortcuts use the API as you, limited to the scopes you choose.
+            Send one in the header {'"Authorization: Bearer <token>"'}.
+          </Text>
+          <Button mode="contained" icon="plus" onPress={() => setCreateVisible(true)}>
+            Create Token
+          </Button>
+        </Card.Content>
+      </Card>
+
+      {newToken && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>Copy your new token</Text>
+            <Text style={styles.description}>
+              It won't be shown again. Store it somewhere safe, like a password manager.
+            </Text>
+            <Text selectable style={styles.tokenText}>{newToken}</Text>
+            <Button mode="outlined" onPress={() => setNewToken(null)} style={styles.button}>
+              I've copied it
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <Card style={styles.card}>
+        {accessTokens.length === 0 ? (
+          <Card.Content>
+            <Text style={styles.emptyText}>No access tokens yet</Text>
+          </Card.Content>
+        ) : (
+          accessTokens.map((accessToken, index) => {
+            const expired = new Date(accessToken.expiresAt) <= new Date();
+
+            return (
+              <View key={accessToken.id}>
+                {index > 0 && <Divider />}
+                <List.Item
+                  title={accessToken.name}
+                  description={[
+                    `${accessToken.tokenPrefix}… · ${accessToken.scopes.map(s => SCOPE_LABELS[s] || s).join(', ')}`,
+                    expired ? `Expired ${formatDate(accessToken.expiresAt)}` : `Expires ${formatDate(accessToken.expiresAt)}`,
+                    accessToken.lastUsedAt ? `Last used ${formatDate(accessToken.lastUsedAt)}` : 'Never used'
+                  ].join('\n')}
+                  descriptionNumberOfLines={3}
+                  descriptionStyle={expired ? styles.expiredText : undefined}
+                  left={props => <List.Icon {...props} icon="key-chain" />}
+                  right={() => (
+                    <View style={styles.itemRight}>
+                      <Button compact textColor="#d32f2f" onPress={() => handleRevoke(accessToken)}>
+                        Revoke
+                      </Button>
+                    </View>
+                  )}
+                />
+              </View>
+            );
+          })
+        )}
+      </Card>
+
+      <View style={styles.spacer} />
+
+      <Portal>
+        <Dialog visible={createVisible} onDismiss={closeCreate}>
+          <Dialog.Title>Create Access Token</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Name"
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Meal shortcut"
+              mode="outlined"
+              style={styles.input}
+            />
+
+            <Text style={styles.label}>Scopes</Text>
+            <View style={styles.chipRow}>
+              {scopes.map(scope => (
+                <Chip
+                  key={scope}
+                  selected={selectedScopes.includes(scope)}
+                  onPress={() => toggleScope(scope)}
+                  style={styles.chip}
+                  compact
+                >
+                  {SCOPE_LABELS[scope] || scope}
+                </Chip>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Expires in</Text>
+            <View style={styles.chipRow}>
+              {EXPIRY_OPTIONS.map(days => (
+                <Chip
+                  key={days}
+                  selected={expiresInDays === days}
+                  onPress={() => setExpiresInDays(days)}
+                  style={styles.chip}
+                  compact
+                >
+                  {days === 365 ? '1 year' : `${days} days`}
+                </Chip>
+              ))}
+            </View>
+
+            {error ? (
+              <HelperText type="error" visible={true}>
+                {error}
+              </HelperText>
+            ) : null}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeCreate}>Cancel</Button>
+            <Button onPress={handleCreate} loading={creating} disabled={creating}>Create</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Revoke confirmation for Web */}
+        <Dialog visible={!!tokenToRevoke} onDismiss={() => setTokenToRevoke(null)}>
+          <Dialog.Title>Revoke Token</Dialog.Title>
+          <Dialog.Content>
+            <Text>Scripts using "{tokenToRevoke?.name}" will stop working immediately.</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setTokenToRevoke(null)}>Cancel</Button>
+            <Button onPress={confirmRevoke} textColor="#d32f2f">Revoke</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12
+  },
+  tokenText: {
+    fontSize: 14,
+    fontFamily: 'monospace',
+    color: '#333',
+    backgroundColor: '#f5f5f5',
+    padding: 12,
+    borderRadius: 4
+  },
+  button: {
+    marginTop: 12
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 8
+  },
+  expiredText: {
+    color: '#d32f2f'
+  },
+  itemRight: {
+    justifyContent: 'center'
+  },
+  input: {
+    marginBottom: 12
+  },
+  label: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 4
+  },
+  spacer: {
+    height: 24
+  }
+});
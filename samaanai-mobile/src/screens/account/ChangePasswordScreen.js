@@ -1,10 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert } from 'react-native';
-import { Text, Card, Button, TextInput, HelperText } from 'react-native-paper';
+import { Text, Card, Button, TextInput, HelperText, ActivityIndicator } from 'react-native-paper';
 import { api } from '../../services/api';
 
 export default function ChangePasswordScreen({ navigation }) {
+  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  // Accounts created with Google sign-in have no password yet
+  const [hasPassword, setHasPassword] = useState(true);
   const [formData, setFormData] = useState({
     currentPassword: '',
     newPassword: '',
@@ -17,17 +20,32 @@ export default function ChangePasswordScreen({ navigation }) {
     confirm: false
   });
 
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      const { data } = await api.getProfile();
+      setHasPassword(data.hasPassword !== false);
+    } catch (err) {
+      console.error('Fetch profile error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const validate = () => {
     const newErrors = {};
 
-    if (!formData.currentPassword) {
+    if (hasPassword && !formData.currentPassword) {
       newErrors.currentPassword = 'Current password is required';
     }
 
     if (!formData.newPassword) {
       newErrors.newPassword = 'New password is required';
-    } else if (formData.newPassword.length < 6) {
-      newErrors.newPassword = 'Password must be at least 6 characters';
+    } else if (formData.newPassword.length < 8) {
+      newErrors.newPassword = 'Password must be at least 8 characters';
     }
 
     if (!formData.confirmPassword) {
@@ -46,10 +64,10 @@ export default function ChangePasswordScreen({ navigation }) {
     try {
       setSaving(true);
       await api.changePassword({
-        currentPassword: formData.currentPassword,
+        ...(hasPassword && { currentPassword: formData.currentPassword }),
         newPassword: formData.newPassword
       });
-      Alert.alert('Success', 'Password changed successfully', [
+      Alert.alert('Success', hasPassword ? 'Password changed successfully' : 'Password set successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
       ]);
     } catch (err) {
@@ -60,28 +78,44 @@ export default function ChangePasswordScreen({ navigation }) {
     }
   };
 
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
   return (
     <ScrollView style={styles.container}>
       <Card style={styles.card}>
         <Card.Content>
-          <Text style={styles.title}>Change Password</Text>
+          <Text style={styles.title}>{hasPassword ? 'Change Password' : 'Set a Password'}</Text>
 
-          <TextInput
-            label="Current Password *"
-            value={formData.currentPassword}
-            onChangeText={(value) => setFormData({ ...formData, currentPassword: value })}
-            mode="outlined"
-            secureTextEntry={!showPasswords.current}
-            autoCapitalize="none"
-            style={styles.input}
-            error={!!errors.currentPassword}
-            right={
-              <TextInput.Icon
-                icon={showPasswords.current ? 'eye-off' : 'eye'}
-                onPress={() => setShowPasswords({ ...showPasswords, current: !showPasswords.current })}
-              />
-            }
-          />
+          {!hasPassword && (
+            <Text style={styles.description}>
+              You signed up with Google. Set a password to also sign in with your email address.
+            </Text>
+          )}
+
+          {hasPassword && (
+            <TextInput
+              label="Current Password *"
+              value={formData.currentPassword}
+              onChangeText={(value) => setFormData({ ...formData, currentPassword: value })}
+              mode="outlined"
+              secureTextEntry={!showPasswords.current}
+              autoCapitalize="none"
+              style={styles.input}
+              error={!!errors.currentPassword}
+              right={
+                <TextInput.Icon
+                  icon={showPasswords.current ? 'eye-off' : 'eye'}
+                  onPress={() => setShowPasswords({ ...showPasswords, current: !showPasswords.current })}
+                />
+              }
+            />
+          )}
           {errors.currentPassword && <HelperText type="error">{errors.currentPassword}</HelperText>}
 
           <TextInput
@@ -127,7 +161,7 @@ export default function ChangePasswordScreen({ navigation }) {
             disabled={saving}
             style={styles.submitButton}
           >
-            {saving ? 'Changing Password...' : 'Change Password'}
+            {saving ? 'Saving...' : hasPassword ? 'Change Password' : 'Set Password'}
           </Button>
 
           <Button
@@ -149,6 +183,11 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5'
   },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
   card: {
     margin: 16
   },
@@ -158,6 +197,11 @@ const styles = StyleSheet.create({
     marginBottom: 24,
     color: '#333'
   },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16
+  },
   input: {
     marginBottom: 8
   },
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform } from 'react-native';
+import { Text, Card, Button, TextInput, HelperText, ActivityIndicator, Portal, Dialog } from 'react-native-paper';
+import { api } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { isPasskeySupported, confirmAccountDeletionWithPasskey } from '../../services/passkeyService';
+
+export default function DeleteAccountScreen({ navigation }) {
+  const { logout } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [deleting, setDeleting] = useState(false);
+  const [hasPassword, setHasPassword] = useState(true);
+  const [mfaEnabled, setMfaEnabled] = useState(false);
+  const [hasPasskeys, setHasPasskeys] = useState(false);
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [code, setCode] = useState('');
+  const [errors, setErrors] = useState({});
+  // Confirmation waiting for the web dialog ('password' or 'passkey')
+  const [pendingMethod, setPendingMethod] = useState(null);
+  const [doneMessage, setDoneMessage] = useState(null);
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const fetchAccount = async () => {
+    try {
+      const [{ data: profile }, { data: passkeys }] = await Promise.all([
+        api.getProfile(),
+        api.getPasskeys()
+      ]);
+      setHasPassword(profile.hasPassword !== false);
+      setMfaEnabled(!!profile.mfaEnabled);
+      setHasPasskeys((passkeys.credentials || []).length > 0);
+    } catch (err) {
+      console.error('Fetch account error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (!password) {
+      newErrors.password = 'Password is required';
+    }
+
+    if (mfaEnabled && !code.trim()) {
+      newErrors.code = 'Enter a code from your authenticator app or a recovery code';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const deleteAccount = async (method) => {
+    try {
+      setDeleting(true);
+
+      let confirmation;
+      if (method === 'passkey') {
+        confirmation = { passkeyResponse: await confirmAccountDeletionWithPasskey() };
+      } else {
+        const trimmedCode = code.trim();
+        confirmation = {
+          password,
+          // Authenticator codes are digits; anything else is treated as a recovery code
+          ...(mfaEnabled && (/^[\d\s]+$/.test(trimmedCode) ? { code: trimmedCode } : { recoveryCode: trimmedCode }))
+        };
+      }
+
+      const { data } = await api.requestAccountDeletion(confirmation);
+
+      if (Platform.OS === 'web') {
+        setDoneMessage(data.message);
+      } else {
+        Alert.alert('Account Deleted', data.message, [
+          { text: 'OK', onPress: () => logout() }
+        ]);
+      }
+    } catch (err) {
+      // User dismissed the passkey prompt
+      if (err.name === 'NotAllowedError' || err.error === 'UserCancelled') {
+        return;
+      }
+      console.error('Delete account error:', err);
+      Alert.alert('Error', err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to delete account');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleDelete = (method) => {
+    if (method === 'password' && !validate()) return;
+
+    if (Platform.OS === 'web') {
+      setPendingMethod(method);
+    } else {
+      Alert.alert(
+        'Delete Account',
+        'Your account will be deactivated now and permanently deleted after the grace period. Continue?',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Delete',
+            style: 'destructive',
+            onPress: () => deleteAccount(method)
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmDelete = async () => {
+    const method = pendingMethod;
+    setPendingMethod(null);
+    await deleteAccount(method);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const canUsePasskey = hasPasskeys && isPasskeySupported();
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Delete Account</Text>
+          <Text style={styles.description}>
+            Your account will be deactivated and you will be signed out on every device. Connected
+            Google Tasks and Microsoft To Do accounts will be disconnected.
+          </Text>
+          <Text style={styles.description}>
+            After the grace period your profile, meals, exercises, weight entries and tasks are permanently
+            deleted. Until then you can restore your account from the link we email you.
+          </Text>
+          <Text style={styles.description}>
+            Want a copy of your data first? Use "Export My Data" on your profile before continuing.
+          </Text>
+        </Card.Content>
+      </Card>
+
+      {hasPassword && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>Confirm with your password</Text>
+
+            <TextInput
+              label="Password *"
+              value={password}
+              onChangeText={setPassword}
+              mode="outlined"
+              secureTextEntry={!showPassword}
+              autoCapitalize="none"
+              style={styles.input}
+              error={!!errors.password}
+              right={
+                <TextInput.Icon
+                  icon={showPassword ? 'eye-off' : 'eye'}
+                  onPress={() => setShowPassword(!showPassword)}
+                />
+              }
+            />
+            {errors.password && <HelperText type="error">{errors.password}</HelperText>}
+
+            {mfaEnabled && (
+              <>
+                <TextInput
+                  label="Authentication or recovery code *"
+                  value={code}
+                  onChangeText={setCode}
+                  mode="outlined"
+                  autoCapitalize="none"
+                  style={styles.input}
+                  error={!!errors.code}
+                />
+                {errors.code && <HelperText type="error">{errors.code}</HelperText>}
+              </>
+            )}
+
+            <Button
+              mode="contained"
+              buttonColor="#d32f2f"
+              onPress={() => handleDelete('password')}
+              loading={deleting}
+              disabled={deleting}
+              style={styles.submitButton}
+            >
+              Delete My Account
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {canUsePasskey && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>{hasPassword ? 'Or confirm with a passkey' : 'Confirm with a passkey'}</Text>
+            <Button
+              mode={hasPassword ? 'outlined' : 'contained'}
+              icon="key-variant"
+              textColor={hasPassword ? '#d32f2f' : undefined}
+              buttonColor={hasPassword ? undefined : '#d32f2f'}
+              onPress={() => handleDelete('passkey')}
+              disabled={deleting}
+            >
+              Delete with Passkey
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {!hasPassword && !canUsePasskey && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.description}>
+              To confirm it's you, set a password or add a passkey first.
+            </Text>
+            <Button mode="outlined" onPress={() => navigation.navigate('ChangePassword')}>
+              Set a Password
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <Portal>
+        {/* Confirm Dialog (web) */}
+        <Dialog visible={!!pendingMethod} onDismiss={() => setPendingMethod(null)}>
+          <Dialog.Title>Delete Account</Dialog.Title>
+          <Dialog.Content>
+            <Text>Your account will be deactivated now and permanently deleted after the grace period. Continue?</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setPendingMethod(null)}>Cancel</Button>
+            <Button onPress={confirmDelete} textColor="#d32f2f">Delete</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Deletion Scheduled Dialog (web) */}
+        <Dialog visible={!!doneMessage} dismissable={false}>
+          <Dialog.Title>Account Deleted</Dialog.Title>
+          <Dialog.Content>
+            <Text>{doneMessage}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => logout()}>OK</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    color: '#d32f2f'
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12
+  },
+  input: {
+    marginBottom: 8
+  },
+  submitButton: {
+    marginTop: 16
+  }
+});
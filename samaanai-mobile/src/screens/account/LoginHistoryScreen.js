@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, RefreshControl } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Chip } from 'react-native-paper';
+import { api } from '../../services/api';
+
+const METHOD_LABELS = {
+  password: 'Password',
+  email: 'Email link or code',
+  google: 'Google',
+  microsoft: 'Microsoft',
+  passkey: 'Passkey',
+  register: 'Sign up'
+};
+
+const FAILURE_LABELS = {
+  invalid_password: 'Wrong password',
+  locked: 'Blocked while locked'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+export default function LoginHistoryScreen({ navigation }) {
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  const fetchHistory = async () => {
+    try {
+      const { data } = await api.getLoginHistory();
+      setEvents(data.events || []);
+    } catch (err) {
+      console.error('Fetch login history error:', err);
+      Alert.alert('Error', 'Failed to load login history');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchHistory();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Login History</Text>
+          <Text style={styles.description}>
+            Recent sign-ins and failed attempts on your account. If something looks unfamiliar,
+            change your password and sign out devices you don't recognize.
+          </Text>
+          <Button mode="outlined" icon="devices" onPress={() => navigation.navigate('Sessions')}>
+            Active Sessions
+          </Button>
+        </Card.Content>
+      </Card>
+
+      <Card style={styles.card}>
+        {events.length === 0 ? (
+          <Card.Content>
+            <Text style={styles.emptyText}>No sign-ins recorded yet</Text>
+          </Card.Content>
+        ) : (
+          events.map((event, index) => (
+            <View key={event.id}>
+              {index > 0 && <Divider />}
+              <List.Item
+                title={event.deviceName || 'Unknown device'}
+                description={[
+                  event.success
+                    ? `Signed in with ${METHOD_LABELS[event.method] || event.method}`
+                    : `Failed: ${FAILURE_LABELS[event.failureReason] || 'Sign-in refused'}`,
+                  event.ipAddress ? `IP ${event.ipAddress}` : null,
+                  formatDateTime(event.createdAt)
+                ].filter(Boolean).join('\n')}
+                descriptionNumberOfLines={3}
+                descriptionStyle={event.success ? undefined : styles.failedText}
+                left={props => (
+                  <List.Icon
+                    {...props}
+                    icon={event.success ? 'login' : 'alert-circle-outline'}
+                    color={event.success ? props.color : '#d32f2f'}
+                  />
+                )}
+                right={() => (event.newDevice ? (
+                  <View style={styles.itemRight}>
+                    <Chip compact style={styles.newDeviceChip} textStyle={styles.newDeviceChipText}>
+                      New device
+                    </Chip>
+                  </View>
+                ) : null)}
+              />
+            </View>
+          ))
+        )}
+      </Card>
+
+      <View style={styles.spacer} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 8
+  },
+  failedText: {
+    color: '#d32f2f'
+  },
+  itemRight: {
+    justifyContent: 'center'
+  },
+  newDeviceChip: {
+    backgroundColor: '#fff3e0'
+  },
+  newDeviceChipText: {
+    fontSize: 11,
+    color: '#e65100'
+  },
+  spacer: {
+    height: 24
+  }
+});
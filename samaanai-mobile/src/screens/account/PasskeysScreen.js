@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog, TextInput } from 'react-native-paper';
+import { api } from '../../services/api';
+import { isPasskeySupported, registerPasskey } from '../../services/passkeyService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+}) : 'Never');
+
+export default function PasskeysScreen() {
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [passkeys, setPasskeys] = useState([]);
+  const [nameDialogVisible, setNameDialogVisible] = useState(false);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [passkeyToDelete, setPasskeyToDelete] = useState(null);
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, []);
+
+  const fetchPasskeys = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.getPasskeys();
+      setPasskeys(data.credentials || []);
+    } catch (err) {
+      console.error('Fetch passkeys error:', err);
+      Alert.alert('Error', 'Failed to load passkeys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    setNameDialogVisible(false);
+
+    try {
+      setCreating(true);
+      await registerPasskey(passkeyName.trim() || `${Platform.OS === 'web' ? 'Browser' : 'Phone'} passkey`);
+      setPasskeyName('');
+      await fetchPasskeys();
+      Alert.alert('Success', 'Passkey added. You can now sign in without a password.');
+    } catch (err) {
+      // User dismissed the passkey prompt
+      if (err.name === 'NotAllowedError' || err.error === 'UserCancelled') {
+        return;
+      }
+      console.error('Create passkey error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to create passkey');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const deletePasskey = async (passkey) => {
+    try {
+      await api.deletePasskey(passkey.id);
+      setPasskeys(passkeys.filter(p => p.id !== passkey.id));
+    } catch (err) {
+      console.error('Delete passkey error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to remove passkey');
+    }
+  };
+
+  const handleDelete = (passkey) => {
+    if (Platform.OS === 'web') {
+      setPasskeyToDelete(passkey);
+    } else {
+      Alert.alert(
+        'Remove Passkey',
+        `Remove "${passkey.name}"? You will no longer be able to sign in with it.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Remove',
+            style: 'destructive',
+            onPress: () => deletePasskey(passkey)
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmDelete = async () => {
+    const passkey = passkeyToDelete;
+    setPasskeyToDelete(null);
+    await deletePasskey(passkey);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const supported = isPasskeySupported();
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Passkeys</Text>
+          <Text style={styles.description}>
+            Passkeys let you sign in with your fingerprint, face or device PIN instead of a password.
+          </Text>
+        </Card.Content>
+        <Divider />
+        {passkeys.length === 0 ? (
+          <Card.Content>
+            <Text style={styles.emptyText}>You haven't added any passkeys yet.</Text>
+          </Card.Content>
+        ) : (
+          passkeys.map((passkey, index) => (
+            <View key={passkey.id}>
+              {index > 0 && <Divider />}
+              <List.Item
+                title={passkey.name}
+                description={`Added ${formatDate(passkey.createdAt)} · Last used ${formatDate(passkey.lastUsed)}`}
+                left={props => <List.Icon {...props} icon="key-variant" />}
+                right={props => (
+                  <Button compact textColor="#d32f2f" onPress={() => handleDelete(passkey)}>
+                    Remove
+                  </Button>
+                )}
+              />
+            </View>
+          ))
+        )}
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Button
+            mode="contained"
+            icon="plus"
+            onPress={() => setNameDialogVisible(true)}
+            loading={creating}
+            disabled={creating || !supported}
+          >
+            Add a passkey
+          </Button>
+          {!supported && (
+            <Text style={styles.unsupportedText}>Passkeys are not supported on this device.</Text>
+          )}
+        </Card.Content>
+      </Card>
+
+      <Portal>
+        <Dialog visible={nameDialogVisible} onDismiss={() => setNameDialogVisible(false)}>
+          <Dialog.Title>Name this passkey</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Name (e.g. My iPhone)"
+              value={passkeyName}
+              onChangeText={setPasskeyName}
+              mode="outlined"
+              maxLength={100}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setNameDialogVisible(false)}>Cancel</Button>
+            <Button onPress={handleCreate}>Continue</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Remove Passkey Dialog (web) */}
+        <Dialog visible={!!passkeyToDelete} onDismiss={() => setPasskeyToDelete(null)}>
+          <Dialog.Title>Remove Passkey</Dialog.Title>
+          <Dialog.Content>
+            <Text>Remove "{passkeyToDelete?.name}"? You will no longer be able to sign in with it.</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setPasskeyToDelete(null)}>Cancel</Button>
+            <Button onPress={confirmDelete} textColor="#d32f2f">Remove</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    paddingVertical: 16
+  },
+  unsupportedText: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 8,
+    textAlign: 'center'
+  }
+});
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform, RefreshControl } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog, Chip } from 'react-native-paper';
+import { api } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const METHOD_LABELS = {
+  password: 'Password',
+  email: 'Email link or code',
+  google: 'Google',
+  microsoft: 'Microsoft',
+  passkey: 'Passkey',
+  register: 'Sign up'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const getDeviceIcon = (session) => {
+  const label = `${session.deviceName || ''} ${session.userAgent || ''}`;
+  if (/iPhone|Android|Pixel|Galaxy|app/i.test(label)) {
+    return 'cellphone';
+  }
+  if (/iPad|Tablet/i.test(label)) {
+    return 'tablet';
+  }
+  return 'monitor';
+};
+
+export default function SessionsScreen() {
+  const { logout } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionToRevoke, setSessionToRevoke] = useState(null);
+  const [revokeOthersDialogVisible, setRevokeOthersDialogVisible] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const { data } = await api.getSessions();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      console.error('Fetch sessions error:', err);
+      Alert.alert('Error', 'Failed to load active sessions');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchSessions();
+  };
+
+  const revokeSession = async (session) => {
+    try {
+      await api.revokeSession(session.id);
+
+      // Signing out this device ends the local session too
+      if (session.current) {
+        await logout();
+        return;
+      }
+
+      setSessions(sessions.filter(s => s.id !== session.id));
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to sign out session');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      await api.revokeOtherSessions();
+      setSessions(sessions.filter(s => s.current));
+      Alert.alert('Success', 'Signed out of all other sessions');
+    } catch (err) {
+      console.error('Revoke other sessions error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to sign out other sessions');
+    }
+  };
+
+  const handleRevoke = (session) => {
+    const message = session.current
+      ? 'Sign out of this device?'
+      : `Sign out "${session.deviceName || 'Unknown device'}"? It will need to sign in again.`;
+
+    if (Platform.OS === 'web') {
+      setSessionToRevoke(session);
+    } else {
+      Alert.alert('Sign Out Device', message, [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: () => revokeSession(session)
+        }
+      ]);
+    }
+  };
+
+  const handleRevokeOthers = () => {
+    if (Platform.OS === 'web') {
+      setRevokeOthersDialogVisible(true);
+    } else {
+      Alert.alert(
+        'Sign Out Everywhere Else',
+        'All other devices will be signed out and need to sign in again.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Sign Out',
+            style: 'destructive',
+            onPress: revokeOtherSessions
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmRevoke = async () => {
+    const session = sessionToRevoke;
+    setSessionToRevoke(null);
+    await revokeSession(session);
+  };
+
+  const confirmRevokeOthers = async () => {
+    setRevokeOthersDialogVisible(false);
+    await revokeOtherSessions();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const otherSessions = sessions.filter(s => !s.current);
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Active Sessions</Text>
+          <Text style={styles.description}>
+            Devices currently signed in to your account. Sign out any you don't recognize.
+          </Text>
+        </Card.Content>
+        <Divider />
+        {sessions.map((session, index) => (
+          <View key={session.id}>
+            {index > 0 && <Divider />}
+            <List.Item
+              title={session.deviceName || 'Unknown device'}
+              description={[
+                `${METHOD_LABELS[session.method] || 'Signed in'} · ${session.current ? 'Active now' : `Last active ${formatDateTime(session.lastSeenAt)}`}`,
+                session.ipAddress ? `IP ${session.ipAddress}` : null,
+                `Signed in ${formatDateTime(session.createdAt)}`
+              ].filter(Boolean).join('\n')}
+              descriptionNumberOfLines={3}
+              left={props => <List.Icon {...props} icon={getDeviceIcon(session)} />}
+              right={() => (
+                <View style={styles.itemRight}>
+                  {session.current && (
+                    <Chip compact style={styles.currentChip} textStyle={styles.currentChipText}>
+                      This device
+                    </Chip>
+                  )}
+                  <Button compact textColor="#d32f2f" onPress={() => handleRevoke(session)}>
+                    Sign out
+                  </Button>
+                </View>
+              )}
+            />
+          </View>
+        ))}
+      </Card>
+
+      {otherSessions.length > 0 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Button
+              mode="contained"
+              buttonColor="#d32f2f"
+              icon="logout-variant"
+              onPress={handleRevokeOthers}
+            >
+              Sign out everywhere else
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <View style={styles.spacer} />
+
+      {/* Dialogs for Web */}
+      <Portal>
+        <Dialog visible={!!sessionToRevoke} onDismiss={() => setSessionToRevoke(null)}>
+          <Dialog.Title>Sign Out Device</Dialog.Title>
+          <Dialog.Content>
+            <Text>
+              {sessionToRevoke?.current
+                ? 'Sign out of this device?'
+                : `Sign out "${sessionToRevoke?.deviceName || 'Unknown device'}"? It will need to sign in again.`}
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSessionToRevoke(null)}>Cancel</Button>
+            <Button onPress={confirmRevoke} textColor="#d32f2f">Sign Out</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={revokeOthersDialogVisible} onDismiss={() => setRevokeOthersDialogVisible(false)}>
+          <Dialog.Title>Sign Out Everywhere Else</Dialog.Title>
+          <Dialog.Content>
+            <Text>All other devices will be signed out and need to sign in again.</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRevokeOthersDialogVisible(false)}>Cancel</Button>
+            <Button onPress={confirmRevokeOthers} textColor="#d32f2f">Sign Out</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8
+  },
+  itemRight: {
+    alignItems: 'flex-end',
+    justifyContent: 'center'
+  },
+  currentChip: {
+    backgroundColor: '#e3f2fd',
+    marginBottom: 4
+  },
+  currentChipText: {
+    fontSize: 11,
+    color: '#1976d2'
+  },
+  spacer: {
+    height: 24
+  }
+});
@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform, RefreshControl } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog, TextInput, HelperText } from 'react-native-paper';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+
+const PROVIDERS = [
+  { id: 'google', name: 'Google', icon: 'google' },
+  { id: 'microsoft', name: 'Microsoft', icon: 'microsoft' }
+];
+
+export default function SignInMethodsScreen({ navigation }) {
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [methods, setMethods] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [providerToUnlink, setProviderToUnlink] = useState(null);
+  const [removePasswordVisible, setRemovePasswordVisible] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+
+  // Linking finishes in a browser and passkeys / passwords are managed on other
+  // screens, so reload whenever this screen comes back into view
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', fetchMethods);
+    return unsubscribe;
+  }, [navigation]);
+
+  const fetchMethods = async () => {
+    try {
+      const { data } = await api.getLoginMethods();
+      setMethods(data);
+    } catch (err) {
+      console.error('Fetch sign-in methods error:', err);
+      Alert.alert('Error', 'Failed to load sign-in methods');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchMethods();
+  };
+
+  const handleLink = async (provider) => {
+    try {
+      setWorking(provider.id);
+      const { data } = await api.linkIdentity(provider.id);
+      await WebBrowser.openBrowserAsync(data.url);
+      // Refresh after the browser closes (web opens a new tab, so give it a moment)
+      setTimeout(fetchMethods, Platform.OS === 'web' ? 2000 : 0);
+    } catch (err) {
+      console.error('Link account error:', err);
+      Alert.alert('Error', err.response?.data?.error || `Failed to link ${provider.name}`);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const unlinkProvider = async (provider) => {
+    try {
+      setWorking(provider.id);
+      await api.unlinkIdentity(provider.id);
+      await fetchMethods();
+    } catch (err) {
+      console.error('Unlink account error:', err);
+      Alert.alert('Error', err.response?.data?.error || `Failed to unlink ${provider.name}`);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleUnlink = (provider) => {
+    const message = `You will no longer be able to sign in with ${provider.name}.`;
+
+    if (Platform.OS === 'web') {
+      setProviderToUnlink(provider);
+    } else {
+      Alert.alert(`Unlink ${provider.name}`, message, [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unlink',
+          style: 'destructive',
+          onPress: () => unlinkProvider(provider)
+        }
+      ]);
+    }
+  };
+
+  const confirmUnlink = async () => {
+    const provider = providerToUnlink;
+    setProviderToUnlink(null);
+    await unlinkProvider(provider);
+  };
+
+  const closeRemovePassword = () => {
+    setRemovePasswordVisible(false);
+    setCurrentPassword('');
+    setPasswordError('');
+  };
+
+  const confirmRemovePassword = async () => {
+    if (!currentPassword) {
+      setPasswordError('Enter your current password');
+      return;
+    }
+
+    try {
+      setWorking('password');
+      await api.removePassword(currentPassword);
+      closeRemovePassword();
+      await fetchMethods();
+    } catch (err) {
+      console.error('Remove password error:', err);
+      setPasswordError(err.response?.data?.error || 'Failed to remove password');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  if (!methods) {
+    return (
+      <View style={styles.centered}>
+        <Text>Failed to load sign-in methods</Text>
+      </View>
+    );
+  }
+
+  const methodCount = (methods.password ? 1 : 0) + methods.passkeys + methods.identities.length;
+  const isLastMethod = methodCount <= 1;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Sign-in Methods</Text>
+          <Text style={styles.description}>
+            Ways you can sign in to your account. You need to keep at least one.
+          </Text>
+        </Card.Content>
+        <Divider />
+
+        <List.Item
+          title="Password"
+          description={methods.password ? 'Set' : 'Not set'}
+          left={props => <List.Icon {...props} icon="form-textbox-password" />}
+          right={() => (
+            <View style={styles.itemRight}>
+              <Button compact onPress={() => navigation.navigate('ChangePassword')}>
+                {methods.password ? 'Change' : 'Set'}
+              </Button>
+              {methods.password && (
+                <Button
+                  compact
+                  textColor="#d32f2f"
+                  disabled={isLastMethod || !!working}
+                  onPress={() => setRemovePasswordVisible(true)}
+                >
+                  Remove
+                </Button>
+              )}
+            </View>
+          )}
+        />
+        <Divider />
+
+        <List.Item
+          title="Passkeys"
+          description={methods.passkeys === 1 ? '1 passkey' : `${methods.passkeys} passkeys`}
+          left={props => <List.Icon {...props} icon="key-variant" />}
+          right={() => (
+            <View style={styles.itemRight}>
+              <Button compact onPress={() => navigation.navigate('Passkeys')}>
+                Manage
+              </Button>
+            </View>
+          )}
+        />
+
+        {PROVIDERS.map(provider => {
+          const identity = methods.identities.find(i => i.provider === provider.id);
+
+          return (
+            <View key={provider.id}>
+              <Divider />
+              <List.Item
+                title={provider.name}
+                description={identity
+                  ? [
+                      identity.email,
+                      `Linked ${format(new Date(identity.createdAt), 'MMM d, yyyy')}`
+                    ].filter(Boolean).join('\n')
+                  : 'Not linked'}
+                descriptionNumberOfLines={2}
+                left={props => <List.Icon {...props} icon={provider.icon} />}
+                right={() => (
+                  <View style={styles.itemRight}>
+                    {identity ? (
+                      <Button
+                        compact
+                        textColor="#d32f2f"
+                        loading={working === provider.id}
+                        disabled={isLastMethod || !!working}
+                        onPress={() => handleUnlink(provider)}
+                      >
+                        Unlink
+                      </Button>
+                    ) : (
+                      <Button
+                        compact
+                        loading={working === provider.id}
+                        disabled={!!working}
+                        onPress={() => handleLink(provider)}
+                      >
+                        Link
+                      </Button>
+                    )}
+                  </View>
+                )}
+              />
+            </View>
+          );
+        })}
+      </Card>
+
+      {isLastMethod && (
+        <Text style={styles.hint}>
+          Add another sign-in method before removing this one.
+        </Text>
+      )}
+
+      <View style={styles.spacer} />
+
+      <Portal>
+        {/* Unlink confirmation for Web */}
+        <Dialog visible={!!providerToUnlink} onDismiss={() => setProviderToUnlink(null)}>
+          <Dialog.Title>Unlink {providerToUnlink?.name}</Dialog.Title>
+          <Dialog.Content>
+            <Text>You will no longer be able to sign in with {providerToUnlink?.name}.</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setProviderToUnlink(null)}>Cancel</Button>
+            <Button onPress={confirmUnlink} textColor="#d32f2f">Unlink</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={removePasswordVisible} onDismiss={closeRemovePassword}>
+          <Dialog.Title>Remove Password</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              You will only be able to sign in with your passkeys or linked accounts.
+            </Text>
+            <TextInput
+              label="Current Password"
+              value={currentPassword}
+              onChangeText={setCurrentPassword}
+              secureTextEntry
+              mode="outlined"
+            />
+            {passwordError ? (
+              <HelperText type="error" visible={true}>
+                {passwordError}
+              </HelperText>
+            ) : null}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeRemovePassword}>Cancel</Button>
+            <Button
+              onPress={confirmRemovePassword}
+              loading={working === 'password'}
+              disabled={working === 'password'}
+              textColor="#d32f2f"
+            >
+              Remove
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8
+  },
+  itemRight: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginHorizontal: 16,
+    marginTop: 4
+  },
+  dialogText: {
+    marginBottom: 12
+  },
+  spacer: {
+    height: 24
+  }
+});
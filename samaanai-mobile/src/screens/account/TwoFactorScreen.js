@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Image } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, TextInput, HelperText, Portal, Dialog, Divider } from 'react-native-paper';
+import { api } from '../../services/api';
+
+export default function TwoFactorScreen() {
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState({ enabled: false, recoveryCodesRemaining: 0 });
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'disable' or 'regenerate' while the confirmation dialog is open
+  const [pendingAction, setPendingAction] = useState(null);
+  const [dialogCode, setDialogCode] = useState('');
+  const [dialogError, setDialogError] = useState('');
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.getMfaStatus();
+      setStatus(data);
+    } catch (err) {
+      console.error('Fetch 2FA status error:', err);
+      Alert.alert('Error', 'Failed to load two-factor authentication status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartEnrollment = async () => {
+    try {
+      setSubmitting(true);
+      const { data } = await api.mfaEnrollBegin();
+      setEnrollment(data);
+      setCode('');
+      setError('');
+    } catch (err) {
+      console.error('Start 2FA enrollment error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirmEnrollment = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const { data } = await api.mfaEnrollConfirm(code.trim());
+      setEnrollment(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      await fetchStatus();
+    } catch (err) {
+      console.error('Confirm 2FA enrollment error:', err);
+      setError(err.response?.data?.error || 'Failed to verify code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const closeDialog = () => {
+    setPendingAction(null);
+    setDialogCode('');
+    setDialogError('');
+  };
+
+  const handleConfirmAction = async () => {
+    const value = dialogCode.trim();
+    if (!value) {
+      setDialogError('Enter a code from your authenticator app or a recovery code');
+      return;
+    }
+
+    // 6 digits is an authenticator code; anything else is treated as a recovery code
+    const factor = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+
+    try {
+      setSubmitting(true);
+      if (pendingAction === 'disable') {
+        await api.mfaDisable(factor);
+        closeDialog();
+        Alert.alert('Success', 'Two-factor authentication has been turned off');
+      } else {
+        const { data } = await api.mfaRegenerateRecoveryCodes(factor);
+        closeDialog();
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      await fetchStatus();
+    } catch (err) {
+      console.error('2FA action error:', err);
+      setDialogError(err.response?.data?.error || 'Verification failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Two-Factor Authentication</Text>
+          <Text style={styles.description}>
+            Protect password sign-ins with a code from an authenticator app such as Google Authenticator, 1Password or Authy.
+          </Text>
+          <Text style={[styles.status, status.enabled ? styles.statusOn : styles.statusOff]}>
+            {status.enabled ? 'On' : 'Off'}
+          </Text>
+        </Card.Content>
+      </Card>
+
+      {recoveryCodes && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>Save your recovery codes</Text>
+            <Text style={styles.description}>
+              Each code can be used once to sign in if you lose access to your authenticator app. They won't be shown again.
+            </Text>
+            <View style={styles.codesBox}>
+              {recoveryCodes.map(recoveryCode => (
+                <Text key={recoveryCode} selectable style={styles.codeText}>{recoveryCode}</Text>
+              ))}
+            </View>
+            <Button mode="contained" onPress={() => setRecoveryCodes(null)} style={styles.button}>
+              I've saved these codes
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Button
+              mode="contained"
+              icon="shield-lock"
+              onPress={handleStartEnrollment}
+              loading={submitting}
+              disabled={submitting}
+            >
+              Set up two-factor authentication
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {!status.enabled && enrollment && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>1. Scan this QR code</Text>
+            <Text style={styles.description}>
+              Scan it with your authenticator app, or enter the setup key manually.
+            </Text>
+            <View style={styles.qrContainer}>
+              <Image source={{ uri: enrollment.qrCode }} style={styles.qrCode} />
+            </View>
+            <Text style={styles.label}>Setup key</Text>
+            <Text selectable style={styles.secret}>{enrollment.secret}</Text>
+
+            <Divider style={styles.divider} />
+
+            <Text style={styles.sectionTitle}>2. Enter the 6-digit code</Text>
+            <TextInput
+              label="Authentication code"
+              value={code}
+              onChangeText={setCode}
+              keyboardType="number-pad"
+              maxLength={6}
+              mode="outlined"
+              error={!!error}
+            />
+            {error ? <HelperText type="error">{error}</HelperText> : null}
+
+            <Button
+              mode="contained"
+              onPress={handleConfirmEnrollment}
+              loading={submitting}
+              disabled={submitting}
+              style={styles.button}
+            >
+              Turn On
+            </Button>
+            <Button mode="outlined" onPress={() => setEnrollment(null)} disabled={submitting} style={styles.button}>
+              Cancel
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      {status.enabled && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.description}>
+              You have {status.recoveryCodesRemaining} unused recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'}.
+            </Text>
+            <Button
+              mode="outlined"
+              icon="refresh"
+              onPress={() => setPendingAction('regenerate')}
+              style={styles.button}
+            >
+              Generate new recovery codes
+            </Button>
+            <Button
+              mode="outlined"
+              textColor="#d32f2f"
+              onPress={() => setPendingAction('disable')}
+              style={styles.button}
+            >
+              Turn off two-factor authentication
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <Portal>
+        <Dialog visible={!!pendingAction} onDismiss={closeDialog}>
+          <Dialog.Title>
+            {pendingAction === 'disable' ? 'Turn Off Two-Factor' : 'New Recovery Codes'}
+          </Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              {pendingAction === 'disable'
+                ? 'Enter a code from your authenticator app or a recovery code to turn off two-factor authentication.'
+                : 'Enter a code from your authenticator app or a recovery code. Your old recovery codes will stop working.'}
+            </Text>
+            <TextInput
+              label="Code"
+              value={dialogCode}
+              onChangeText={setDialogCode}
+              autoCapitalize="none"
+              mode="outlined"
+              error={!!dialogError}
+            />
+            {dialogError ? <HelperText type="error">{dialogError}</HelperText> : null}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeDialog} disabled={submitting}>Cancel</Button>
+            <Button
+              onPress={handleConfirmAction}
+              loading={submitting}
+              disabled={submitting}
+              textColor={pendingAction === 'disable' ? '#d32f2f' : undefined}
+            >
+              {pendingAction === 'disable' ? 'Turn Off' : 'Generate'}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8
+  },
+  status: {
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  statusOn: {
+    color: '#4caf50'
+  },
+  statusOff: {
+    color: '#999'
+  },
+  qrContainer: {
+    alignItems: 'center',
+    marginVertical: 16
+  },
+  qrCode: {
+    width: 200,
+    height: 200
+  },
+  label: {
+    fontSize: 12,
+    color: '#666'
+  },
+  secret: {
+    fontSize: 16,
+    fontFamily: 'monospace',
+    letterSpacing: 1,
+    color: '#333'
+  },
+  divider: {
+    marginVertical: 16
+  },
+  codesBox: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 16,
+    marginVertical: 8,
+    alignItems: 'center'
+  },
+  codeText: {
+    fontSize: 16,
+    fontFamily: 'monospace',
+    letterSpacing: 1,
+    paddingVertical: 2,
+    color: '#333'
+  },
+  button: {
+    marginTop: 12
+  },
+  dialogText: {
+    marginBottom: 12
+  }
+});
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text, Card, ActivityIndicator, Searchbar, Chip, DataTable, Divider } from 'react-native-paper';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+
+const PAGE_SIZE = 25;
+const PERIODS = [7, 30, 90];
+const STATUS_FILTERS = [
+  { value: null, label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'inactive', label: 'Inactive' },
+  { value: 'staff', label: 'Staff' }
+];
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy') : 'Never');
+
+function StatTile({ label, value }) {
+  return (
+    <View style={styles.statTile}>
+      <Text style={styles.statValue}>{value ?? '-'}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+// Staff console (web build): usage stats and user search
+export default function AdminScreen({ navigation }) {
+  const [days, setDays] = useState(7);
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState(null);
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loadingUsers, setLoadingUsers] = useState(true);
+
+  useEffect(() => {
+    fetchStats();
+  }, [days]);
+
+  useEffect(() => {
+    // Debounce typing in the search box
+    const timeout = setTimeout(fetchUsers, 300);
+    return () => clearTimeout(timeout);
+  }, [search, status, page]);
+
+  const fetchStats = async () => {
+    try {
+      setStatsError(null);
+      const { data } = await api.adminGetStats(days);
+      setStats(data);
+    } catch (err) {
+      console.error('Admin stats error:', err);
+      setStatsError(err.response?.data?.error || 'Failed to load stats');
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      setLoadingUsers(true);
+      const { data } = await api.adminSearchUsers({
+        ...(search.trim() && { search: search.trim() }),
+        ...(status && { status }),
+        page,
+        limit: PAGE_SIZE
+      });
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Admin user search error:', err);
+    } finally {
+      setLoadingUsers(false);
+    }
+  };
+
+  const handleSearch = (value) => {
+    setSearch(value);
+    setPage(1);
+  };
+
+  const handleStatus = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <View style={styles.headerRow}>
+            <Text style={styles.title}>Usage</Text>
+            <View style={styles.chipRow}>
+              {PERIODS.map(period => (
+                <Chip
+                  key={period}
+                  selected={days === period}
+                  onPress={() => setDays(period)}
+                  style={styles.chip}
+                  compact
+                >
+                  {period} days
+                </Chip>
+              ))}
+            </View>
+          </View>
+
+          {statsError && <Text style={styles.errorText}>{statsError}</Text>}
+          {!stats && !statsError && <ActivityIndicator style={styles.spinner} />}
+
+          {stats && (
+            <>
+              <View style={styles.statRow}>
+                <StatTile label="DAU" value={stats.users.dau} />
+                <StatTile label="WAU" value={stats.users.wau} />
+                <StatTile label="MAU" value={stats.users.mau} />
+                <StatTile label="Users" value={stats.users.total} />
+                <StatTile label={`New (${days}d)`} value={stats.users.new} />
+              </View>
+              <View style={styles.statRow}>
+                <StatTile label="Meals logged" value={stats.activity.mealsLogged} />
+                <StatTile label="Exercises logged" value={stats.activity.exercisesLogged} />
+                <StatTile label="Tasks created" value={stats.activity.tasksCreated} />
+                <StatTile label="Tasks completed" value={stats.activity.tasksCompleted} />
+                <StatTile label="Google / Microsoft" value={`${stats.integrations.google_tasks || 0} / ${stats.integrations.microsoft || 0}`} />
+              </View>
+
+              <DataTable style={styles.table}>
+                <DataTable.Header>
+                  <DataTable.Title>Date</DataTable.Title>
+                  <DataTable.Title numeric>Active users</DataTable.Title>
+                  <DataTable.Title numeric>New users</DataTable.Title>
+                  <DataTable.Title numeric>Meals</DataTable.Title>
+                  <DataTable.Title numeric>Tasks done</DataTable.Title>
+                </DataTable.Header>
+                {[...stats.daily].reverse().map(day => (
+                  <DataTable.Row key={day.date}>
+                    <DataTable.Cell>{day.date}</DataTable.Cell>
+                    <DataTable.Cell numeric>{day.activeUsers}</DataTable.Cell>
+                    <DataTable.Cell numeric>{day.newUsers}</DataTable.Cell>
+                    <DataTable.Cell numeric>{day.mealsLogged}</DataTable.Cell>
+                    <DataTable.Cell numeric>{day.tasksCompleted}</DataTable.Cell>
+                  </DataTable.Row>
+                ))}
+              </DataTable>
+            </>
+          )}
+        </Card.Content>
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Users</Text>
+          <Searchbar
+            placeholder="Search by email, username or name"
+            onChangeText={handleSearch}
+            value={search}
+            style={styles.searchBar}
+          />
+          <View style={styles.chipRow}>
+            {STATUS_FILTERS.map(filter => (
+              <Chip
+                key={filter.label}
+                selected={status === filter.value}
+                onPress={() => handleStatus(filter.value)}
+                style={styles.chip}
+                compact
+              >
+                {filter.label}
+              </Chip>
+            ))}
+          </View>
+        </Card.Content>
+        <Divider />
+
+        <DataTable>
+          <DataTable.Header>
+            <DataTable.Title style={styles.emailColumn}>Email</DataTable.Title>
+            <DataTable.Title>Username</DataTable.Title>
+            <DataTable.Title>Status</DataTable.Title>
+            <DataTable.Title>Joined</DataTable.Title>
+            <DataTable.Title>Last active</DataTable.Title>
+          </DataTable.Header>
+
+          {loadingUsers && users.length === 0 ? (
+            <ActivityIndicator style={styles.spinner} />
+          ) : users.length === 0 ? (
+            <Text style={styles.emptyText}>No users found</Text>
+          ) : (
+            users.map(user => (
+              <DataTable.Row key={user.id} onPress={() => navigation.navigate('AdminUser', { userId: user.id })}>
+                <DataTable.Cell style={styles.emailColumn}>{user.email}</DataTable.Cell>
+                <DataTable.Cell>{user.username}</DataTable.Cell>
+                <DataTable.Cell>
+                  <Text style={user.isActive ? styles.activeText : styles.inactiveText}>
+                    {user.isActive ? 'Active' : user.deletionScheduledAt ? 'Deleting' : 'Inactive'}
+                  </Text>
+                  {user.isStaff && <Text style={styles.staffText}> · Staff</Text>}
+                </DataTable.Cell>
+                <DataTable.Cell>{formatDate(user.dateJoined)}</DataTable.Cell>
+                <DataTable.Cell>{formatDate(user.lastLogin)}</DataTable.Cell>
+              </DataTable.Row>
+            ))
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <DataTable.Pagination
+              page={page - 1}
+              numberOfPages={pagination.totalPages}
+              onPageChange={(index) => setPage(index + 1)}
+              label={`${(page - 1) * PAGE_SIZE + 1}-${Math.min(page * PAGE_SIZE, pagination.total)} of ${pagination.total}`}
+            />
+          )}
+        </DataTable>
+      </Card>
+
+      <View style={styles.spacer} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap'
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: '#333'
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 4
+  },
+  statRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8
+  },
+  statTile: {
+    minWidth: 120,
+    flex: 1,
+    padding: 12,
+    margin: 4,
+    borderRadius: 8,
+    backgroundColor: '#f5f5f5'
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1976d2'
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4
+  },
+  table: {
+    marginTop: 8
+  },
+  searchBar: {
+    marginBottom: 12
+  },
+  emailColumn: {
+    flex: 2
+  },
+  activeText: {
+    color: '#4caf50'
+  },
+  inactiveText: {
+    color: '#d32f2f'
+  },
+  staffText: {
+    color: '#1976d2'
+  },
+  errorText: {
+    color: '#d32f2f',
+    marginBottom: 8
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    paddingVertical: 16
+  },
+  spinner: {
+    marginVertical: 16
+  },
+  spacer: {
+    height: 24
+  }
+});
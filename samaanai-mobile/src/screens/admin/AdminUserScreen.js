@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog, Snackbar } from 'react-native-paper';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM d, yyyy h:mm a') : 'Never');
+
+const PROVIDER_NAMES = {
+  google_tasks: 'Google Tasks',
+  microsoft: 'Microsoft To Do'
+};
+
+const INTEGRATION_STATUS = {
+  healthy: { label: 'Healthy', color: '#4caf50', icon: 'check-circle' },
+  stale: { label: 'Not synced recently', color: '#ff9800', icon: 'clock-alert' },
+  never_synced: { label: 'Never synced', color: '#ff9800', icon: 'sync-off' },
+  error: { label: 'Last sync failed', color: '#d32f2f', icon: 'alert-circle' },
+  reconnect_required: { label: 'Token expired - reconnect required', color: '#d32f2f', icon: 'link-off' }
+};
+
+// Actions that need confirming before they run
+const ACTIONS = {
+  deactivate: {
+    title: 'Deactivate User',
+    message: 'The user will be signed out everywhere and unable to sign in until reactivated.',
+    confirm: 'Deactivate'
+  },
+  activate: {
+    title: 'Activate User',
+    message: 'The user will be able to sign in again. A pending account deletion will be cancelled.',
+    confirm: 'Activate'
+  },
+  passwordReset: {
+    title: 'Force Password Reset',
+    message: 'The current password will stop working, all sessions will be signed out and a reset link will be emailed.',
+    confirm: 'Reset Password'
+  },
+  weeklyReport: {
+    title: 'Send Weekly Report',
+    message: 'Send this week\'s report to the user now (respecting their notification settings)?',
+    confirm: 'Send'
+  }
+};
+
+export default function AdminUserScreen({ route }) {
+  const { userId } = route.params;
+  const { user: currentUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [user, setUser] = useState(null);
+  const [integrations, setIntegrations] = useState([]);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchUser();
+  }, [userId]);
+
+  const fetchUser = async () => {
+    try {
+      const { data } = await api.adminGetUser(userId);
+      setUser(data.user);
+      setIntegrations(data.integrations);
+    } catch (err) {
+      console.error('Admin user error:', err);
+      setMessage(err.response?.data?.error || 'Failed to load user');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async () => {
+    const action = pendingAction;
+    setPendingAction(null);
+
+    try {
+      setWorking(true);
+
+      if (action === 'activate' || action === 'deactivate') {
+        const { data } = await api.adminSetUserActive(userId, action === 'activate');
+        setUser({ ...user, ...data.user });
+        setMessage(action === 'activate' ? 'User activated' : 'User deactivated');
+      } else if (action === 'passwordReset') {
+        const { data } = await api.adminForcePasswordReset(userId);
+        setMessage(data.message);
+      } else if (action === 'weeklyReport') {
+        const { data } = await api.adminSendWeeklyReport(userId);
+        setMessage(`Weekly report - email: ${data.email}, push: ${data.push}`);
+      }
+    } catch (err) {
+      console.error('Admin action error:', err);
+      setMessage(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  if (!user) {
+    return (
+      <View style={styles.centered}>
+        <Text>{message || 'User not found'}</Text>
+      </View>
+    );
+  }
+
+  const isSelf = currentUser?.id === user.id;
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>{user.email}</Text>
+          <Text style={styles.subtitle}>
+            {user.username}{name ? ` · ${name}` : ''}{user.isStaff ? ' · Staff' : ''}
+          </Text>
+        </Card.Content>
+        <Divider />
+        <List.Item
+          title="Status"
+          description={user.isActive
+            ? 'Active'
+            : user.deletionScheduledAt
+              ? `Scheduled for deletion on ${formatDateTime(user.deletionScheduledAt)}`
+              : 'Inactive'}
+          left={props => <List.Icon {...props} icon={user.isActive ? 'account-check' : 'account-off'} />}
+        />
+        <List.Item
+          title="Security"
+          description={`Email ${user.emailVerified ? 'verified' : 'not verified'} · Two-factor ${user.mfaEnabled ? 'on' : 'off'} · ${user.counts.webauthnCredentials} passkeys · ${user.activeSessions} active sessions`}
+          left={props => <List.Icon {...props} icon="shield-account" />}
+        />
+        <List.Item
+          title="Activity"
+          description={`Joined ${formatDateTime(user.dateJoined)} · Last active ${formatDateTime(user.lastLogin)}`}
+          left={props => <List.Icon {...props} icon="calendar-clock" />}
+        />
+        <List.Item
+          title="Data"
+          description={`${user.counts.mealEntries} meals · ${user.counts.exerciseEntries} exercises · ${user.counts.weightEntries} weight entries · ${user.counts.tasks} tasks`}
+          left={props => <List.Icon {...props} icon="database" />}
+        />
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.sectionTitle}>Integrations</Text>
+        </Card.Content>
+        {integrations.length === 0 ? (
+          <Card.Content>
+            <Text style={styles.emptyText}>No integrations connected</Text>
+          </Card.Content>
+        ) : (
+          integrations.map(integration => {
+            const status = INTEGRATION_STATUS[integration.status] || INTEGRATION_STATUS.healthy;
+            return (
+              <View key={integration.provider}>
+                <Divider />
+                <List.Item
+                  title={`${PROVIDER_NAMES[integration.provider] || integration.provider} - ${status.label}`}
+                  titleStyle={{ color: status.color }}
+                  description={[
+                    `Last sync: ${formatDateTime(integration.lastSyncedAt)}`,
+                    `Token ${integration.tokenExpired ? 'expired' : 'expires'}: ${formatDateTime(integration.tokenExpiresAt)}${integration.canRefresh ? ' (refreshable)' : ''}`,
+                    `${integration.syncedTasks} synced tasks · connected ${formatDateTime(integration.connectedAt)}`,
+                    ...(integration.lastSyncError ? [`Error: ${integration.lastSyncError}`] : [])
+                  ].join('\n')}
+                  descriptionNumberOfLines={4}
+                  left={props => <List.Icon {...props} icon={status.icon} color={status.color} />}
+                />
+              </View>
+            );
+          })
+        )}
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.sectionTitle}>Actions</Text>
+          <Button
+            mode="outlined"
+            icon="email-fast"
+            onPress={() => setPendingAction('weeklyReport')}
+            disabled={working}
+            style={styles.actionButton}
+          >
+            Send Weekly Report
+          </Button>
+          <Button
+            mode="outlined"
+            icon="lock-reset"
+            onPress={() => setPendingAction('passwordReset')}
+            disabled={working}
+            style={styles.actionButton}
+          >
+            Force Password Reset
+          </Button>
+          {user.isActive ? (
+            <Button
+              mode="contained"
+              icon="account-off"
+              buttonColor="#d32f2f"
+              onPress={() => setPendingAction('deactivate')}
+              disabled={working || isSelf}
+              style={styles.actionButton}
+            >
+              Deactivate User
+            </Button>
+          ) : (
+            <Button
+              mode="contained"
+              icon="account-check"
+              onPress={() => setPendingAction('activate')}
+              disabled={working}
+              style={styles.actionButton}
+            >
+              Activate User
+            </Button>
+          )}
+        </Card.Content>
+      </Card>
+
+      <View style={styles.spacer} />
+
+      <Portal>
+        <Dialog visible={!!pendingAction} onDismiss={() => setPendingAction(null)}>
+          <Dialog.Title>{ACTIONS[pendingAction]?.title}</Dialog.Title>
+          <Dialog.Content>
+            <Text>{ACTIONS[pendingAction]?.message}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setPendingAction(null)}>Cancel</Button>
+            <Button
+              onPress={runAction}
+              textColor={pendingAction === 'deactivate' || pendingAction === 'passwordReset' ? '#d32f2f' : undefined}
+            >
+              {ACTIONS[pendingAction]?.confirm}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Snackbar visible={!!message} onDismiss={() => setMessage('')} duration={4000}>
+          {message}
+        </Snackbar>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333'
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    paddingVertical: 8
+  },
+  actionButton: {
+    marginBottom: 12
+  },
+  spacer: {
+    height: 24
+  }
+});
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { TextInput, Button, Text, Title, HelperText, ActivityIndicator } from 'react-native-paper';
+import { api } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+export default function EmailLoginScreen({ navigation, route }) {
+  // Opened from the emailed magic link: /email-login?token=...
+  const token = route.params?.token;
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [code, setCode] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [verifyingLink, setVerifyingLink] = useState(!!token);
+  const [error, setError] = useState('');
+  const { loginWithEmail } = useAuth();
+
+  useEffect(() => {
+    if (token) {
+      signIn({ token });
+    }
+  }, [token]);
+
+  // Shared by the link and the code; on success the navigator switches to the app
+  const signIn = async (credentials) => {
+    setLoading(true);
+    setError('');
+
+    const result = await loginWithEmail(credentials);
+
+    if (result.mfaRequired) {
+      setLoading(false);
+      setVerifyingLink(false);
+      navigation.navigate('TwoFactorChallenge', { mfaToken: result.mfaToken });
+      return;
+    }
+
+    if (!result.success) {
+      setLoading(false);
+      setVerifyingLink(false);
+      setError(result.error);
+      setCode('');
+
+      // The link or code is used up: ask for a new email
+      if (result.expired) {
+        setSent(false);
+      }
+    }
+  };
+
+  const handleSend = async () => {
+    if (!email) {
+      setError('Please enter your email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await api.requestEmailLogin(email, Platform.OS === 'web' ? 'web' : 'mobile');
+      setSent(true);
+      setCode('');
+    } catch (err) {
+      console.error('Request email login error:', err);
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to send sign-in email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError('Please enter the 6-digit code');
+      return;
+    }
+
+    signIn({ email, code: code.trim() });
+  };
+
+  if (verifyingLink) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.content, styles.centered]}>
+          <ActivityIndicator size="large" />
+          <Text style={[styles.subtitle, styles.statusText]}>Signing you in...</Text>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <View style={styles.content}>
+        <Title style={styles.title}>Sign In with Email</Title>
+
+        {sent ? (
+          <>
+            <Text style={styles.subtitle}>
+              If an account exists for {email}, we've sent it a sign-in link and a 6-digit code.
+              Open the link on this device or enter the code below. Both expire in 10 minutes.
+            </Text>
+
+            <TextInput
+              label="Sign-in code"
+              value={code}
+              onChangeText={setCode}
+              keyboardType="number-pad"
+              autoComplete="one-time-code"
+              maxLength={6}
+              style={styles.input}
+              mode="outlined"
+              autoFocus
+            />
+          </>
+        ) : (
+          <>
+            <Text style={styles.subtitle}>
+              We'll email you a link and a code so you can sign in without your password.
+            </Text>
+
+            <TextInput
+              label="Email"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              style={styles.input}
+              mode="outlined"
+            />
+          </>
+        )}
+
+        {error ? (
+          <HelperText type="error" visible={true}>
+            {error}
+          </HelperText>
+        ) : null}
+
+        <Button
+          mode="contained"
+          onPress={sent ? handleVerifyCode : handleSend}
+          loading={loading}
+          disabled={loading}
+          style={styles.button}
+        >
+          {sent ? 'Sign In' : 'Email Me a Sign-in Link'}
+        </Button>
+
+        {sent && (
+          <>
+            <Button mode="text" onPress={handleSend} disabled={loading} style={styles.linkButton}>
+              Send a new code
+            </Button>
+            <Button
+              mode="text"
+              onPress={() => {
+                setSent(false);
+                setError('');
+              }}
+              style={styles.linkButton}
+            >
+              Use a different email
+            </Button>
+          </>
+        )}
+
+        <Button mode="text" onPress={() => navigation.navigate('Login')} style={styles.linkButton}>
+          Back to log in
+        </Button>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  content: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center'
+  },
+  centered: {
+    alignItems: 'center'
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#666',
+    marginBottom: 32
+  },
+  statusText: {
+    marginTop: 16
+  },
+  input: {
+    marginBottom: 16
+  },
+  button: {
+    marginTop: 16,
+    paddingVertical: 6
+  },
+  linkButton: {
+    marginTop: 8
+  }
+});
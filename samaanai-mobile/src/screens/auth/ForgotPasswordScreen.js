@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { TextInput, Button, Text, Title, HelperText } from 'react-native-paper';
+import { api } from '../../services/api';
+
+export default function ForgotPasswordScreen({ navigation }) {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    if (!email) {
+      setError('Please enter your email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await api.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <View style={styles.content}>
+        <Title style={styles.title}>Forgot Password</Title>
+
+        {sent ? (
+          <Text style={styles.subtitle}>
+            If an account exists for {email}, we've sent a link to reset your password. The link expires in 1 hour.
+          </Text>
+        ) : (
+          <>
+            <Text style={styles.subtitle}>
+              Enter the email address for your account and we'll send you a link to reset your password.
+            </Text>
+
+            <TextInput
+              label="Email"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              style={styles.input}
+              mode="outlined"
+            />
+
+            {error ? (
+              <HelperText type="error" visible={true}>
+                {error}
+              </HelperText>
+            ) : null}
+
+            <Button
+              mode="contained"
+              onPress={handleSubmit}
+              loading={loading}
+              disabled={loading}
+              style={styles.button}
+            >
+              Send Reset Link
+            </Button>
+          </>
+        )}
+
+        <Button
+          mode="text"
+          onPress={() => navigation.navigate('Login')}
+          style={styles.linkButton}
+        >
+          Back to log in
+        </Button>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  content: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center'
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#666',
+    marginBottom: 32
+  },
+  input: {
+    marginBottom: 16
+  },
+  button: {
+    marginTop: 16,
+    paddingVertical: 6
+  },
+  linkButton: {
+    marginTop: 8
+  }
+});
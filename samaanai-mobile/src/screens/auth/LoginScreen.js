@@ -5,16 +5,32 @@ import { useAuth } from '../../contexts/AuthContext';
 import * as AuthSession from 'expo-auth-session';
 import * as WebBrowser from 'expo-web-browser';
 import Constants from 'expo-constants';
+import { isPasskeySupported } from '../../services/passkeyService';
+import { createPkcePair } from '../../services/pkce';
 
 WebBrowser.maybeCompleteAuthSession();
 
+// Web keeps the PKCE verifier across the full-page redirect to the provider and back
+const PKCE_VERIFIER_KEY = 'oauthPkceVerifier';
+
+const PROVIDER_NAMES = {
+  google: 'Google',
+  microsoft: 'Microsoft'
+};
+
+// Error codes the backend puts in the OAuth redirect
+const oauthErrorMessage = (error) => (error === 'account_exists'
+  ? 'An account with this email already exists. Sign in another way, then link this account from Sign-in Methods in your profile.'
+  : 'Sign-in was cancelled or failed. Please try again.');
+
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
-  const [googleLoading, setGoogleLoading] = useState(false);
+  const [oauthLoading, setOauthLoading] = useState(null); // provider being signed in with
+  const [passkeyLoading, setPasskeyLoading] = useState(false);
   const [error, setError] = useState('');
-  const { login, loginWithGoogle } = useAuth();
+  const { login, loginWithAuthCode, loginWithPasskey } = useAuth();
 
   const API_URL = Constants.expoConfig?.extra?.API_BASE_URL || 'http://localhost:8080';
 
@@ -24,38 +40,25 @@ export default function LoginScreen({ navigation }) {
     useProxy: Platform.OS === 'web' ? false : !Constants.appOwnership || Constants.appOwnership === 'expo',
   });
 
-  const [request, response, promptAsync] = AuthSession.useAuthRequest(
-    {
-      clientId: 'EXPO_CLIENT', // Placeholder - will be handled by backend
-      scopes: ['profile', 'email'],
-      redirectUri,
-    },
-    {
-      authorizationEndpoint: `${API_URL}/api/v1/auth/google`,
-    }
-  );
-
-  useEffect(() => {
-    if (response?.type === 'success') {
-      const { params } = response;
-      if (params.accessToken && params.refreshToken) {
-        handleGoogleCallback(params);
-      }
-    }
-  }, [response]);
-
-  // Check for Google OAuth callback params in URL (for web)
+  // Google and Microsoft redirect back with ?code=... (or ?error=...) for web
   useEffect(() => {
     if (Platform.OS === 'web') {
       const urlParams = new URLSearchParams(window.location.search);
-      const accessToken = urlParams.get('accessToken');
-      const refreshToken = urlParams.get('refreshToken');
-      const userStr = urlParams.get('user');
+      const code = urlParams.get('code');
+      const oauthError = urlParams.get('error');
 
-      if (accessToken && refreshToken && userStr) {
-        handleGoogleCallback({ accessToken, refreshToken, user: userStr });
+      if (code || oauthError) {
+        const codeVerifier = window.sessionStorage.getItem(PKCE_VERIFIER_KEY);
+        window.sessionStorage.removeItem(PKCE_VERIFIER_KEY);
         // Clean up URL
         window.history.replaceState({}, document.title, window.location.pathname);
+
+        if (code) {
+          setOauthLoading('redirect');
+          handleOAuthCallback(code, codeVerifier);
+        } else {
+          setError(oauthErrorMessage(oauthError));
+        }
       }
     }
   }, []);
@@ -71,64 +74,82 @@ export default function LoginScreen({ navigation }) {
 
     const result = await login(email, password);
 
+    if (result.mfaRequired) {
+      setLoading(false);
+      navigation.navigate('TwoFactorChallenge', { mfaToken: result.mfaToken });
+      return;
+    }
+
     if (!result.success) {
       setError(result.error);
       setLoading(false);
     }
   };
 
-  const handleGoogleLogin = async () => {
-    setGoogleLoading(true);
+  const handleOAuthLogin = async (provider) => {
+    setOauthLoading(provider);
     setError('');
 
     try {
+      // The backend only redeems the redirect's code together with this verifier
+      const { codeVerifier, codeChallenge } = await createPkcePair();
+
       if (Platform.OS === 'web') {
-        // For web, just redirect to the Google OAuth URL
-        window.location.href = `${API_URL}/api/v1/auth/google`;
+        // For web, redirect to the provider's sign-in page; the code comes back on this page
+        window.sessionStorage.setItem(PKCE_VERIFIER_KEY, codeVerifier);
+        window.location.href = `${API_URL}/api/v1/auth/${provider}?code_challenge=${codeChallenge}`;
       } else {
         // For mobile, use WebBrowser with client parameter to indicate mobile client
-        const authUrl = `${API_URL}/api/v1/auth/google?client=mobile`;
+        const authUrl = `${API_URL}/api/v1/auth/${provider}?client=mobile&code_challenge=${codeChallenge}`;
         const result = await WebBrowser.openAuthSessionAsync(
           authUrl,
           redirectUri
         );
 
-        if (result.type === 'success' && result.url) {
-          const url = new URL(result.url);
-          const params = new URLSearchParams(url.search);
-          const accessToken = params.get('accessToken');
-          const refreshToken = params.get('refreshToken');
-          const userStr = params.get('user');
-
-          if (accessToken && refreshToken && userStr) {
-            const user = JSON.parse(userStr);
-            await loginWithGoogle(accessToken, refreshToken, user);
-          }
+        if (result.type !== 'success' || !result.url) {
+          // User closed the browser
+          setOauthLoading(null);
+          return;
         }
+
+        const params = new URLSearchParams(new URL(result.url).search);
+        const code = params.get('code');
+
+        if (!code) {
+          setError(oauthErrorMessage(params.get('error')));
+          setOauthLoading(null);
+          return;
+        }
+
+        await handleOAuthCallback(code, codeVerifier);
       }
     } catch (err) {
-      console.error('Google login error:', err);
-      setError('Google login failed. Please try again.');
-      setGoogleLoading(false);
+      console.error(`${PROVIDER_NAMES[provider]} login error:`, err);
+      setError(`${PROVIDER_NAMES[provider]} login failed. Please try again.`);
+      setOauthLoading(null);
     }
   };
 
-  const handleGoogleCallback = async (params) => {
-    try {
-      console.log('Google callback params:', params);
-      const user = typeof params.user === 'string' ? JSON.parse(params.user) : params.user;
-      console.log('Parsed user:', user);
-      const result = await loginWithGoogle(params.accessToken, params.refreshToken, user);
-      console.log('Login with Google result:', result);
-
-      if (!result.success) {
-        setError(result.error || 'Failed to complete Google login');
-        setGoogleLoading(false);
+  const handlePasskeyLogin = async () => {
+    setPasskeyLoading(true);
+    setError('');
+
+    const result = await loginWithPasskey();
+
+    if (!result.success) {
+      if (!result.cancelled) {
+        setError(result.error);
       }
-    } catch (err) {
-      console.error('Google callback error:', err);
-      setError('Failed to complete Google login');
-      setGoogleLoading(false);
+      setPasskeyLoading(false);
+    }
+  };
+
+  const handleOAuthCallback = async (code, codeVerifier) => {
+    const result = await loginWithAuthCode(code, codeVerifier);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to complete sign-in');
+      setOauthLoading(null);
     }
   };
 
@@ -168,11 +189,20 @@ export default function LoginScreen({ navigation }) {
           </HelperText>
         ) : null}
 
+        <Button
+          mode="text"
+          compact
+          onPress={() => navigation.navigate('ForgotPassword')}
+          style={styles.forgotButton}
+        >
+          Forgot password?
+        </Button>
+
         <Button
           mode="contained"
           onPress={handleLogin}
           loading={loading}
-          disabled={loading || googleLoading}
+          disabled={loading || !!oauthLoading || passkeyLoading}
           style={styles.button}
         >
           Log In
@@ -186,9 +216,9 @@ export default function LoginScreen({ navigation }) {
 
         <Button
           mode="outlined"
-          onPress={handleGoogleLogin}
-          loading={googleLoading}
-          disabled={loading || googleLoading}
+          onPress={() => handleOAuthLogin('google')}
+          loading={oauthLoading === 'google'}
+          disabled={loading || !!oauthLoading || passkeyLoading}
           style={styles.googleButton}
           textColor="#DB4437"
           icon="google"
@@ -196,6 +226,41 @@ export default function LoginScreen({ navigation }) {
           Continue with Google
         </Button>
 
+        <Button
+          mode="outlined"
+          onPress={() => handleOAuthLogin('microsoft')}
+          loading={oauthLoading === 'microsoft'}
+          disabled={loading || !!oauthLoading || passkeyLoading}
+          style={styles.microsoftButton}
+          textColor="#2F2F2F"
+          icon="microsoft"
+        >
+          Continue with Microsoft
+        </Button>
+
+        <Button
+          mode="outlined"
+          onPress={() => navigation.navigate('EmailLogin', { email })}
+          disabled={loading || !!oauthLoading || passkeyLoading}
+          style={styles.emailButton}
+          icon="email-outline"
+        >
+          Email me a sign-in link
+        </Button>
+
+        {isPasskeySupported() && (
+          <Button
+            mode="outlined"
+            onPress={handlePasskeyLogin}
+            loading={passkeyLoading}
+            disabled={loading || !!oauthLoading || passkeyLoading}
+            style={styles.passkeyButton}
+            icon="key-variant"
+          >
+            Sign in with passkey
+          </Button>
+        )}
+
         <Button
           mode="text"
           onPress={() => navigation.navigate('Register')}
@@ -234,8 +299,11 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 16
   },
+  forgotButton: {
+    alignSelf: 'flex-end'
+  },
   button: {
-    marginTop: 16,
+    marginTop: 8,
     paddingVertical: 6,
     backgroundColor: '#1976D2' // Blue
   },
@@ -257,6 +325,20 @@ const styles = StyleSheet.create({
     borderColor: '#DB4437', // Red
     borderWidth: 1,
   },
+  microsoftButton: {
+    marginTop: 12,
+    paddingVertical: 6,
+    borderColor: '#2F2F2F',
+    borderWidth: 1,
+  },
+  emailButton: {
+    marginTop: 12,
+    paddingVertical: 6
+  },
+  passkeyButton: {
+    marginTop: 12,
+    paddingVertical: 6
+  },
   linkButton: {
     marginTop: 16,
   },
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { TextInput, Button, Text, Title, HelperText } from 'react-native-paper';
+import { api } from '../../services/api';
+
+export default function ResetPasswordScreen({ navigation, route }) {
+  // Opened from the emailed link: /reset-password?token=...
+  const token = route.params?.token;
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleReset = async () => {
+    if (!password || !confirmPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await api.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.content}>
+          <Title style={styles.title}>Reset Password</Title>
+          <Text style={styles.subtitle}>
+            This reset link is incomplete. Please request a new one.
+          </Text>
+          <Button mode="contained" onPress={() => navigation.navigate('ForgotPassword')} style={styles.button}>
+            Request New Link
+          </Button>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <View style={styles.content}>
+        <Title style={styles.title}>Reset Password</Title>
+
+        {done ? (
+          <>
+            <Text style={styles.subtitle}>
+              Your password has been reset. You can now log in with your new password.
+            </Text>
+            <Button mode="contained" onPress={() => navigation.navigate('Login')} style={styles.button}>
+              Go to Log In
+            </Button>
+          </>
+        ) : (
+          <>
+            <Text style={styles.subtitle}>Choose a new password for your account.</Text>
+
+            <TextInput
+              label="New Password"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              style={styles.input}
+              mode="outlined"
+            />
+
+            <TextInput
+              label="Confirm New Password"
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+              style={styles.input}
+              mode="outlined"
+            />
+
+            {error ? (
+              <HelperText type="error" visible={true}>
+                {error}
+              </HelperText>
+            ) : null}
+
+            <Button
+              mode="contained"
+              onPress={handleReset}
+              loading={loading}
+              disabled={loading}
+              style={styles.button}
+            >
+              Reset Password
+            </Button>
+
+            <Button
+              mode="text"
+              onPress={() => navigation.navigate('ForgotPassword')}
+              style={styles.linkButton}
+            >
+              Link expired? Request a new one
+            </Button>
+          </>
+        )}
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  content: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center'
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#666',
+    marginBottom: 32
+  },
+  input: {
+    marginBottom: 16
+  },
+  button: {
+    marginTop: 16,
+    paddingVertical: 6
+  },
+  linkButton: {
+    marginTop: 8
+  }
+});
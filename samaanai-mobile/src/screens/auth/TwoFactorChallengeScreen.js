@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { TextInput, Button, Text, Title, HelperText } from 'react-native-paper';
+import { useAuth } from '../../contexts/AuthContext';
+
+export default function TwoFactorChallengeScreen({ navigation, route }) {
+  const { mfaToken } = route.params || {};
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { verifyMfa } = useAuth();
+
+  const handleVerify = async () => {
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const result = await verifyMfa(
+      mfaToken,
+      useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+    );
+
+    if (!result.success) {
+      setLoading(false);
+
+      if (result.expired) {
+        // Challenge expired or too many attempts - start over from the password step
+        navigation.navigate('Login');
+        return;
+      }
+
+      setError(result.error);
+      setCode('');
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <View style={styles.content}>
+        <Title style={styles.title}>Two-Factor Authentication</Title>
+        <Text style={styles.subtitle}>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Text>
+
+        <TextInput
+          label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+          value={code}
+          onChangeText={setCode}
+          keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+          autoCapitalize="none"
+          autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+          maxLength={useRecoveryCode ? 20 : 6}
+          style={styles.input}
+          mode="outlined"
+          autoFocus
+        />
+
+        {error ? (
+          <HelperText type="error" visible={true}>
+            {error}
+          </HelperText>
+        ) : null}
+
+        <Button
+          mode="contained"
+          onPress={handleVerify}
+          loading={loading}
+          disabled={loading}
+          style={styles.button}
+        >
+          Verify
+        </Button>
+
+        <Button mode="text" onPress={toggleMode} style={styles.linkButton}>
+          {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+        </Button>
+
+        <Button mode="text" onPress={() => navigation.navigate('Login')} style={styles.linkButton}>
+          Back to log in
+        </Button>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  content: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center'
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#666',
+    marginBottom: 32
+  },
+  input: {
+    marginBottom: 16
+  },
+  button: {
+    marginTop: 16,
+    paddingVertical: 6
+  },
+  linkButton: {
+    marginTop: 8
+  }
+});
@@ -1,13 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert, Platform, Image, TouchableOpacity } from 'react-native';
-import { Text, Card, Button, TextInput, ActivityIndicator, HelperText, IconButton, Menu } from 'react-native-paper';
+import { Text, Card, Button, TextInput, ActivityIndicator, HelperText, IconButton, Chip } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as ImagePicker from 'expo-image-picker';
 import * as DocumentPicker from 'expo-document-picker';
 import { api } from '../../services/api';
-import { format, addDays, getDay } from 'date-fns';
+import { format, parse, addDays, getDay } from 'date-fns';
 import VoiceInputButton from '../../components/VoiceInputButton';
+import RecurrenceEditor from '../../components/RecurrenceEditor';
+import {
+  PRIORITIES,
+  TAG_COLORS,
+  REMINDER_OPTIONS,
+  MAX_REMINDERS,
+  describeReminder,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_MB,
+  getFileIcon,
+  formatFileSize
+} from '../../utils/taskOptions';
 
 // Helper function to get end of current week (Sunday)
 const getEndOfWeek = () => {
@@ -18,7 +30,7 @@ const getEndOfWeek = () => {
 };
 
 export default function AddEditTaskScreen({ route, navigation }) {
-  const { task } = route.params || {};
+  const { task, listId } = route.params || {};
   const isEdit = !!task;
 
   // Calculate default due date (end of week) for new tasks
@@ -32,23 +44,83 @@ export default function AddEditTaskScreen({ route, navigation }) {
     name: task?.name || '',
     description: task?.description || '',
     dueDate: defaultDueDate,
-    reminderType: task?.reminderType || '',
-    imageUrl: task?.imageUrl || ''
+    dueTime: task?.dueTime || '',
+    reminders: task?.reminders?.map(reminder => reminder.offsetMinutes) || [],
+    recurrence: task?.recurrence || null,
+    recurFromCompletion: task?.recurFromCompletion || false,
+    // New tasks go into the list that was open on the task list screen
+    listId: task?.listId || listId || null,
+    priority: task?.priority || 'none',
+    tagIds: task?.tags?.map(tag => tag.id) || []
   });
   const [errors, setErrors] = useState({});
-  const [menuVisible, setMenuVisible] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showTimePicker, setShowTimePicker] = useState(false);
   const [selectedDate, setSelectedDate] = useState(defaultSelectedDate);
-  const [selectedImage, setSelectedImage] = useState(task?.imageUrl || null);
-  const [selectedDocument, setSelectedDocument] = useState(null);
+  const [attachments, setAttachments] = useState(task?.attachments || []);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [removedAttachmentIds, setRemovedAttachmentIds] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [showNewTag, setShowNewTag] = useState(false);
+  const [newTagName, setNewTagName] = useState('');
+  const [newTagColor, setNewTagColor] = useState(TAG_COLORS[0]);
+  const [creatingTag, setCreatingTag] = useState(false);
+  const [dictated, setDictated] = useState(false); // Filled in by voice, for the activity log
+
+  useEffect(() => {
+    fetchTags();
+    fetchLists();
+  }, []);
+
+  const fetchLists = async () => {
+    try {
+      const { data } = await api.getLists();
+      setLists(data.lists);
+      // Preselect the default list when none was chosen
+      const defaultList = data.lists.find(list => list.isDefault);
+      setFormData(current => ({ ...current, listId: current.listId || defaultList?.id || null }));
+    } catch (err) {
+      console.error('Fetch lists error:', err);
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const { data } = await api.getTags();
+      setTags(data.tags);
+    } catch (err) {
+      console.error('Fetch tags error:', err);
+    }
+  };
 
-  const reminderTypes = [
-    { label: 'None', value: '' },
-    { label: 'Daily', value: 'daily' },
-    { label: 'Weekly', value: 'weekly' },
-    { label: 'Monthly', value: 'monthly' },
-    { label: 'Yearly', value: 'yearly' }
-  ];
+  const toggleTag = (tagId) => {
+    setFormData(current => ({
+      ...current,
+      tagIds: current.tagIds.includes(tagId)
+        ? current.tagIds.filter(id => id !== tagId)
+        : [...current.tagIds, tagId]
+    }));
+  };
+
+  const handleCreateTag = async () => {
+    if (!newTagName.trim()) return;
+
+    try {
+      setCreatingTag(true);
+      const { data } = await api.createTag({ name: newTagName.trim(), color: newTagColor });
+      setTags(current => [...current, data.tag].sort((a, b) => a.name.localeCompare(b.name)));
+      // Select the new tag straight away
+      setFormData(current => ({ ...current, tagIds: [...current.tagIds, data.tag.id] }));
+      setNewTagName('');
+      setShowNewTag(false);
+    } catch (err) {
+      console.error('Create tag error:', err);
+      Alert.alert('Error', err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to create tag');
+    } finally {
+      setCreatingTag(false);
+    }
+  };
 
   const requestPermissions = async () => {
     const { status: cameraStatus } = await ImagePicker.requestCameraPermissionsAsync();
@@ -61,39 +133,69 @@ export default function AddEditTaskScreen({ route, navigation }) {
     return true;
   };
 
+  const totalAttachments = attachments.length + pendingFiles.length;
+
+  // Queue picked files for upload when the task is saved
+  const addFiles = (files) => {
+    const maxBytes = MAX_ATTACHMENT_MB * 1024 * 1024;
+    const tooBig = files.filter(file => file.size > maxBytes);
+    const accepted = files.filter(file => !(file.size > maxBytes));
+
+    if (tooBig.length > 0) {
+      Alert.alert('File too large', `Files can be at most ${MAX_ATTACHMENT_MB} MB: ${tooBig.map(file => file.name).join(', ')}`);
+    }
+
+    if (totalAttachments + accepted.length > MAX_ATTACHMENTS) {
+      Alert.alert('Attachments', `A task can have at most ${MAX_ATTACHMENTS} attachments`);
+      return;
+    }
+
+    setPendingFiles(current => [...current, ...accepted]);
+  };
+
+  // Web-specific file picker using an HTML input
+  const pickWebFiles = ({ accept, capture, multiple = true }) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    if (capture) {
+      input.capture = capture;
+    }
+    input.onchange = (e) => {
+      addFiles(Array.from(e.target.files).map(file => ({
+        uri: URL.createObjectURL(file),
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+        file
+      })));
+    };
+    input.click();
+  };
+
+  const fromImageAssets = (assets) => assets.map((asset, index) => ({
+    uri: asset.uri,
+    name: asset.fileName || `photo-${Date.now()}-${index}.jpg`,
+    size: asset.fileSize,
+    mimeType: asset.mimeType || 'image/jpeg'
+  }));
+
   const pickImageFromGallery = async () => {
     if (Platform.OS === 'web') {
-      // Web-specific image picker
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = 'image/*';
-      input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            setSelectedImage(event.target.result);
-            setFormData({ ...formData, imageUrl: event.target.result });
-          };
-          reader.readAsDataURL(file);
-        }
-      };
-      input.click();
+      pickWebFiles({ accept: 'image/*' });
     } else {
       const hasPermission = await requestPermissions();
       if (!hasPermission) return;
 
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
-        allowsEditing: true,
-        quality: 0.8,
-        base64: true
+        allowsMultipleSelection: true,
+        quality: 0.8
       });
 
-      if (!result.canceled && result.assets[0]) {
-        const imageUri = result.assets[0].uri;
-        setSelectedImage(imageUri);
-        setFormData({ ...formData, imageUrl: imageUri });
+      if (!result.canceled && result.assets) {
+        addFiles(fromImageAssets(result.assets));
       }
     }
   };
@@ -101,96 +203,41 @@ export default function AddEditTaskScreen({ route, navigation }) {
   const takePhoto = async () => {
     if (Platform.OS === 'web') {
       // Web doesn't support camera directly, use file input with capture
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = 'image/*';
-      input.capture = 'environment';
-      input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            setSelectedImage(event.target.result);
-            setFormData({ ...formData, imageUrl: event.target.result });
-          };
-          reader.readAsDataURL(file);
-        }
-      };
-      input.click();
+      pickWebFiles({ accept: 'image/*', capture: 'environment', multiple: false });
     } else {
       const hasPermission = await requestPermissions();
       if (!hasPermission) return;
 
       const result = await ImagePicker.launchCameraAsync({
         allowsEditing: true,
-        quality: 0.8,
-        base64: true
+        quality: 0.8
       });
 
-      if (!result.canceled && result.assets[0]) {
-        const imageUri = result.assets[0].uri;
-        setSelectedImage(imageUri);
-        setFormData({ ...formData, imageUrl: imageUri });
+      if (!result.canceled && result.assets) {
+        addFiles(fromImageAssets(result.assets));
       }
     }
   };
 
-  const removeImage = () => {
-    setSelectedImage(null);
-    setFormData({ ...formData, imageUrl: '' });
-  };
-
   const pickDocument = async () => {
     if (Platform.OS === 'web') {
-      // Web-specific file picker using HTML input
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = '*/*';
-      input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            setSelectedDocument({
-              uri: event.target.result,
-              name: file.name,
-              size: file.size,
-              mimeType: file.type
-            });
-            setFormData({ ...formData, imageUrl: event.target.result });
-          };
-          reader.readAsDataURL(file);
-        }
-      };
-      input.click();
+      pickWebFiles({ accept: '*/*' });
     } else {
       // Mobile: Use expo-document-picker
       try {
         const result = await DocumentPicker.getDocumentAsync({
           type: '*/*',
+          multiple: true,
           copyToCacheDirectory: true
         });
 
-        if (!result.canceled && result.assets && result.assets[0]) {
-          const file = result.assets[0];
-
-          // Check if the picked file is an image
-          const isImage = file.mimeType?.startsWith('image/');
-
-          if (isImage) {
-            // If it's an image, show it as image preview
-            setSelectedImage(file.uri);
-            setFormData({ ...formData, imageUrl: file.uri });
-          } else {
-            // Otherwise, show as document
-            setSelectedDocument({
-              uri: file.uri,
-              name: file.name,
-              size: file.size,
-              mimeType: file.mimeType
-            });
-            setFormData({ ...formData, imageUrl: file.uri });
-          }
+        if (!result.canceled && result.assets) {
+          addFiles(result.assets.map(file => ({
+            uri: file.uri,
+            name: file.name,
+            size: file.size,
+            mimeType: file.mimeType || 'application/octet-stream'
+          })));
         }
       } catch (err) {
         console.error('Error picking document:', err);
@@ -199,32 +246,24 @@ export default function AddEditTaskScreen({ route, navigation }) {
     }
   };
 
-  const removeDocument = () => {
-    setSelectedDocument(null);
-    if (!selectedImage) {
-      setFormData({ ...formData, imageUrl: '' });
-    }
+  const removePendingFile = (index) => {
+    setPendingFiles(current => current.filter((_, i) => i !== index));
   };
 
-  const getFileIcon = (mimeType) => {
-    if (!mimeType) return 'file-document';
-
-    if (mimeType.includes('pdf')) return 'file-pdf-box';
-    if (mimeType.includes('word') || mimeType.includes('document')) return 'file-word-box';
-    if (mimeType.includes('excel') || mimeType.includes('spreadsheet')) return 'file-excel-box';
-    if (mimeType.includes('powerpoint') || mimeType.includes('presentation')) return 'file-powerpoint-box';
-    if (mimeType.includes('text')) return 'file-document-outline';
-    if (mimeType.includes('zip') || mimeType.includes('compressed')) return 'zip-box';
-
-    return 'file-document';
+  // Saved attachments are only deleted once the task is saved
+  const removeAttachment = (attachmentId) => {
+    setAttachments(current => current.filter(attachment => attachment.id !== attachmentId));
+    setRemovedAttachmentIds(current => [...current, attachmentId]);
   };
 
-  const formatFileSize = (bytes) => {
-    if (!bytes) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  // Upload queued files and delete removed ones after the task itself is saved
+  const saveAttachments = async (taskId) => {
+    for (const attachmentId of removedAttachmentIds) {
+      await api.deleteAttachment(taskId, attachmentId);
+    }
+    if (pendingFiles.length > 0) {
+      await api.uploadAttachments(taskId, pendingFiles);
+    }
   };
 
   const handleDateChange = (event, date) => {
@@ -244,6 +283,37 @@ export default function AddEditTaskScreen({ route, navigation }) {
     setShowDatePicker(false);
   };
 
+  const handleTimeChange = (event, date) => {
+    if (Platform.OS === 'android') {
+      setShowTimePicker(false);
+    }
+    if (date) {
+      setFormData(current => ({ ...current, dueTime: format(date, 'HH:mm') }));
+    }
+  };
+
+  const toggleReminder = (offset) => {
+    if (formData.reminders.includes(offset)) {
+      setFormData({ ...formData, reminders: formData.reminders.filter(item => item !== offset) });
+      return;
+    }
+
+    if (formData.reminders.length >= MAX_REMINDERS) {
+      Alert.alert('Reminders', `A task can have at most ${MAX_REMINDERS} reminders`);
+      return;
+    }
+
+    setFormData({ ...formData, reminders: [...formData.reminders, offset] });
+  };
+
+  // Offsets set elsewhere that aren't among the usual choices still show up
+  const reminderOptions = [
+    ...REMINDER_OPTIONS,
+    ...formData.reminders
+      .filter(offset => !REMINDER_OPTIONS.some(option => option.value === offset))
+      .map(offset => ({ value: offset, label: describeReminder(offset) }))
+  ].sort((a, b) => a.value - b.value);
+
   const validate = () => {
     const newErrors = {};
 
@@ -257,13 +327,14 @@ export default function AddEditTaskScreen({ route, navigation }) {
 
   const handleVoiceCommand = (parsedCommand, transcript) => {
     if (parsedCommand.type === 'task') {
+      setDictated(true);
       // Populate form with voice command data
       setFormData({
         ...formData,
         name: parsedCommand.name || formData.name,
         description: parsedCommand.description || formData.description,
         dueDate: parsedCommand.dueDate || formData.dueDate,
-        reminderType: parsedCommand.reminderType || formData.reminderType
+        recurrence: parsedCommand.recurrence || formData.recurrence
       });
 
       // Update selected date if due date was parsed
@@ -282,16 +353,30 @@ export default function AddEditTaskScreen({ route, navigation }) {
         name: formData.name.trim(),
         description: formData.description.trim() || null,
         dueDate: formData.dueDate || null,
-        reminderType: formData.reminderType || null,
-        imageUrl: formData.imageUrl.trim() || null
+        dueTime: formData.dueDate ? (formData.dueTime || null) : null,
+        reminders: formData.reminders,
+        recurrence: formData.recurrence,
+        recurFromCompletion: formData.recurrence ? formData.recurFromCompletion : false,
+        ...(formData.listId && { listId: formData.listId }),
+        priority: formData.priority,
+        tagIds: formData.tagIds,
+        ...(dictated && { source: 'voice' })
       };
 
+      let taskId = task?.id;
       if (isEdit) {
         await api.updateTask(task.id, taskData);
-        Alert.alert('Success', 'Task updated successfully');
       } else {
-        await api.createTask(taskData);
-        Alert.alert('Success', 'Task created successfully');
+        const { data } = await api.createTask(taskData);
+        taskId = data.task.id;
+      }
+
+      try {
+        await saveAttachments(taskId);
+        Alert.alert('Success', isEdit ? 'Task updated successfully' : 'Task created successfully');
+      } catch (err) {
+        console.error('Save attachments error:', err);
+        Alert.alert('Task saved', err.response?.data?.error || 'Some attachments could not be saved. Please try again.');
       }
 
       navigation.goBack();
@@ -411,38 +496,221 @@ export default function AddEditTaskScreen({ route, navigation }) {
               </>
             )}
 
-            <Text style={styles.label}>Reminder Type</Text>
-            <Menu
-              visible={menuVisible}
-              onDismiss={() => setMenuVisible(false)}
-              anchor={
-                <Button
+            {formData.dueDate ? (
+              <>
+                <Text style={styles.label}>Time (optional)</Text>
+                {Platform.OS === 'web' ? (
+                  <View style={styles.webDatePickerContainer}>
+                    <input
+                      type="time"
+                      value={formData.dueTime}
+                      onChange={(e) => setFormData({ ...formData, dueTime: e.target.value })}
+                      style={{
+                        width: '100%',
+                        padding: '16px',
+                        fontSize: '16px',
+                        border: '1px solid #ccc',
+                        borderRadius: '4px',
+                        outline: 'none',
+                        backgroundColor: '#fff',
+                        fontFamily: 'inherit'
+                      }}
+                    />
+                  </View>
+                ) : (
+                  <>
+                    <Button
+                      mode="outlined"
+                      onPress={() => setShowTimePicker(true)}
+                      style={styles.dateButton}
+                      icon="clock-outline"
+                    >
+                      {formData.dueTime || 'Add Time'}
+                    </Button>
+                    {showTimePicker && (
+                      <View>
+                        <DateTimePicker
+                          value={parse(formData.dueTime || '09:00', 'HH:mm', new Date())}
+                          mode="time"
+                          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                          onChange={handleTimeChange}
+                        />
+                        {Platform.OS === 'ios' && (
+                          <Button
+                            mode="contained"
+                            onPress={() => setShowTimePicker(false)}
+                            style={styles.datePickerButton}
+                          >
+                            Done
+                          </Button>
+                        )}
+                      </View>
+                    )}
+                  </>
+                )}
+                {formData.dueTime ? (
+                  <Button
+                    mode="text"
+                    onPress={() => setFormData({ ...formData, dueTime: '' })}
+                    style={styles.clearButton}
+                  >
+                    Clear Time
+                  </Button>
+                ) : null}
+
+                <Text style={styles.label}>Reminders</Text>
+                <View style={styles.chipRow}>
+                  {reminderOptions.map(option => (
+                    <Chip
+                      key={option.value}
+                      icon="bell-outline"
+                      selected={formData.reminders.includes(option.value)}
+                      showSelectedOverlay
+                      onPress={() => toggleReminder(option.value)}
+                      style={styles.chip}
+                      mode="outlined"
+                    >
+                      {option.label}
+                    </Chip>
+                  ))}
+                </View>
+                {formData.reminders.length > 0 && !formData.dueTime && (
+                  <HelperText type="info" visible={true}>
+                    Without a time, reminders count back from 9:00 on the due date.
+                  </HelperText>
+                )}
+              </>
+            ) : null}
+
+            <Text style={styles.label}>Repeat</Text>
+            <RecurrenceEditor
+              recurrence={formData.recurrence}
+              recurFromCompletion={formData.recurFromCompletion}
+              onChange={(repeat) => setFormData(current => ({ ...current, ...repeat }))}
+            />
+
+            {lists.length > 1 && (
+              <>
+                <Text style={styles.label}>List</Text>
+                <View style={styles.chipRow}>
+                  {lists.map(list => (
+                    <Chip
+                      key={list.id}
+                      icon={({ size }) => (
+                        <MaterialCommunityIcons name={list.icon} size={size} color={list.color} />
+                      )}
+                      selected={formData.listId === list.id}
+                      showSelectedOverlay
+                      onPress={() => setFormData({ ...formData, listId: list.id })}
+                      style={[
+                        styles.chip,
+                        formData.listId === list.id && { borderColor: list.color }
+                      ]}
+                      mode="outlined"
+                    >
+                      {list.name}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.label}>Priority</Text>
+            <View style={styles.chipRow}>
+              {PRIORITIES.map(priority => (
+                <Chip
+                  key={priority.value}
+                  icon={priority.icon}
+                  selected={formData.priority === priority.value}
+                  showSelectedOverlay
+                  onPress={() => setFormData({ ...formData, priority: priority.value })}
+                  style={[
+                    styles.chip,
+                    formData.priority === priority.value && { borderColor: priority.color }
+                  ]}
                   mode="outlined"
-                  onPress={() => setMenuVisible(true)}
-                  style={styles.menuButton}
-                  contentStyle={styles.menuButtonContent}
                 >
-                  {reminderTypes.find(r => r.value === formData.reminderType)?.label || 'Select Reminder'}
-                </Button>
-              }
-            >
-              {reminderTypes.map((type) => (
-                <Menu.Item
-                  key={type.value}
-                  onPress={() => {
-                    setFormData({ ...formData, reminderType: type.value });
-                    setMenuVisible(false);
-                  }}
-                  title={type.label}
-                />
+                  {priority.label}
+                </Chip>
               ))}
-            </Menu>
+            </View>
+
+            <Text style={styles.label}>Tags</Text>
+            <View style={styles.chipRow}>
+              {tags.map(tag => (
+                <Chip
+                  key={tag.id}
+                  icon={({ size }) => (
+                    <MaterialCommunityIcons name="circle" size={size} color={tag.color} />
+                  )}
+                  selected={formData.tagIds.includes(tag.id)}
+                  showSelectedOverlay
+                  onPress={() => toggleTag(tag.id)}
+                  style={styles.chip}
+                  mode="outlined"
+                >
+                  {tag.name}
+                </Chip>
+              ))}
+              {!showNewTag && (
+                <Chip icon="plus" onPress={() => setShowNewTag(true)} style={styles.chip} mode="outlined">
+                  New Tag
+                </Chip>
+              )}
+            </View>
+
+            {showNewTag && (
+              <View style={styles.newTagContainer}>
+                <TextInput
+                  label="Tag name"
+                  value={newTagName}
+                  onChangeText={setNewTagName}
+                  mode="outlined"
+                  maxLength={30}
+                  dense
+                  style={styles.input}
+                />
+                <View style={styles.colorRow}>
+                  {TAG_COLORS.map(color => (
+                    <TouchableOpacity
+                      key={color}
+                      onPress={() => setNewTagColor(color)}
+                      style={[
+                        styles.colorSwatch,
+                        { backgroundColor: color },
+                        newTagColor === color && styles.colorSwatchSelected
+                      ]}
+                    />
+                  ))}
+                </View>
+                <View style={styles.newTagActions}>
+                  <Button
+                    mode="text"
+                    onPress={() => {
+                      setShowNewTag(false);
+                      setNewTagName('');
+                    }}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    mode="contained-tonal"
+                    onPress={handleCreateTag}
+                    loading={creatingTag}
+                    disabled={creatingTag || !newTagName.trim()}
+                  >
+                    Add Tag
+                  </Button>
+                </View>
+              </View>
+            )}
 
             <Text style={styles.label}>Attachments</Text>
             <View style={styles.attachmentButtonsContainer}>
               <Button
                 mode="outlined"
                 onPress={takePhoto}
+                disabled={totalAttachments >= MAX_ATTACHMENTS}
                 style={styles.attachmentButton}
                 icon="camera"
               >
@@ -451,6 +719,7 @@ export default function AddEditTaskScreen({ route, navigation }) {
               <Button
                 mode="outlined"
                 onPress={pickImageFromGallery}
+                disabled={totalAttachments >= MAX_ATTACHMENTS}
                 style={styles.attachmentButton}
                 icon="image"
               >
@@ -459,6 +728,7 @@ export default function AddEditTaskScreen({ route, navigation }) {
               <Button
                 mode="outlined"
                 onPress={pickDocument}
+                disabled={totalAttachments >= MAX_ATTACHMENTS}
                 style={styles.attachmentButton}
                 icon="file-document"
               >
@@ -466,40 +736,38 @@ export default function AddEditTaskScreen({ route, navigation }) {
               </Button>
             </View>
 
-            {selectedImage && (
-              <View style={styles.imagePreviewContainer}>
-                <Image source={{ uri: selectedImage }} style={styles.imagePreview} />
-                <IconButton
-                  icon="close-circle"
-                  size={30}
-                  style={styles.removeImageButton}
-                  onPress={removeImage}
-                />
-              </View>
-            )}
-
-            {selectedDocument && (
-              <View style={styles.documentPreviewContainer}>
-                <View style={styles.documentInfo}>
-                  <MaterialCommunityIcons
-                    name={getFileIcon(selectedDocument.mimeType)}
-                    size={40}
-                    color="#1976d2"
-                  />
-                  <View style={styles.documentDetails}>
-                    <Text style={styles.documentName} numberOfLines={1}>
-                      {selectedDocument.name}
-                    </Text>
-                    <Text style={styles.documentSize}>
-                      {formatFileSize(selectedDocument.size)}
-                    </Text>
+            {(attachments.length > 0 || pendingFiles.length > 0) && (
+              <View style={styles.attachmentList}>
+                {attachments.map(attachment => (
+                  <View key={attachment.id} style={styles.attachmentRow}>
+                    {attachment.thumbnailUrl ? (
+                      <Image source={{ uri: attachment.thumbnailUrl }} style={styles.attachmentThumbnail} />
+                    ) : (
+                      <MaterialCommunityIcons name={getFileIcon(attachment.contentType)} size={40} color="#1976d2" />
+                    )}
+                    <View style={styles.documentDetails}>
+                      <Text style={styles.documentName} numberOfLines={1}>{attachment.fileName}</Text>
+                      <Text style={styles.documentSize}>{formatFileSize(attachment.size)}</Text>
+                    </View>
+                    <IconButton icon="close-circle" size={24} onPress={() => removeAttachment(attachment.id)} />
                   </View>
-                  <IconButton
-                    icon="close-circle"
-                    size={24}
-                    onPress={removeDocument}
-                  />
-                </View>
+                ))}
+                {pendingFiles.map((file, index) => (
+                  <View key={`${file.uri}-${index}`} style={styles.attachmentRow}>
+                    {file.mimeType?.startsWith('image/') ? (
+                      <Image source={{ uri: file.uri }} style={styles.attachmentThumbnail} />
+                    ) : (
+                      <MaterialCommunityIcons name={getFileIcon(file.mimeType)} size={40} color="#1976d2" />
+                    )}
+                    <View style={styles.documentDetails}>
+                      <Text style={styles.documentName} numberOfLines={1}>{file.name}</Text>
+                      <Text style={styles.documentSize}>
+                        {file.size ? `${formatFileSize(file.size)} · ` : ''}Uploads when you save
+                      </Text>
+                    </View>
+                    <IconButton icon="close-circle" size={24} onPress={() => removePendingFile(index)} />
+                  </View>
+                ))}
               </View>
             )}
 
@@ -570,12 +838,6 @@ const styles = StyleSheet.create({
   webDatePickerContainer: {
     marginBottom: 8
   },
-  menuButton: {
-    marginBottom: 16
-  },
-  menuButtonContent: {
-    justifyContent: 'flex-start'
-  },
   dateButton: {
     marginBottom: 8
   },
@@ -586,43 +848,72 @@ const styles = StyleSheet.create({
     marginTop: 8,
     marginBottom: 16
   },
-  attachmentButtonsContainer: {
+  chipRow: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: 8,
     marginBottom: 16
   },
-  attachmentButton: {
-    flex: 1
-  },
-  imagePreviewContainer: {
-    position: 'relative',
-    marginBottom: 16
+  chip: {
+    backgroundColor: '#fff'
   },
-  imagePreview: {
-    width: '100%',
-    height: 200,
+  newTagContainer: {
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
     borderRadius: 8,
-    backgroundColor: '#f0f0f0'
+    padding: 12,
+    backgroundColor: '#f9f9f9'
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginVertical: 8
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'transparent'
+  },
+  colorSwatchSelected: {
+    borderColor: '#333'
+  },
+  newTagActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8
+  },
+  attachmentButtonsContainer: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16
   },
-  removeImageButton: {
-    position: 'absolute',
-    top: -10,
-    right: -10,
-    backgroundColor: 'white',
-    borderRadius: 15
+  attachmentButton: {
+    flex: 1
   },
-  documentPreviewContainer: {
+  attachmentList: {
     marginBottom: 16,
     borderWidth: 1,
     borderColor: '#e0e0e0',
     borderRadius: 8,
-    padding: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
     backgroundColor: '#f9f9f9'
   },
-  documentInfo: {
+  attachmentRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    gap: 12
+    gap: 12,
+    paddingVertical: 4
+  },
+  attachmentThumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0'
   },
   documentDetails: {
     flex: 1
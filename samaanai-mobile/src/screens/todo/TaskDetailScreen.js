@@ -1,15 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Image, Alert, Linking, TouchableOpacity, Platform } from 'react-native';
-import { Text, Card, Title, Button, ActivityIndicator, Chip, IconButton } from 'react-native-paper';
+import { Text, Card, Title, Button, ActivityIndicator, Chip, IconButton, Portal, Dialog } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { api } from '../../services/api';
 import { format } from 'date-fns';
+import { getPriority, describeReminder, getFileIcon, formatFileSize } from '../../utils/taskOptions';
+import SubtaskChecklist from '../../components/SubtaskChecklist';
+import RecurrenceHistory from '../../components/RecurrenceHistory';
+import TaskActivityTimeline from '../../components/TaskActivityTimeline';
+import { describeRecurrence } from '../../utils/recurrence';
 
 export default function TaskDetailScreen({ route, navigation }) {
   const { taskId } = route.params;
   const [loading, setLoading] = useState(true);
   const [task, setTask] = useState(null);
   const [error, setError] = useState(null);
+  const [seriesDeleteVisible, setSeriesDeleteVisible] = useState(false);
 
   useEffect(() => {
     fetchTask();
@@ -31,22 +37,66 @@ export default function TaskDetailScreen({ route, navigation }) {
 
   const handleToggleCompletion = async () => {
     try {
-      await api.toggleTaskCompletion(taskId);
-      fetchTask();
+      const { data } = await api.toggleTaskCompletion(taskId);
+      // Reopening a completed copy hands back the recurring task it came from
+      if (data.task.id !== taskId) {
+        navigation.setParams({ taskId: data.task.id });
+      } else {
+        fetchTask();
+      }
     } catch (err) {
       console.error('Toggle task error:', err);
       Alert.alert('Error', 'Failed to update task');
     }
   };
 
+  const handleSkipOccurrence = async () => {
+    try {
+      const { data } = await api.skipOccurrence(taskId);
+      setTask(data.task);
+      Alert.alert('Skipped', data.message);
+    } catch (err) {
+      console.error('Skip occurrence error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to skip occurrence');
+    }
+  };
+
+  // Back to the task list, which offers to undo the delete
+  const returnAfterDelete = (data) => {
+    navigation.navigate('TodoHome', data.undoToken ? { undo: { token: data.undoToken, message: data.message } } : undefined);
+  };
+
+  // Recurring tasks and their completed copies: just this occurrence, or the whole series
+  const handleSeriesDelete = async (scope) => {
+    setSeriesDeleteVisible(false);
+    try {
+      const { data } = await api.deleteTask(taskId, scope);
+      if (data.task) {
+        // Deleting the current occurrence skips it and the task moves on
+        setTask(data.task);
+        Alert.alert('Skipped', data.message);
+      } else {
+        returnAfterDelete(data);
+      }
+    } catch (err) {
+      console.error('Delete task error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to delete task');
+    }
+  };
+
   const handleDelete = async () => {
+    if (task.recurrence || task.seriesId) {
+      setSeriesDeleteVisible(true);
+      return;
+    }
+
     // For web, use window.confirm instead of Alert.alert
     if (Platform.OS === 'web') {
       const confirmed = window.confirm('Are you sure you want to delete this task?');
       if (confirmed) {
         try {
-          await api.deleteTask(taskId);
-          navigation.goBack();
+          const { data } = await api.deleteTask(taskId);
+          returnAfterDelete(data);
         } catch (err) {
           console.error('Delete task error:', err);
           window.alert('Failed to delete task');
@@ -64,8 +114,8 @@ export default function TaskDetailScreen({ route, navigation }) {
             style: 'destructive',
             onPress: async () => {
               try {
-                await api.deleteTask(taskId);
-                navigation.goBack();
+                const { data } = await api.deleteTask(taskId);
+                returnAfterDelete(data);
               } catch (err) {
                 console.error('Delete task error:', err);
                 Alert.alert('Error', 'Failed to delete task');
@@ -77,54 +127,13 @@ export default function TaskDetailScreen({ route, navigation }) {
     }
   };
 
-  const isImageFile = (url) => {
-    if (!url) return false;
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
-    const lowerUrl = url.toLowerCase();
-    return imageExtensions.some(ext => lowerUrl.includes(ext)) || lowerUrl.startsWith('data:image');
-  };
-
-  const getFileIcon = (url) => {
-    if (!url) return 'file-document';
-
-    const lowerUrl = url.toLowerCase();
-    if (lowerUrl.includes('.pdf')) return 'file-pdf-box';
-    if (lowerUrl.includes('.doc') || lowerUrl.includes('.docx')) return 'file-word-box';
-    if (lowerUrl.includes('.xls') || lowerUrl.includes('.xlsx')) return 'file-excel-box';
-    if (lowerUrl.includes('.ppt') || lowerUrl.includes('.pptx')) return 'file-powerpoint-box';
-    if (lowerUrl.includes('.txt')) return 'file-document-outline';
-    if (lowerUrl.includes('.zip') || lowerUrl.includes('.rar')) return 'zip-box';
-
-    return 'file-document';
-  };
-
-  const getFileName = (url) => {
-    if (!url) return 'Attachment';
-    const parts = url.split('/');
-    return parts[parts.length - 1] || 'Attachment';
-  };
-
+  // Download links are signed, so they open without signing in again
   const handleOpenFile = async (url) => {
     try {
       if (Platform.OS === 'web') {
-        // For web, open in new tab or download
-        if (url.startsWith('data:')) {
-          // Data URL - download it
-          const link = document.createElement('a');
-          link.href = url;
-          link.download = getFileName(url);
-          link.click();
-        } else {
-          // Regular URL - open in new tab
-          window.open(url, '_blank');
-        }
+        window.open(url, '_blank');
       } else {
-        const supported = await Linking.canOpenURL(url);
-        if (supported) {
-          await Linking.openURL(url);
-        } else {
-          Alert.alert('Error', 'Cannot open this file type');
-        }
+        await Linking.openURL(url);
       }
     } catch (err) {
       console.error('Error opening file:', err);
@@ -198,114 +207,136 @@ export default function TaskDetailScreen({ route, navigation }) {
               </View>
             )}
 
+            {task.list && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>List</Text>
+                <View style={styles.priorityRow}>
+                  <MaterialCommunityIcons
+                    name={task.list.icon}
+                    size={18}
+                    color={task.list.color}
+                    style={styles.infoIcon}
+                  />
+                  <Text style={styles.infoText}>{task.list.name}</Text>
+                </View>
+              </View>
+            )}
+
             {task.dueDate && (
               <View style={styles.section}>
                 <Text style={styles.sectionTitle}>Due Date</Text>
                 <Text style={[styles.infoText, isOverdue && styles.overdueText]}>
                   {format(new Date(task.dueDate), 'MMMM dd, yyyy')}
+                  {task.dueTime && ` at ${task.dueTime}`}
                 </Text>
               </View>
             )}
 
-            {task.reminderType && (
+            {task.dueDate && task.reminders?.length > 0 && (
               <View style={styles.section}>
-                <Text style={styles.sectionTitle}>Reminder</Text>
-                <Text style={styles.infoText}>{task.reminderType}</Text>
+                <Text style={styles.sectionTitle}>Reminders</Text>
+                {task.reminders.map(reminder => (
+                  <View key={reminder.id} style={styles.priorityRow}>
+                    <MaterialCommunityIcons
+                      name={reminder.sentAt ? 'bell-check-outline' : 'bell-outline'}
+                      size={18}
+                      color="#666"
+                      style={styles.infoIcon}
+                    />
+                    <Text style={styles.infoText}>
+                      {describeReminder(reminder.offsetMinutes)}
+                      {reminder.sentAt && ' (sent)'}
+                    </Text>
+                  </View>
+                ))}
               </View>
             )}
 
-            {task.imageUrl && (() => {
-              // Try to parse attachments from JSON (Microsoft To Do sync)
-              let attachments = [];
-              try {
-                const parsed = JSON.parse(task.imageUrl);
-                if (Array.isArray(parsed)) {
-                  attachments = parsed;
-                }
-              } catch (e) {
-                // Not JSON, treat as single attachment URL
-                attachments = [{ name: getFileName(task.imageUrl), url: task.imageUrl }];
-              }
+            {task.recurrence && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Repeats</Text>
+                <Text style={styles.infoText}>{describeRecurrence(task.recurrence, task.recurFromCompletion)}</Text>
+              </View>
+            )}
 
-              return (
-                <View style={styles.section}>
-                  <Text style={styles.sectionTitle}>
-                    Attachment{attachments.length > 1 ? 's' : ''} ({attachments.length})
+            {task.priority && task.priority !== 'none' && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Priority</Text>
+                <View style={styles.priorityRow}>
+                  <MaterialCommunityIcons
+                    name={getPriority(task.priority).icon}
+                    size={18}
+                    color={getPriority(task.priority).color}
+                    style={styles.infoIcon}
+                  />
+                  <Text style={[styles.infoText, { color: getPriority(task.priority).color }]}>
+                    {getPriority(task.priority).label}
                   </Text>
-                  {attachments.map((attachment, index) => {
-                    // For old-style single URL attachments
-                    if (attachment.url) {
-                      return isImageFile(attachment.url) ? (
-                        <Image
-                          key={index}
-                          source={{ uri: attachment.url }}
-                          style={styles.taskImage}
-                          resizeMode="cover"
-                        />
-                      ) : (
-                        <TouchableOpacity
-                          key={index}
-                          style={styles.fileAttachment}
-                          onPress={() => handleOpenFile(attachment.url)}
-                        >
-                          <MaterialCommunityIcons
-                            name={getFileIcon(attachment.url)}
-                            size={48}
-                            color="#1976d2"
-                          />
-                          <View style={styles.fileInfo}>
-                            <Text style={styles.fileName} numberOfLines={2}>
-                              {attachment.name || getFileName(attachment.url)}
-                            </Text>
-                            <Text style={styles.fileAction}>Tap to open</Text>
-                          </View>
-                          <MaterialCommunityIcons
-                            name="open-in-new"
-                            size={24}
-                            color="#666"
-                          />
-                        </TouchableOpacity>
-                      );
-                    }
-
-                    // For Microsoft To Do attachments (metadata only)
-                    return (
-                      <View key={index} style={[styles.fileAttachment, styles.msAttachment]}>
-                        <MaterialCommunityIcons
-                          name={getFileIcon(attachment.name)}
-                          size={48}
-                          color="#999"
-                        />
-                        <View style={styles.fileInfo}>
-                          <Text style={styles.fileName} numberOfLines={2}>
-                            {attachment.name}
-                          </Text>
-                          <Text style={styles.fileSize}>
-                            {attachment.size ? `${(attachment.size / 1024).toFixed(1)} KB` : 'Size unknown'}
-                          </Text>
-                          <View style={styles.msNoteContainer}>
-                            <MaterialCommunityIcons
-                              name="information-outline"
-                              size={14}
-                              color="#00A4EF"
-                              style={styles.infoIcon}
-                            />
-                            <Text style={styles.attachmentNote}>
-                              File available only in Microsoft To Do app
-                            </Text>
-                          </View>
-                        </View>
-                        <MaterialCommunityIcons
-                          name="microsoft"
-                          size={24}
-                          color="#00A4EF"
-                        />
-                      </View>
-                    );
-                  })}
                 </View>
-              );
-            })()}
+              </View>
+            )}
+
+            {task.tags?.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Tags</Text>
+                <View style={styles.tagsRow}>
+                  {task.tags.map(tag => (
+                    <Chip
+                      key={tag.id}
+                      compact
+                      style={{ backgroundColor: `${tag.color}22` }}
+                      textStyle={{ color: tag.color }}
+                    >
+                      {tag.name}
+                    </Chip>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {task.attachments?.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>
+                  Attachment{task.attachments.length > 1 ? 's' : ''} ({task.attachments.length})
+                </Text>
+                <View style={styles.thumbnailGrid}>
+                  {task.attachments.filter(attachment => attachment.thumbnailUrl).map(attachment => (
+                    <TouchableOpacity key={attachment.id} onPress={() => handleOpenFile(attachment.url)}>
+                      <Image
+                        source={{ uri: attachment.thumbnailUrl }}
+                        style={styles.thumbnail}
+                        resizeMode="cover"
+                      />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {task.attachments.filter(attachment => !attachment.thumbnailUrl).map(attachment => (
+                  <TouchableOpacity
+                    key={attachment.id}
+                    style={styles.fileAttachment}
+                    onPress={() => handleOpenFile(attachment.url)}
+                  >
+                    <MaterialCommunityIcons
+                      name={getFileIcon(attachment.contentType)}
+                      size={48}
+                      color="#1976d2"
+                    />
+                    <View style={styles.fileInfo}>
+                      <Text style={styles.fileName} numberOfLines={2}>
+                        {attachment.fileName}
+                      </Text>
+                      <Text style={styles.fileSize}>{formatFileSize(attachment.size)}</Text>
+                      <Text style={styles.fileAction}>Tap to open</Text>
+                    </View>
+                    <MaterialCommunityIcons
+                      name="open-in-new"
+                      size={24}
+                      color="#666"
+                    />
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
 
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Created</Text>
@@ -325,6 +356,26 @@ export default function TaskDetailScreen({ route, navigation }) {
           </Card.Content>
         </Card>
 
+        <Card style={styles.card}>
+          <Card.Content>
+            <SubtaskChecklist task={task} onTaskChange={setTask} />
+          </Card.Content>
+        </Card>
+
+        {(task.recurrence || task.seriesId) && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <RecurrenceHistory task={task} />
+            </Card.Content>
+          </Card>
+        )}
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <TaskActivityTimeline task={task} />
+          </Card.Content>
+        </Card>
+
         <Card style={styles.card}>
           <Card.Content>
             <Button
@@ -336,6 +387,17 @@ export default function TaskDetailScreen({ route, navigation }) {
               Mark as {task.completed ? 'Incomplete' : 'Complete'}
             </Button>
 
+            {task.recurrence && !task.completed && (
+              <Button
+                mode="outlined"
+                onPress={handleSkipOccurrence}
+                style={styles.actionButton}
+                icon="skip-next"
+              >
+                Skip This Occurrence
+              </Button>
+            )}
+
             <Button
               mode="outlined"
               onPress={() => navigation.navigate('EditTask', { task })}
@@ -358,6 +420,24 @@ export default function TaskDetailScreen({ route, navigation }) {
           </Card.Content>
         </Card>
       </ScrollView>
+
+      <Portal>
+        <Dialog visible={seriesDeleteVisible} onDismiss={() => setSeriesDeleteVisible(false)}>
+          <Dialog.Title>Delete Recurring Task</Dialog.Title>
+          <Dialog.Content>
+            <Text>
+              {task.seriesId || task.completed
+                ? 'Delete just this completed occurrence, or the recurring task with all its history?'
+                : 'Skip just this occurrence, or delete the recurring task with all its history?'}
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSeriesDeleteVisible(false)}>Cancel</Button>
+            <Button onPress={() => handleSeriesDelete('occurrence')}>This occurrence</Button>
+            <Button onPress={() => handleSeriesDelete('all')} textColor="#d32f2f">All history</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </View>
   );
 }
@@ -462,11 +542,16 @@ const styles = StyleSheet.create({
     color: '#d32f2f',
     fontWeight: '600'
   },
-  taskImage: {
-    width: '100%',
-    height: 200,
+  thumbnailGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8
+  },
+  thumbnail: {
+    width: 96,
+    height: 96,
     borderRadius: 8,
-    marginTop: 8
+    backgroundColor: '#f0f0f0'
   },
   fileAttachment: {
     flexDirection: 'row',
@@ -497,24 +582,17 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 2
   },
-  msAttachment: {
-    backgroundColor: '#f8f9fa',
-    borderColor: '#dee2e6',
-    opacity: 0.9
-  },
-  msNoteContainer: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginTop: 4
-  },
   infoIcon: {
     marginRight: 4
   },
-  attachmentNote: {
-    fontSize: 11,
-    color: '#00A4EF',
-    fontStyle: 'italic',
-    flex: 1
+  priorityRow: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  tagsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6
   },
   actionButton: {
     marginVertical: 8
@@ -1,23 +1,58 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { View, StyleSheet, ScrollView, RefreshControl, TouchableOpacity, Alert, Linking } from 'react-native';
-import { Text, Card, ActivityIndicator, FAB, Menu, Button, Chip, Searchbar, IconButton } from 'react-native-paper';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, ScrollView, FlatList, RefreshControl, TouchableOpacity, Alert, Linking, Platform } from 'react-native';
+import { Text, Card, ActivityIndicator, FAB, Menu, Button, Chip, Searchbar, IconButton, Snackbar } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useIsFocused } from '@react-navigation/native';
 import * as WebBrowser from 'expo-web-browser';
 import { api } from '../../services/api';
-import { format } from 'date-fns';
+import { format, addDays } from 'date-fns';
+import { PRIORITIES, getPriority } from '../../utils/taskOptions';
+import TaskListDialog from '../../components/TaskListDialog';
+import { describeRecurrence } from '../../utils/recurrence';
 
-export default function TodoScreen({ navigation }) {
+const PAGE_SIZE = 30;
+const SEARCH_DELAY_MS = 300;
+const UNDO_DURATION_MS = 8000;
+
+// Due dates offered when rescheduling selected tasks (days from today, null clears it)
+const RESCHEDULE_OPTIONS = [
+  { label: 'Today', days: 0 },
+  { label: 'Tomorrow', days: 1 },
+  { label: 'Next week', days: 7 },
+  { label: 'No due date', days: null }
+];
+
+export default function TodoScreen({ navigation, route }) {
   const isFocused = useIsFocused();
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [allTasks, setAllTasks] = useState([]); // Store all tasks from API
+  const [tasks, setTasks] = useState([]); // Pages loaded so far
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [stats, setStats] = useState(null);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('pending'); // 'all', 'pending', 'completed', 'overdue' - Default to pending
-  const [sortBy, setSortBy] = useState('dueDate'); // 'dueDate', 'name', 'createdAt'
+  const [sortBy, setSortBy] = useState('dueDate'); // 'dueDate', 'name', 'createdAt', 'relevance' (while searching)
   const [sortMenuVisible, setSortMenuVisible] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [tags, setTags] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [selectedListId, setSelectedListId] = useState(null); // null shows every list
+  const [listDialogVisible, setListDialogVisible] = useState(false);
+  const [editingList, setEditingList] = useState(null);
+  // Every filter, the search and the sort are applied by the API
+  const [priorityFilter, setPriorityFilter] = useState([]);
+  const [tagFilter, setTagFilter] = useState([]);
+
+  // Multi-select: long-press a task to start selecting
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkMenu, setBulkMenu] = useState(null); // 'reschedule', 'move', 'addTag', 'removeTag'
+  const [bulkRunning, setBulkRunning] = useState(false);
+
+  // Undo offered after a delete or completion: { token, message }
+  const [undo, setUndo] = useState(null);
 
   // Microsoft Integration state
   const [microsoftConnected, setMicrosoftConnected] = useState(false);
@@ -27,36 +62,96 @@ export default function TodoScreen({ navigation }) {
   const [googleConnected, setGoogleConnected] = useState(false);
   const [googleSyncing, setGoogleSyncing] = useState(false);
 
+  // Bumped on every first-page fetch so slow responses for old filters are dropped
+  const requestId = useRef(0);
+
+  const getTaskParams = () => ({
+    status: filter,
+    sort: sortBy,
+    limit: PAGE_SIZE,
+    ...(debouncedSearch && { q: debouncedSearch }),
+    ...(selectedListId && { list: selectedListId }),
+    ...(priorityFilter.length > 0 && { priority: priorityFilter.join(',') }),
+    ...(tagFilter.length > 0 && { tag: tagFilter.join(',') })
+  });
+
   const fetchTasks = async () => {
+    const request = ++requestId.current;
     try {
       setError(null);
-      // Always fetch ALL tasks - filtering happens client-side
-      const { data } = await api.getTasks({});
-      setAllTasks(data.tasks);
+      const { data } = await api.getTasks(getTaskParams());
+      if (request === requestId.current) {
+        setTasks(data.tasks);
+        setNextCursor(data.nextCursor);
+      }
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to load tasks');
       console.error('Tasks error:', err);
     }
   };
 
-  const sortTasks = (tasksList, sortMethod) => {
-    const sorted = [...tasksList];
-
-    switch (sortMethod) {
-      case 'dueDate':
-        return sorted.sort((a, b) => {
-          // Tasks without due date go to the end
-          if (!a.dueDate) return 1;
-          if (!b.dueDate) return -1;
-          return new Date(a.dueDate) - new Date(b.dueDate);
-        });
-      case 'name':
-        return sorted.sort((a, b) => a.name.localeCompare(b.name));
-      case 'createdAt':
-        return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      default:
-        return sorted;
+  const fetchMoreTasks = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const request = requestId.current;
+    try {
+      setLoadingMore(true);
+      const { data } = await api.getTasks({ ...getTaskParams(), cursor: nextCursor });
+      if (request === requestId.current) {
+        setTasks(current => [...current, ...data.tasks]);
+        setNextCursor(data.nextCursor);
+      }
+    } catch (err) {
+      console.error('More tasks error:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const { data } = await api.getTags();
+      setTags(data.tags);
+      // Drop filters for tags that were deleted
+      setTagFilter(current => current.filter(id => data.tags.some(tag => tag.id === id)));
+    } catch (err) {
+      console.error('Tags error:', err);
+    }
+  };
+
+  const fetchLists = async () => {
+    try {
+      const { data } = await api.getLists();
+      setLists(data.lists);
+      // Fall back to every list if the selected one was deleted
+      setSelectedListId(current => (data.lists.some(list => list.id === current) ? current : null));
+    } catch (err) {
+      console.error('Lists error:', err);
+    }
+  };
+
+  const openListDialog = (list = null) => {
+    setEditingList(list);
+    setListDialogVisible(true);
+  };
+
+  const handleListSaved = (list) => {
+    setListDialogVisible(false);
+    if (list) {
+      setSelectedListId(list.id);
     }
+    fetchAllData();
+  };
+
+  const toggleFilterValue = (setter, value) => {
+    setter(current => (current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value]));
+  };
+
+  const clearFilters = () => {
+    setPriorityFilter([]);
+    setTagFilter([]);
   };
 
   const fetchStats = async () => {
@@ -161,38 +256,9 @@ export default function TodoScreen({ navigation }) {
     }
   };
 
-  // Client-side filtering and sorting using useMemo to prevent re-fetching
-  const tasks = useMemo(() => {
-    let filteredTasks = [...allTasks];
-
-    // Apply filter
-    if (filter === 'pending') {
-      filteredTasks = filteredTasks.filter(task => !task.completed);
-    } else if (filter === 'completed') {
-      filteredTasks = filteredTasks.filter(task => task.completed);
-    } else if (filter === 'overdue') {
-      filteredTasks = filteredTasks.filter(task => {
-        return task.dueDate && new Date(task.dueDate) < new Date() && !task.completed;
-      });
-    }
-    // 'all' includes everything
-
-    // Apply search query
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filteredTasks = filteredTasks.filter(task => {
-        return task.name.toLowerCase().includes(query) ||
-          (task.description && task.description.toLowerCase().includes(query));
-      });
-    }
-
-    // Apply sorting
-    return sortTasks(filteredTasks, sortBy);
-  }, [allTasks, filter, sortBy, searchQuery]);
-
   const fetchAllData = async () => {
     setLoading(true);
-    await Promise.all([fetchTasks(), fetchStats(), checkMicrosoftStatus(), checkGoogleStatus()]);
+    await Promise.all([fetchTasks(), fetchStats(), fetchTags(), fetchLists(), checkMicrosoftStatus(), checkGoogleStatus()]);
     setLoading(false);
     setRefreshing(false);
   };
@@ -207,14 +273,64 @@ export default function TodoScreen({ navigation }) {
     }
   }, [isFocused]);
 
+  // Search once typing pauses. Results come best match first; clearing the
+  // search goes back to due dates since there's nothing left to rank by.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const query = searchQuery.trim();
+      setDebouncedSearch(query);
+      if (query && !debouncedSearch) {
+        setSortBy('relevance');
+      } else if (!query) {
+        setSortBy(current => (current === 'relevance' ? 'dueDate' : current));
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Refetch the first page without the full-screen spinner when the filters change
+  const filterKey = `${filter}|${sortBy}|${debouncedSearch}|${selectedListId}|${priorityFilter.join(',')}|${tagFilter.join(',')}`;
+  useEffect(() => {
+    if (!loading) {
+      fetchTasks();
+    }
+  }, [filterKey]);
+
+  // Deleting from the task detail screen comes back here with its undo
+  useEffect(() => {
+    if (route.params?.undo) {
+      setUndo(route.params.undo);
+      navigation.setParams({ undo: undefined });
+    }
+  }, [route.params?.undo]);
+
   const onRefresh = () => {
     setRefreshing(true);
     fetchAllData();
   };
 
+  const offerUndo = (token, message) => {
+    if (token) {
+      setUndo({ token, message });
+    }
+  };
+
+  const handleUndo = async () => {
+    const { token } = undo;
+    setUndo(null);
+    try {
+      await api.undo(token);
+      fetchAllData();
+    } catch (err) {
+      console.error('Undo error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to undo');
+    }
+  };
+
   const handleToggleTask = async (taskId) => {
     try {
-      await api.toggleTaskCompletion(taskId);
+      const { data } = await api.toggleTaskCompletion(taskId);
+      offerUndo(data.undoToken, data.message || 'Task completed');
       fetchAllData();
     } catch (err) {
       console.error('Toggle task error:', err);
@@ -223,13 +339,88 @@ export default function TodoScreen({ navigation }) {
 
   const handleDeleteTask = async (taskId) => {
     try {
-      await api.deleteTask(taskId);
+      const { data } = await api.deleteTask(taskId);
+      offerUndo(data.undoToken, data.message);
       fetchAllData();
     } catch (err) {
       console.error('Delete task error:', err);
     }
   };
 
+  const startSelection = (taskId) => {
+    setSelectionMode(true);
+    setSelectedIds([taskId]);
+  };
+
+  const exitSelection = () => {
+    setSelectionMode(false);
+    setSelectedIds([]);
+    setBulkMenu(null);
+  };
+
+  const toggleSelected = (taskId) => {
+    toggleFilterValue(setSelectedIds, taskId);
+  };
+
+  const allSelected = tasks.length > 0 && tasks.every(task => selectedIds.includes(task.id));
+
+  const runBulkAction = async (action, extra = {}) => {
+    setBulkMenu(null);
+    try {
+      setBulkRunning(true);
+      const { data } = await api.bulkUpdateTasks({ action, ids: selectedIds, ...extra });
+      const { failed, not_found: notFound, updated, deleted } = data.summary;
+
+      if (failed + notFound > 0) {
+        const reasons = [...new Set(data.results.filter(result => result.error).map(result => result.error))];
+        Alert.alert(
+          'Some tasks were not changed',
+          [`${failed + notFound} of ${data.results.length} tasks could not be updated.`, ...reasons].join('\n')
+        );
+      }
+
+      if (action === 'delete') {
+        offerUndo(data.undoToken, `${deleted} task${deleted === 1 ? '' : 's'} moved to the trash`);
+      } else if (action === 'complete') {
+        offerUndo(data.undoToken, `${updated} task${updated === 1 ? '' : 's'} completed`);
+      }
+
+      exitSelection();
+      fetchAllData();
+    } catch (err) {
+      console.error('Bulk update error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to update tasks');
+    } finally {
+      setBulkRunning(false);
+    }
+  };
+
+  const confirmBulkDelete = () => {
+    const message = `Delete ${selectedIds.length} task${selectedIds.length === 1 ? '' : 's'}?`;
+
+    // For web, use window.confirm instead of Alert.alert
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) {
+        runBulkAction('delete');
+      }
+    } else {
+      Alert.alert('Delete Tasks', message, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => runBulkAction('delete') }
+      ]);
+    }
+  };
+
+  const bulkMenuAnchor = (menu, icon) => (
+    <IconButton
+      icon={icon}
+      size={22}
+      disabled={bulkRunning || selectedIds.length === 0}
+      onPress={() => setBulkMenu(menu)}
+      style={styles.bulkButton}
+    />
+  );
+
   if (loading) {
     return (
       <View style={styles.centered}>
@@ -287,29 +478,49 @@ export default function TodoScreen({ navigation }) {
     const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && !task.completed;
     const priorityColor = getPriorityColor(task);
     const dueDateText = formatDueDate(task.dueDate);
+    const priority = getPriority(task.priority);
+
+    const selected = selectedIds.includes(task.id);
 
     return (
       <TouchableOpacity
         key={task.id}
-        style={styles.taskItem}
-        onPress={() => navigation.navigate('TaskDetail', { taskId: task.id })}
+        style={[styles.taskItem, selected && styles.taskItemSelected]}
+        onPress={() => (selectionMode
+          ? toggleSelected(task.id)
+          : navigation.navigate('TaskDetail', { taskId: task.id }))}
+        onLongPress={() => !selectionMode && startSelection(task.id)}
         activeOpacity={0.7}
       >
         <View style={styles.taskRow}>
-          <TouchableOpacity
-            onPress={() => handleToggleTask(task.id)}
-            style={styles.checkboxContainer}
-            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-          >
-            <View style={[
-              styles.checkbox,
-              task.completed && styles.checkboxCompleted
-            ]}>
-              {task.completed && (
-                <MaterialCommunityIcons name="check" size={16} color="#fff" />
-              )}
-            </View>
-          </TouchableOpacity>
+          {selectionMode ? (
+            <TouchableOpacity
+              onPress={() => toggleSelected(task.id)}
+              style={styles.checkboxContainer}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <MaterialCommunityIcons
+                name={selected ? 'checkbox-marked-circle' : 'checkbox-blank-circle-outline'}
+                size={24}
+                color={selected ? '#1976d2' : '#bdbdbd'}
+              />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              onPress={() => handleToggleTask(task.id)}
+              style={styles.checkboxContainer}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <View style={[
+                styles.checkbox,
+                task.completed && styles.checkboxCompleted
+              ]}>
+                {task.completed && (
+                  <MaterialCommunityIcons name="check" size={16} color="#fff" />
+                )}
+              </View>
+            </TouchableOpacity>
+          )}
 
           <View style={styles.taskContent}>
             <Text style={[
@@ -325,12 +536,38 @@ export default function TodoScreen({ navigation }) {
                 task.completed && styles.completedDueDate
               ]}>
                 Due {dueDateText}
-                {task.reminderType && ` • ${task.reminderType}`}
+                {task.dueTime && ` at ${task.dueTime}`}
+                {task.recurrence && ` • ${describeRecurrence(task.recurrence, task.recurFromCompletion)}`}
               </Text>
             )}
+            {task.subtaskProgress?.total > 0 && (
+              <View style={styles.subtaskProgress}>
+                <MaterialCommunityIcons name="checkbox-marked-outline" size={13} color="#757575" />
+                <Text style={styles.subtaskProgressText}>
+                  {task.subtaskProgress.completed}/{task.subtaskProgress.total}
+                </Text>
+              </View>
+            )}
+            {task.tags?.length > 0 && (
+              <View style={styles.taskTags}>
+                {task.tags.map(tag => (
+                  <View key={tag.id} style={[styles.taskTag, { backgroundColor: `${tag.color}22` }]}>
+                    <Text style={[styles.taskTagText, { color: tag.color }]}>{tag.name}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
           </View>
 
           <View style={styles.taskRightSection}>
+            {priority.value !== 'none' && (
+              <MaterialCommunityIcons
+                name={priority.icon}
+                size={16}
+                color={task.completed ? '#bdbdbd' : priority.color}
+                style={styles.integrationIcon}
+              />
+            )}
             {task.microsoftTodoId && (
               <MaterialCommunityIcons
                 name="microsoft"
@@ -358,82 +595,234 @@ export default function TodoScreen({ navigation }) {
     <View style={styles.container}>
       {/* Header Section */}
       <View style={styles.headerSection}>
-        <View style={styles.searchRow}>
-          <Searchbar
-            placeholder="Search tasks..."
-            onChangeText={setSearchQuery}
-            value={searchQuery}
-            style={styles.searchBar}
-            inputStyle={styles.searchInput}
-            icon="magnify"
-            clearIcon={searchQuery ? "close" : undefined}
-          />
-          <View style={styles.headerIcons}>
-            {microsoftConnected && (
-              <TouchableOpacity
-                onPress={handleSyncMicrosoft}
-                disabled={microsoftSyncing}
-                style={styles.syncIconButton}
+        {selectionMode ? (
+          <View style={styles.selectionBar}>
+            <IconButton icon="close" size={22} onPress={exitSelection} style={styles.bulkButton} />
+            <Text style={styles.selectionCount}>{selectedIds.length} selected</Text>
+            <Button
+              compact
+              onPress={() => setSelectedIds(allSelected ? [] : tasks.map(task => task.id))}
+            >
+              {allSelected ? 'None' : 'All'}
+            </Button>
+            <View style={styles.bulkActions}>
+              {bulkRunning && <ActivityIndicator size="small" style={styles.bulkSpinner} />}
+              <IconButton
+                icon="check-all"
+                size={22}
+                disabled={bulkRunning || selectedIds.length === 0}
+                onPress={() => runBulkAction('complete')}
+                style={styles.bulkButton}
+              />
+              <IconButton
+                icon="undo-variant"
+                size={22}
+                disabled={bulkRunning || selectedIds.length === 0}
+                onPress={() => runBulkAction('uncomplete')}
+                style={styles.bulkButton}
+              />
+              <Menu
+                visible={bulkMenu === 'reschedule'}
+                onDismiss={() => setBulkMenu(null)}
+                anchor={bulkMenuAnchor('reschedule', 'calendar-arrow-right')}
               >
-                <MaterialCommunityIcons
-                  name={microsoftSyncing ? "sync" : "microsoft"}
-                  size={22}
-                  color={microsoftSyncing ? "#999" : "#00A4EF"}
-                />
-              </TouchableOpacity>
-            )}
-            {googleConnected && (
-              <TouchableOpacity
-                onPress={handleSyncGoogle}
-                disabled={googleSyncing}
-                style={styles.syncIconButton}
+                {RESCHEDULE_OPTIONS.map(option => (
+                  <Menu.Item
+                    key={option.label}
+                    title={option.label}
+                    onPress={() => runBulkAction('reschedule', {
+                      dueDate: option.days === null ? null : format(addDays(new Date(), option.days), 'yyyy-MM-dd')
+                    })}
+                  />
+                ))}
+              </Menu>
+              <Menu
+                visible={bulkMenu === 'move'}
+                onDismiss={() => setBulkMenu(null)}
+                anchor={bulkMenuAnchor('move', 'folder-move-outline')}
               >
-                <MaterialCommunityIcons
-                  name={googleSyncing ? "sync" : "google"}
-                  size={22}
-                  color={googleSyncing ? "#999" : "#DB4437"}
-                />
-              </TouchableOpacity>
-            )}
-            <Menu
-              visible={sortMenuVisible}
-              onDismiss={() => setSortMenuVisible(false)}
-              anchor={
+                {lists.map(list => (
+                  <Menu.Item
+                    key={list.id}
+                    title={list.name}
+                    leadingIcon={list.icon}
+                    onPress={() => runBulkAction('move', { listId: list.id })}
+                  />
+                ))}
+              </Menu>
+              {tags.length > 0 && (
+                <Menu
+                  visible={bulkMenu === 'addTag'}
+                  onDismiss={() => setBulkMenu(null)}
+                  anchor={bulkMenuAnchor('addTag', 'tag-plus-outline')}
+                >
+                  {tags.map(tag => (
+                    <Menu.Item
+                      key={tag.id}
+                      title={`Tag "${tag.name}"`}
+                      onPress={() => runBulkAction('addTag', { tagId: tag.id })}
+                    />
+                  ))}
+                </Menu>
+              )}
+              {tags.length > 0 && (
+                <Menu
+                  visible={bulkMenu === 'removeTag'}
+                  onDismiss={() => setBulkMenu(null)}
+                  anchor={bulkMenuAnchor('removeTag', 'tag-remove-outline')}
+                >
+                  {tags.map(tag => (
+                    <Menu.Item
+                      key={tag.id}
+                      title={`Untag "${tag.name}"`}
+                      onPress={() => runBulkAction('removeTag', { tagId: tag.id })}
+                    />
+                  ))}
+                </Menu>
+              )}
+              <IconButton
+                icon="delete-outline"
+                size={22}
+                iconColor="#d32f2f"
+                disabled={bulkRunning || selectedIds.length === 0}
+                onPress={confirmBulkDelete}
+                style={styles.bulkButton}
+              />
+            </View>
+          </View>
+        ) : (
+          <View style={styles.searchRow}>
+            <Searchbar
+              placeholder="Search tasks..."
+              onChangeText={setSearchQuery}
+              value={searchQuery}
+              style={styles.searchBar}
+              inputStyle={styles.searchInput}
+              icon="magnify"
+              clearIcon={searchQuery ? "close" : undefined}
+            />
+            <View style={styles.headerIcons}>
+              {microsoftConnected && (
                 <TouchableOpacity
-                  onPress={() => setSortMenuVisible(true)}
-                  style={styles.sortIconButton}
+                  onPress={handleSyncMicrosoft}
+                  disabled={microsoftSyncing}
+                  style={styles.syncIconButton}
                 >
-                  <MaterialCommunityIcons name="sort" size={22} color="#666" />
+                  <MaterialCommunityIcons
+                    name={microsoftSyncing ? "sync" : "microsoft"}
+                    size={22}
+                    color={microsoftSyncing ? "#999" : "#00A4EF"}
+                  />
                 </TouchableOpacity>
-              }
-            >
-              <Menu.Item
-                onPress={() => {
-                  setSortBy('dueDate');
-                  setSortMenuVisible(false);
-                }}
-                title="Sort by Due Date"
-                leadingIcon={sortBy === 'dueDate' ? 'check' : undefined}
-              />
-              <Menu.Item
-                onPress={() => {
-                  setSortBy('name');
-                  setSortMenuVisible(false);
-                }}
-                title="Sort by Name"
-                leadingIcon={sortBy === 'name' ? 'check' : undefined}
-              />
-              <Menu.Item
-                onPress={() => {
-                  setSortBy('createdAt');
-                  setSortMenuVisible(false);
-                }}
-                title="Sort by Created Date"
-                leadingIcon={sortBy === 'createdAt' ? 'check' : undefined}
-              />
-            </Menu>
+              )}
+              {googleConnected && (
+                <TouchableOpacity
+                  onPress={handleSyncGoogle}
+                  disabled={googleSyncing}
+                  style={styles.syncIconButton}
+                >
+                  <MaterialCommunityIcons
+                    name={googleSyncing ? "sync" : "google"}
+                    size={22}
+                    color={googleSyncing ? "#999" : "#DB4437"}
+                  />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={() => navigation.navigate('Trash')}
+                style={styles.sortIconButton}
+              >
+                <MaterialCommunityIcons name="trash-can-outline" size={22} color="#666" />
+              </TouchableOpacity>
+              <Menu
+                visible={sortMenuVisible}
+                onDismiss={() => setSortMenuVisible(false)}
+                anchor={
+                  <TouchableOpacity
+                    onPress={() => setSortMenuVisible(true)}
+                    style={styles.sortIconButton}
+                  >
+                    <MaterialCommunityIcons name="sort" size={22} color="#666" />
+                  </TouchableOpacity>
+                }
+              >
+                {debouncedSearch !== '' && (
+                  <Menu.Item
+                    onPress={() => {
+                      setSortBy('relevance');
+                      setSortMenuVisible(false);
+                    }}
+                    title="Sort by Best Match"
+                    leadingIcon={sortBy === 'relevance' ? 'check' : undefined}
+                  />
+                )}
+                <Menu.Item
+                  onPress={() => {
+                    setSortBy('dueDate');
+                    setSortMenuVisible(false);
+                  }}
+                  title="Sort by Due Date"
+                  leadingIcon={sortBy === 'dueDate' ? 'check' : undefined}
+                />
+                <Menu.Item
+                  onPress={() => {
+                    setSortBy('name');
+                    setSortMenuVisible(false);
+                  }}
+                  title="Sort by Name"
+                  leadingIcon={sortBy === 'name' ? 'check' : undefined}
+                />
+                <Menu.Item
+                  onPress={() => {
+                    setSortBy('createdAt');
+                    setSortMenuVisible(false);
+                  }}
+                  title="Sort by Created Date"
+                  leadingIcon={sortBy === 'createdAt' ? 'check' : undefined}
+                />
+              </Menu>
+            </View>
           </View>
-        </View>
+        )}
+
+        {/* List Navigation */}
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.listTabsRow}
+          contentContainerStyle={styles.filterChipsContent}
+        >
+          <TouchableOpacity
+            style={[styles.listTab, !selectedListId && styles.listTabActive]}
+            onPress={() => setSelectedListId(null)}
+          >
+            <MaterialCommunityIcons name="view-list" size={16} color={!selectedListId ? '#1976d2' : '#666'} />
+            <Text style={[styles.listTabText, !selectedListId && styles.listTabTextActive]}>All lists</Text>
+          </TouchableOpacity>
+          {lists.map(list => {
+            const active = selectedListId === list.id;
+            return (
+              <TouchableOpacity
+                key={list.id}
+                style={[styles.listTab, active && { backgroundColor: `${list.color}22`, borderColor: list.color }]}
+                onPress={() => setSelectedListId(list.id)}
+                onLongPress={() => openListDialog(list)}
+              >
+                <MaterialCommunityIcons name={list.icon} size={16} color={list.color} />
+                <Text style={[styles.listTabText, active && { color: list.color, fontWeight: '600' }]}>
+                  {list.name}
+                </Text>
+                {list.pendingCount > 0 && (
+                  <Text style={styles.listTabCount}>{list.pendingCount}</Text>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+          <TouchableOpacity style={styles.listTab} onPress={() => openListDialog()}>
+            <MaterialCommunityIcons name="plus" size={16} color="#666" />
+            <Text style={styles.listTabText}>New list</Text>
+          </TouchableOpacity>
+        </ScrollView>
 
         {/* Stats Chips */}
         {stats && (
@@ -468,31 +857,99 @@ export default function TodoScreen({ navigation }) {
             </TouchableOpacity>
           </View>
         )}
+
+        {/* Priority and Tag Filters */}
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterChipsRow}
+          contentContainerStyle={styles.filterChipsContent}
+        >
+          {PRIORITIES.filter(priority => priority.value !== 'none').map(priority => (
+            <Chip
+              key={priority.value}
+              compact
+              icon={priority.icon}
+              selected={priorityFilter.includes(priority.value)}
+              showSelectedOverlay
+              onPress={() => toggleFilterValue(setPriorityFilter, priority.value)}
+              style={styles.filterChip}
+            >
+              {priority.label}
+            </Chip>
+          ))}
+          {tags.map(tag => (
+            <Chip
+              key={tag.id}
+              compact
+              icon={({ size }) => (
+                <MaterialCommunityIcons name="circle" size={size} color={tag.color} />
+              )}
+              selected={tagFilter.includes(tag.id)}
+              showSelectedOverlay
+              onPress={() => toggleFilterValue(setTagFilter, tag.id)}
+              style={styles.filterChip}
+            >
+              {tag.name}
+            </Chip>
+          ))}
+          {(priorityFilter.length > 0 || tagFilter.length > 0) && (
+            <Chip compact icon="close" onPress={clearFilters} style={styles.filterChip}>
+              Clear
+            </Chip>
+          )}
+        </ScrollView>
       </View>
 
       {/* Tasks List */}
-      <ScrollView
+      <FlatList
         style={styles.tasksList}
+        data={tasks}
+        keyExtractor={task => task.id}
+        renderItem={({ item }) => renderTaskCard(item)}
+        onEndReached={fetchMoreTasks}
+        onEndReachedThreshold={0.5}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
-      >
-        {tasks.length === 0 ? (
+        ListEmptyComponent={
           <View style={styles.emptyState}>
             <Text style={styles.emptyText}>No tasks found</Text>
-            <Text style={styles.emptySubtext}>Create your first task to get started!</Text>
+            <Text style={styles.emptySubtext}>
+              {debouncedSearch ? `Nothing matches "${debouncedSearch}"` : 'Create your first task to get started!'}
+            </Text>
           </View>
-        ) : (
-          tasks.map(renderTaskCard)
-        )}
-        <View style={styles.bottomSpacer} />
-      </ScrollView>
+        }
+        ListFooterComponent={
+          <View style={styles.bottomSpacer}>
+            {loadingMore && <ActivityIndicator style={styles.loadingMore} />}
+          </View>
+        }
+      />
 
       {/* FAB */}
-      <FAB
-        style={styles.fab}
-        icon="plus"
-        color="#ffffff"
-        onPress={() => navigation.navigate('AddTask')}
+      {!selectionMode && (
+        <FAB
+          style={styles.fab}
+          icon="plus"
+          color="#ffffff"
+          onPress={() => navigation.navigate('AddTask', { listId: selectedListId })}
+        />
+      )}
+
+      <TaskListDialog
+        visible={listDialogVisible}
+        list={editingList}
+        onDismiss={() => setListDialogVisible(false)}
+        onSaved={handleListSaved}
       />
+
+      <Snackbar
+        visible={!!undo}
+        onDismiss={() => setUndo(null)}
+        duration={UNDO_DURATION_MS}
+        action={{ label: 'Undo', onPress: handleUndo }}
+      >
+        {undo?.message}
+      </Snackbar>
     </View>
   );
 }
@@ -541,6 +998,29 @@ const styles = StyleSheet.create({
     gap: 10,
     marginBottom: 12
   },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 12
+  },
+  selectionCount: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginRight: 4
+  },
+  bulkActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 'auto'
+  },
+  bulkButton: {
+    margin: 0
+  },
+  bulkSpinner: {
+    marginRight: 8
+  },
   searchBar: {
     flex: 1,
     height: 42,
@@ -568,6 +1048,37 @@ const styles = StyleSheet.create({
     borderRadius: 22,
     backgroundColor: '#f5f6f8'
   },
+  listTabsRow: {
+    marginBottom: 12,
+    flexGrow: 0
+  },
+  listTab: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#f5f6f8',
+    borderWidth: 1,
+    borderColor: 'transparent'
+  },
+  listTabActive: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#2196f3'
+  },
+  listTabText: {
+    fontSize: 13,
+    color: '#666'
+  },
+  listTabTextActive: {
+    color: '#1976d2',
+    fontWeight: '600'
+  },
+  listTabCount: {
+    fontSize: 11,
+    color: '#999'
+  },
   statsChipsContainer: {
     flexDirection: 'row',
     gap: 10,
@@ -614,6 +1125,16 @@ const styles = StyleSheet.create({
     color: '#1976d2',
     fontWeight: '600'
   },
+  filterChipsRow: {
+    marginTop: 12,
+    flexGrow: 0
+  },
+  filterChipsContent: {
+    gap: 8
+  },
+  filterChip: {
+    backgroundColor: '#f5f6f8'
+  },
   tasksList: {
     flex: 1,
     paddingTop: 8
@@ -633,6 +1154,10 @@ const styles = StyleSheet.create({
     shadowRadius: 2,
     elevation: 1
   },
+  taskItemSelected: {
+    borderColor: '#1976d2',
+    backgroundColor: '#e3f2fd'
+  },
   taskRow: {
     flexDirection: 'row',
     alignItems: 'center'
@@ -682,6 +1207,31 @@ const styles = StyleSheet.create({
     color: '#e53935',
     fontWeight: '500'
   },
+  subtaskProgress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4
+  },
+  subtaskProgressText: {
+    fontSize: 12,
+    color: '#757575'
+  },
+  taskTags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 6
+  },
+  taskTag: {
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 2
+  },
+  taskTagText: {
+    fontSize: 11,
+    fontWeight: '600'
+  },
   taskRightSection: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -724,5 +1274,8 @@ const styles = StyleSheet.create({
   },
   bottomSpacer: {
     height: 80
+  },
+  loadingMore: {
+    marginTop: 16
   }
 });
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Platform, RefreshControl } from 'react-native';
+import { Text, Card, Button, ActivityIndicator, List, Divider, Portal, Dialog } from 'react-native-paper';
+import { differenceInCalendarDays, format } from 'date-fns';
+import { api } from '../../services/api';
+
+const describePurge = (purgeAt) => {
+  const days = differenceInCalendarDays(new Date(purgeAt), new Date());
+  if (days <= 0) {
+    return 'Deleted for good today';
+  }
+  return `Deleted for good in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+export default function TrashScreen() {
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [restoringId, setRestoringId] = useState(null);
+  const [emptyDialogVisible, setEmptyDialogVisible] = useState(false);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      const { data } = await api.getTrash();
+      setTasks(data.tasks || []);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      console.error('Fetch trash error:', err);
+      Alert.alert('Error', 'Failed to load the trash');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchTrash();
+  };
+
+  const restoreTask = async (task) => {
+    try {
+      setRestoringId(task.id);
+      await api.restoreTask(task.id);
+      // Completed copies trashed along with a recurring task come back with it
+      fetchTrash();
+    } catch (err) {
+      console.error('Restore task error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to restore task');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const emptyTrash = async () => {
+    try {
+      await api.emptyTrash();
+      setTasks([]);
+    } catch (err) {
+      console.error('Empty trash error:', err);
+      Alert.alert('Error', err.response?.data?.error || 'Failed to empty the trash');
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (Platform.OS === 'web') {
+      setEmptyDialogVisible(true);
+    } else {
+      Alert.alert(
+        'Empty Trash',
+        `Delete ${tasks.length} task${tasks.length === 1 ? '' : 's'} for good? This can't be undone.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Empty Trash',
+            style: 'destructive',
+            onPress: emptyTrash
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmEmptyTrash = async () => {
+    setEmptyDialogVisible(false);
+    await emptyTrash();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <Card style={styles.card}>
+        <Card.Content>
+          <Text style={styles.title}>Trash</Text>
+          <Text style={styles.description}>
+            Deleted tasks stay here for {retentionDays} days before they're deleted for good.
+          </Text>
+        </Card.Content>
+        <Divider />
+        {tasks.length === 0 ? (
+          <Card.Content>
+            <Text style={styles.emptyText}>The trash is empty</Text>
+          </Card.Content>
+        ) : tasks.map((task, index) => (
+          <View key={task.id}>
+            {index > 0 && <Divider />}
+            <List.Item
+              title={task.name}
+              titleStyle={task.completed && styles.completedTitle}
+              description={[
+                `Deleted ${format(new Date(task.deletedAt), 'MMM d, h:mm a')}`,
+                describePurge(task.purgeAt)
+              ].join('\n')}
+              descriptionNumberOfLines={2}
+              left={props => <List.Icon {...props} icon={task.completed ? 'check-circle-outline' : 'checkbox-blank-circle-outline'} />}
+              right={() => (
+                <View style={styles.itemRight}>
+                  <Button
+                    compact
+                    icon="restore"
+                    loading={restoringId === task.id}
+                    disabled={restoringId !== null}
+                    onPress={() => restoreTask(task)}
+                  >
+                    Restore
+                  </Button>
+                </View>
+              )}
+            />
+          </View>
+        ))}
+      </Card>
+
+      {tasks.length > 0 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Button
+              mode="contained"
+              buttonColor="#d32f2f"
+              icon="delete-forever"
+              onPress={handleEmptyTrash}
+            >
+              Empty trash
+            </Button>
+          </Card.Content>
+        </Card>
+      )}
+
+      <View style={styles.spacer} />
+
+      {/* Dialog for Web */}
+      <Portal>
+        <Dialog visible={emptyDialogVisible} onDismiss={() => setEmptyDialogVisible(false)}>
+          <Dialog.Title>Empty Trash</Dialog.Title>
+          <Dialog.Content>
+            <Text>
+              Delete {tasks.length} task{tasks.length === 1 ? '' : 's'} for good? This can't be undone.
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setEmptyDialogVisible(false)}>Cancel</Button>
+            <Button onPress={confirmEmptyTrash} textColor="#d32f2f">Empty Trash</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5'
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  card: {
+    margin: 16,
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#333'
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 24
+  },
+  completedTitle: {
+    textDecorationLine: 'line-through',
+    color: '#999'
+  },
+  itemRight: {
+    alignItems: 'flex-end',
+    justifyContent: 'center'
+  },
+  spacer: {
+    height: 24
+  }
+});
@@ -1,6 +1,8 @@
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Constants from 'expo-constants';
+import * as Device from 'expo-device';
+import { Platform } from 'react-native';
 import { secureStorage, appStorage } from './secureStorage';
 
 // Robust API URL detection with multiple fallbacks
@@ -38,6 +40,9 @@ const apiClient = axios.create({
   }
 });
 
+// Shown in Profile > Active Sessions; browsers are identified by their user agent instead
+const DEVICE_NAME = Platform.OS === 'web' ? null : (Device.deviceName || Device.modelName || null);
+
 // Request interceptor - attach JWT token
 apiClient.interceptors.request.use(
   async (config) => {
@@ -45,34 +50,56 @@ apiClient.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    if (DEVICE_NAME) {
+      config.headers['X-Device-Name'] = DEVICE_NAME;
+    }
     return config;
   },
   (error) => Promise.reject(error)
 );
 
+// Refresh tokens are single-use (rotated on every refresh), so concurrent 401s
+// must share one refresh request instead of each spending the same token
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await secureStorage.getItem('refreshToken');
+      const { data } = await axios.post(`${API_BASE_URL}/api/v1/auth/refresh`, {
+        refreshToken
+      });
+
+      // Save both tokens securely (backend rotates the refresh token on every call)
+      await secureStorage.setItem('accessToken', data.accessToken);
+      if (data.refreshToken) {
+        await secureStorage.setItem('refreshToken', data.refreshToken);
+      }
+
+      return data.accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - handle token refresh
 apiClient.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
-    // Token expired
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // Token expired (only for requests that were sent with a token - a 401 from
+    // login or 2FA verification is a real error, not an expired session)
+    if (error.response?.status === 401 && !originalRequest._retry && originalRequest.headers?.Authorization) {
       originalRequest._retry = true;
 
       try {
-        const refreshToken = await secureStorage.getItem('refreshToken');
-        const { data } = await axios.post(`${API_BASE_URL}/api/v1/auth/refresh`, {
-          refreshToken
-        });
+        const accessToken = await refreshAccessToken();
 
-        // Save both tokens securely (backend may rotate refresh token for security)
-        await secureStorage.setItem('accessToken', data.accessToken);
-        if (data.refreshToken) {
-          await secureStorage.setItem('refreshToken', data.refreshToken);
-        }
-
-        originalRequest.headers.Authorization = `Bearer ${data.accessToken}`;
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
 
         return apiClient(originalRequest);
       } catch (refreshError) {
@@ -94,12 +121,110 @@ export const api = {
   login: (email, password) =>
     apiClient.post('/auth/login', { email, password }),
 
+  verifyMfa: (mfaToken, { code, recoveryCode }) =>
+    apiClient.post('/auth/mfa/verify', { mfaToken, code, recoveryCode }),
+
+  // Passwordless sign-in: email a magic link and 6-digit code, then redeem either one
+  requestEmailLogin: (email, client) =>
+    apiClient.post('/auth/email-login', { email, client }),
+
+  // { token } from the magic link, or { email, code }
+  verifyEmailLogin: (credentials) =>
+    apiClient.post('/auth/email-login/verify', credentials),
+
+  // Swap the one-time code from an OAuth redirect for tokens
+  exchangeAuthCode: (code, codeVerifier) =>
+    apiClient.post('/auth/exchange', { code, codeVerifier }),
+
   register: (username, email, password) =>
     apiClient.post('/auth/register', { username, email, password }),
 
   refreshToken: (refreshToken) =>
     apiClient.post('/auth/refresh', { refreshToken }),
 
+  logout: (refreshToken) =>
+    apiClient.post('/auth/logout', { refreshToken }),
+
+  forgotPassword: (email) =>
+    apiClient.post('/auth/password/forgot', { email }),
+
+  resetPassword: (token, password) =>
+    apiClient.post('/auth/password/reset', { token, password }),
+
+  resendVerificationEmail: () =>
+    apiClient.post('/auth/email/verify/resend'),
+
+  // Sign-in methods (password, passkeys, linked Google / Microsoft accounts)
+  getLoginMethods: () =>
+    apiClient.get('/auth/identities'),
+
+  linkIdentity: (provider) =>
+    apiClient.post(`/auth/identities/${provider}/link`),
+
+  unlinkIdentity: (provider) =>
+    apiClient.delete(`/auth/identities/${provider}`),
+
+  removePassword: (currentPassword) =>
+    apiClient.delete('/user/password', { data: { currentPassword } }),
+
+  // Active sessions
+  getSessions: () =>
+    apiClient.get('/auth/sessions'),
+
+  revokeSession: (id) =>
+    apiClient.delete(`/auth/sessions/${id}`),
+
+  revokeOtherSessions: () =>
+    apiClient.post('/auth/sessions/revoke-others'),
+
+  getLoginHistory: (limit = 50) =>
+    apiClient.get('/auth/login-history', { params: { limit } }),
+
+  // Personal access tokens
+  getAccessTokens: () =>
+    apiClient.get('/auth/tokens'),
+
+  createAccessToken: ({ name, scopes, expiresInDays }) =>
+    apiClient.post('/auth/tokens', { name, scopes, expiresInDays }),
+
+  revokeAccessToken: (id) =>
+    apiClient.delete(`/auth/tokens/${id}`),
+
+  // Two-factor authentication
+  getMfaStatus: () =>
+    apiClient.get('/auth/mfa'),
+
+  mfaEnrollBegin: () =>
+    apiClient.post('/auth/mfa/enroll'),
+
+  mfaEnrollConfirm: (code) =>
+    apiClient.post('/auth/mfa/enroll/confirm', { code }),
+
+  mfaDisable: ({ code, recoveryCode }) =>
+    apiClient.post('/auth/mfa/disable', { code, recoveryCode }),
+
+  mfaRegenerateRecoveryCodes: ({ code, recoveryCode }) =>
+    apiClient.post('/auth/mfa/recovery-codes', { code, recoveryCode }),
+
+  // Passkeys
+  passkeyRegisterBegin: () =>
+    apiClient.post('/auth/passkey/register/begin'),
+
+  passkeyRegisterComplete: (response, name) =>
+    apiClient.post('/auth/passkey/register/complete', { response, name }),
+
+  passkeyAuthenticateBegin: () =>
+    apiClient.post('/auth/passkey/authenticate/begin'),
+
+  passkeyAuthenticateComplete: (response) =>
+    apiClient.post('/auth/passkey/authenticate/complete', { response }),
+
+  getPasskeys: () =>
+    apiClient.get('/auth/passkey/credentials'),
+
+  deletePasskey: (id) =>
+    apiClient.delete(`/auth/passkey/credentials/${id}`),
+
   // Nutrition
   getMeals: (params) =>
     apiClient.get('/nutrition/meals', { params }),
@@ -178,15 +303,101 @@ export const api = {
   updateTask: (id, taskData) =>
     apiClient.put(`/todo/tasks/${id}`, taskData),
 
-  deleteTask: (id) =>
-    apiClient.delete(`/todo/tasks/${id}`),
+  // scope: 'occurrence' or 'all' for recurring tasks and their completed copies
+  deleteTask: (id, scope) =>
+    apiClient.delete(`/todo/tasks/${id}`, { params: { scope } }),
 
   toggleTaskCompletion: (id) =>
     apiClient.patch(`/todo/tasks/${id}/toggle`),
 
+  // { action, ids } or { action, filter }, plus dueDate, listId or tagId for the action
+  bulkUpdateTasks: (request) =>
+    apiClient.post('/todo/tasks/bulk', request),
+
+  skipOccurrence: (id) =>
+    apiClient.post(`/todo/tasks/${id}/skip`),
+
+  getTrash: () =>
+    apiClient.get('/todo/trash'),
+
+  restoreTask: (id) =>
+    apiClient.post(`/todo/tasks/${id}/restore`),
+
+  emptyTrash: () =>
+    apiClient.delete('/todo/trash'),
+
+  // token: the undoToken returned by a delete or completion
+  undo: (token) =>
+    apiClient.post('/todo/undo', { token }),
+
+  getTaskHistory: (id, params) =>
+    apiClient.get(`/todo/tasks/${id}/history`, { params }),
+
+  getTaskActivity: (id, params) =>
+    apiClient.get(`/todo/tasks/${id}/activity`, { params }),
+
+  // files: [{ uri, name, mimeType, file }], where file is the browser File on web
+  uploadAttachments: (taskId, files) => {
+    const formData = new FormData();
+    files.forEach(file => {
+      formData.append('files', Platform.OS === 'web'
+        ? file.file
+        : { uri: file.uri, name: file.name, type: file.mimeType });
+    });
+    return apiClient.post(`/todo/tasks/${taskId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000
+    });
+  },
+
+  deleteAttachment: (taskId, attachmentId) =>
+    apiClient.delete(`/todo/tasks/${taskId}/attachments/${attachmentId}`),
+
   getTaskStats: () =>
     apiClient.get('/todo/tasks/stats'),
 
+  addSubtask: (taskId, name) =>
+    apiClient.post(`/todo/tasks/${taskId}/subtasks`, { name }),
+
+  updateSubtask: (taskId, subtaskId, subtaskData) =>
+    apiClient.put(`/todo/tasks/${taskId}/subtasks/${subtaskId}`, subtaskData),
+
+  toggleSubtask: (taskId, subtaskId) =>
+    apiClient.patch(`/todo/tasks/${taskId}/subtasks/${subtaskId}/toggle`),
+
+  reorderSubtasks: (taskId, subtaskIds) =>
+    apiClient.put(`/todo/tasks/${taskId}/subtasks/order`, { subtaskIds }),
+
+  deleteSubtask: (taskId, subtaskId) =>
+    apiClient.delete(`/todo/tasks/${taskId}/subtasks/${subtaskId}`),
+
+  getLists: () =>
+    apiClient.get('/todo/lists'),
+
+  createList: (listData) =>
+    apiClient.post('/todo/lists', listData),
+
+  updateList: (id, listData) =>
+    apiClient.put(`/todo/lists/${id}`, listData),
+
+  reorderLists: (listIds) =>
+    apiClient.put('/todo/lists/order', { listIds }),
+
+  deleteList: (id) =>
+    apiClient.delete(`/todo/lists/${id}`),
+
+  getTags: () =>
+    apiClient.get('/todo/tags'),
+
+  createTag: (tagData) =>
+    apiClient.post('/todo/tags', tagData),
+
+  updateTag: (id, tagData) =>
+    apiClient.put(`/todo/tags/${id}`, tagData),
+
+  deleteTag: (id) =>
+    apiClient.delete(`/todo/tags/${id}`),
+
   // User
   getProfile: () => apiClient.get('/user/profile'),
 
@@ -204,6 +415,20 @@ export const api = {
   registerPushToken: (pushToken) =>
     apiClient.post('/user/push-token', { pushToken }),
 
+  // Returns a ZIP (200) or, for large accounts / delivery 'email', a job that is emailed when ready (202)
+  exportData: ({ delivery } = {}) =>
+    apiClient.get('/user/export', {
+      params: delivery ? { delivery } : undefined,
+      responseType: delivery === 'email' ? 'json' : 'blob',
+      timeout: 60000
+    }),
+
+  accountDeletionPasskeyOptions: () =>
+    apiClient.post('/user/account/delete/passkey-options'),
+
+  requestAccountDeletion: (confirmation) =>
+    apiClient.post('/user/account/delete', confirmation),
+
   // Microsoft To Do Integration
   getMicrosoftStatus: () =>
     apiClient.get('/integrations/microsoft/status'),
@@ -235,7 +460,26 @@ export const api = {
 
   // Voice Command Parsing
   parseVoiceCommand: (transcript) =>
-    apiClient.post('/voice/parse', { transcript })
+    apiClient.post('/voice/parse', { transcript }),
+
+  // Staff admin console
+  adminGetStats: (days = 7) =>
+    apiClient.get('/admin/stats', { params: { days } }),
+
+  adminSearchUsers: (params = {}) =>
+    apiClient.get('/admin/users', { params }),
+
+  adminGetUser: (id) =>
+    apiClient.get(`/admin/users/${id}`),
+
+  adminSetUserActive: (id, isActive) =>
+    apiClient.patch(`/admin/users/${id}/status`, { isActive }),
+
+  adminForcePasswordReset: (id) =>
+    apiClient.post(`/admin/users/${id}/password-reset`),
+
+  adminSendWeeklyReport: (id) =>
+    apiClient.post(`/admin/users/${id}/weekly-report`)
 };
 
 export default api;
\ No newline at end of file
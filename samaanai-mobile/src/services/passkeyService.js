@@ -0,0 +1,72 @@
+/**
+ * Passkey Service
+ * Runs WebAuthn ceremonies on web (browser API) and native (platform passkey API)
+ */
+
+import { Platform } from 'react-native';
+import { startRegistration, startAuthentication, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { Passkey } from 'react-native-passkey';
+import api from './api';
+
+const isWeb = Platform.OS === 'web';
+
+/**
+ * Check whether this device can use passkeys
+ * @returns {boolean}
+ */
+export function isPasskeySupported() {
+  if (isWeb) {
+    return browserSupportsWebAuthn();
+  }
+  return Passkey.isSupported();
+}
+
+/**
+ * Create a passkey for the signed-in user and register it with the backend
+ * @param {string} name - Friendly name shown in "Manage passkeys"
+ * @returns {Promise<Object>} Created credential summary
+ */
+export async function registerPasskey(name) {
+  const { data } = await api.passkeyRegisterBegin();
+
+  const response = isWeb
+    ? await startRegistration({ optionsJSON: data.options })
+    : await Passkey.create(data.options);
+
+  const { data: result } = await api.passkeyRegisterComplete(response, name);
+  return result.credential;
+}
+
+/**
+ * Sign in with any passkey saved for Samaanai on this device
+ * @returns {Promise<Object>} Login response ({ user, accessToken, refreshToken })
+ */
+export async function authenticateWithPasskey() {
+  const { data } = await api.passkeyAuthenticateBegin();
+
+  const response = isWeb
+    ? await startAuthentication({ optionsJSON: data.options })
+    : await Passkey.get(data.options);
+
+  const { data: result } = await api.passkeyAuthenticateComplete(response);
+  return result;
+}
+
+/**
+ * Confirm account deletion with one of the signed-in user's passkeys
+ * @returns {Promise<Object>} Authentication response to send with the deletion request
+ */
+export async function confirmAccountDeletionWithPasskey() {
+  const { data } = await api.accountDeletionPasskeyOptions();
+
+  return isWeb
+    ? startAuthentication({ optionsJSON: data.options })
+    : Passkey.get(data.options);
+}
+
+export default {
+  isPasskeySupported,
+  registerPasskey,
+  authenticateWithPasskey,
+  confirmAccountDeletionWithPasskey
+};
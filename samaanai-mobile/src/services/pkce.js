@@ -0,0 +1,41 @@
+/**
+ * PKCE helpers
+ * Binds an OAuth sign-in to this app: the backend only redeems the one-time
+ * code from the redirect together with the verifier generated here.
+ */
+
+import * as Crypto from 'expo-crypto';
+
+// base64 -> base64url without padding (RFC 7636)
+const toBase64Url = (base64) => base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const bytesToBase64 = (bytes) => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    output += chars[(n >> 18) & 63] + chars[(n >> 12) & 63];
+    output += i + 1 < bytes.length ? chars[(n >> 6) & 63] : '=';
+    output += i + 2 < bytes.length ? chars[n & 63] : '=';
+  }
+
+  return output;
+};
+
+/**
+ * Create a fresh verifier and its S256 challenge
+ * @returns {Promise<{codeVerifier: string, codeChallenge: string}>}
+ */
+export async function createPkcePair() {
+  // 32 random bytes -> 43-character verifier
+  const codeVerifier = toBase64Url(bytesToBase64(Crypto.getRandomBytes(32)));
+
+  const digest = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    codeVerifier,
+    { encoding: Crypto.CryptoEncoding.BASE64 }
+  );
+
+  return { codeVerifier, codeChallenge: toBase64Url(digest) };
+}
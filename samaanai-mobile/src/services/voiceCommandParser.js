@@ -70,7 +70,7 @@ export const parseTaskCommand = (text) => {
     name: cleanTaskName,
     dueDate: dueDate ? format(dueDate, 'yyyy-MM-dd') : null,
     description: '',
-    reminderType: null,
+    recurrence: null,
     confidence: 0.9
   };
 };
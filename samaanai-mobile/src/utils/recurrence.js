@@ -0,0 +1,182 @@
+/**
+ * Repeat rules for recurring tasks
+ * Tasks store iCalendar RRULEs (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE").
+ * These helpers turn them into the repeat editor's fields and back, and into
+ * a short description like "Every 2 weeks on Mon, Wed". The backend checks
+ * and runs the rules.
+ */
+
+import { format, parse } from 'date-fns';
+
+export const FREQUENCIES = [
+  { value: 'DAILY', label: 'Daily', unit: 'day' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year' }
+];
+
+export const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+export const ORDINALS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+const WORK_WEEK = 'MO,TU,WE,TH,FR';
+
+export const DEFAULT_REPEAT = {
+  freq: 'WEEKLY',
+  interval: 1,
+  weekdays: [],
+  monthlyMode: 'sameDay', // sameDay, nthWeekday, lastWeekday, lastDay
+  ordinal: 1,
+  ordinalWeekday: 'MO',
+  ends: 'never', // never, count, until
+  count: 10,
+  until: ''
+};
+
+const weekdayLabel = (code) => WEEKDAYS.find(day => day.value === code)?.label || code;
+
+/**
+ * Split an RRULE into { FREQ: 'WEEKLY', BYDAY: 'MO,WE', ... }
+ */
+const ruleParts = (rule) => Object.fromEntries(
+  String(rule || '')
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .map(part => part.split('='))
+);
+
+/**
+ * Turn an RRULE into the repeat editor's fields
+ * @returns {Object|null} - null when the rule uses parts the editor can't show
+ */
+export const ruleToRepeat = (rule) => {
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYSETPOS, COUNT, UNTIL, ...rest } = ruleParts(rule);
+
+  if (!FREQUENCIES.some(freq => freq.value === FREQ) || Object.keys(rest).length > 0) {
+    return null;
+  }
+
+  const repeat = {
+    ...DEFAULT_REPEAT,
+    freq: FREQ,
+    interval: Number(INTERVAL) || 1,
+    ends: COUNT ? 'count' : UNTIL ? 'until' : 'never',
+    count: Number(COUNT) || DEFAULT_REPEAT.count,
+    until: UNTIL ? `${UNTIL.slice(0, 4)}-${UNTIL.slice(4, 6)}-${UNTIL.slice(6, 8)}` : ''
+  };
+
+  const ordinalDay = /^(-?\d)([A-Z]{2})$/.exec(BYDAY || '');
+
+  if (FREQ === 'WEEKLY' && BYDAY && !BYMONTHDAY && !BYSETPOS) {
+    repeat.weekdays = BYDAY.split(',');
+  } else if (FREQ === 'MONTHLY' && BYDAY === WORK_WEEK && BYSETPOS === '-1' && !BYMONTHDAY) {
+    repeat.monthlyMode = 'lastWeekday';
+  } else if (FREQ === 'MONTHLY' && BYMONTHDAY === '-1' && !BYDAY && !BYSETPOS) {
+    repeat.monthlyMode = 'lastDay';
+  } else if (FREQ === 'MONTHLY' && ordinalDay && !BYMONTHDAY && !BYSETPOS) {
+    repeat.monthlyMode = 'nthWeekday';
+    repeat.ordinal = Number(ordinalDay[1]);
+    repeat.ordinalWeekday = ordinalDay[2];
+  } else if (BYDAY || BYMONTHDAY || BYSETPOS) {
+    return null;
+  }
+
+  return repeat;
+};
+
+/**
+ * Turn the repeat editor's fields into an RRULE
+ */
+export const repeatToRule = (repeat) => {
+  const parts = [`FREQ=${repeat.freq}`];
+
+  if (repeat.interval > 1) {
+    parts.push(`INTERVAL=${repeat.interval}`);
+  }
+
+  if (repeat.freq === 'WEEKLY' && repeat.weekdays.length > 0) {
+    // Keep the days in week order whatever order they were tapped in
+    const days = WEEKDAYS.map(day => day.value).filter(day => repeat.weekdays.includes(day));
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+
+  if (repeat.freq === 'MONTHLY') {
+    if (repeat.monthlyMode === 'lastWeekday') {
+      parts.push(`BYDAY=${WORK_WEEK}`, 'BYSETPOS=-1');
+    } else if (repeat.monthlyMode === 'lastDay') {
+      parts.push('BYMONTHDAY=-1');
+    } else if (repeat.monthlyMode === 'nthWeekday') {
+      parts.push(`BYDAY=${repeat.ordinal}${repeat.ordinalWeekday}`);
+    }
+  }
+
+  if (repeat.ends === 'count' && repeat.count > 0) {
+    parts.push(`COUNT=${repeat.count}`);
+  } else if (repeat.ends === 'until' && /^\d{4}-\d{2}-\d{2}$/.test(repeat.until)) {
+    parts.push(`UNTIL=${repeat.until.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Describe a rule for display, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+ * @param {string} rule - RRULE
+ * @param {boolean} fromCompletion - The task repeats from when it's completed
+ * @returns {string|null}
+ */
+export const describeRecurrence = (rule, fromCompletion = false) => {
+  if (!rule) return null;
+
+  const repeat = ruleToRepeat(rule);
+  if (!repeat) return 'Custom repeat';
+
+  const frequency = FREQUENCIES.find(freq => freq.value === repeat.freq);
+  let text = repeat.interval > 1
+    ? `Every ${repeat.interval} ${frequency.unit}s`
+    : frequency.label;
+
+  if (repeat.freq === 'WEEKLY' && repeat.weekdays.length > 0) {
+    text += repeat.weekdays.join(',') === WORK_WEEK
+      ? ' on weekdays'
+      : ` on ${repeat.weekdays.map(weekdayLabel).join(', ')}`;
+  }
+
+  if (repeat.freq === 'MONTHLY') {
+    if (repeat.monthlyMode === 'lastWeekday') {
+      text += ' on the last weekday';
+    } else if (repeat.monthlyMode === 'lastDay') {
+      text += ' on the last day';
+    } else if (repeat.monthlyMode === 'nthWeekday') {
+      const ordinal = ORDINALS.find(item => item.value === repeat.ordinal)?.label || repeat.ordinal;
+      text += ` on the ${String(ordinal).toLowerCase()} ${weekdayLabel(repeat.ordinalWeekday)}`;
+    }
+  }
+
+  if (fromCompletion) {
+    text += ' after completion';
+  }
+
+  if (repeat.ends === 'count') {
+    text += `, ${repeat.count} times`;
+  } else if (repeat.ends === 'until') {
+    text += `, until ${format(parse(repeat.until, 'yyyy-MM-dd', new Date()), 'MMM d, yyyy')}`;
+  }
+
+  return text;
+};
@@ -0,0 +1,83 @@
+/**
+ * Task priorities, tag colors, list icons, reminder choices and attachment
+ * helpers shared by the todo screens
+ * Priority values match the backend (none, low, medium, high, urgent)
+ */
+
+export const PRIORITIES = [
+  { value: 'none', label: 'None', color: '#9e9e9e', icon: 'flag-outline' },
+  { value: 'low', label: 'Low', color: '#42a5f5', icon: 'flag' },
+  { value: 'medium', label: 'Medium', color: '#ffb300', icon: 'flag' },
+  { value: 'high', label: 'High', color: '#fb8c00', icon: 'flag' },
+  { value: 'urgent', label: 'Urgent', color: '#e53935', icon: 'alert' }
+];
+
+export const getPriority = (value) =>
+  PRIORITIES.find(priority => priority.value === value) || PRIORITIES[0];
+
+// Colors offered when creating a tag
+export const TAG_COLORS = [
+  '#e53935', '#fb8c00', '#fdd835', '#43a047',
+  '#00897b', '#1e88e5', '#5e35b1', '#d81b60',
+  '#6d4c41', '#546e7a'
+];
+
+// Icons offered for task lists (MaterialCommunityIcons names)
+export const LIST_ICONS = [
+  'format-list-bulleted', 'briefcase-outline', 'home-outline', 'cart-outline',
+  'school-outline', 'heart-outline', 'star-outline', 'airplane',
+  'dumbbell', 'book-open-variant'
+];
+
+// Reminder choices, in minutes before the task is due. Tasks without a due
+// time are due at 9:00, so "1 day before" is 9:00 the day before.
+export const REMINDER_OPTIONS = [
+  { value: 0, label: 'At due time' },
+  { value: 15, label: '15 min before' },
+  { value: 30, label: '30 min before' },
+  { value: 60, label: '1 hour before' },
+  { value: 1440, label: '1 day before' },
+  { value: 2880, label: '2 days before' },
+  { value: 10080, label: '1 week before' }
+];
+
+export const MAX_REMINDERS = 5;
+
+// Label for any offset, including ones set outside the app
+export const describeReminder = (offset) => {
+  const option = REMINDER_OPTIONS.find(item => item.value === offset);
+  if (option) return option.label;
+
+  const units = [[10080, 'week'], [1440, 'day'], [60, 'hour'], [1, 'min']];
+  const [size, unit] = units.find(([minutes]) => offset % minutes === 0);
+  const count = offset / size;
+  return `${count} ${unit}${count === 1 || unit === 'min' ? '' : 's'} before`;
+};
+
+// Attachment limits, matching the backend
+export const MAX_ATTACHMENTS = 10;
+export const MAX_ATTACHMENT_MB = 10;
+
+export const getFileIcon = (contentType) => {
+  if (!contentType) return 'file-document';
+
+  if (contentType.startsWith('image/')) return 'file-image';
+  if (contentType.startsWith('audio/')) return 'file-music';
+  if (contentType.startsWith('video/')) return 'file-video';
+  if (contentType.includes('pdf')) return 'file-pdf-box';
+  if (contentType.includes('word') || contentType.includes('document')) return 'file-word-box';
+  if (contentType.includes('excel') || contentType.includes('spreadsheet')) return 'file-excel-box';
+  if (contentType.includes('powerpoint') || contentType.includes('presentation')) return 'file-powerpoint-box';
+  if (contentType.includes('text')) return 'file-document-outline';
+  if (contentType.includes('zip') || contentType.includes('compressed')) return 'zip-box';
+
+  return 'file-document';
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};